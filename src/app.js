@@ -44,6 +44,10 @@ import restaurantRouter from "./routes/restaurant.routes.js";
 import paymentRouter from "./routes/payment.routes.js";
 import restaurantPaymentRouter from "./routes/restaurantPayment.routes.js";
 import adminRouter from "./routes/admin.routes.js";
+import reservationRouter from "./routes/reservation.routes.js";
+import cartRouter from "./routes/cart.routes.js";
+import waitlistRouter from "./routes/waitlist.routes.js";
+import promoCodeRouter from "./routes/promoCode.routes.js";
 
 //initialising router
 app.use("/api/v1/users", userRouter); //user router
@@ -58,6 +62,10 @@ app.use("/api/v1/restaurants", restaurantRouter); // restaurant router
 app.use("/api/v1/payments", paymentRouter); //payment router
 app.use("/api/v1/restaurantPayments", restaurantPaymentRouter); // restaurant payment router
 app.use("/api/v1/admin", adminRouter); // admin router
+app.use("/api/v1/reservations", reservationRouter); // multi-room reservation router
+app.use("/api/v1/cart", cartRouter); // trip cart router
+app.use("/api/v1/waitlist", waitlistRouter); // waitlist router
+app.use("/api/v1/promo-codes", promoCodeRouter); // promo code campaigns (hosts)
 
 app.use(errorHandler);
 
@@ -7,6 +7,9 @@ import {User} from "../models/user.model.js";
 import mongoose from "mongoose";
 import {isPasswordStrong, isEmailValid, areRequiredFieldsProvided} from "../utils/validator.js";
 import logger from "../utils/logger.js";
+import {Booking} from "../models/booking.model.js";
+import {RestaurantBooking} from "../models/restaurantBooking.model.js";
+import {normalizeReferenceCode} from "../utils/referenceCode.js";
 
 const createSuperadmin = asyncHandler(async (req, res) => {
   const {fullName, email, password} = req.body;
@@ -469,6 +472,28 @@ const deleteAdmin = asyncHandler(async (req, res) => {
   }
 });
 
+// Find a room or restaurant booking by its confirmation code
+const getBookingByReference = asyncHandler(async (req, res) => {
+  const referenceCode = normalizeReferenceCode(req.params.referenceCode);
+  if (!referenceCode) {
+    throw new ApiError(400, "Invalid booking reference");
+  }
+
+  logger.info(`Admin lookup of booking reference: ${referenceCode}`);
+
+  const roomBooking = await Booking.findOne({referenceCode}).populate("user", "fullName email").populate("host").populate("service", "name type").populate("room", "name roomType");
+  if (roomBooking) {
+    return res.status(200).json(new ApiResponse(200, {bookingType: "room", booking: roomBooking}, "Booking fetched successfully"));
+  }
+
+  const restaurantBooking = await RestaurantBooking.findOne({referenceCode}).populate("user", "fullName email").populate("host").populate("service", "name type");
+  if (restaurantBooking) {
+    return res.status(200).json(new ApiResponse(200, {bookingType: "restaurant", booking: restaurantBooking}, "Booking fetched successfully"));
+  }
+
+  throw new ApiError(404, "No booking found with this reference");
+});
+
 export {
   createSuperadmin,
   createAdmin,
@@ -477,5 +502,6 @@ export {
   updateHostStatus,
   getAllHostsByStatus,
   refreshAdminToken,
-  deleteAdmin
+  deleteAdmin,
+  getBookingByReference
 };
@@ -0,0 +1,79 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {Room} from "../models/room.model.js";
+import {Service} from "../models/services.model.js";
+import {parseCalendarRange, formatDateKey, buildAvailabilityCalendars} from "../utils/availability.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+// Get the availability calendar for a single room
+const getRoomAvailability = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+
+  logger.info(`Fetching availability for room ID: ${id}`);
+
+  // Step 1: Validate the room ID and range
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    logger.error(`Invalid room ID: ${id}`);
+    throw new ApiError(400, "Invalid room ID.");
+  }
+
+  const {from, to} = parseCalendarRange(req.query.from, req.query.to);
+
+  // Step 2: Fetch the room
+  const room = await Room.findById(id).lean();
+  if (!room) {
+    logger.error(`Room not found with ID: ${id}`);
+    throw new ApiError(404, "Room not found.");
+  }
+
+  // Step 3: Build the calendar
+  const [calendar] = await buildAvailabilityCalendars({rooms: [room], from, to});
+
+  res.status(200).json(new ApiResponse(200, {
+    from: formatDateKey(from),
+    to: formatDateKey(to),
+    ...calendar
+  }, "Room availability fetched successfully."));
+});
+
+// Get availability calendars for every room of a service
+const getServiceAvailability = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+
+  logger.info(`Fetching availability for service ID: ${id}`);
+
+  // Step 1: Validate the service ID and range
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    logger.error(`Invalid service ID: ${id}`);
+    throw new ApiError(400, "Invalid service ID.");
+  }
+
+  const {from, to} = parseCalendarRange(req.query.from, req.query.to);
+
+  // Step 2: Fetch the service and its rooms
+  const service = await Service.findById(id).select("name type").lean();
+  if (!service) {
+    logger.error(`Service not found with ID: ${id}`);
+    throw new ApiError(404, "Service not found.");
+  }
+
+  const rooms = await Room.find({service: id}).sort({name: 1}).lean();
+
+  // Step 3: Build one calendar row per room
+  const calendars = await buildAvailabilityCalendars({rooms, from, to});
+
+  logger.info(`Built availability for ${rooms.length} rooms of service ID: ${id}`);
+  res.status(200).json(new ApiResponse(200, {
+    service,
+    from: formatDateKey(from),
+    to: formatDateKey(to),
+    rooms: calendars
+  }, "Service availability fetched successfully."));
+});
+
+export {
+  getRoomAvailability,
+  getServiceAvailability
+};
@@ -0,0 +1,445 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {Cart} from "../models/cart.model.js";
+import {Booking} from "../models/booking.model.js";
+import {Room} from "../models/room.model.js";
+import {Restaurant} from "../models/restaurant.model.js";
+import {RestaurantBooking} from "../models/restaurantBooking.model.js";
+import {Payment} from "../models/payment.models.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+import {quoteRoomStay, assertQuotedPrice, toPriceBreakdown, roundCurrency, getPricingConfig} from "../utils/pricing.js";
+import {getHoldExpiry, placeRoomHold, isHoldConflictError} from "../utils/bookingHold.js";
+import {releaseCartHolds} from "../utils/cartHold.js";
+import {assertNoRoomOffer} from "../utils/waitlist.js";
+import {parseReservationSlot, assertRestaurantOpen, priceSelectedCuisines} from "../utils/restaurantReservation.js";
+import {assignTables} from "../utils/tableAllocation.js";
+import {TABLE_ZONES} from "../models/restaurantTable.model.js";
+import {getGateway} from "../utils/payment_gateways/index.js";
+import {startGatewayPayment, paymentReturnUrls, assertPaymentCurrency} from "../utils/payment_utils.js";
+
+// Most items a single cart may hold
+const MAX_CART_ITEMS = 20;
+
+const validPaymentMethods = ["paypal", "stripe", "razorpay", "esewa", "khalti", "fonepay", "credit_card"];
+
+// Find the user's cart that is open or checking out, creating an empty one if needed
+const findActiveCart = async userId => {
+  const cart = await Cart.findOne({
+    user: userId,
+    status: {
+      $in: ["open", "checkout"]
+    }
+  });
+  return cart || Cart.create({user: userId});
+};
+
+// Load a room item's room and price the stay
+const validateRoomItem = async (item, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(item.room)) {
+    throw new ApiError(400, "Invalid room ID");
+  }
+
+  const room = await Room.findById(item.room).populate("service", "host");
+  if (!room) {
+    throw new ApiError(404, "Room not found");
+  }
+
+  const quote = await quoteRoomStay({
+    room,
+    checkInDate: item.checkInDate,
+    checkOutDate: item.checkOutDate,
+    numberOfGuests: item.numberOfGuests
+  });
+
+  const overlappingBooking = await Booking.findOne(Booking.overlapFilter(room._id, item.checkInDate, item.checkOutDate, item.booking));
+  if (overlappingBooking || room.findOverlappingBlock(item.checkInDate, item.checkOutDate) || !room.isAvailable) {
+    throw new ApiError(409, "Room is not available for the selected dates");
+  }
+  await assertNoRoomOffer({room: room._id, checkInDate: item.checkInDate, checkOutDate: item.checkOutDate, holder: userId});
+
+  return {
+    fields: {
+      itemType: "room",
+      host: room.service.host,
+      service: room.service._id,
+      room: room._id,
+      checkInDate: new Date(item.checkInDate),
+      checkOutDate: new Date(item.checkOutDate),
+      numberOfGuests: item.numberOfGuests,
+      price: quote.totalPrice
+    },
+    quote
+  };
+};
+
+// Load a restaurant item's restaurant, check the slot and price any pre-order
+const validateRestaurantItem = async (item, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(item.restaurant)) {
+    throw new ApiError(400, "Invalid restaurant ID");
+  }
+
+  if (!item.reservationDate || !item.reservationTime) {
+    throw new ApiError(400, "reservationDate and reservationTime are required");
+  }
+
+  const restaurant = await Restaurant.findById(item.restaurant).populate("service", "host");
+  if (!restaurant || !restaurant.isAvailable) {
+    throw new ApiError(404, "Restaurant not found");
+  }
+
+  if (!Number.isInteger(item.numberOfGuests) || item.numberOfGuests < 1) {
+    throw new ApiError(400, "Number of guests must be a positive integer");
+  }
+
+  if (item.zone && !TABLE_ZONES.includes(item.zone)) {
+    throw new ApiError(400, `Zone must be one of: ${TABLE_ZONES.join(", ")}`);
+  }
+
+  const {reservationDate} = parseReservationSlot(item.reservationDate, item.reservationTime);
+  assertRestaurantOpen(restaurant, reservationDate, item.reservationTime);
+
+  // Dry run of the table allocation; the real one happens at checkout
+  await assignTables({
+    restaurant,
+    reservationDate,
+    reservationTime: item.reservationTime,
+    numberOfGuests: item.numberOfGuests,
+    zone: item.zone,
+    holder: userId
+  });
+
+  const {selectedCuisines, totalPrice} = priceSelectedCuisines(restaurant, item.selectedCuisines, item.reservationTime);
+
+  return {
+    fields: {
+      itemType: "restaurant",
+      host: restaurant.service.host,
+      service: restaurant.service._id,
+      restaurant: restaurant._id,
+      reservationDate,
+      reservationTime: item.reservationTime,
+      numberOfGuests: item.numberOfGuests,
+      zone: item.zone,
+      selectedCuisines,
+      price: totalPrice
+    },
+    restaurant
+  };
+};
+
+// Validate and price a single cart item
+const validateCartItem = (item, userId) => {
+  if (item
+    ?.itemType === "room") {
+    return validateRoomItem(item, userId);
+  }
+  if (item
+    ?.itemType === "restaurant") {
+    return validateRestaurantItem(item, userId);
+  }
+  throw new ApiError(400, "itemType must be either room or restaurant");
+};
+
+// Items that hold the same room nights or the same restaurant slot can't be checked out together
+const assertNoItemClashes = items => {
+  items.forEach((item, index) => {
+    const clash = items.slice(index + 1).find(other => {
+      if (item.itemType === "room" && other.itemType === "room") {
+        return item.room.equals(other.room) && item.checkInDate < other.checkOutDate && other.checkInDate < item.checkOutDate;
+      }
+      if (item.itemType === "restaurant" && other.itemType === "restaurant") {
+        return item.restaurant.equals(other.restaurant) && item.reservationDate.getTime() === other.reservationDate.getTime() && item.reservationTime === other.reservationTime;
+      }
+      return false;
+    });
+
+    if (clash) {
+      throw new ApiError(409, `Item ${index + 1} clashes with another item in the cart`);
+    }
+  });
+};
+
+// Sum item prices onto the cart
+const applyCartTotals = cart => {
+  cart.totalPrice = roundCurrency(cart.items.reduce((sum, item) => sum + item.price, 0));
+  cart.currency = getPricingConfig().currency;
+};
+
+/**
+ * Get the user's current cart
+ */
+const getCart = asyncHandler(async (req, res) => {
+  const cart = await findActiveCart(req.user._id);
+
+  res.status(200).json(new ApiResponse(200, cart, "Cart fetched successfully"));
+});
+
+/**
+ * Add a room stay or restaurant reservation to the cart
+ */
+const addCartItem = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  logger.info(`Adding ${req.body
+    ?.itemType} item to cart for user: ${userId}`);
+
+  const cart = await findActiveCart(userId);
+  if (cart.status !== "open") {
+    throw new ApiError(409, "Cart is being checked out; cancel checkout to change it");
+  }
+
+  if (cart.items.length >= MAX_CART_ITEMS) {
+    throw new ApiError(400, `A cart cannot hold more than ${MAX_CART_ITEMS} items`);
+  }
+
+  const {fields} = await validateCartItem(req.body, userId);
+  cart.items.push(fields);
+  assertNoItemClashes(cart.items);
+  applyCartTotals(cart);
+  await cart.save();
+
+  logger.info(`Item added to cart: ${cart._id}`);
+  res.status(201).json(new ApiResponse(201, cart, "Item added to cart successfully"));
+});
+
+/**
+ * Remove an item from the cart
+ */
+const removeCartItem = asyncHandler(async (req, res) => {
+  const {itemId} = req.params;
+
+  const cart = await findActiveCart(req.user._id);
+  if (cart.status !== "open") {
+    throw new ApiError(409, "Cart is being checked out; cancel checkout to change it");
+  }
+
+  const item = cart.items.id(itemId);
+  if (!item) {
+    throw new ApiError(404, "Cart item not found");
+  }
+
+  item.deleteOne();
+  applyCartTotals(cart);
+  await cart.save();
+
+  res.status(200).json(new ApiResponse(200, cart, "Item removed from cart successfully"));
+});
+
+// Place holds for every cart item in one transaction
+const holdCartItems = async (cart, validatedItems, paymentMethod, userId) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const expiresAt = getHoldExpiry();
+
+    for (const [index, {fields, quote, restaurant}] of validatedItems.entries()) {
+      const item = cart.items[index];
+      item.set(fields);
+
+      try {
+        if (fields.itemType === "room") {
+          const booking = await placeRoomHold({
+            user: userId,
+            host: fields.host,
+            service: fields.service,
+            room: fields.room,
+            cart: cart._id,
+            checkInDate: fields.checkInDate,
+            checkOutDate: fields.checkOutDate,
+            numberOfGuests: fields.numberOfGuests,
+            totalPrice: quote.totalPrice,
+            priceBreakdown: toPriceBreakdown(quote),
+            paymentMethod,
+            paymentStatus: "pending",
+            status: "pending",
+            expiresAt
+          }, session);
+          item.booking = booking._id;
+        } else {
+          const allocation = await assignTables({
+            restaurant,
+            reservationDate: fields.reservationDate,
+            reservationTime: fields.reservationTime,
+            numberOfGuests: fields.numberOfGuests,
+            zone: fields.zone,
+            holder: userId,
+            session
+          });
+
+          const [restaurantBooking] = await RestaurantBooking.create([
+            {
+              user: userId,
+              host: fields.host,
+              service: fields.service,
+              restaurant: fields.restaurant,
+              cart: cart._id,
+              reservationDate: fields.reservationDate,
+              reservationTime: fields.reservationTime,
+              numberOfGuests: fields.numberOfGuests,
+              durationMinutes: allocation.durationMinutes,
+              tables: allocation.tables,
+              zone: fields.zone,
+              selectedCuisines: fields.selectedCuisines,
+              totalPrice: fields.price,
+              paymentMethod,
+              paymentStatus: "pending",
+              status: "pending",
+              expiresAt
+            }
+          ], {session});
+          item.restaurantBooking = restaurantBooking._id;
+        }
+      } catch (error) {
+        if (error instanceof ApiError) {
+          throw new ApiError(error.statusCode, `Item ${index + 1}: ${error.message}`);
+        }
+        throw error;
+      }
+    }
+
+    applyCartTotals(cart);
+    cart.status = "checkout";
+    cart.paymentMethod = paymentMethod;
+    cart.paymentStatus = "pending";
+    cart.expiresAt = expiresAt;
+    await cart.save({session});
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(`Cart checkout failed: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    if (isHoldConflictError(error)) {
+      throw new ApiError(409, "One of the items was just booked by someone else, please try again");
+    }
+    throw new ApiError(500, "Failed to check out cart");
+  } finally {
+    session.endSession();
+  }
+};
+
+// Put a cart back to editable after its holds are released
+const reopenCart = async cart => {
+  await releaseCartHolds(cart);
+  cart.items.forEach(item => {
+    item.booking = null;
+    item.restaurantBooking = null;
+  });
+  cart.status = "open";
+  cart.expiresAt = null;
+  await cart.save();
+};
+
+/**
+ * Check out the cart: validate every item together, hold them all and start one payment
+ */
+const checkoutCart = asyncHandler(async (req, res) => {
+  const {paymentMethod, totalPrice, paymentMetadata} = req.body;
+  const userId = req.user._id;
+
+  logger.info(`Starting cart checkout for user: ${userId}`);
+
+  // Step 1: Validate payment method
+  if (!validPaymentMethods.includes(paymentMethod)) {
+    throw new ApiError(400, "Invalid payment method");
+  }
+  // Only methods with a gateway configured here can check out
+  getGateway(paymentMethod);
+
+  // Step 2: Only an open cart with items can be checked out
+  const cart = await findActiveCart(userId);
+  if (cart.status !== "open") {
+    throw new ApiError(409, "Cart is already being checked out");
+  }
+  if (!cart.items.length) {
+    throw new ApiError(400, "Cart is empty");
+  }
+  assertPaymentCurrency(paymentMethod, cart.currency);
+
+  // Step 3: Re-validate and re-price every item, then check them against each other
+  const validatedItems = [];
+  for (const [index, item] of cart.items.entries()) {
+    try {
+      validatedItems.push(await validateCartItem(item.toObject(), userId));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw new ApiError(error.statusCode, `Item ${index + 1}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+  assertNoItemClashes(validatedItems.map(({fields}) => fields));
+
+  const total = roundCurrency(validatedItems.reduce((sum, {fields}) => sum + fields.price, 0));
+  assertQuotedPrice(totalPrice, {totalPrice: total});
+
+  if (total <= 0) {
+    throw new ApiError(400, "Cart total must be greater than zero to check out");
+  }
+
+  // Step 4: Hold every item atomically
+  await holdCartItems(cart, validatedItems, paymentMethod, userId);
+
+  // Step 5: Start a single payment for the whole cart
+  try {
+    const {payment} = await startGatewayPayment({
+      paymentMethod,
+      amount: cart.totalPrice,
+      currency: cart.currency,
+      target: {
+        cart: cart._id
+      },
+      payer: {
+        user: userId
+      },
+      metadata: paymentMetadata,
+      ...paymentReturnUrls(req, paymentMethod, "/api/v1/payments")
+    });
+
+    logger.info(`Cart checked out: ${cart._id}, payment: ${payment._id}`);
+    res.status(201).json(new ApiResponse(201, {cart, payment}, "Cart checked out successfully"));
+  } catch (error) {
+    logger.error(`Cart payment could not be started: ${error.message}`);
+    await reopenCart(cart);
+    throw new ApiError(500, `Payment processing failed: ${error.message}`);
+  }
+});
+
+/**
+ * Abandon a checkout: cancel its payment and release every hold
+ */
+const cancelCheckout = asyncHandler(async (req, res) => {
+  const cart = await findActiveCart(req.user._id);
+  if (cart.status !== "checkout") {
+    throw new ApiError(400, "Cart is not being checked out");
+  }
+
+  const pendingPayment = await Payment.findOne({
+    cart: cart._id,
+    paymentStatus: {
+      $nin: ["succeeded", "canceled", "failed", "refunded"]
+    }
+  });
+  if (pendingPayment) {
+    await getGateway(pendingPayment.paymentMethod).cancel(pendingPayment.transactionId);
+    pendingPayment.paymentStatus = "canceled";
+    await pendingPayment.save();
+  }
+
+  await reopenCart(cart);
+
+  logger.info(`Cart checkout cancelled: ${cart._id}`);
+  res.status(200).json(new ApiResponse(200, cart, "Checkout cancelled successfully"));
+});
+
+export {
+  getCart,
+  addCartItem,
+  removeCartItem,
+  checkoutCart,
+  cancelCheckout
+};
@@ -0,0 +1,264 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {Restaurant, DIETARY_TAGS, ALLERGENS} from "../models/restaurant.model.js";
+import {findOwnedRestaurant} from "../utils/hostAccess.js";
+import {isMenuItemServedAt} from "../utils/restaurantReservation.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+const timeRegex = /^(0[0-9]|1[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const menuItemFields = [
+  "name",
+  "price",
+  "image",
+  "category",
+  "description",
+  "dietaryTags",
+  "allergens",
+  "spiceLevel",
+  "availableTimes",
+  "isSoldOut",
+  "sortOrder",
+  "modifiers"
+];
+
+// Split a comma separated query value into a list
+const parseList = value => String(value || "").split(",").map(entry => entry.trim().toLowerCase()).filter(Boolean);
+
+// Check the menu item fields present in a create or update body
+const validateMenuItemFields = (restaurant, fields) => {
+  if (fields.price !== undefined && (typeof fields.price !== "number" || fields.price < 0)) {
+    throw new ApiError(400, "Price must be a non-negative number.");
+  }
+
+  if (fields.category && !restaurant.menuCategories.id(fields.category)) {
+    throw new ApiError(400, "Category not found on this restaurant's menu.");
+  }
+
+  const invalidTag = (fields.dietaryTags || []).find(tag => !DIETARY_TAGS.includes(tag));
+  if (invalidTag) {
+    throw new ApiError(400, `Invalid dietary tag: ${invalidTag}. Valid tags are: ${DIETARY_TAGS.join(", ")}`);
+  }
+
+  const invalidAllergen = (fields.allergens || []).find(allergen => !ALLERGENS.includes(allergen));
+  if (invalidAllergen) {
+    throw new ApiError(400, `Invalid allergen: ${invalidAllergen}. Valid allergens are: ${ALLERGENS.join(", ")}`);
+  }
+
+  for (const window of fields.availableTimes || []) {
+    if (!timeRegex.test(window
+      ?.startTime) || !timeRegex.test(window
+      ?.endTime)) {
+      throw new ApiError(400, "Available times need a startTime and endTime in HH:mm format.");
+    }
+  }
+};
+
+// Save a restaurant, turning schema validation failures into 400s
+const saveMenu = async restaurant => {
+  try {
+    return await restaurant.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      throw new ApiError(400, Object.values(error.errors).map(err => err.message).join(" "));
+    }
+    throw error;
+  }
+};
+
+// Fetch a restaurant's menu, grouped by category
+const getMenu = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const {category, availableAt, hideSoldOut} = req.query;
+  const diet = parseList(req.query.diet);
+  const excludeAllergens = parseList(req.query.excludeAllergens);
+
+  // Step 1: Validate filters
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid restaurant ID.");
+  }
+
+  if (diet.some(tag => !DIETARY_TAGS.includes(tag))) {
+    throw new ApiError(400, `Invalid diet filter. Valid tags are: ${DIETARY_TAGS.join(", ")}`);
+  }
+
+  if (excludeAllergens.some(allergen => !ALLERGENS.includes(allergen))) {
+    throw new ApiError(400, `Invalid allergen filter. Valid allergens are: ${ALLERGENS.join(", ")}`);
+  }
+
+  if (availableAt && !timeRegex.test(availableAt)) {
+    throw new ApiError(400, "availableAt must be in HH:mm format.");
+  }
+
+  const restaurant = await Restaurant.findById(id).select("menuCategories cuisineDetails isAvailable");
+  if (!restaurant || !restaurant.isAvailable) {
+    throw new ApiError(404, "Restaurant not found.");
+  }
+
+  // Step 2: Filter the items
+  const items = restaurant.cuisineDetails.filter(item => {
+    if (category && String(item.category) !== category)
+      return false;
+    if (diet.some(tag => !item.dietaryTags.includes(tag)))
+      return false;
+    if (excludeAllergens.some(allergen => item.allergens.includes(allergen)))
+      return false;
+    if (availableAt && !isMenuItemServedAt(item, availableAt))
+      return false;
+    if (hideSoldOut === "true" && item.isSoldOut)
+      return false;
+    return true;
+  }).sort((a, b) => a.sortOrder - b.sortOrder);
+
+  // Step 3: Group by category in display order, uncategorised items last
+  const sections = [...restaurant.menuCategories].sort((a, b) => a.sortOrder - b.sortOrder).map(menuCategory => ({
+    category: menuCategory,
+    items: items.filter(item => item.category && item.category.equals(menuCategory._id))
+  })).filter(section => section.items.length);
+
+  const uncategorised = items.filter(item => !item.category || !restaurant.menuCategories.id(item.category));
+  if (uncategorised.length) {
+    sections.push({category: null, items: uncategorised});
+  }
+
+  res.status(200).json(new ApiResponse(200, sections, "Menu fetched successfully."));
+});
+
+// Add a menu category
+const createMenuCategory = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const {name, description, sortOrder} = req.body;
+
+  if (!name
+    ?.trim()) {
+    throw new ApiError(400, "Category name is required.");
+  }
+
+  const {restaurant} = await findOwnedRestaurant(id, req.user._id);
+
+  if (restaurant.menuCategories.some(menuCategory => menuCategory.name.toLowerCase() === name.trim().toLowerCase())) {
+    throw new ApiError(409, "A category with this name already exists.");
+  }
+
+  restaurant.menuCategories.push({name, description, sortOrder});
+  await saveMenu(restaurant);
+
+  const menuCategory = restaurant.menuCategories[restaurant.menuCategories.length - 1];
+  logger.info(`Menu category ${menuCategory._id} added to restaurant ID: ${id}`);
+  res.status(201).json(new ApiResponse(201, menuCategory, "Menu category added successfully."));
+});
+
+// Update a menu category
+const updateMenuCategory = asyncHandler(async (req, res) => {
+  const {id, categoryId} = req.params;
+  const {name, description, sortOrder} = req.body;
+
+  const {restaurant} = await findOwnedRestaurant(id, req.user._id);
+  const menuCategory = restaurant.menuCategories.id(categoryId);
+  if (!menuCategory) {
+    throw new ApiError(404, "Menu category not found.");
+  }
+
+  if (name !== undefined)
+    menuCategory.name = name;
+  if (description !== undefined)
+    menuCategory.description = description;
+  if (sortOrder !== undefined)
+    menuCategory.sortOrder = sortOrder;
+  await saveMenu(restaurant);
+
+  logger.info(`Menu category ${categoryId} updated on restaurant ID: ${id}`);
+  res.status(200).json(new ApiResponse(200, menuCategory, "Menu category updated successfully."));
+});
+
+// Delete a menu category; its items stay on the menu without a category
+const deleteMenuCategory = asyncHandler(async (req, res) => {
+  const {id, categoryId} = req.params;
+
+  const {restaurant} = await findOwnedRestaurant(id, req.user._id);
+  const menuCategory = restaurant.menuCategories.id(categoryId);
+  if (!menuCategory) {
+    throw new ApiError(404, "Menu category not found.");
+  }
+
+  restaurant.cuisineDetails.forEach(item => {
+    if (item.category && item.category.equals(menuCategory._id)) {
+      item.category = null;
+    }
+  });
+  menuCategory.deleteOne();
+  await saveMenu(restaurant);
+
+  logger.info(`Menu category ${categoryId} removed from restaurant ID: ${id}`);
+  res.status(200).json(new ApiResponse(200, {}, "Menu category deleted successfully."));
+});
+
+// Add an item to the menu
+const createMenuItem = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+
+  if (!req.body.name
+    ?.trim() || req.body.price === undefined) {
+    throw new ApiError(400, "Item name and price are required.");
+  }
+
+  const {restaurant} = await findOwnedRestaurant(id, req.user._id);
+  validateMenuItemFields(restaurant, req.body);
+
+  const fields = Object.fromEntries(menuItemFields.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+  restaurant.cuisineDetails.push(fields);
+  await saveMenu(restaurant);
+
+  const item = restaurant.cuisineDetails[restaurant.cuisineDetails.length - 1];
+  logger.info(`Menu item ${item._id} added to restaurant ID: ${id}`);
+  res.status(201).json(new ApiResponse(201, item, "Menu item added successfully."));
+});
+
+// Update a menu item (including marking it sold out)
+const updateMenuItem = asyncHandler(async (req, res) => {
+  const {id, itemId} = req.params;
+
+  const {restaurant} = await findOwnedRestaurant(id, req.user._id);
+  const item = restaurant.cuisineDetails.id(itemId);
+  if (!item) {
+    throw new ApiError(404, "Menu item not found.");
+  }
+
+  validateMenuItemFields(restaurant, req.body);
+  menuItemFields.filter(field => req.body[field] !== undefined).forEach(field => {
+    item.set(field, req.body[field]);
+  });
+  await saveMenu(restaurant);
+
+  logger.info(`Menu item ${itemId} updated on restaurant ID: ${id}`);
+  res.status(200).json(new ApiResponse(200, item, "Menu item updated successfully."));
+});
+
+// Remove an item from the menu; existing pre-orders keep their snapshot
+const deleteMenuItem = asyncHandler(async (req, res) => {
+  const {id, itemId} = req.params;
+
+  const {restaurant} = await findOwnedRestaurant(id, req.user._id);
+  const item = restaurant.cuisineDetails.id(itemId);
+  if (!item) {
+    throw new ApiError(404, "Menu item not found.");
+  }
+
+  item.deleteOne();
+  await saveMenu(restaurant);
+
+  logger.info(`Menu item ${itemId} removed from restaurant ID: ${id}`);
+  res.status(200).json(new ApiResponse(200, {}, "Menu item deleted successfully."));
+});
+
+export {
+  getMenu,
+  createMenuCategory,
+  updateMenuCategory,
+  deleteMenuCategory,
+  createMenuItem,
+  updateMenuItem,
+  deleteMenuItem
+};
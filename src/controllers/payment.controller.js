@@ -5,159 +5,251 @@ import {Payment} from "../models/payment.models.js"; // Import the Payment model
 import {Booking} from "../models/booking.model.js"; // Import the Booking model
 import {User} from "../models/user.model.js"; //importing User model
 import logger from "../utils/logger.js"; // Import the logger
-import {createStripePaymentIntent, refundStripePayment, handleStripeWebhook, confirmStripePaymentIntent} from "../utils/payment_gateways/stripe.js";
-import {validatePaymentFields} from "../utils/payment_utils.js";
-import dotenv from "dotenv";
+import {getGateway} from "../utils/payment_gateways/index.js";
+import {formatPaymentMetadata, startGatewayPayment, paymentReturnUrls, resolvePaymentReturn, redirectPaymentResult} from "../utils/payment_utils.js";
+import {confirmHeldBooking, confirmHeldReservation, isHoldExpired} from "../utils/bookingHold.js";
+import {assertQuotedPrice} from "../utils/pricing.js";
+import {Reservation} from "../models/reservation.model.js";
+import {Cart} from "../models/cart.model.js";
+import {confirmHeldCart} from "../utils/cartHold.js";
+import {settleAmendmentPayment} from "../utils/bookingAmendment.js";
 
-dotenv.config({path: "./.env"});
 /**
- * Handle Stripe webhook events
+ * Confirm the booking (or group reservation, or trip cart) a successful payment belongs to.
+ * If the hold lapsed and the room was re-sold meanwhile, the payment is refunded.
  */
-// console.log(process.env.STRIPE_WEBHOOK_SECRET);
+const settleHeldBooking = async payment => {
+  // Price difference of a changed booking; the booking itself is already confirmed
+  if (payment.amendment) {
+    return settleAmendmentPayment(payment);
+  }
 
-// payment.controller.js
-const handleStripeWebhookController = asyncHandler(async (req, res) => {
-  const sig = req.headers["stripe-signature"];
-  const payload = req.body;
+  let result;
+  if (payment.cart) {
+    result = await confirmHeldCart(payment.cart);
+  } else if (payment.reservation) {
+    result = await confirmHeldReservation(payment.reservation);
+  } else {
+    result = await confirmHeldBooking(payment.booking);
+  }
+  const held = result.cart || result.reservation || result.booking;
+  if (!held || result.reinstated) {
+    return held;
+  }
 
   try {
-    // Verify the webhook signature and construct the event
-    const event = await handleStripeWebhook(payload, sig, process.env.STRIPE_WEBHOOK_SECRET);
-    logger.info(`Stripe webhook event received: ${event.type}`);
-
-    // Handle the event
-    switch (event.type) {
-      case "payment_intent.created":
-        const createdPaymentIntent = event.data.object;
-        logger.info(`PaymentIntent created: ${createdPaymentIntent.id}`);
-        logger.info(`PaymentIntent metadata: ${JSON.stringify(createdPaymentIntent.metadata)}`);
-
-        // Check if payment already exists
-        const existingPayment = await Payment.findOne({transactionId: createdPaymentIntent.id});
-        if (existingPayment) {
-          return res.json({received: true});
-        }
+    await getGateway(payment.paymentMethod).refund({transactionId: payment.transactionId, paymentMetadata: payment.paymentMetadata});
+    payment.paymentStatus = "refunded";
+    payment.refundStatus = "fully_refunded";
+    payment.refundedAmount = payment.amount;
+    await payment.save();
+
+    held.paymentStatus = "refunded";
+    await held.save();
+    logger.info(`Refunded late payment ${payment.transactionId} for expired hold ${held._id}`);
+  } catch (error) {
+    logger.error(`Failed to refund late payment ${payment.transactionId}: ${error.message}`);
+  }
+  return held;
+};
+
+// Record a payment first seen through a gateway's webhook, checking it against what it pays for
+const recordWebhookPayment = async (gateway, event) => {
+  const {metadata} = event;
+
+  // Get booking (or the group reservation / trip cart being paid as a whole)
+  let booking;
+  let paymentTarget;
+  if (metadata.cart) {
+    booking = await Cart.findById(metadata.cart);
+    paymentTarget = {
+      cart: booking
+        ?._id
+    };
+  } else if (metadata.reservation) {
+    booking = await Reservation.findById(metadata.reservation);
+    paymentTarget = {
+      reservation: booking
+        ?._id
+    };
+  } else {
+    booking = await Booking.findById(metadata.booking);
+    paymentTarget = {
+      booking: booking
+        ?._id
+    };
+  }
+  if (!booking) {
+    logger.error(`Booking not found for payment: ${event.transactionId}`);
+    throw new ApiError(404, "Booking not found");
+  }
 
-        // Get booking
-        const booking = await Booking.findById(createdPaymentIntent.metadata.booking);
-        if (!booking) {
-          logger.error(`Booking not found for payment intent: ${createdPaymentIntent.id}`);
-          return res.status(404).json({error: "Booking not found"});
-        }
+  // A payment only settles what it pays for in full
+  if (Math.abs(event.amount - booking.totalPrice) > 0.01) {
+    logger.error(`Payment ${event.transactionId} of ${event.amount} doesn't match total ${booking.totalPrice}`);
+    throw new ApiError(400, "Payment amount doesn't match the booking total");
+  }
 
-        // Prepare payment data
-        const paymentData = {
-          booking: booking._id,
-          paymentMethod: "stripe",
-          amount: createdPaymentIntent.amount / 100,
-          transactionId: createdPaymentIntent.id,
-          paymentStatus: createdPaymentIntent.status,
-          paymentMetadata: {
-            gateway: "stripe",
-            gatewayResponse: createdPaymentIntent,
-            gatewayId: createdPaymentIntent.id
-          }
-        };
-
-        // Handle user vs guest payment
-        if (createdPaymentIntent.metadata.user) {
-          // User payment
-          const user = await User.findById(createdPaymentIntent.metadata.user);
-          if (!user) {
-            logger.error(`User not found for payment intent: ${createdPaymentIntent.id}`);
-            return res.status(404).json({error: "User not found"});
-          }
+  // Prepare payment data
+  const paymentData = {
+    ...paymentTarget,
+    paymentMethod: gateway.name,
+    amount: event.amount,
+    transactionId: event.transactionId,
+    paymentStatus: event.status,
+    paymentMetadata: formatPaymentMetadata(gateway.name, event)
+  };
+
+  // Handle user vs guest payment
+  if (metadata.user) {
+    const user = await User.findById(metadata.user);
+    if (!user) {
+      logger.error(`User not found for payment: ${event.transactionId}`);
+      throw new ApiError(404, "User not found");
+    }
 
-          // Verify booking ownership
-          if (booking.user && booking.user.toString() !== createdPaymentIntent.metadata.user) {
-            logger.error(`User ${createdPaymentIntent.metadata.user} is not the owner of booking`);
-            return res.status(403).json({error: "Unauthorized access to booking"});
-          }
+    // Verify booking ownership
+    if (booking.user && booking.user.toString() !== metadata.user) {
+      logger.error(`User ${metadata.user} is not the owner of booking`);
+      throw new ApiError(403, "Unauthorized access to booking");
+    }
 
-          paymentData.user = user._id;
-        } else if (createdPaymentIntent.metadata.guestEmail) {
-          // Guest payment
-          paymentData.guestInfo = {
-            email: createdPaymentIntent.metadata.guestEmail
-          };
-        } else {
-          logger.error(`Missing user/guest reference in payment intent: ${createdPaymentIntent.id}`);
-          return res.status(400).json({error: "Missing user/guest reference"});
-        }
+    paymentData.user = user._id;
+  } else if (metadata.guestEmail) {
+    paymentData.guestInfo = {
+      email: metadata.guestEmail
+    };
+  } else {
+    logger.error(`Missing user/guest reference in payment: ${event.transactionId}`);
+    throw new ApiError(400, "Missing user/guest reference");
+  }
 
-        // Create payment record
-        await Payment.create(paymentData);
+  return Payment.create(paymentData);
+};
+
+/**
+ * Handle payment gateway webhook events for room bookings, group reservations and carts.
+ * `/webhook` receives Stripe's events, `/webhook/:gateway` any other gateway's.
+ */
+const handlePaymentWebhookController = asyncHandler(async (req, res) => {
+  const gateway = getGateway(req.params.gateway || "stripe");
+
+  // Verify the webhook signature and normalise the event
+  const event = await gateway.parseWebhook({rawBody: req.body, headers: req.headers});
+  if (!event) {
+    return res.json({received: true});
+  }
+  logger.info(`${gateway.name} webhook event received: ${event.type} for ${event.transactionId}`);
+
+  switch (event.type) {
+    case "payment.created": {
+      // Amendment charges are recorded when the change is made
+      if (event.metadata.amendment || await Payment.exists({transactionId: event.transactionId})) {
         break;
+      }
+
+      await recordWebhookPayment(gateway, event);
+      break;
+    }
 
-      case "payment_intent.succeeded":
-        const succeededPaymentIntent = event.data.object;
-        logger.info(`PaymentIntent succeeded: ${succeededPaymentIntent.id}`);
-
-        try {
-          // Update payment status
-          const updatedPayment = await Payment.findOneAndUpdate({
-            transactionId: succeededPaymentIntent.id
-          }, {
-            paymentStatus: "succeeded"
-          }, {new: true});
-
-          if (updatedPayment) {
-            // Update booking status if payment succeeded
-            await Booking.findByIdAndUpdate(updatedPayment.booking, {
-              paymentStatus: "paid"
-            }, {new: true});
-            logger.info(`Payment and booking status updated for: ${succeededPaymentIntent.id}`);
-          } else {
-            logger.error(`Payment not found: ${succeededPaymentIntent.id}`);
+    case "payment.succeeded": {
+      try {
+        // Only the first success settles the booking; repeats and late events are ignored
+        const updatedPayment = await Payment.findOneAndUpdate({
+          transactionId: event.transactionId,
+          paymentStatus: {
+            $nin: ["succeeded", "refunded"]
           }
-        } catch (error) {
-          logger.error(`Database update error: ${error.message}`);
+        }, {
+          paymentStatus: "succeeded",
+          ...(event.gatewayId && {
+            "paymentMetadata.gatewayId": event.gatewayId
+          })
+        }, {new: true});
+
+        if (updatedPayment) {
+          // Turn the hold into a confirmed booking
+          await settleHeldBooking(updatedPayment);
+          logger.info(`Payment and booking status updated for: ${event.transactionId}`);
+        } else {
+          logger.info(`No unsettled payment for: ${event.transactionId}`);
         }
-        break;
+      } catch (error) {
+        logger.error(`Database update error: ${error.message}`);
+      }
+      break;
+    }
 
-      case "payment_intent.payment_failed":
-        const failedPaymentIntent = event.data.object;
-        logger.info(`PaymentIntent failed: ${failedPaymentIntent.id}`);
+    case "payment.failed":
+    case "payment.canceled":
+      await Payment.findOneAndUpdate({
+        transactionId: event.transactionId,
+        paymentStatus: {
+          $ne: "succeeded"
+        }
+      }, {paymentStatus: event.status});
+      break;
+
+    // Refunds made here are recorded as they're made; this catches a full refund
+    // issued from the gateway's own dashboard
+    case "payment.refunded": {
+      if (event.status !== "refunded") {
+        logger.info(`Partial refund on ${event.transactionId} left for the refund endpoints to record`);
+        break;
+      }
 
-        await Payment.findOneAndUpdate({
-          transactionId: failedPaymentIntent.id
-        }, {paymentStatus: "failed"});
+      const payment = await Payment.findOne({transactionId: event.transactionId, paymentStatus: "succeeded"});
+      if (!payment) {
+        logger.info(`No refundable payment for: ${event.transactionId}`);
         break;
+      }
 
-      case "payment_intent.canceled":
-        const canceledPaymentIntent = event.data.object;
-        logger.info(`PaymentIntent canceled: ${canceledPaymentIntent.id}`);
+      await payment.processRefund(Math.round((payment.amount - payment.refundedAmount) * 100) / 100);
+      if (!payment.amendment) {
+        const PaidFor = payment.cart
+          ? Cart
+          : payment.reservation
+            ? Reservation
+            : Booking;
+        await PaidFor.findByIdAndUpdate(payment.cart || payment.reservation || payment.booking, {paymentStatus: "refunded"});
+      }
+      logger.info(`Recorded gateway refund of payment: ${payment._id}`);
+      break;
+    }
 
-        await Payment.findOneAndUpdate({
-          transactionId: canceledPaymentIntent.id
-        }, {paymentStatus: "canceled"});
-        break;
+    default:
+      logger.info(`Unhandled event type: ${event.type}`);
+  }
 
-      case "charge.succeeded":
-        const succeededCharge = event.data.object;
-        logger.info(`Charge succeeded: ${succeededCharge.id}`);
+  // Acknowledge receipt of the event
+  res.json({received: true});
+});
 
-        await Payment.findOneAndUpdate({
-          transactionId: succeededCharge.payment_intent
-        }, {paymentStatus: "succeeded"});
-        break;
+// Confirm a payment with its gateway and settle the booking once it succeeds
+const confirmGatewayPayment = async (payment, data) => {
+  try {
+    const intent = await getGateway(payment.paymentMethod).confirm(payment.transactionId, data);
 
-      case "charge.updated":
-        const updatedCharge = event.data.object;
-        logger.info(`Charge updated: ${updatedCharge.id}`);
-        break;
+    payment.paymentStatus = intent.status;
+    if (intent.gatewayId) {
+      payment.paymentMetadata = formatPaymentMetadata(payment.paymentMethod, intent);
+    }
+    const updatedPayment = await payment.save();
 
-      default:
-        logger.info(`Unhandled event type: ${event.type}`);
+    if (intent.status === "succeeded") {
+      await settleHeldBooking(updatedPayment);
     }
 
-    // Acknowledge receipt of the event
-    res.json({received: true});
+    logger.info(`Payment ${payment.transactionId} confirmed with status: ${intent.status}`);
+    return updatedPayment;
   } catch (error) {
-    logger.error(`Webhook Error: ${error.message}`);
-    throw new ApiError(400, `Webhook Error: ${error.message}`);
+    logger.error(`Payment confirmation failed: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, `Payment confirmation failed: ${error.message}`);
   }
-});
+};
 
 // Add new createGuestPayment function
 const createGuestPayment = asyncHandler(async (req, res) => {
@@ -165,7 +257,7 @@ const createGuestPayment = asyncHandler(async (req, res) => {
 
   // Validate inputs
   if (
-    !booking || !paymentMethod || !amount || !guestInfo
+    !booking || !paymentMethod || !guestInfo
     ?.email) {
     throw new ApiError(400, "Missing required fields");
   }
@@ -181,216 +273,269 @@ const createGuestPayment = asyncHandler(async (req, res) => {
     throw new ApiError(400, "This is not a guest booking");
   }
 
-  // Handle Stripe payment
-  if (paymentMethod === "stripe") {
-    try {
-      const paymentIntent = await createStripePaymentIntent(amount, "usd", {
-        booking: booking,
-        guestEmail: guestInfo.email, // Use from guestInfo
-        ...paymentMetadata
-      });
+  if (isHoldExpired(bookingExists)) {
+    throw new ApiError(410, "Booking hold has expired, please book again");
+  }
 
-      const newPayment = await Payment.create({
+  // The booking's own total is charged; a client amount is only accepted if it matches
+  assertQuotedPrice(amount, bookingExists);
+
+  // Start the payment with the chosen gateway
+  try {
+    const {payment, created} = await startGatewayPayment({
+      paymentMethod,
+      amount: bookingExists.totalPrice,
+      currency: bookingExists.priceBreakdown
+        ?.currency || "usd",
+      target: {
+        booking: bookingExists._id
+      },
+      payer: {
         guestInfo: {
           email: guestInfo.email
-        },
-        booking: booking,
-        paymentMethod: "stripe",
-        amount: amount,
-        transactionId: paymentIntent.id,
-        paymentMetadata: {
-          gateway: "stripe",
-          gatewayResponse: paymentIntent,
-          gatewayId: paymentIntent.id
-        },
-        paymentStatus: paymentIntent.status
-      });
-
-      // Update booking status
-      await Booking.findByIdAndUpdate(booking, {
-        paymentMethod: "stripe",
-        paymentStatus: "pending"
-      }, {new: true});
-
-      return res.status(201).json(new ApiResponse(201, newPayment, "Payment created successfully"));
-    } catch (error) {
-      logger.error(`Payment Error: ${error.message}`);
-      throw new ApiError(500, `Payment failed: ${error.message}`);
+        }
+      },
+      metadata: paymentMetadata,
+      ...paymentReturnUrls(req, paymentMethod)
+    });
+    if (!created) {
+      return res.status(200).json(new ApiResponse(200, payment, "Payment already exists"));
     }
-  }
 
-  throw new ApiError(400, "Payment method not supported");
+    // Update booking status
+    await Booking.findByIdAndUpdate(booking, {
+      paymentMethod: payment.paymentMethod,
+      paymentStatus: "pending"
+    }, {new: true});
+
+    return res.status(201).json(new ApiResponse(201, payment, "Payment created successfully"));
+  } catch (error) {
+    logger.error(`Payment Error: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, `Payment failed: ${error.message}`);
+  }
 });
 /**
  * Create a new payment
  */
 const createUserPayment = asyncHandler(async (req, res) => {
-  const {booking, paymentMethod, amount, transactionId, paymentMetadata} = req.body;
+  const {booking, paymentMethod, amount, paymentMetadata} = req.body;
   const user = req.user._id; // Authenticated user's ID
 
   logger.info(`Starting createPayment process for booking: ${booking} by user: ${user}`);
 
   // Step 1: Validate input fields
-  if (!booking || !paymentMethod || !amount || !transactionId) {
+  if (!booking || !paymentMethod) {
     logger.error("Missing required fields");
     throw new ApiError(400, "All required fields must be provided");
   }
 
-  // Step 2: Validate payment amount
-  if (isNaN(amount) || amount <= 0) {
-    logger.error("Invalid payment amount");
-    throw new ApiError(400, "Payment amount must be a positive number");
-  }
+  // Step 2: Validate payment method
+  const gateway = getGateway(paymentMethod);
 
-  // Step 3: Validate payment method
-  const validPaymentMethods = ["stripe", "paypal", "razorpay", "esewa", "credit_card"];
-  if (!validPaymentMethods.includes(paymentMethod)) {
-    logger.error("Invalid payment method");
-    throw new ApiError(400, "Invalid payment method");
-  }
-
-  // Step 4: Check if the booking exists
+  // Step 3: Check if the booking exists
   const bookingExists = await Booking.findById(booking);
   if (!bookingExists) {
     logger.error(`Booking not found with ID: ${booking}`);
     throw new ApiError(404, "Booking not found");
   }
 
-  // Step 5: Verify that the authenticated user is the owner of the booking
+  // Step 4: Verify that the authenticated user is the owner of the booking
   if (bookingExists.user.toString() !== user.toString()) {
     logger.error(`User ${user} is not the owner of booking ${booking}`);
     throw new ApiError(403, "You are not authorized to make a payment for this booking");
   }
 
-  // Step 6: Handle Stripe payment
-  if (paymentMethod === "stripe") {
-    try {
-      // Validate payment fields using the utility function
-      validatePaymentFields({amount, transactionId, paymentMethod});
-
-      // Create a Stripe payment intent
-      const paymentIntent = await createStripePaymentIntent(amount, "usd", {
-        booking: booking.toString(), // Pass booking ID
-        user: user.toString(), // Pass user ID
-        ...paymentMetadata // Include any additional metadata
-      });
-
-      // Check if the payment already exists
-      const existingPayment = await Payment.findOne({transactionId: paymentIntent.id});
-      if (existingPayment) {
-        logger.info(`Payment already exists for transaction ID: ${paymentIntent.id}`);
-        return res.status(200).json(new ApiResponse(200, existingPayment, "Payment already exists"));
-      }
+  if (isHoldExpired(bookingExists)) {
+    logger.error(`Booking hold expired: ${booking}`);
+    throw new ApiError(410, "Booking hold has expired, please book again");
+  }
+
+  // Step 5: Charge the booking's own total; a client amount is only accepted if it matches
+  assertQuotedPrice(amount, bookingExists);
 
-      // Save the payment in the database
-      const newPayment = await Payment.create({
-        user,
-        booking,
-        paymentMethod,
-        amount,
-        transactionId: paymentIntent.id, // Use Stripe payment intent ID as transaction ID
-        paymentMetadata: {
-          gateway: "stripe", // Ensure this is included
-          gatewayResponse: paymentIntent, // Save the entire payment intent object
-          gatewayId: paymentIntent.id // Save the payment intent ID
-        },
-        paymentStatus: paymentIntent.status // Set payment status based on Stripe response
-      });
-
-      // Update the booking status
-      await Booking.findByIdAndUpdate(booking, {
-        paymentMethod: "stripe",
-        paymentStatus: "pending" // or whatever initial status you want
-      }, {new: true});
-      logger.info(`Stripe payment created successfully for booking: ${booking} by user: ${user}`);
-
-      return res.status(201).json(new ApiResponse(201, newPayment, "Payment created successfully"));
-    } catch (error) {
-      logger.error(`Stripe Error: ${error.message}`);
-      throw new ApiError(500, `Payment processing failed: ${error.message}`);
+  // Step 6: Start the payment with the gateway
+  try {
+    const {payment, created} = await startGatewayPayment({
+      paymentMethod: gateway.name,
+      amount: bookingExists.totalPrice,
+      currency: bookingExists.priceBreakdown
+        ?.currency || "usd",
+      target: {
+        booking: bookingExists._id
+      },
+      payer: {
+        user
+      },
+      metadata: paymentMetadata,
+      ...paymentReturnUrls(req, gateway.name)
+    });
+    if (!created) {
+      return res.status(200).json(new ApiResponse(200, payment, "Payment already exists"));
     }
-  }
 
-  // Step 7: Handle other payment methods (e.g., PayPal, Razorpay)
-  throw new ApiError(400, "Payment method not yet supported");
+    // Update the booking status
+    await Booking.findByIdAndUpdate(booking, {
+      paymentMethod: gateway.name,
+      paymentStatus: "pending"
+    }, {new: true});
+    logger.info(`${gateway.name} payment created successfully for booking: ${booking} by user: ${user}`);
+
+    return res.status(201).json(new ApiResponse(201, payment, "Payment created successfully"));
+  } catch (error) {
+    logger.error(`Payment Error: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, `Payment processing failed: ${error.message}`);
+  }
 });
 
-/**
- * Confirm a Stripe PaymentIntent
- */
-const confirmUserPayment = asyncHandler(async (req, res) => {
-  const {paymentIntentId, paymentMethodId} = req.body;
+// Start the one payment covering every line of a group reservation; `payer` is {user} or {guestInfo}.
+// The amount is always the reservation's server-side total.
+const startReservationPayment = async (req, reservationExists, {paymentMethod, paymentMetadata}, payer) => {
+  if (!paymentMethod) {
+    logger.error("Missing required fields");
+    throw new ApiError(400, "paymentMethod is required");
+  }
 
-  if (!paymentIntentId || !paymentMethodId) {
-    logger.error("Missing required fields: paymentIntentId or paymentMethodId");
-    throw new ApiError(400, "paymentIntentId and paymentMethodId are required");
+  // Only pending, unexpired reservations can be paid
+  if (reservationExists.paymentStatus === "paid") {
+    throw new ApiError(400, "Reservation is already paid");
   }
 
-  try {
-    // Confirm the PaymentIntent
-    const confirmedPaymentIntent = await confirmStripePaymentIntent(paymentIntentId, paymentMethodId);
+  if (reservationExists.status === "expired" || (reservationExists.expiresAt && reservationExists.expiresAt <= new Date())) {
+    logger.error(`Reservation hold expired: ${reservationExists._id}`);
+    throw new ApiError(410, "Reservation hold has expired, please book again");
+  }
 
-    // Update the payment status in your database
-    const updatedPayment = await Payment.findOneAndUpdate({
-      transactionId: paymentIntentId
-    }, {
-      paymentStatus: confirmedPaymentIntent.status
-    }, {new: true});
+  if (reservationExists.status !== "pending") {
+    throw new ApiError(400, `A ${reservationExists.status} reservation cannot be paid`);
+  }
 
-    // Update restaurant booking payment status if succeeded
-    if (confirmedPaymentIntent.status === "succeeded") {
-      await Booking.findByIdAndUpdate(updatedPayment.booking, {paymentStatus: "paid"});
+  try {
+    const {payment, created} = await startGatewayPayment({
+      paymentMethod,
+      amount: reservationExists.totalPrice,
+      currency: reservationExists.currency || "usd",
+      target: {
+        reservation: reservationExists._id
+      },
+      payer,
+      metadata: paymentMetadata,
+      ...paymentReturnUrls(req, paymentMethod)
+    });
+
+    if (created) {
+      reservationExists.paymentMethod = payment.paymentMethod;
+      await reservationExists.save();
+      logger.info(`${payment.paymentMethod} payment created for reservation: ${reservationExists._id}`);
     }
-    if (!updatedPayment) {
-      logger.error(`Payment not found for transaction ID: ${paymentIntentId}`);
-      throw new ApiError(404, "Payment not found");
+    return {payment, created};
+  } catch (error) {
+    logger.error(`Payment Error: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
     }
+    throw new ApiError(500, `Payment processing failed: ${error.message}`);
+  }
+};
 
-    logger.info(`PaymentIntent confirmed and payment status updated: ${paymentIntentId}`);
-    return res.status(200).json(new ApiResponse(200, updatedPayment, "Payment confirmed successfully"));
-  } catch (error) {
-    logger.error(`Stripe Error: ${error.message}`);
-    throw new ApiError(500, `Payment confirmation failed: ${error.message}`);
+// Answer with a reservation payment, or the one already started for it
+const sendReservationPayment = (res, {payment, created}) => created
+  ? res.status(201).json(new ApiResponse(201, payment, "Payment created successfully"))
+  : res.status(200).json(new ApiResponse(200, payment, "Payment already exists"));
+
+/**
+ * Create one payment covering every line of a user's group reservation
+ */
+const createReservationPayment = asyncHandler(async (req, res) => {
+  const {reservation} = req.body;
+  const user = req.user._id;
+
+  logger.info(`Starting createReservationPayment for reservation: ${reservation}`);
+
+  if (!reservation) {
+    logger.error("Missing required fields");
+    throw new ApiError(400, "reservation is required");
   }
-});
 
-const confirmGuestPayment = asyncHandler(async (req, res) => {
-  const {paymentIntentId, paymentMethodId, email} = req.body;
+  const reservationExists = await Reservation.findById(reservation);
+  if (!reservationExists) {
+    logger.error(`Reservation not found with ID: ${reservation}`);
+    throw new ApiError(404, "Reservation not found");
+  }
 
-  if (!paymentIntentId || !paymentMethodId || !email) {
-    throw new ApiError(400, "paymentIntentId, paymentMethodId and email are required");
+  if (reservationExists.user
+    ?.toString() !== user.toString()) {
+    logger.error(`Payer is not the owner of reservation ${reservation}`);
+    throw new ApiError(403, "You are not authorized to make a payment for this reservation");
   }
 
-  try {
-    // Confirm the PaymentIntent
-    const confirmedPaymentIntent = await confirmStripePaymentIntent(paymentIntentId, paymentMethodId);
+  sendReservationPayment(res, await startReservationPayment(req, reservationExists, req.body, {user}));
+});
 
-    // Find the payment by transactionId and verify guest email
-    const payment = await Payment.findOne({transactionId: paymentIntentId, "guestInfo.email": email});
+/**
+ * Create the payment for a guest's group reservation (via the emailed management link)
+ */
+const createGuestReservationPayment = asyncHandler(async (req, res) => {
+  const {bookingId, email} = req.guestAccess;
 
-    if (!payment) {
-      throw new ApiError(404, "Payment not found or email mismatch");
-    }
+  logger.info(`Starting createGuestReservationPayment for reservation: ${bookingId}`);
 
-    // Update the payment status
-    const updatedPayment = await Payment.findOneAndUpdate({
-      transactionId: paymentIntentId
-    }, {
-      paymentStatus: confirmedPaymentIntent.status
-    }, {new: true});
+  const reservationExists = await Reservation.findOne({_id: bookingId, user: null, "guestInfo.email": email});
+  if (!reservationExists) {
+    logger.error(`Guest reservation not found with ID: ${bookingId}`);
+    throw new ApiError(404, "Reservation not found");
+  }
 
-    // Update booking status if succeeded
-    if (confirmedPaymentIntent.status === "succeeded") {
-      await Booking.findByIdAndUpdate(updatedPayment.booking, {
-        paymentStatus: "paid"
-      }, {new: true});
+  sendReservationPayment(res, await startReservationPayment(req, reservationExists, req.body, {
+    guestInfo: {
+      email
     }
+  }));
+});
 
-    return res.status(200).json(new ApiResponse(200, updatedPayment, "Payment confirmed successfully"));
-  } catch (error) {
-    logger.error(`Payment confirmation failed: ${error.message}`);
-    throw new ApiError(500, `Payment confirmation failed: ${error.message}`);
+/**
+ * Confirm a payment with its gateway (for Stripe: the PaymentIntent and payment method)
+ */
+const confirmUserPayment = asyncHandler(async (req, res) => {
+  const {paymentIntentId} = req.body;
+
+  if (!paymentIntentId) {
+    logger.error("Missing required field: paymentIntentId");
+    throw new ApiError(400, "paymentIntentId is required");
+  }
+
+  const payment = await Payment.findOne({transactionId: paymentIntentId});
+  if (!payment) {
+    logger.error(`Payment not found for transaction ID: ${paymentIntentId}`);
+    throw new ApiError(404, "Payment not found");
   }
+
+  const updatedPayment = await confirmGatewayPayment(payment, req.body);
+
+  return res.status(200).json(new ApiResponse(200, updatedPayment, "Payment confirmed successfully"));
+});
+
+const confirmGuestPayment = asyncHandler(async (req, res) => {
+  const {paymentIntentId, email} = req.body;
+
+  if (!paymentIntentId || !email) {
+    throw new ApiError(400, "paymentIntentId and email are required");
+  }
+
+  // Find the payment by transactionId and verify guest email
+  const payment = await Payment.findOne({transactionId: paymentIntentId, "guestInfo.email": email});
+  if (!payment) {
+    throw new ApiError(404, "Payment not found or email mismatch");
+  }
+
+  const updatedPayment = await confirmGatewayPayment(payment, req.body);
+
+  return res.status(200).json(new ApiResponse(200, updatedPayment, "Payment confirmed successfully"));
 });
 /**
  * Update payment status
@@ -495,6 +640,40 @@ const getPaymentById = asyncHandler(async (req, res) => {
   res.status(200).json(new ApiResponse(200, payment, "Payment details fetched successfully"));
 });
 
+/**
+ * Where a redirect gateway (e.g. eSewa) sends the payer back after paying or backing out
+ */
+const handlePaymentReturn = asyncHandler(async (req, res) => {
+  const {gateway: gatewayName, result} = req.params;
+
+  // Step 1: Verify the return with the gateway
+  const {gateway, payment, intent, status} = await resolvePaymentReturn(Payment, gatewayName, result, req.query);
+  logger.info(`${gateway.name} ${result} return for payment ${payment.transactionId}: ${status}`);
+
+  // Step 2: Record the outcome; only the first success settles the booking
+  if (status === "succeeded") {
+    const updatedPayment = await Payment.findOneAndUpdate({
+      _id: payment._id,
+      paymentStatus: {
+        $nin: ["succeeded", "refunded"]
+      }
+    }, {
+      paymentStatus: "succeeded",
+      paymentMetadata: formatPaymentMetadata(gateway.name, intent)
+    }, {new: true});
+
+    if (updatedPayment) {
+      await settleHeldBooking(updatedPayment);
+    }
+  } else if (!["succeeded", "refunded"].includes(payment.paymentStatus)) {
+    payment.paymentStatus = status;
+    await payment.save();
+  }
+
+  // Step 3: Send the payer back to the frontend
+  return redirectPaymentResult(res, {gateway, payment, status});
+});
+
 /**
  * Handle payment refund
  */
@@ -517,36 +696,35 @@ const handleRefund = asyncHandler(async (req, res) => {
     throw new ApiError(403, "You are not authorized to refund this payment");
   }
 
-  // Step 3: Handle Stripe refund
-  if (payment.paymentMethod === "stripe") {
-    try {
-      await refundStripePayment(payment.transactionId, payment.amount);
+  // Step 3: Refund through the payment's gateway
+  const gateway = getGateway(payment.paymentMethod);
+  try {
+    await gateway.refund({transactionId: payment.transactionId, amount: payment.amount, paymentMetadata: payment.paymentMetadata});
 
-      // Update payment status in the database
-      payment.refundStatus = "fully_refunded";
-      payment.paymentStatus = "refunded";
-      await payment.save();
+    // Update payment status in the database
+    payment.refundStatus = "fully_refunded";
+    payment.paymentStatus = "refunded";
+    await payment.save();
 
-      logger.info(`Stripe refund processed successfully for payment ID: ${id}`);
-      return res.status(200).json(new ApiResponse(200, payment, "Refund processed successfully"));
-    } catch (error) {
-      logger.error(`Stripe Refund Error: ${error.message}`);
-      throw new ApiError(500, "Refund processing failed");
-    }
+    logger.info(`${gateway.name} refund processed successfully for payment ID: ${id}`);
+    return res.status(200).json(new ApiResponse(200, payment, "Refund processed successfully"));
+  } catch (error) {
+    logger.error(`Refund Error: ${error.message}`);
+    throw new ApiError(500, "Refund processing failed");
   }
-
-  // Step 4: Handle other payment methods (e.g., PayPal, Razorpay)
-  throw new ApiError(400, "Refund not supported for this payment method");
 });
 
 export {
   createGuestPayment,
   createUserPayment,
+  createReservationPayment,
+  createGuestReservationPayment,
   updatePaymentStatus,
   getUserPayments,
   getPaymentById,
   handleRefund,
   confirmUserPayment,
   confirmGuestPayment,
-  handleStripeWebhookController // Export the webhook handler
-};
\ No newline at end of file
+  handlePaymentReturn,
+  handlePaymentWebhookController // Export the webhook handler
+};
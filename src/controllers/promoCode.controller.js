@@ -0,0 +1,304 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {PromoCode, PROMO_SCOPES, PROMO_BOOKING_TYPES} from "../models/promoCode.model.js";
+import {PromoRedemption} from "../models/promoRedemption.model.js";
+import {Host} from "../models/host.model.js";
+import {Service} from "../models/services.model.js";
+import {findHostForUser, findOwnedService} from "../utils/hostAccess.js";
+import {normalizePromoCode} from "../utils/promoCode.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+const editableFields = [
+  "description",
+  "discountType",
+  "amount",
+  "maxDiscount",
+  "appliesTo",
+  "startsAt",
+  "endsAt",
+  "minSpend",
+  "usageLimit",
+  "perUserLimit",
+  "firstBookingOnly",
+  "isActive"
+];
+
+// Validate a promo code payload (partial for updates)
+const validatePromoInput = (data, isUpdate = false) => {
+  if (!isUpdate && (!data.code || !data.discountType || data.amount === undefined)) {
+    throw new ApiError(400, "code, discountType and amount are required.");
+  }
+
+  if (data.discountType !== undefined && !["percentage", "fixed"].includes(data.discountType)) {
+    throw new ApiError(400, "discountType must be either percentage or fixed.");
+  }
+
+  if (data.amount !== undefined && (isNaN(data.amount) || data.amount <= 0)) {
+    throw new ApiError(400, "amount must be a positive number.");
+  }
+
+  if (data.discountType === "percentage" && data.amount > 100) {
+    throw new ApiError(400, "A percentage discount cannot exceed 100.");
+  }
+
+  if (data.scope !== undefined && !PROMO_SCOPES.includes(data.scope)) {
+    throw new ApiError(400, `scope must be one of: ${PROMO_SCOPES.join(", ")}`);
+  }
+
+  if (data.appliesTo !== undefined && (!Array.isArray(data.appliesTo) || !data.appliesTo.length || data.appliesTo.some(type => !PROMO_BOOKING_TYPES.includes(type)))) {
+    throw new ApiError(400, `appliesTo must list one or more of: ${PROMO_BOOKING_TYPES.join(", ")}`);
+  }
+
+  for (const field of ["startsAt", "endsAt"]) {
+    if (data[field] && isNaN(new Date(data[field]).getTime())) {
+      throw new ApiError(400, `Invalid ${field} format.`);
+    }
+  }
+
+  if (data.startsAt && data.endsAt && new Date(data.endsAt) <= new Date(data.startsAt)) {
+    throw new ApiError(400, "endsAt must be after startsAt.");
+  }
+
+  for (const field of ["maxDiscount", "minSpend"]) {
+    if (data[field] !== undefined && data[field] !== null && (isNaN(data[field]) || data[field] < 0)) {
+      throw new ApiError(400, `${field} must be a non-negative number.`);
+    }
+  }
+
+  for (const field of ["usageLimit", "perUserLimit"]) {
+    if (data[field] !== undefined && data[field] !== null && (!Number.isInteger(data[field]) || data[field] < 1)) {
+      throw new ApiError(400, `${field} must be a positive integer.`);
+    }
+  }
+};
+
+// Who is managing campaigns: an admin (any campaign) or a host (only their own)
+const resolveManager = async req => {
+  if (req.admin) {
+    return {
+      isAdmin: true,
+      filter: {},
+      createdBy: req.admin._id,
+      createdByModel: "Admin"
+    };
+  }
+
+  const host = await findHostForUser(req.user._id);
+  return {
+    isAdmin: false,
+    host,
+    filter: {
+      host: host._id
+    },
+    createdBy: req.user._id,
+    createdByModel: "User"
+  };
+};
+
+// Work out the host and service a campaign is tied to for its scope
+const resolveScope = async ({scope = "platform", host, service}, manager, userId) => {
+  if (scope === "platform") {
+    if (!manager.isAdmin) {
+      throw new ApiError(403, "Only admins can create platform-wide promo codes.");
+    }
+    return {scope, host: null, service: null};
+  }
+
+  if (scope === "service") {
+    // Service codes also record the host so the host sees them with their own
+    if (!manager.isAdmin) {
+      const {service: ownedService} = await findOwnedService(service, userId);
+      return {scope, host: ownedService.host, service: ownedService._id};
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(service)) {
+      throw new ApiError(400, "A valid service ID is required for service promo codes.");
+    }
+    const serviceExists = await Service.findById(service).select("host");
+    if (!serviceExists) {
+      throw new ApiError(404, "Service not found.");
+    }
+    return {scope, host: serviceExists.host, service: serviceExists._id};
+  }
+
+  if (!manager.isAdmin) {
+    return {scope, host: manager.host._id, service: null};
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(host) || !await Host.exists({_id: host})) {
+    throw new ApiError(404, "Host not found.");
+  }
+  return {scope, host, service: null};
+};
+
+// Find a campaign the manager may see
+const findManagedPromoCode = async (id, manager) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    logger.error(`Invalid promo code ID: ${id}`);
+    throw new ApiError(400, "Invalid promo code ID.");
+  }
+
+  const promo = await PromoCode.findOne({
+    _id: id,
+    ...manager.filter
+  });
+  if (!promo) {
+    logger.error(`Promo code ${id} not found`);
+    throw new ApiError(404, "Promo code not found.");
+  }
+  return promo;
+};
+
+/**
+ * Create a promo code campaign (admins: any scope; hosts: their own host or services)
+ */
+const createPromoCode = asyncHandler(async (req, res) => {
+  const manager = await resolveManager(req);
+
+  logger.info(`Creating promo code ${req.body.code} by ${manager.createdByModel} ${manager.createdBy}`);
+
+  // Step 1: Validate input
+  validatePromoInput(req.body);
+  const code = normalizePromoCode(req.body.code);
+
+  // Step 2: Resolve the scope the manager is allowed to use
+  const scope = await resolveScope(req.body, manager, req.user
+    ?._id);
+
+  const data = {};
+  for (const field of editableFields) {
+    if (req.body[field] !== undefined) {
+      data[field] = req.body[field];
+    }
+  }
+
+  // Step 3: Create the campaign
+  try {
+    const promo = await PromoCode.create({
+      ...data,
+      ...scope,
+      code,
+      createdBy: manager.createdBy,
+      createdByModel: manager.createdByModel
+    });
+
+    logger.info(`Promo code created: ${promo._id}`);
+    res.status(201).json(new ApiResponse(201, promo, "Promo code created successfully."));
+  } catch (error) {
+    logger.error(`Error creating promo code: ${error.message}`);
+    if (error.name === "ValidationError") {
+      throw new ApiError(400, error.message);
+    }
+    if (error.code === 11000) {
+      throw new ApiError(409, "A promo code with this code already exists.");
+    }
+    throw new ApiError(500, "Failed to create promo code.");
+  }
+});
+
+/**
+ * List the campaigns the manager can see
+ */
+const getPromoCodes = asyncHandler(async (req, res) => {
+  const manager = await resolveManager(req);
+  const {isActive, scope} = req.query;
+
+  const filter = {
+    ...manager.filter
+  };
+  if (isActive !== undefined) {
+    filter.isActive = isActive === "true";
+  }
+  if (scope) {
+    filter.scope = scope;
+  }
+
+  const promos = await PromoCode.find(filter).sort({createdAt: -1});
+
+  res.status(200).json(new ApiResponse(200, promos, "Promo codes fetched successfully."));
+});
+
+/**
+ * Update a campaign; its code and scope are fixed once created
+ */
+const updatePromoCode = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const manager = await resolveManager(req);
+
+  logger.info(`Updating promo code ${id} by ${manager.createdByModel} ${manager.createdBy}`);
+
+  const promo = await findManagedPromoCode(id, manager);
+
+  validatePromoInput({
+    ...promo.toObject(),
+    ...req.body
+  }, true);
+
+  for (const field of editableFields) {
+    if (req.body[field] !== undefined) {
+      promo[field] = req.body[field];
+    }
+  }
+
+  try {
+    const updatedPromo = await promo.save();
+    logger.info(`Promo code updated: ${id}`);
+    res.status(200).json(new ApiResponse(200, updatedPromo, "Promo code updated successfully."));
+  } catch (error) {
+    logger.error(`Error updating promo code: ${error.message}`);
+    if (error.name === "ValidationError") {
+      throw new ApiError(400, error.message);
+    }
+    throw new ApiError(500, "Failed to update promo code.");
+  }
+});
+
+/**
+ * Delete a campaign; one that was ever redeemed is deactivated instead to keep its history
+ */
+const deletePromoCode = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const manager = await resolveManager(req);
+
+  logger.info(`Deleting promo code ${id} by ${manager.createdByModel} ${manager.createdBy}`);
+
+  const promo = await findManagedPromoCode(id, manager);
+
+  if (await PromoRedemption.exists({promoCode: promo._id})) {
+    promo.isActive = false;
+    await promo.save();
+    logger.info(`Promo code ${id} deactivated`);
+    return res.status(200).json(new ApiResponse(200, promo, "Promo code has redemptions, so it was deactivated instead."));
+  }
+
+  await promo.deleteOne();
+
+  logger.info(`Promo code deleted: ${id}`);
+  res.status(200).json(new ApiResponse(200, {}, "Promo code deleted successfully."));
+});
+
+/**
+ * List a campaign's redemptions
+ */
+const getPromoCodeRedemptions = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const manager = await resolveManager(req);
+
+  const promo = await findManagedPromoCode(id, manager);
+  const redemptions = await PromoRedemption.find({promoCode: promo._id}).populate("user", "fullName email").sort({createdAt: -1});
+
+  res.status(200).json(new ApiResponse(200, {
+    promoCode: promo,
+    redemptions
+  }, "Promo code redemptions fetched successfully."));
+});
+
+export {
+  createPromoCode,
+  getPromoCodes,
+  updatePromoCode,
+  deletePromoCode,
+  getPromoCodeRedemptions
+};
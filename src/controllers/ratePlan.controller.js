@@ -0,0 +1,200 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {RatePlan} from "../models/ratePlan.model.js";
+import {findOwnedRoom} from "../utils/hostAccess.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+const editableFields = [
+  "name",
+  "startDate",
+  "endDate",
+  "nightlyPrice",
+  "weekendPrice",
+  "weekendDays",
+  "minStay",
+  "lengthOfStayDiscounts",
+  "occupancySurcharge",
+  "priority",
+  "isActive"
+];
+
+// Validate a rate plan payload (partial for updates)
+const validateRatePlanInput = (data, isUpdate = false) => {
+  if (!isUpdate && !data.name) {
+    throw new ApiError(400, "Rate plan name is required.");
+  }
+
+  for (const field of ["startDate", "endDate"]) {
+    if (data[field] && isNaN(new Date(data[field]).getTime())) {
+      throw new ApiError(400, `Invalid ${field} format.`);
+    }
+  }
+
+  if (data.startDate && data.endDate && new Date(data.endDate) < new Date(data.startDate)) {
+    throw new ApiError(400, "End date must be on or after start date.");
+  }
+
+  for (const field of ["nightlyPrice", "weekendPrice"]) {
+    if (data[field] !== undefined && data[field] !== null && (isNaN(data[field]) || data[field] < 0)) {
+      throw new ApiError(400, `${field} must be a non-negative number.`);
+    }
+  }
+
+  if (data.weekendDays !== undefined) {
+    if (!Array.isArray(data.weekendDays) || data.weekendDays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new ApiError(400, "weekendDays must be an array of day numbers (0 = Sunday ... 6 = Saturday).");
+    }
+  }
+
+  if (data.minStay !== undefined && (!Number.isInteger(data.minStay) || data.minStay < 1)) {
+    throw new ApiError(400, "Minimum stay must be a positive integer.");
+  }
+
+  if (data.lengthOfStayDiscounts !== undefined) {
+    if (!Array.isArray(data.lengthOfStayDiscounts)) {
+      throw new ApiError(400, "lengthOfStayDiscounts must be an array.");
+    }
+    for (const tier of data.lengthOfStayDiscounts) {
+      if (!Number.isInteger(tier.minNights) || tier.minNights < 2) {
+        throw new ApiError(400, "Each length-of-stay discount needs minNights of at least 2.");
+      }
+      if (isNaN(tier.percent) || tier.percent < 0 || tier.percent > 100) {
+        throw new ApiError(400, "Each length-of-stay discount needs a percent between 0 and 100.");
+      }
+    }
+  }
+
+  // The schema default ({amountPerExtraGuest: 0}) is no surcharge at all
+  const {baseOccupancy, amountPerExtraGuest} = data.occupancySurcharge || {};
+  if ((baseOccupancy !== undefined && baseOccupancy !== null) || amountPerExtraGuest > 0) {
+    if (!Number.isInteger(baseOccupancy) || baseOccupancy < 1) {
+      throw new ApiError(400, "Occupancy surcharge needs a base occupancy of at least 1.");
+    }
+    if (amountPerExtraGuest !== undefined && (isNaN(amountPerExtraGuest) || amountPerExtraGuest < 0)) {
+      throw new ApiError(400, "Occupancy surcharge amount cannot be negative.");
+    }
+  }
+};
+
+// Find a rate plan that belongs to the given room
+const findRoomRatePlan = async (roomId, rateId) => {
+  if (!mongoose.Types.ObjectId.isValid(rateId)) {
+    logger.error(`Invalid rate plan ID: ${rateId}`);
+    throw new ApiError(400, "Invalid rate plan ID.");
+  }
+
+  const ratePlan = await RatePlan.findOne({_id: rateId, room: roomId});
+  if (!ratePlan) {
+    logger.error(`Rate plan ${rateId} not found for room ${roomId}`);
+    throw new ApiError(404, "Rate plan not found.");
+  }
+  return ratePlan;
+};
+
+// Create a rate plan for a room
+const createRatePlan = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const userId = req.user._id;
+
+  logger.info(`Creating rate plan for room ID: ${id} by user ID: ${userId}`);
+
+  const {room} = await findOwnedRoom(id, userId);
+  validateRatePlanInput(req.body);
+
+  const data = {};
+  for (const field of editableFields) {
+    if (req.body[field] !== undefined) {
+      data[field] = req.body[field];
+    }
+  }
+
+  try {
+    const ratePlan = await RatePlan.create({
+      ...data,
+      room: room._id
+    });
+
+    logger.info(`Rate plan created: ${ratePlan._id} for room ID: ${id}`);
+    const message = room.pricingModel === "dynamic"
+      ? "Rate plan created successfully."
+      : "Rate plan created. It will apply once the room's pricingModel is set to dynamic.";
+    res.status(201).json(new ApiResponse(201, ratePlan, message));
+  } catch (error) {
+    logger.error(`Error creating rate plan: ${error.message}`);
+    if (error.name === "ValidationError") {
+      throw new ApiError(400, error.message);
+    }
+    throw new ApiError(500, "Failed to create rate plan.");
+  }
+});
+
+// List rate plans for a room
+const getRatePlans = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+
+  const {room} = await findOwnedRoom(id, req.user._id);
+  const ratePlans = await RatePlan.find({room: room._id}).sort({priority: -1, startDate: 1});
+
+  res.status(200).json(new ApiResponse(200, {
+    pricingModel: room.pricingModel,
+    ratePlans
+  }, "Rate plans fetched successfully."));
+});
+
+// Update a rate plan
+const updateRatePlan = asyncHandler(async (req, res) => {
+  const {id, rateId} = req.params;
+  const userId = req.user._id;
+
+  logger.info(`Updating rate plan ${rateId} for room ID: ${id} by user ID: ${userId}`);
+
+  const {room} = await findOwnedRoom(id, userId);
+  const ratePlan = await findRoomRatePlan(room._id, rateId);
+
+  validateRatePlanInput({
+    ...ratePlan.toObject(),
+    ...req.body
+  }, true);
+
+  for (const field of editableFields) {
+    if (req.body[field] !== undefined) {
+      ratePlan[field] = req.body[field];
+    }
+  }
+
+  try {
+    const updatedRatePlan = await ratePlan.save();
+    logger.info(`Rate plan updated: ${rateId}`);
+    res.status(200).json(new ApiResponse(200, updatedRatePlan, "Rate plan updated successfully."));
+  } catch (error) {
+    logger.error(`Error updating rate plan: ${error.message}`);
+    if (error.name === "ValidationError") {
+      throw new ApiError(400, error.message);
+    }
+    throw new ApiError(500, "Failed to update rate plan.");
+  }
+});
+
+// Delete a rate plan
+const deleteRatePlan = asyncHandler(async (req, res) => {
+  const {id, rateId} = req.params;
+  const userId = req.user._id;
+
+  logger.info(`Deleting rate plan ${rateId} for room ID: ${id} by user ID: ${userId}`);
+
+  const {room} = await findOwnedRoom(id, userId);
+  const ratePlan = await findRoomRatePlan(room._id, rateId);
+  await ratePlan.deleteOne();
+
+  logger.info(`Rate plan deleted: ${rateId}`);
+  res.status(200).json(new ApiResponse(200, {}, "Rate plan deleted successfully."));
+});
+
+export {
+  createRatePlan,
+  getRatePlans,
+  updateRatePlan,
+  deleteRatePlan
+};
@@ -0,0 +1,450 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {Reservation} from "../models/reservation.model.js";
+import {Booking} from "../models/booking.model.js";
+import {Service} from "../models/services.model.js";
+import {Room} from "../models/room.model.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+import {quoteRoomStay, assertQuotedPrice, toPriceBreakdown, roundCurrency} from "../utils/pricing.js";
+import {getHoldExpiry, placeRoomHold, isHoldConflictError} from "../utils/bookingHold.js";
+import {notifyWaitlist} from "../utils/waitlist.js";
+import {CANCELLABLE_STATUSES, quoteCancellations, applyCancellation, refundCancellations, syncReservationStatus} from "../utils/bookingCancellation.js";
+import {emailGuestAccessLinks, assertGuestAccessConfigured} from "../utils/guestAccess.js";
+import {assertPaymentCurrency} from "../utils/payment_utils.js";
+
+// Most room lines a single reservation may hold
+const MAX_RESERVATION_LINES = 10;
+
+const validPaymentMethods = ["paypal", "stripe", "razorpay", "esewa", "khalti", "fonepay", "credit_card"];
+
+// Validate the reservation payload shape before anything is loaded
+const validateReservationInputs = ({service, lines, paymentMethod}) => {
+  if (!service || !paymentMethod || !Array.isArray(lines)) {
+    throw new ApiError(400, "service, paymentMethod and lines are required");
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(service)) {
+    throw new ApiError(400, "Invalid service ID");
+  }
+
+  if (!validPaymentMethods.includes(paymentMethod)) {
+    throw new ApiError(400, "Invalid payment method");
+  }
+
+  if (lines.length < 1 || lines.length > MAX_RESERVATION_LINES) {
+    throw new ApiError(400, `A reservation must have between 1 and ${MAX_RESERVATION_LINES} rooms`);
+  }
+
+  lines.forEach((line, index) => {
+    if (!line
+      ?.room || !line.checkInDate || !line.checkOutDate || !line.numberOfGuests) {
+      throw new ApiError(400, `Line ${index + 1}: room, checkInDate, checkOutDate and numberOfGuests are required`);
+    }
+    if (!mongoose.Types.ObjectId.isValid(line.room)) {
+      throw new ApiError(400, `Line ${index + 1}: invalid room ID`);
+    }
+  });
+};
+
+/**
+ * Load the service and rooms for a reservation and price every line.
+ * Returns the priced lines and their combined total.
+ */
+const priceReservationLines = async ({service, lines}) => {
+  const serviceExists = await Service.findById(service);
+  if (!serviceExists) {
+    throw new ApiError(404, "Service not found");
+  }
+
+  const roomIds = [...new Set(lines.map(line => line.room.toString()))];
+  const rooms = await Room.find({
+    _id: {
+      $in: roomIds
+    },
+    service
+  });
+  if (rooms.length !== roomIds.length) {
+    throw new ApiError(404, "One or more rooms were not found at this service");
+  }
+
+  const pricedLines = [];
+  for (const [index, line] of lines.entries()) {
+    const room = rooms.find(candidate => candidate._id.equals(line.room));
+    try {
+      const quote = await quoteRoomStay({
+        room,
+        checkInDate: line.checkInDate,
+        checkOutDate: line.checkOutDate,
+        numberOfGuests: line.numberOfGuests
+      });
+      pricedLines.push({...line, room, quote});
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw new ApiError(error.statusCode, `Line ${index + 1}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  const totalPrice = roundCurrency(pricedLines.reduce((sum, line) => sum + line.quote.totalPrice, 0));
+  return {service: serviceExists, pricedLines, totalPrice, currency: pricedLines[0].quote.currency};
+};
+
+/**
+ * Create the reservation and every booking line in one transaction,
+ * so either every room is held or none is.
+ */
+const createReservationRecord = async ({owner, service, pricedLines, totalPrice, currency, paymentMethod, specialRequests, bookingSource}) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const expiresAt = getHoldExpiry();
+
+    const [reservation] = await Reservation.create([
+      {
+        ...owner,
+        host: service.host,
+        service: service._id,
+        totalPrice,
+        currency,
+        paymentMethod,
+        status: "pending",
+        paymentStatus: "pending",
+        expiresAt,
+        specialRequests,
+        bookingSource
+      }
+    ], {session});
+
+    for (const [index, line] of pricedLines.entries()) {
+      const checkInDate = new Date(line.checkInDate);
+      const checkOutDate = new Date(line.checkOutDate);
+
+      let booking;
+      try {
+        booking = await placeRoomHold({
+          ...owner,
+          host: service.host,
+          service: service._id,
+          room: line.room._id,
+          reservation: reservation._id,
+          checkInDate,
+          checkOutDate,
+          numberOfGuests: line.numberOfGuests,
+          totalPrice: line.quote.totalPrice,
+          priceBreakdown: toPriceBreakdown(line.quote),
+          paymentMethod,
+          specialRequests,
+          paymentStatus: "pending",
+          status: "pending",
+          expiresAt,
+          bookingSource
+        }, session);
+      } catch (error) {
+        if (error instanceof ApiError) {
+          throw new ApiError(error.statusCode, `Line ${index + 1}: ${error.message}`);
+        }
+        throw error;
+      }
+
+      reservation.bookings.push(booking._id);
+    }
+
+    await reservation.save({session});
+    await session.commitTransaction();
+
+    logger.info(`Reservation created: ${reservation._id} with ${pricedLines.length} rooms`);
+    return reservation;
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(`Reservation creation failed: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    // Another transaction wrote to one of the same rooms first
+    if (isHoldConflictError(error)) {
+      throw new ApiError(409, "One of the rooms was just booked by someone else, please try again");
+    }
+    throw new ApiError(500, "Failed to create reservation");
+  } finally {
+    session.endSession();
+  }
+};
+
+// Shared create flow for users and guests
+const createReservation = async (req, owner) => {
+  const {service, lines, paymentMethod, totalPrice, specialRequests} = req.body;
+
+  validateReservationInputs({service, lines, paymentMethod});
+
+  // Price every line on the server; a client total is only accepted if it matches
+  const priced = await priceReservationLines({service, lines});
+  assertQuotedPrice(totalPrice, priced);
+  assertPaymentCurrency(paymentMethod, priced.currency);
+
+  const reservation = await createReservationRecord({
+    ...priced,
+    owner,
+    paymentMethod,
+    specialRequests: specialRequests
+      ?.trim() || "",
+    bookingSource: req.headers["x-booking-source"] || "web"
+  });
+
+  return Reservation.findById(reservation._id).populate("bookings");
+};
+
+/**
+ * Price a set of room lines without reserving anything
+ */
+const getReservationQuote = asyncHandler(async (req, res) => {
+  const {service, lines} = req.body;
+
+  validateReservationInputs({service, lines, paymentMethod: "stripe"});
+
+  const {pricedLines, totalPrice, currency} = await priceReservationLines({service, lines});
+
+  res.status(200).json(new ApiResponse(200, {
+    currency,
+    totalPrice,
+    lines: pricedLines.map(line => ({
+      room: line.room._id,
+      checkInDate: line.checkInDate,
+      checkOutDate: line.checkOutDate,
+      numberOfGuests: line.numberOfGuests,
+      quote: line.quote
+    }))
+  }, "Reservation quote calculated successfully"));
+});
+
+/**
+ * Create a multi-room reservation for an authenticated user
+ */
+const createUserReservation = asyncHandler(async (req, res) => {
+  logger.info(`Starting createUserReservation for user: ${req.user._id}`);
+
+  const reservation = await createReservation(req, {user: req.user._id});
+
+  res.status(201).json(new ApiResponse(201, reservation, "Reservation created successfully"));
+});
+
+/**
+ * Create a multi-room reservation for a guest
+ */
+const createGuestReservation = asyncHandler(async (req, res) => {
+  // Don't hold rooms the guest could never manage
+  assertGuestAccessConfigured();
+
+  logger.info(`Starting createGuestReservation for guest: ${req.guestInfo.email}`);
+
+  const reservation = await createReservation(req, {guestInfo: req.guestInfo});
+
+  // The emailed link is how the guest gets back to this reservation
+  await emailGuestAccessLinks(reservation.guestInfo.email, [
+    {
+      bookingType: "reservation",
+      booking: reservation
+    }
+  ]);
+
+  res.status(201).json(new ApiResponse(201, reservation, "Reservation created successfully"));
+});
+
+// Who may manage a reservation: its account holder, or the guest a link was issued to
+const isReservationUser = userId => reservation => Boolean(reservation.user && reservation.user.toString() === userId
+  ?.toString());
+const isReservationGuest = ({bookingId, email}) => reservation => !reservation.user && reservation._id.toString() === bookingId && reservation.guestInfo
+  ?.email === email;
+
+// Load a reservation the requester may manage
+const findOwnedReservation = async (id, isOwner, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid reservation ID");
+  }
+
+  const reservation = await Reservation.findById(id).session(session);
+  if (!reservation) {
+    logger.error(`Reservation not found: ${id}`);
+    throw new ApiError(404, "Reservation not found");
+  }
+
+  if (!isOwner(reservation)) {
+    logger.error(`Requester is not the owner of reservation ${id}`);
+    throw new ApiError(403, "Not authorized to access this reservation");
+  }
+
+  return reservation;
+};
+
+// A reservation with its room lines
+const loadReservation = async (id, isOwner) => {
+  const reservation = await findOwnedReservation(id, isOwner);
+  return reservation.populate({
+    path: "bookings",
+    populate: {
+      path: "room",
+      select: "name roomType"
+    }
+  });
+};
+
+/**
+ * Get a reservation with its room lines
+ */
+const getReservation = asyncHandler(async (req, res) => {
+  const reservation = await loadReservation(req.params.id, isReservationUser(req.user._id));
+
+  res.status(200).json(new ApiResponse(200, reservation, "Reservation fetched successfully"));
+});
+
+/**
+ * Get a guest reservation (via the emailed management link)
+ */
+const getGuestReservation = asyncHandler(async (req, res) => {
+  const reservation = await loadReservation(req.params.id, isReservationGuest(req.guestAccess));
+
+  res.status(200).json(new ApiResponse(200, reservation, "Reservation fetched successfully"));
+});
+
+/**
+ * Get the authenticated user's reservations
+ */
+const getUserReservations = asyncHandler(async (req, res) => {
+  const reservations = await Reservation.find({user: req.user._id}).populate("service", "name type").sort({createdAt: -1});
+
+  res.status(200).json(new ApiResponse(200, reservations, "Reservations fetched successfully"));
+});
+
+// Cancel some lines of a reservation, then refund them in one go; `userId` is null for guests
+const cancelReservationLines = async (reservationId, isOwner, userId, bookingId = null) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let lines;
+  let quotes;
+  let payments;
+
+  try {
+    const reservation = await findOwnedReservation(reservationId, isOwner, session);
+
+    if (bookingId) {
+      if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+        throw new ApiError(400, "Invalid booking ID");
+      }
+      lines = await Booking.find({_id: bookingId, reservation: reservation._id}).session(session);
+      if (!lines.length) {
+        throw new ApiError(404, "Booking not found in this reservation");
+      }
+      if (!CANCELLABLE_STATUSES.includes(lines[0].status)) {
+        throw new ApiError(400, `A ${lines[0].status} booking cannot be cancelled`);
+      }
+    } else {
+      lines = await Booking.find({
+        reservation: reservation._id,
+        status: {
+          $in: CANCELLABLE_STATUSES
+        }
+      }).session(session);
+      if (!lines.length) {
+        throw new ApiError(400, "Reservation has no rooms left to cancel");
+      }
+    }
+
+    ({quotes, payments} = await quoteCancellations(lines, session));
+
+    for (const [index, line] of lines.entries()) {
+      await applyCancellation(line, quotes[index], userId, session);
+    }
+
+    await syncReservationStatus(reservation._id, session);
+    await session.commitTransaction();
+    logger.info(`Cancelled ${lines.length} line(s) of reservation ${reservationId}`);
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(`Reservation cancellation failed: ${error.message}`);
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  // Refund outside the transaction so a gateway failure doesn't undo the cancellation
+  const refundStatus = await refundCancellations(lines, quotes, payments);
+  const reservation = await syncReservationStatus(reservationId);
+  for (const line of lines) {
+    await notifyWaitlist({room: line.room});
+  }
+
+  return {reservation, lines, refundStatus};
+};
+
+// Response messages for a cancellation, by whether it was the whole reservation
+const cancellationMessage = (refundStatus, wholeReservation) => {
+  const subject = wholeReservation
+    ? "Reservation"
+    : "Room";
+  return refundStatus === "failed"
+    ? `${subject} cancelled, but the refund could not be processed automatically`
+    : `${subject} cancelled successfully`;
+};
+
+/**
+ * Cancel every remaining room of a reservation
+ */
+const cancelReservation = asyncHandler(async (req, res) => {
+  logger.info(`Starting cancelReservation for reservation ID: ${req.params.id}`);
+
+  const {reservation, lines, refundStatus} = await cancelReservationLines(req.params.id, isReservationUser(req.user._id), req.user._id);
+
+  res.status(200).json(new ApiResponse(200, {reservation, cancelledBookings: lines}, cancellationMessage(refundStatus, true)));
+});
+
+/**
+ * Cancel a single room line of a reservation
+ */
+const cancelReservationLine = asyncHandler(async (req, res) => {
+  const {id, bookingId} = req.params;
+  logger.info(`Starting cancelReservationLine for booking ${bookingId} of reservation ${id}`);
+
+  const {reservation, lines, refundStatus} = await cancelReservationLines(id, isReservationUser(req.user._id), req.user._id, bookingId);
+
+  res.status(200).json(new ApiResponse(200, {reservation, cancelledBookings: lines}, cancellationMessage(refundStatus, false)));
+});
+
+/**
+ * Cancel every remaining room of a guest reservation (via the emailed management link)
+ */
+const cancelGuestReservation = asyncHandler(async (req, res) => {
+  logger.info(`Starting cancelGuestReservation for reservation ID: ${req.params.id}`);
+
+  const {reservation, lines, refundStatus} = await cancelReservationLines(req.params.id, isReservationGuest(req.guestAccess), null);
+
+  res.status(200).json(new ApiResponse(200, {reservation, cancelledBookings: lines}, cancellationMessage(refundStatus, true)));
+});
+
+/**
+ * Cancel a single room line of a guest reservation (via the emailed management link)
+ */
+const cancelGuestReservationLine = asyncHandler(async (req, res) => {
+  const {id, bookingId} = req.params;
+  logger.info(`Starting cancelGuestReservationLine for booking ${bookingId} of reservation ${id}`);
+
+  const {reservation, lines, refundStatus} = await cancelReservationLines(id, isReservationGuest(req.guestAccess), null, bookingId);
+
+  res.status(200).json(new ApiResponse(200, {reservation, cancelledBookings: lines}, cancellationMessage(refundStatus, false)));
+});
+
+export {
+  getReservationQuote,
+  createUserReservation,
+  createGuestReservation,
+  getReservation,
+  getGuestReservation,
+  getUserReservations,
+  cancelReservation,
+  cancelReservationLine,
+  cancelGuestReservation,
+  cancelGuestReservationLine
+};
@@ -5,113 +5,133 @@ import {RestaurantPayment} from "../models/restaurantPayment.model.js";
 import {RestaurantBooking} from "../models/restaurantBooking.model.js";
 import {User} from "../models/user.model.js";
 import logger from "../utils/logger.js";
-import {createStripePaymentIntent, refundStripePayment, handleStripeWebhook, confirmStripePaymentIntent} from "../utils/payment_gateways/stripe.js";
-import {validatePaymentFields} from "../utils/payment_utils.js";
-import dotenv from "dotenv";
-
-dotenv.config({path: "./.env"});
+import {findGateway, getGateway} from "../utils/payment_gateways/index.js";
+import {formatPaymentMetadata, validatePaymentFields, paymentReturnUrls, resolvePaymentReturn, redirectPaymentResult, assertPaymentCurrency, toClientMetadata} from "../utils/payment_utils.js";
+import {assertQuotedPrice, getPricingConfig} from "../utils/pricing.js";
 
 /**
- * Handle Stripe webhook events for restaurant bookings
+ * Handle payment gateway webhook events for restaurant bookings.
+ * `/webhook/restaurant` receives Stripe's events, `/webhook/restaurant/:gateway` any other gateway's.
  */
-const handleRestaurantStripeWebhookController = asyncHandler(async (req, res) => {
-  const sig = req.headers["stripe-signature"];
-  const payload = req.body;
+const handleRestaurantPaymentWebhookController = asyncHandler(async (req, res) => {
+  const gateway = getGateway(req.params.gateway || "stripe");
 
-  try {
-    const event = await handleStripeWebhook(payload, sig, process.env.STRIPE_WEBHOOK_SECRET);
-    logger.info(`Stripe webhook event received: ${event.type}`);
-
-    switch (event.type) {
-      case "payment_intent.created":
-        const createdPaymentIntent = event.data.object;
-        const booking = await RestaurantBooking.findById(createdPaymentIntent.metadata.booking);
-        const user = await User.findById(createdPaymentIntent.metadata.user);
-
-        if (!booking || !user) {
-          logger.error(`Booking or User not found for payment intent: ${createdPaymentIntent.id}`);
-          return res.status(404).json({error: "Booking or User not found"});
-        }
+  const event = await gateway.parseWebhook({rawBody: req.body, headers: req.headers});
+  if (!event) {
+    return res.json({received: true});
+  }
+  logger.info(`${gateway.name} webhook event received: ${event.type} for ${event.transactionId}`);
 
-        if (booking.user.toString() !== createdPaymentIntent.metadata.user) {
-          logger.error(`User ${createdPaymentIntent.metadata.user} is not the owner of booking ${createdPaymentIntent.metadata.booking}`);
+  switch (event.type) {
+    case "payment.created": {
+      const booking = await RestaurantBooking.findById(event.metadata.booking);
+
+      if (!booking) {
+        logger.error(`Booking not found for payment: ${event.transactionId}`);
+        return res.status(404).json({error: "Booking not found"});
+      }
+
+      // Guest bookings are paid by the guest email, account bookings by their user
+      let owner;
+      if (booking.user) {
+        const user = await User.findById(event.metadata.user);
+        if (!user || booking.user.toString() !== event.metadata.user) {
+          logger.error(`User ${event.metadata.user} is not the owner of booking ${event.metadata.booking}`);
           return res.status(403).json({error: "Unauthorized access to booking"});
         }
-
-        await RestaurantPayment.create({
-          user: user._id,
-          restaurantBooking: booking._id,
-          paymentMethod: "stripe",
-          amount: createdPaymentIntent.amount / 100,
-          transactionId: createdPaymentIntent.id,
-          paymentStatus: createdPaymentIntent.status,
-          paymentMetadata: {
-            gateway: "stripe",
-            gatewayResponse: createdPaymentIntent,
-            gatewayId: createdPaymentIntent.id
+        owner = {
+          user: user._id
+        };
+      } else if (booking.guestInfo
+        ?.email === event.metadata.guestEmail) {
+        owner = {
+          guestInfo: {
+            email: booking.guestInfo.email
           }
-        });
+        };
+      } else {
+        logger.error(`Payment ${event.transactionId} doesn't match the guest of booking ${booking._id}`);
+        return res.status(403).json({error: "Unauthorized access to booking"});
+      }
+
+      // The create endpoint usually records the payment before this event arrives
+      if (await RestaurantPayment.exists({transactionId: event.transactionId})) {
         break;
+      }
 
-      case "payment_intent.succeeded":
-        const succeededPaymentIntent = event.data.object;
-        await RestaurantPayment.findOneAndUpdate({
-          transactionId: succeededPaymentIntent.id
-        }, {paymentStatus: "succeeded"});
+      await RestaurantPayment.create({
+        ...owner,
+        restaurantBooking: booking._id,
+        paymentMethod: gateway.name,
+        amount: event.amount,
+        transactionId: event.transactionId,
+        paymentStatus: event.status,
+        paymentMetadata: formatPaymentMetadata(gateway.name, event)
+      });
+      break;
+    }
 
-        // Update restaurant booking payment status
-        await RestaurantBooking.findOneAndUpdate({
-          _id: succeededPaymentIntent.metadata.booking
-        }, {paymentStatus: "paid"});
-        break;
+    case "payment.succeeded": {
+      const payment = await RestaurantPayment.findOneAndUpdate({
+        transactionId: event.transactionId
+      }, {
+        paymentStatus: "succeeded",
+        ...(event.gatewayId && {
+          "paymentMetadata.gatewayId": event.gatewayId
+        })
+      });
+
+      // Update restaurant booking payment status
+      const bookingId = payment
+        ?.restaurantBooking || event.metadata.booking;
+      if (bookingId) {
+        await RestaurantBooking.findByIdAndUpdate(bookingId, {paymentStatus: "paid"});
+      }
+      break;
+    }
 
-      case "payment_intent.payment_failed":
-        const failedPaymentIntent = event.data.object;
-        await RestaurantPayment.findOneAndUpdate({
-          transactionId: failedPaymentIntent.id
-        }, {paymentStatus: "failed"});
+    case "payment.failed":
+      await RestaurantPayment.findOneAndUpdate({
+        transactionId: event.transactionId
+      }, {paymentStatus: "failed"});
+      break;
+
+    case "payment.refunded": {
+      // A partial refund leaves the booking paid
+      if (event.status !== "refunded") {
         break;
+      }
 
-      case "charge.refunded":
-        const refundedCharge = event.data.object;
-        await RestaurantPayment.findOneAndUpdate({
-          transactionId: refundedCharge.payment_intent
-        }, {
-          paymentStatus: "refunded",
-          refundStatus: "fully_refunded"
-        });
+      const payment = await RestaurantPayment.findOneAndUpdate({
+        transactionId: event.transactionId
+      }, {
+        paymentStatus: "refunded",
+        refundStatus: "fully_refunded"
+      });
 
-        // Update restaurant booking status if refunded
-        await RestaurantBooking.findOneAndUpdate({
-          _id: refundedCharge.metadata.booking
-        }, {
+      // Update restaurant booking status if refunded
+      const bookingId = payment
+        ?.restaurantBooking || event.metadata.booking;
+      if (bookingId) {
+        await RestaurantBooking.findByIdAndUpdate(bookingId, {
           paymentStatus: "refunded",
           status: "cancelled"
         });
-        break;
-
-      default:
-        logger.info(`Unhandled event type: ${event.type}`);
+      }
+      break;
     }
 
-    res.json({received: true});
-  } catch (error) {
-    logger.error(`Webhook Error: ${error.message}`);
-    throw new ApiError(400, `Webhook Error: ${error.message}`);
+    default:
+      logger.info(`Unhandled event type: ${event.type}`);
   }
-});
-
-/**
- * Create a new payment for restaurant booking
- */
-const createRestaurantPayment = asyncHandler(async (req, res) => {
-  const {bookingId, paymentMethod, amount, transactionId, paymentMetadata} = req.body;
-  const user = req.user._id;
 
-  logger.info(`Starting createRestaurantPayment for booking: ${bookingId} by user: ${user}`);
+  res.json({received: true});
+});
 
+// Create the payment record (and gateway payment, if the method has one) for a booking; `owner` is {user} or {guestInfo}
+const createPaymentForBooking = async ({booking, owner, paymentMethod, amount, transactionId, paymentMetadata, returnUrls}) => {
   // Step 1: Validate input fields
-  if (!bookingId || !paymentMethod || !amount) {
+  if (!paymentMethod || !amount) {
     logger.error("Missing required fields");
     throw new ApiError(400, "All required fields must be provided");
   }
@@ -119,65 +139,69 @@ const createRestaurantPayment = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid payment amount");
   }
 
-  const validPaymentMethods = ["stripe", "paypal", "razorpay", "esewa", "credit_card"];
+  const validPaymentMethods = ["stripe", "paypal", "razorpay", "esewa", "khalti", "fonepay", "credit_card"];
   if (!validPaymentMethods.includes(paymentMethod)) {
     throw new ApiError(400, "Invalid payment method");
   }
 
-  // Verify booking exists and belongs to user
-  const booking = await RestaurantBooking.findById(bookingId);
-  if (!booking) {
-    throw new ApiError(404, "Restaurant booking not found");
+  // The amount must match the booking's server-priced total
+  if (!booking.totalPrice) {
+    throw new ApiError(400, "This booking has nothing to pay for");
   }
+  assertQuotedPrice(amount, booking);
+  assertPaymentCurrency(paymentMethod, getPricingConfig().currency);
 
-  if (booking.user.toString() !== user.toString()) {
-    throw new ApiError(403, "Not authorized to pay for this booking");
-  }
-
-  // Handle Stripe payment
-  if (paymentMethod === "stripe") {
+  // Start the payment with the method's gateway when there is one
+  const gateway = findGateway(paymentMethod);
+  if (gateway) {
     try {
       validatePaymentFields({amount, paymentMethod});
 
-      const paymentIntent = await createStripePaymentIntent(amount, "usd", {
-        booking: bookingId,
-        user: user,
-        ...paymentMetadata
+      const intent = await gateway.createIntent({
+        amount,
+        currency: getPricingConfig().currency,
+        metadata: {
+          ...toClientMetadata(paymentMetadata),
+          booking: booking._id,
+          user: owner.user,
+          guestEmail: owner.guestInfo
+            ?.email
+        },
+        ...returnUrls
       });
 
       const newPayment = await RestaurantPayment.create({
-        user,
-        restaurantBooking: bookingId,
+        ...owner,
+        restaurantBooking: booking._id,
         paymentMethod,
         amount,
-        transactionId: paymentIntent.id,
-        paymentMetadata: {
-          gateway: "stripe",
-          gatewayResponse: paymentIntent,
-          gatewayId: paymentIntent.id
-        },
-        paymentStatus: paymentIntent.status
+        transactionId: intent.transactionId,
+        paymentMetadata: formatPaymentMetadata(gateway.name, intent),
+        paymentStatus: intent.status
       });
 
       // Update booking with payment info
-      await RestaurantBooking.findByIdAndUpdate(bookingId, {paymentMethod, paymentStatus: "pending"});
+      await RestaurantBooking.findByIdAndUpdate(booking._id, {paymentMethod, paymentStatus: "pending"});
 
-      return res.status(201).json(new ApiResponse(201, newPayment, "Payment created successfully"));
+      return newPayment;
     } catch (error) {
-      logger.error(`Stripe Error: ${error.message}`);
+      logger.error(`${gateway.name} Error: ${error.message}`);
+      if (error instanceof ApiError) {
+        throw error;
+      }
       throw new ApiError(500, `Payment processing failed: ${error.message}`);
     }
   }
 
-  // Handle non-Stripe payments
+  // Payments made outside a gateway are recorded with the caller's transaction ID
   if (!transactionId) {
-    throw new ApiError(400, "Transaction ID is required for non-Stripe payments");
+    throw new ApiError(400, "Transaction ID is required for payments not made through a gateway");
   }
 
   try {
     const newPayment = await RestaurantPayment.create({
-      user,
-      restaurantBooking: bookingId,
+      ...owner,
+      restaurantBooking: booking._id,
       paymentMethod,
       amount,
       transactionId,
@@ -189,47 +213,164 @@ const createRestaurantPayment = asyncHandler(async (req, res) => {
     });
 
     // Update booking with payment info
-    await RestaurantBooking.findByIdAndUpdate(bookingId, {paymentMethod, paymentStatus: "pending"});
+    await RestaurantBooking.findByIdAndUpdate(booking._id, {paymentMethod, paymentStatus: "pending"});
 
-    return res.status(201).json(new ApiResponse(201, newPayment, "Payment created successfully"));
+    return newPayment;
   } catch (error) {
     logger.error(`Payment creation error: ${error.message}`);
     throw new ApiError(500, "Payment creation failed");
   }
+};
+
+/**
+ * Create a new payment for restaurant booking
+ */
+const createRestaurantPayment = asyncHandler(async (req, res) => {
+  const {bookingId, paymentMethod, amount, transactionId, paymentMetadata} = req.body;
+  const user = req.user._id;
+
+  logger.info(`Starting createRestaurantPayment for booking: ${bookingId} by user: ${user}`);
+
+  if (!bookingId) {
+    throw new ApiError(400, "All required fields must be provided");
+  }
+
+  // Verify booking exists and belongs to user
+  const booking = await RestaurantBooking.findById(bookingId);
+  if (!booking) {
+    throw new ApiError(404, "Restaurant booking not found");
+  }
+
+  if (!booking.user || booking.user.toString() !== user.toString()) {
+    throw new ApiError(403, "Not authorized to pay for this booking");
+  }
+
+  const newPayment = await createPaymentForBooking({
+    booking,
+    owner: {
+      user
+    },
+    paymentMethod,
+    amount,
+    transactionId,
+    paymentMetadata,
+    returnUrls: paymentReturnUrls(req, paymentMethod)
+  });
+
+  return res.status(201).json(new ApiResponse(201, newPayment, "Payment created successfully"));
 });
 
 /**
- * Confirm a Stripe PaymentIntent for restaurant booking
+ * Create a payment for a guest's restaurant booking (via their access token)
  */
-const confirmRestaurantPayment = asyncHandler(async (req, res) => {
-  const {paymentIntentId, paymentMethodId} = req.body;
+const createGuestRestaurantPayment = asyncHandler(async (req, res) => {
+  const {paymentMethod, amount, transactionId, paymentMetadata} = req.body;
+  const {bookingId, email} = req.guestAccess;
+
+  logger.info(`Starting createGuestRestaurantPayment for booking: ${bookingId}`);
+
+  const booking = await RestaurantBooking.findOne({_id: bookingId, "guestInfo.email": email});
+  if (!booking) {
+    throw new ApiError(404, "Restaurant booking not found");
+  }
+
+  const newPayment = await createPaymentForBooking({
+    booking,
+    owner: {
+      guestInfo: {
+        email
+      }
+    },
+    paymentMethod,
+    amount,
+    transactionId,
+    paymentMetadata,
+    returnUrls: paymentReturnUrls(req, paymentMethod)
+  });
+
+  return res.status(201).json(new ApiResponse(201, newPayment, "Payment created successfully"));
+});
 
-  if (!paymentIntentId || !paymentMethodId) {
-    throw new ApiError(400, "paymentIntentId and paymentMethodId are required");
+// Confirm a gateway payment whose payment record matches `filter`
+const confirmPayment = async (paymentIntentId, data, filter = {}) => {
+  if (!paymentIntentId) {
+    throw new ApiError(400, "paymentIntentId is required");
+  }
+
+  const payment = await RestaurantPayment.findOne({
+    ...filter,
+    transactionId: paymentIntentId
+  });
+  if (!payment) {
+    throw new ApiError(404, "Payment not found");
   }
 
   try {
-    const confirmedPaymentIntent = await confirmStripePaymentIntent(paymentIntentId, paymentMethodId);
-    const updatedPayment = await RestaurantPayment.findOneAndUpdate({
-      transactionId: paymentIntentId
-    }, {
-      paymentStatus: confirmedPaymentIntent.status
-    }, {new: true});
-
-    if (!updatedPayment) {
-      throw new ApiError(404, "Payment not found");
+    const intent = await getGateway(payment.paymentMethod).confirm(paymentIntentId, data);
+    payment.paymentStatus = intent.status;
+    if (intent.gatewayId) {
+      payment.paymentMetadata = formatPaymentMetadata(payment.paymentMethod, intent);
     }
+    const updatedPayment = await payment.save();
 
     // Update restaurant booking payment status if succeeded
-    if (confirmedPaymentIntent.status === "succeeded") {
+    if (intent.status === "succeeded") {
       await RestaurantBooking.findByIdAndUpdate(updatedPayment.restaurantBooking, {paymentStatus: "paid"});
     }
 
-    return res.status(200).json(new ApiResponse(200, updatedPayment, "Payment confirmed successfully"));
+    return updatedPayment;
   } catch (error) {
-    logger.error(`Stripe Error: ${error.message}`);
+    logger.error(`Payment confirmation error: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
+    }
     throw new ApiError(500, `Payment confirmation failed: ${error.message}`);
   }
+};
+
+/**
+ * Confirm a gateway payment for restaurant booking
+ */
+const confirmRestaurantPayment = asyncHandler(async (req, res) => {
+  const updatedPayment = await confirmPayment(req.body.paymentIntentId, req.body, {user: req.user._id});
+
+  return res.status(200).json(new ApiResponse(200, updatedPayment, "Payment confirmed successfully"));
+});
+
+/**
+ * Confirm a gateway payment for a guest's restaurant booking (via their access token)
+ */
+const confirmGuestRestaurantPayment = asyncHandler(async (req, res) => {
+  const updatedPayment = await confirmPayment(req.body.paymentIntentId, req.body, {
+    restaurantBooking: req.guestAccess.bookingId,
+    "guestInfo.email": req.guestAccess.email
+  });
+
+  return res.status(200).json(new ApiResponse(200, updatedPayment, "Payment confirmed successfully"));
+});
+
+/**
+ * Where a redirect gateway (e.g. eSewa) sends the payer back after paying for a restaurant booking
+ */
+const handleRestaurantPaymentReturn = asyncHandler(async (req, res) => {
+  const {gateway: gatewayName, result} = req.params;
+
+  const {gateway, payment, intent, status} = await resolvePaymentReturn(RestaurantPayment, gatewayName, result, req.query);
+  logger.info(`${gateway.name} ${result} return for restaurant payment ${payment.transactionId}: ${status}`);
+
+  if (!["succeeded", "refunded"].includes(payment.paymentStatus)) {
+    payment.paymentStatus = status;
+    if (status === "succeeded") {
+      payment.paymentMetadata = formatPaymentMetadata(gateway.name, intent);
+    }
+    await payment.save();
+
+    if (status === "succeeded") {
+      await RestaurantBooking.findByIdAndUpdate(payment.restaurantBooking, {paymentStatus: "paid"});
+    }
+  }
+
+  return redirectPaymentResult(res, {gateway, payment, status});
 });
 
 /**
@@ -269,7 +410,7 @@ const updateRestaurantPaymentStatus = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Payment not found");
   }
 
-  if (payment.user.toString() !== user.toString()) {
+  if (!payment.user || payment.user.toString() !== user.toString()) {
     throw new ApiError(403, "Not authorized to update this payment");
   }
 
@@ -323,7 +464,7 @@ const getRestaurantPaymentById = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Payment not found");
   }
 
-  if (payment.user.toString() !== user.toString()) {
+  if (!payment.user || payment.user.toString() !== user.toString()) {
     throw new ApiError(403, "Not authorized to access this payment");
   }
 
@@ -342,14 +483,15 @@ const handleRestaurantPaymentRefund = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Payment not found");
   }
 
-  if (payment.user.toString() !== user.toString()) {
+  if (!payment.user || payment.user.toString() !== user.toString()) {
     throw new ApiError(403, "Not authorized to refund this payment");
   }
 
-  // Handle Stripe refund
-  if (payment.paymentMethod === "stripe") {
+  // Refund through the payment's gateway when it was made through one
+  const gateway = findGateway(payment.paymentMethod);
+  if (gateway) {
     try {
-      await refundStripePayment(payment.transactionId, payment.amount);
+      await gateway.refund({transactionId: payment.transactionId, amount: payment.amount, paymentMetadata: payment.paymentMetadata});
 
       payment.refundStatus = "fully_refunded";
       payment.paymentStatus = "refunded";
@@ -363,12 +505,12 @@ const handleRestaurantPaymentRefund = asyncHandler(async (req, res) => {
 
       return res.status(200).json(new ApiResponse(200, payment, "Refund processed successfully"));
     } catch (error) {
-      logger.error(`Stripe Refund Error: ${error.message}`);
+      logger.error(`${gateway.name} Refund Error: ${error.message}`);
       throw new ApiError(500, "Refund processing failed");
     }
   }
 
-  // Handle non-Stripe refunds
+  // Payments made outside a gateway are refunded outside it too
   payment.refundStatus = "fully_refunded";
   payment.paymentStatus = "refunded";
   await payment.save();
@@ -383,9 +525,12 @@ const handleRestaurantPaymentRefund = asyncHandler(async (req, res) => {
 });
 
 export {
-  handleRestaurantStripeWebhookController,
+  handleRestaurantPaymentWebhookController,
   createRestaurantPayment,
+  createGuestRestaurantPayment,
   confirmRestaurantPayment,
+  confirmGuestRestaurantPayment,
+  handleRestaurantPaymentReturn,
   updateRestaurantPaymentStatus,
   getUserRestaurantPayments,
   getRestaurantPaymentById,
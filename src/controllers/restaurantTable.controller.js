@@ -0,0 +1,230 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {RestaurantTable, TABLE_ZONES} from "../models/restaurantTable.model.js";
+import {RestaurantBooking} from "../models/restaurantBooking.model.js";
+import {RELEASED_RESTAURANT_BOOKING_STATUSES} from "../utils/restaurantReservation.js";
+import {findOwnedRestaurant} from "../utils/hostAccess.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+// Validate the table fields shared by create and update
+const validateTableFields = ({capacity, minPartySize, zone}) => {
+  if (capacity !== undefined && (!Number.isInteger(capacity) || capacity < 1)) {
+    throw new ApiError(400, "Capacity must be a positive integer.");
+  }
+
+  if (minPartySize !== undefined && (!Number.isInteger(minPartySize) || minPartySize < 1)) {
+    throw new ApiError(400, "Minimum party size must be a positive integer.");
+  }
+
+  if (zone !== undefined && !TABLE_ZONES.includes(zone)) {
+    throw new ApiError(400, `Invalid zone. Valid zones are: ${TABLE_ZONES.join(", ")}`);
+  }
+};
+
+// Check that every combinable table exists in the same restaurant
+const resolveCombinableTables = async (restaurantId, combinableWith, tableId = null) => {
+  if (!Array.isArray(combinableWith)) {
+    throw new ApiError(400, "combinableWith must be an array of table IDs.");
+  }
+
+  const ids = [...new Set(combinableWith.map(String))];
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id) || id === String(tableId))) {
+    throw new ApiError(400, "combinableWith contains an invalid table ID.");
+  }
+
+  const count = await RestaurantTable.countDocuments({
+    _id: {
+      $in: ids
+    },
+    restaurant: restaurantId
+  });
+  if (count !== ids.length) {
+    throw new ApiError(400, "Combinable tables must belong to the same restaurant.");
+  }
+
+  return ids;
+};
+
+// Keep the other side of each combination in sync with this table's list
+const syncCombinations = async (table, previousIds = []) => {
+  const currentIds = table.combinableWith.map(String);
+  const removedIds = previousIds.filter(id => !currentIds.includes(id));
+
+  if (currentIds.length) {
+    await RestaurantTable.updateMany({
+      _id: {
+        $in: currentIds
+      }
+    }, {
+      $addToSet: {
+        combinableWith: table._id
+      }
+    });
+  }
+
+  if (removedIds.length) {
+    await RestaurantTable.updateMany({
+      _id: {
+        $in: removedIds
+      }
+    }, {
+      $pull: {
+        combinableWith: table._id
+      }
+    });
+  }
+};
+
+const handleDuplicateLabel = error => {
+  if (error.code === 11000) {
+    throw new ApiError(409, "A table with this label already exists in the restaurant.");
+  }
+  throw error;
+};
+
+// Add a table to a restaurant's floor plan
+const createTable = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const {label, capacity, minPartySize, zone, combinableWith = []} = req.body;
+  const userId = req.user._id;
+
+  logger.info(`Adding table to restaurant ID: ${id} by user ID: ${userId}`);
+
+  // Step 1: Validate input
+  if (!label?.trim() || capacity === undefined) {
+    logger.error("Missing required fields for restaurant table");
+    throw new ApiError(400, "label and capacity are required.");
+  }
+  validateTableFields({capacity, minPartySize, zone});
+
+  // Step 2: Verify ownership
+  const {restaurant} = await findOwnedRestaurant(id, userId);
+
+  // Step 3: Create the table and link its neighbours
+  const combinableIds = await resolveCombinableTables(restaurant._id, combinableWith);
+  const table = await RestaurantTable.create({
+    restaurant: restaurant._id,
+    label: label.trim(),
+    capacity,
+    minPartySize,
+    zone,
+    combinableWith: combinableIds
+  }).catch(handleDuplicateLabel);
+  await syncCombinations(table);
+
+  logger.info(`Table ${table._id} added to restaurant ID: ${id}`);
+  res.status(201).json(new ApiResponse(201, table, "Table added successfully."));
+});
+
+// List the tables of a restaurant
+const getTables = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+
+  const {restaurant} = await findOwnedRestaurant(id, req.user._id);
+  const tables = await RestaurantTable.find({restaurant: restaurant._id}).sort({zone: 1, label: 1});
+
+  res.status(200).json(new ApiResponse(200, tables, "Tables fetched successfully."));
+});
+
+// Find a table of a restaurant the user owns
+const findOwnedTable = async (restaurantId, tableId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(tableId)) {
+    logger.error(`Invalid table ID: ${tableId}`);
+    throw new ApiError(400, "Invalid table ID.");
+  }
+
+  const {restaurant} = await findOwnedRestaurant(restaurantId, userId);
+  const table = await RestaurantTable.findOne({_id: tableId, restaurant: restaurant._id});
+  if (!table) {
+    logger.error(`Table ${tableId} not found in restaurant ${restaurantId}`);
+    throw new ApiError(404, "Table not found.");
+  }
+
+  return table;
+};
+
+// Update a table
+const updateTable = asyncHandler(async (req, res) => {
+  const {id, tableId} = req.params;
+  const {label, capacity, minPartySize, zone, combinableWith, isActive} = req.body;
+  const userId = req.user._id;
+
+  logger.info(`Updating table ${tableId} of restaurant ID: ${id} by user ID: ${userId}`);
+
+  // Step 1: Validate input
+  validateTableFields({capacity, minPartySize, zone});
+  if (label !== undefined && !String(label).trim()) {
+    throw new ApiError(400, "Table label cannot be empty.");
+  }
+
+  // Step 2: Verify ownership
+  const table = await findOwnedTable(id, tableId, userId);
+  const previousIds = table.combinableWith.map(String);
+
+  // Step 3: Apply the changes
+  if (label !== undefined)
+    table.label = String(label).trim();
+  if (capacity !== undefined)
+    table.capacity = capacity;
+  if (minPartySize !== undefined)
+    table.minPartySize = minPartySize;
+  if (zone !== undefined)
+    table.zone = zone;
+  if (isActive !== undefined)
+    table.isActive = Boolean(isActive);
+  if (combinableWith !== undefined) {
+    table.combinableWith = await resolveCombinableTables(table.restaurant, combinableWith, table._id);
+  }
+
+  await table.save().catch(handleDuplicateLabel);
+  await syncCombinations(table, previousIds);
+
+  logger.info(`Table ${tableId} updated`);
+  res.status(200).json(new ApiResponse(200, table, "Table updated successfully."));
+});
+
+// Remove a table from a restaurant's floor plan
+const deleteTable = asyncHandler(async (req, res) => {
+  const {id, tableId} = req.params;
+  const userId = req.user._id;
+
+  logger.info(`Deleting table ${tableId} of restaurant ID: ${id} by user ID: ${userId}`);
+
+  const table = await findOwnedTable(id, tableId, userId);
+
+  // Tables seated for upcoming reservations can only be deactivated
+  const upcoming = await RestaurantBooking.exists({
+    tables: table._id,
+    endsAt: {
+      $gt: new Date()
+    },
+    status: {
+      $nin: RELEASED_RESTAURANT_BOOKING_STATUSES
+    }
+  });
+  if (upcoming) {
+    logger.error(`Table ${tableId} has upcoming reservations`);
+    throw new ApiError(409, "The table has upcoming reservations. Deactivate it instead.");
+  }
+
+  await table.deleteOne();
+  await RestaurantTable.updateMany({
+    restaurant: table.restaurant
+  }, {
+    $pull: {
+      combinableWith: table._id
+    }
+  });
+
+  logger.info(`Table ${tableId} deleted`);
+  res.status(200).json(new ApiResponse(200, {}, "Table deleted successfully."));
+});
+
+export {
+  createTable,
+  getTables,
+  updateTable,
+  deleteTable
+};
@@ -20,6 +20,8 @@ const createRestaurant = asyncHandler(async (req, res) => {
       openingHours,
       amenities,
       isAvailable,
+      reservationDurationMinutes,
+      slotIntervalMinutes,
       service
     } = req.body;
     const userId = req.user
@@ -158,6 +160,8 @@ const createRestaurant = asyncHandler(async (req, res) => {
       seatingCapacity,
       openingHours,
       amenities: amenities || [],
+      reservationDurationMinutes,
+      slotIntervalMinutes,
       isAvailable: isAvailable !== undefined
         ? isAvailable
         : true
@@ -406,6 +410,10 @@ const updateRestaurant = asyncHandler(async (req, res) => {
       restaurant.seatingCapacity = updateData.seatingCapacity;
     if (updateData.isAvailable !== undefined) 
       restaurant.isAvailable = updateData.isAvailable;
+    if (updateData.reservationDurationMinutes !== undefined) 
+      restaurant.reservationDurationMinutes = updateData.reservationDurationMinutes;
+    if (updateData.slotIntervalMinutes !== undefined) 
+      restaurant.slotIntervalMinutes = updateData.slotIntervalMinutes;
     
     const updatedRestaurant = await restaurant.save();
     if (!updatedRestaurant) {
@@ -7,11 +7,23 @@ import {Service} from "../models/services.model.js";
 import {Restaurant} from "../models/restaurant.model.js";
 import {User} from "../models/user.model.js";
 import logger from "../utils/logger.js";
+import {parseReservationSlot, assertRestaurantOpen, buildReservationSlots, priceSelectedCuisines} from "../utils/restaurantReservation.js";
+import {assignTables, allocateTables, findOverlappingReservations} from "../utils/tableAllocation.js";
+import {RestaurantTable, TABLE_ZONES} from "../models/restaurantTable.model.js";
+import {isHoldConflictError} from "../utils/bookingHold.js";
+import {assertQuotedPrice, getPricingConfig} from "../utils/pricing.js";
+import {emailGuestAccessLinks, assertGuestAccessConfigured} from "../utils/guestAccess.js";
+import {normalizeReferenceCode} from "../utils/referenceCode.js";
+import {markWaitlistBooked, notifyWaitlist} from "../utils/waitlist.js";
+import {PromoCode} from "../models/promoCode.model.js";
+import {findPromoCode, assertPromoDiscount, applyPromoToPreOrder, redeemPromoCode, updatePromoRedemption, reversePromoRedemption} from "../utils/promoCode.js";
+import {canTransition, transitionBooking, RESTAURANT_BOOKING_TRANSITIONS} from "../utils/bookingLifecycle.js";
+import mongoose from "mongoose";
 
 /**
- * Create a new restaurant booking
+ * Validate a reservation request and book it for the given owner ({user} or {guestInfo})
  */
-const createRestaurantBooking = asyncHandler(async (req, res) => {
+const placeRestaurantBooking = async (body, owner) => {
   const {
     host,
     service,
@@ -22,38 +34,23 @@ const createRestaurantBooking = asyncHandler(async (req, res) => {
     totalPrice,
     paymentMethod,
     specialRequests,
-    selectedCuisines
-  } = req.body;
+    selectedCuisines,
+    zone,
+    promoCode
+  } = body;
 
-  const user = req.user._id;
+  const bookedBy = owner.user || owner.guestInfo.email;
 
-  logger.info(`Starting createRestaurantBooking process for restaurant: ${restaurant} by user: ${user}`);
+  logger.info(`Starting createRestaurantBooking process for restaurant: ${restaurant} by: ${bookedBy}`);
 
   // Step 1: Validate input fields
-  if (!host || !service || !restaurant || !reservationDate || !reservationTime || !numberOfGuests || !totalPrice || !paymentMethod) {
+  if (!host || !service || !restaurant || !reservationDate || !reservationTime || !numberOfGuests || !paymentMethod) {
     logger.error("Missing required fields");
     throw new ApiError(400, "All required fields must be provided");
   }
 
   // Step 2: Validate reservation date and time
-  const currentDate = new Date();
-  const parsedReservationDate = new Date(reservationDate);
-  const [hours, minutes] = reservationTime.split(":").map(Number);
-
-  if (isNaN(parsedReservationDate.getTime())) {
-    logger.error("Invalid reservation date format");
-    throw new ApiError(400, "Invalid reservation date format");
-  }
-
-  if (parsedReservationDate < currentDate) {
-    logger.error("Cannot create a past reservation date");
-    throw new ApiError(400, "Reservation date must be in the future");
-  }
-
-  if (isNaN(hours) || isNaN(minutes) || hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
-    logger.error("Invalid reservation time");
-    throw new ApiError(400, "Invalid reservation time format (HH:MM required)");
-  }
+  const {reservationDate: parsedReservationDate} = parseReservationSlot(reservationDate, reservationTime);
 
   // Step 3: Validate number of guests
   if (!Number.isInteger(numberOfGuests) || numberOfGuests < 1) {
@@ -61,34 +58,33 @@ const createRestaurantBooking = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Number of guests must be a positive integer");
   }
 
-  // Step 4: Validate total price
-  if (isNaN(totalPrice) || totalPrice <= 0) {
-    logger.error("Invalid total price");
-    throw new ApiError(400, "Total price must be a positive number");
-  }
-
-  // Step 5: Validate payment method
-  const validPaymentMethods = ["credit_card", "paypal", "stripe", "razorpay", "esewa"];
+  // Step 4: Validate payment method
+  const validPaymentMethods = ["credit_card", "paypal", "stripe", "razorpay", "esewa", "khalti", "fonepay"];
   if (!validPaymentMethods.includes(paymentMethod)) {
     logger.error("Invalid payment method");
     throw new ApiError(400, "Invalid payment method");
   }
 
-  // Step 6: Check if the host exists
+  if (zone && !TABLE_ZONES.includes(zone)) {
+    logger.error(`Invalid seating zone: ${zone}`);
+    throw new ApiError(400, `Zone must be one of: ${TABLE_ZONES.join(", ")}`);
+  }
+
+  // Step 5: Check if the host exists
   const hostExists = await Host.findById(host);
   if (!hostExists) {
     logger.error(`Host not found with ID: ${host}`);
     throw new ApiError(404, "Host not found");
   }
 
-  // Step 7: Check if the service exists and belongs to the host
+  // Step 6: Check if the service exists and belongs to the host
   const serviceExists = await Service.findOne({_id: service, host});
   if (!serviceExists) {
     logger.error(`Service not found with ID: ${service} or does not belong to host: ${host}`);
     throw new ApiError(404, "Service not found or does not belong to the host");
   }
 
-  // Step 8: Check if the restaurant exists and belongs to the service
+  // Step 7: Check if the restaurant exists and belongs to the service
   const restaurantExists = await Restaurant.findOne({_id: restaurant, service}).populate("service");
   if (!restaurantExists) {
     logger.error(`Restaurant not found with ID: ${restaurant}`);
@@ -101,72 +97,121 @@ const createRestaurantBooking = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Restaurant doesn't belong to the specified host");
   }
 
-  // Step 9: Check if the restaurant is open at the requested time
-  const reservationDay = parsedReservationDate.toLocaleString("en-US", {weekday: "long"}).toLowerCase();
-  const daySchedule = restaurantExists.openingHours.find(oh => oh.day === reservationDay);
+  // Step 8: Check if the restaurant is open at the requested time
+  assertRestaurantOpen(restaurantExists, parsedReservationDate, reservationTime);
 
-  if (!daySchedule) {
-    logger.error(`Restaurant is closed on ${reservationDay}`);
-    throw new ApiError(400, "Restaurant is closed on the selected day");
-  }
+  // Step 9: Price the pre-order from the current menu, less any promo code (a client total is only checked against it)
+  const promo = promoCode
+    ? await findPromoCode({code: promoCode, bookingType: "restaurant", host, service, user: owner.user, guestEmail: owner.guestInfo
+        ?.email})
+    : null;
+  const preOrder = applyPromoToPreOrder(priceSelectedCuisines(restaurantExists, selectedCuisines, reservationTime), promo);
+  assertPromoDiscount(promo, preOrder.discount);
+  assertQuotedPrice(totalPrice, preOrder);
 
-  const isWithinOpeningHours = daySchedule.timeSlots.some(slot => {
-    const [openHour, openMin] = slot.openingTime.split(":").map(Number);
-    const [closeHour, closeMin] = slot.closingTime.split(":").map(Number);
+  // Step 10: Assign tables for the seating window and create the booking atomically
+  const session = await mongoose.startSession();
+  session.startTransaction();
 
-    const reservationDateTime = new Date(parsedReservationDate);
-    reservationDateTime.setHours(hours, minutes, 0, 0);
+  let newBooking;
+  try {
+    const allocation = await assignTables({
+      restaurant: restaurantExists,
+      reservationDate: parsedReservationDate,
+      reservationTime,
+      numberOfGuests,
+      zone,
+      holder: owner.user,
+      session
+    });
+
+    // Step 11: Create a new booking
+    [newBooking] = await RestaurantBooking.create([
+      {
+        ...owner,
+        host,
+        service,
+        restaurant,
+        reservationDate: parsedReservationDate,
+        reservationTime,
+        numberOfGuests,
+        durationMinutes: allocation.durationMinutes,
+        tables: allocation.tables,
+        zone,
+        selectedCuisines: preOrder.selectedCuisines,
+        promoCode: promo
+          ?._id || null,
+        discount: preOrder.discount,
+        totalPrice: preOrder.totalPrice,
+        paymentMethod,
+        specialRequests: specialRequests
+          ?.trim() || "",
+        paymentStatus: "pending",
+        status: "pending"
+      }
+    ], {session});
+
+    if (promo) {
+      await redeemPromoCode({
+        promo,
+        user: owner.user,
+        guestEmail: owner.guestInfo
+          ?.email,
+        bookingType: "restaurant",
+        booking: newBooking,
+        amount: preOrder.discount,
+        session
+      });
+    }
 
-    const openDateTime = new Date(parsedReservationDate);
-    openDateTime.setHours(openHour, openMin, 0, 0);
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(`Restaurant booking creation failed: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    if (isHoldConflictError(error)) {
+      throw new ApiError(409, "That time was just booked by someone else, please try again");
+    }
+    throw new ApiError(500, "Failed to create restaurant booking");
+  } finally {
+    session.endSession();
+  }
 
-    const closeDateTime = new Date(parsedReservationDate);
-    closeDateTime.setHours(closeHour, closeMin, 0, 0);
+  // Close the user's waitlist offer for this restaurant, if that's what they booked from
+  await markWaitlistBooked({user: owner.user, restaurant});
 
-    return (reservationDateTime >= openDateTime && reservationDateTime <= closeDateTime);
-  });
+  logger.info(`Restaurant booking created successfully for restaurant: ${restaurant} by: ${bookedBy}`);
+  return newBooking;
+};
 
-  if (!isWithinOpeningHours) {
-    logger.error(`Restaurant is not open at ${reservationTime} on ${reservationDay}`);
-    throw new ApiError(400, "Restaurant is not open at the selected time");
-  }
+/**
+ * Create a new restaurant booking
+ */
+const createRestaurantBooking = asyncHandler(async (req, res) => {
+  const newBooking = await placeRestaurantBooking(req.body, {user: req.user._id});
 
-  // Step 10: Check for overlapping reservations
-  const existingReservation = await RestaurantBooking.findOne({
-    restaurant,
-    reservationDate: parsedReservationDate,
-    reservationTime,
-    status: {
-      $ne: "cancelled"
-    }
-  });
+  res.status(201).json(new ApiResponse(201, newBooking, "Restaurant booking created successfully"));
+});
 
-  if (existingReservation) {
-    logger.error(`Restaurant ${restaurant} already has a reservation for ${reservationDate} at ${reservationTime}`);
-    throw new ApiError(400, "Time slot already booked");
-  }
+/**
+ * Create a restaurant booking for a guest without an account
+ */
+const createGuestRestaurantBooking = asyncHandler(async (req, res) => {
+  // Don't take a table the guest could never manage
+  assertGuestAccessConfigured();
 
-  // Step 11: Create a new booking
-  const newBooking = await RestaurantBooking.create({
-    user,
-    host,
-    service,
-    restaurant,
-    reservationDate: parsedReservationDate,
-    reservationTime,
-    numberOfGuests,
-    selectedCuisines,
-    totalPrice,
-    paymentMethod,
-    specialRequests: specialRequests
-      ?.trim() || "",
-    paymentStatus: "pending",
-    status: "pending"
-  });
+  const newBooking = await placeRestaurantBooking(req.body, {guestInfo: req.guestInfo});
 
-  logger.info(`Restaurant booking created successfully for restaurant: ${restaurant} by user: ${user}`);
+  // The emailed link is how the guest gets back to this booking later
+  await emailGuestAccessLinks(newBooking.guestInfo.email, [
+    {
+      bookingType: "restaurant",
+      booking: newBooking
+    }
+  ]);
 
-  // Step 12: Return the created booking
   res.status(201).json(new ApiResponse(201, newBooking, "Restaurant booking created successfully"));
 });
 
@@ -187,24 +232,7 @@ const updateRestaurantBooking = asyncHandler(async (req, res) => {
   }
 
   // Step 2: Validate reservation date and time
-  const currentDate = new Date();
-  const parsedReservationDate = new Date(reservationDate);
-  const [hours, minutes] = reservationTime.split(":").map(Number);
-
-  if (isNaN(parsedReservationDate.getTime())) {
-    logger.error("Invalid reservation date format");
-    throw new ApiError(400, "Invalid reservation date format");
-  }
-
-  if (parsedReservationDate < currentDate) {
-    logger.error("Cannot update to a past reservation date");
-    throw new ApiError(400, "Reservation date must be in the future");
-  }
-
-  if (isNaN(hours) || isNaN(minutes) || hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
-    logger.error("Invalid reservation time format");
-    throw new ApiError(400, "Invalid reservation time format (HH:MM required)");
-  }
+  const {reservationDate: parsedReservationDate} = parseReservationSlot(reservationDate, reservationTime);
 
   // Step 3: Validate number of guests
   if (!Number.isInteger(numberOfGuests) || numberOfGuests < 1) {
@@ -227,77 +255,83 @@ const updateRestaurantBooking = asyncHandler(async (req, res) => {
   }
 
   // Step 5: Check if the authenticated user is the owner of the booking
-  if (booking.user.toString() !== user.toString()) {
+  if (!booking.user || booking.user.toString() !== user.toString()) {
     logger.error(`User ${user} is not authorized to update booking ${id}`);
     throw new ApiError(403, "You are not authorized to update this booking");
   }
 
-  // Step 6: Check if the restaurant is open at the new time
-  const reservationDay = parsedReservationDate.toLocaleString("en-US", {weekday: "long"}).toLowerCase();
-  const daySchedule = booking.restaurant.openingHours.find(oh => oh.day === reservationDay);
-
-  if (!daySchedule) {
-    logger.error(`Restaurant is closed on ${reservationDay}`);
-    throw new ApiError(400, "Restaurant is closed on the selected day");
-  }
-
-  const isWithinOpeningHours = daySchedule.timeSlots.some(slot => {
-    const [openHour, openMin] = slot.openingTime.split(":").map(Number);
-    const [closeHour, closeMin] = slot.closingTime.split(":").map(Number);
-
-    const reservationDateTime = new Date(parsedReservationDate);
-    reservationDateTime.setHours(hours, minutes, 0, 0);
-
-    const openDateTime = new Date(parsedReservationDate);
-    openDateTime.setHours(openHour, openMin, 0, 0);
-
-    const closeDateTime = new Date(parsedReservationDate);
-    closeDateTime.setHours(closeHour, closeMin, 0, 0);
-
-    return (reservationDateTime >= openDateTime && reservationDateTime <= closeDateTime);
-  });
-
-  if (!isWithinOpeningHours) {
-    logger.error(`Restaurant is not open at ${reservationTime} on ${reservationDay}`);
-    throw new ApiError(400, "Restaurant is not open at the selected time");
+  // Only a reservation that can still be cancelled can still be changed
+  if (!canTransition(booking.status, "cancelled", "guest", RESTAURANT_BOOKING_TRANSITIONS)) {
+    logger.error(`Booking ${id} cannot be changed from status: ${booking.status}`);
+    throw new ApiError(400, `A ${booking.status} booking cannot be changed`);
   }
 
-  // Step 7: Check for overlapping reservations (excluding current booking)
-  const overlappingBooking = await RestaurantBooking.findOne({
-    restaurant: booking.restaurant._id,
-    reservationDate: parsedReservationDate,
-    reservationTime,
-    status: {
-      $ne: "cancelled"
-    },
-    _id: {
-      $ne: id
-    }
-  });
-
-  if (overlappingBooking) {
-    logger.error(`Time slot ${reservationTime} on ${reservationDate} is already booked`);
-    throw new ApiError(400, "This time slot is already booked");
+  // Step 6: Check if the restaurant is open at the new time
+  assertRestaurantOpen(booking.restaurant, parsedReservationDate, reservationTime);
+
+  // Reprice a changed pre-order, keeping any promo code it used; a paid booking's total can't change here
+  const promo = selectedCuisines && booking.promoCode
+    ? await PromoCode.findById(booking.promoCode)
+    : null;
+  const preOrder = selectedCuisines && applyPromoToPreOrder(priceSelectedCuisines(booking.restaurant, selectedCuisines, reservationTime), promo);
+  if (preOrder && booking.paymentStatus === "paid" && preOrder.totalPrice !== booking.totalPrice) {
+    logger.error(`Pre-order change would alter the total of paid booking ${id}`);
+    throw new ApiError(409, "The pre-order of a paid booking can only be changed for the same total");
   }
 
-  // Step 8: Update the booking
-  booking.reservationDate = parsedReservationDate;
-  booking.reservationTime = reservationTime;
-  booking.numberOfGuests = numberOfGuests;
-  booking.specialRequests = specialRequests
-    ?.trim() || "";
+  // Step 7: Re-assign tables for the new seating window (excluding current booking)
+  const session = await mongoose.startSession();
+  session.startTransaction();
 
-  if (selectedCuisines) {
-    booking.selectedCuisines = selectedCuisines;
-  }
+  let updatedBooking;
+  try {
+    const allocation = await assignTables({
+      restaurant: booking.restaurant,
+      reservationDate: parsedReservationDate,
+      reservationTime,
+      numberOfGuests,
+      zone: booking.zone,
+      excludeId: id,
+      holder: booking.user,
+      session
+    });
+
+    // Step 8: Update the booking
+    booking.reservationDate = parsedReservationDate;
+    booking.reservationTime = reservationTime;
+    booking.numberOfGuests = numberOfGuests;
+    booking.specialRequests = specialRequests
+      ?.trim() || "";
+
+    if (preOrder) {
+      booking.selectedCuisines = preOrder.selectedCuisines;
+      booking.discount = preOrder.discount;
+      booking.totalPrice = preOrder.totalPrice;
+      await updatePromoRedemption(booking, preOrder.discount, session);
+    }
 
-  const updatedBooking = await booking.save();
+    booking.durationMinutes = allocation.durationMinutes;
+    booking.tables = allocation.tables;
 
-  if (!updatedBooking) {
-    logger.error(`Failed to update restaurant booking with ID: ${id}`);
+    updatedBooking = await booking.save({session});
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(`Failed to update restaurant booking ${id}: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    if (isHoldConflictError(error)) {
+      throw new ApiError(409, "That time was just booked by someone else, please try again");
+    }
     throw new ApiError(500, "Failed to update the restaurant booking");
+  } finally {
+    session.endSession();
   }
 
+  // The old slot may have freed seats someone is waiting for
+  await notifyWaitlist({restaurant: booking.restaurant._id});
+
   // Step 9: Return the updated booking
   logger.info(`Restaurant booking updated successfully for booking ID: ${id}`);
   res.status(200).json(new ApiResponse(200, updatedBooking, "Restaurant booking updated successfully"));
@@ -336,6 +370,17 @@ const getRestaurantBookings = asyncHandler(async (req, res) => {
 
   logger.info(`Starting getRestaurantBookings process for restaurant: ${restaurantId} by user: ${userId}`);
 
+  // Optional lookup by confirmation code
+  const filter = {
+    restaurant: restaurantId
+  };
+  if (req.query.reference) {
+    filter.referenceCode = normalizeReferenceCode(req.query.reference);
+    if (!filter.referenceCode) {
+      throw new ApiError(400, "Invalid booking reference");
+    }
+  }
+
   try {
     // Find the user's host profile
     const user = await User.findById(userId).populate("hostProfile");
@@ -359,7 +404,7 @@ const getRestaurantBookings = asyncHandler(async (req, res) => {
       throw new ApiError(403, "You don't have permission to view these bookings");
     }
 
-    const bookings = await RestaurantBooking.find({restaurant: restaurantId}).populate("user", "name email").sort({reservationDate: -1, reservationTime: -1});
+    const bookings = await RestaurantBooking.find(filter).populate("user", "name email").sort({reservationDate: -1, reservationTime: -1});
 
     if (!bookings || bookings.length === 0) {
       logger.info(`No bookings found for restaurant: ${restaurantId}`);
@@ -374,6 +419,31 @@ const getRestaurantBookings = asyncHandler(async (req, res) => {
   }
 });
 
+// Cancel a reservation for its customer, freeing its tables; `cancelledBy` is null for guests
+const cancelRestaurantBookingRecord = async (booking, cancelledBy) => {
+  if (!canTransition(booking.status, "cancelled", "guest", RESTAURANT_BOOKING_TRANSITIONS)) {
+    logger.error(`Booking ${booking._id} can't be cancelled from status ${booking.status}`);
+    throw new ApiError(400, `A ${booking.status} booking cannot be cancelled`);
+  }
+
+  // Its share of a cart payment has no refund path here, so don't cancel it without one
+  if (booking.cart && booking.paymentStatus === "paid") {
+    logger.error(`Restaurant booking ${booking._id} was paid for with cart ${booking.cart}`);
+    throw new ApiError(400, "Bookings paid together with other items cannot be cancelled individually");
+  }
+
+  transitionBooking(booking, "cancelled", {
+    role: "guest",
+    by: cancelledBy,
+    transitions: RESTAURANT_BOOKING_TRANSITIONS
+  });
+  const cancelledBooking = await booking.save();
+  await reversePromoRedemption(booking);
+  await notifyWaitlist({restaurant: booking.restaurant});
+
+  return cancelledBooking;
+};
+
 /**
  * Cancel a restaurant booking
  */
@@ -391,31 +461,177 @@ const cancelRestaurantBooking = asyncHandler(async (req, res) => {
       throw new ApiError(404, "Restaurant booking not found");
     }
 
-    if (booking.user.toString() !== user.toString()) {
+    if (!booking.user || booking.user.toString() !== user.toString()) {
       logger.error(`User ${user} is not authorized to cancel booking ${id}`);
       throw new ApiError(403, "You are not authorized to cancel this booking");
     }
 
-    if (booking.status === "cancelled") {
-      logger.error(`Booking ${id} is already cancelled`);
-      throw new ApiError(400, "Booking is already cancelled");
-    }
-
-    booking.status = "cancelled";
-    const cancelledBooking = await booking.save();
+    const cancelledBooking = await cancelRestaurantBookingRecord(booking, user);
 
     logger.info(`Restaurant booking cancelled successfully for booking ID: ${id}`);
     res.status(200).json(new ApiResponse(200, cancelledBooking, "Restaurant booking cancelled successfully"));
   } catch (error) {
     logger.error(`Error cancelling restaurant booking ${id}: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
+    }
     throw new ApiError(500, "Failed to cancel restaurant booking");
   }
 });
 
+// Load the booking a guest access token was issued for
+const findGuestRestaurantBooking = async ({bookingId, email}) => {
+  const booking = await RestaurantBooking.findOne({_id: bookingId, "guestInfo.email": email});
+  if (!booking) {
+    logger.error(`Guest restaurant booking not found: ${bookingId}`);
+    throw new ApiError(404, "Restaurant booking not found");
+  }
+  return booking;
+};
+
+/**
+ * Get a guest's restaurant booking (via their access token)
+ */
+const getGuestRestaurantBooking = asyncHandler(async (req, res) => {
+  const booking = await findGuestRestaurantBooking(req.guestAccess);
+  await booking.populate("restaurant", "service openingHours");
+
+  res.status(200).json(new ApiResponse(200, booking, "Restaurant booking fetched successfully"));
+});
+
+/**
+ * Cancel a guest's restaurant booking (via their access token)
+ */
+const cancelGuestRestaurantBooking = asyncHandler(async (req, res) => {
+  const booking = await findGuestRestaurantBooking(req.guestAccess);
+
+  logger.info(`Starting cancelGuestRestaurantBooking process for booking ID: ${booking._id}`);
+
+  const cancelledBooking = await cancelRestaurantBookingRecord(booking, null);
+
+  logger.info(`Guest restaurant booking cancelled for booking ID: ${booking._id}`);
+  res.status(200).json(new ApiResponse(200, cancelledBooking, "Restaurant booking cancelled successfully"));
+});
+
+/**
+ * Price a pre-order against a restaurant's current menu
+ */
+const getPreOrderQuote = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const {selectedCuisines, reservationTime, promoCode} = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid restaurant ID");
+  }
+
+  const restaurant = await Restaurant.findById(id);
+  if (!restaurant || !restaurant.isAvailable) {
+    throw new ApiError(404, "Restaurant not found");
+  }
+
+  if (reservationTime && !/^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(reservationTime)) {
+    throw new ApiError(400, "Invalid reservation time format (HH:MM required)");
+  }
+
+  // Promo codes are checked against the restaurant's host and service; user limits apply at booking
+  let promo = null;
+  if (promoCode) {
+    const service = await Service.findById(restaurant.service).select("host");
+    promo = await findPromoCode({code: promoCode, bookingType: "restaurant", host: service
+        ?.host, service: restaurant.service});
+  }
+
+  const quote = applyPromoToPreOrder(priceSelectedCuisines(restaurant, selectedCuisines, reservationTime), promo);
+  assertPromoDiscount(promo, quote.discount);
+
+  res.status(200).json(new ApiResponse(200, {
+    ...quote,
+    currency: getPricingConfig().currency
+  }, "Pre-order priced successfully"));
+});
+
+// Local calendar date and HH:MM time of a slot, in the shape the booking endpoints accept
+const padTime = value => String(value).padStart(2, "0");
+const formatSlot = ({startsAt, endsAt}) => ({
+  reservationDate: `${startsAt.getFullYear()}-${padTime(startsAt.getMonth() + 1)}-${padTime(startsAt.getDate())}`,
+  reservationTime: `${padTime(startsAt.getHours())}:${padTime(startsAt.getMinutes())}`,
+  startsAt,
+  endsAt
+});
+
+/**
+ * Get the bookable seating times of a restaurant for a date and party size
+ */
+const getRestaurantSlots = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const {date, guests, zone} = req.query;
+  const numberOfGuests = Number(guests);
+
+  logger.info(`Fetching reservation slots for restaurant: ${id} on ${date} for ${guests} guests`);
+
+  // Step 1: Validate query
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid restaurant ID");
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "") || isNaN(new Date(date).getTime())) {
+    throw new ApiError(400, "date is required in YYYY-MM-DD format");
+  }
+
+  if (!Number.isInteger(numberOfGuests) || numberOfGuests < 1) {
+    throw new ApiError(400, "guests must be a positive integer");
+  }
+
+  if (zone && !TABLE_ZONES.includes(zone)) {
+    throw new ApiError(400, `Zone must be one of: ${TABLE_ZONES.join(", ")}`);
+  }
+
+  const restaurant = await Restaurant.findById(id);
+  if (!restaurant || !restaurant.isAvailable) {
+    throw new ApiError(404, "Restaurant not found");
+  }
+
+  // Step 2: Seating times from the day's shifts (including any that run past midnight)
+  const candidates = buildReservationSlots(restaurant, date);
+
+  // Step 3: Keep the times a table can still be assigned for
+  let slots = [];
+  if (candidates.length) {
+    const tables = await RestaurantTable.find({restaurant: restaurant._id, isActive: true}).lean();
+    const reservations = await findOverlappingReservations({
+      restaurant: restaurant._id,
+      startsAt: candidates[0].startsAt,
+      endsAt: candidates[candidates.length - 1].endsAt
+    });
+
+    slots = candidates.filter(({startsAt, endsAt}) => allocateTables({
+      restaurant,
+      tables,
+      reservations,
+      startsAt,
+      endsAt,
+      numberOfGuests,
+      zone
+    })).map(formatSlot);
+  }
+
+  res.status(200).json(new ApiResponse(200, {
+    date,
+    numberOfGuests,
+    durationMinutes: restaurant.reservationDurationMinutes,
+    slots
+  }, "Reservation slots fetched successfully"));
+});
+
 export {
   createRestaurantBooking,
+  createGuestRestaurantBooking,
+  getGuestRestaurantBooking,
+  cancelGuestRestaurantBooking,
   updateRestaurantBooking,
   getUserRestaurantBookings,
   getRestaurantBookings,
-  cancelRestaurantBooking
+  cancelRestaurantBooking,
+  getRestaurantSlots,
+  getPreOrderQuote
 };
\ No newline at end of file
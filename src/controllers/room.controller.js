@@ -8,6 +8,8 @@ import {User} from "../models/user.model.js";
 import logger from "../utils/logger.js";
 import {uploadOnCloudinary, deleteFromCloudinary} from "../utils/cloudinary.js";
 import mongoose from "mongoose";
+import {quoteRoomStay} from "../utils/pricing.js";
+import {findPromoCode, assertPromoDiscount} from "../utils/promoCode.js";
 // Create a new room
 
 const createRoom = asyncHandler(async (req, res) => {
@@ -268,6 +270,8 @@ const getAllRooms = asyncHandler(async (req, res) => {
       amenities,
       tags,
       isAvailable,
+      checkInDate,
+      checkOutDate,
       sortBy,
       sortOrder = "asc",
       page = 1,
@@ -344,6 +348,19 @@ const getAllRooms = asyncHandler(async (req, res) => {
       filter.isAvailable = isAvailable === "true";
     }
 
+    // Date search: leave out rooms that are booked or blocked for the stay
+    if (checkInDate && checkOutDate) {
+      const parsedCheckInDate = new Date(checkInDate);
+      const parsedCheckOutDate = new Date(checkOutDate);
+
+      if (isNaN(parsedCheckInDate.getTime()) || isNaN(parsedCheckOutDate.getTime()) || parsedCheckOutDate <= parsedCheckInDate) {
+        throw new ApiError(400, "Invalid check-in/check-out dates.");
+      }
+
+      filter.isAvailable = true;
+      filter.$nor = [Room.unavailableFilter(parsedCheckInDate, parsedCheckOutDate)];
+    }
+
     // Build the sort object
     const sort = {};
     if (sortBy) {
@@ -373,6 +390,9 @@ const getAllRooms = asyncHandler(async (req, res) => {
     }, "Rooms fetched successfully."));
   } catch (error) {
     logger.error(`Error fetching rooms: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
+    }
     throw new ApiError(500, "Failed to fetch rooms.");
   }
 });
@@ -484,6 +504,54 @@ const getRoomsByType = asyncHandler(async (req, res) => {
   res.status(200).json(new ApiResponse(200, rooms, "Rooms fetched successfully."));
 });
 
+// Get a server-side price quote for a stay
+const getRoomQuote = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const {checkInDate, checkOutDate, numberOfGuests = "1", promoCode} = req.query;
+
+  logger.info(`Generating quote for room ID: ${id}`);
+
+  // Step 1: Validate the room ID and query
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    logger.error(`Invalid room ID: ${id}`);
+    throw new ApiError(400, "Invalid room ID.");
+  }
+
+  if (!checkInDate || !checkOutDate) {
+    logger.error("Missing check-in or check-out date for quote");
+    throw new ApiError(400, "checkInDate and checkOutDate are required.");
+  }
+
+  // Step 2: Fetch the room
+  const room = await Room.findById(id);
+  if (!room) {
+    logger.error(`Room not found with ID: ${id}`);
+    throw new ApiError(404, "Room not found.");
+  }
+
+  // Step 3: Check the promo code against the room's host and service; user limits apply at booking
+  let promo = null;
+  if (promoCode) {
+    const service = await Service.findById(room.service).select("host");
+    promo = await findPromoCode({code: promoCode, bookingType: "room", host: service
+        ?.host, service: room.service});
+  }
+
+  // Step 4: Build the quote (same engine used when the booking is created)
+  const guests = Number(numberOfGuests);
+  const quote = await quoteRoomStay({room, checkInDate, checkOutDate, numberOfGuests: guests, promo});
+  assertPromoDiscount(promo, quote.promoDiscount);
+
+  logger.info(`Quote generated for room ID: ${id}, total: ${quote.totalPrice}`);
+  res.status(200).json(new ApiResponse(200, {
+    room: room._id,
+    checkInDate,
+    checkOutDate,
+    numberOfGuests: guests,
+    ...quote
+  }, "Quote generated successfully."));
+});
+
 const updateRoom = asyncHandler(async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -1105,6 +1173,7 @@ export {
   getRoomById,
   getRoomsByService,
   getRoomsByType,
+  getRoomQuote,
   updateRoom,
   deleteRoom,
   uploadRoomImages,
@@ -0,0 +1,124 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {Booking} from "../models/booking.model.js";
+import {findOwnedRoom} from "../utils/hostAccess.js";
+import {toDateOnly} from "../utils/pricing.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+const validBlockReasons = ["maintenance", "owner_use", "offline_sale", "other"];
+
+// Add a date block to a room
+const addRoomBlock = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const {startDate, endDate, reason, note} = req.body;
+  const userId = req.user._id;
+
+  logger.info(`Adding block to room ID: ${id} by user ID: ${userId}`);
+
+  // Step 1: Validate input
+  if (!startDate || !endDate || !reason) {
+    logger.error("Missing required fields for room block");
+    throw new ApiError(400, "startDate, endDate and reason are required.");
+  }
+
+  if (!validBlockReasons.includes(reason)) {
+    logger.error(`Invalid block reason: ${reason}`);
+    throw new ApiError(400, `Invalid reason. Valid reasons are: ${validBlockReasons.join(", ")}`);
+  }
+
+  const parsedStartDate = toDateOnly(startDate);
+  const parsedEndDate = toDateOnly(endDate);
+
+  if (isNaN(parsedStartDate.getTime()) || isNaN(parsedEndDate.getTime())) {
+    logger.error("Invalid block date format");
+    throw new ApiError(400, "Invalid date format.");
+  }
+
+  if (parsedEndDate <= parsedStartDate) {
+    logger.error("Block end date is not after start date");
+    throw new ApiError(400, "End date must be after start date.");
+  }
+
+  // Step 2: Verify ownership
+  const {room} = await findOwnedRoom(id, userId);
+
+  // Step 3: A block can't take away nights that are already sold
+  const overlappingBooking = await Booking.findOne(Booking.overlapFilter(room._id, parsedStartDate, parsedEndDate));
+  if (overlappingBooking) {
+    logger.error(`Block overlaps booking ${overlappingBooking._id} for room ${id}`);
+    throw new ApiError(409, "The room has bookings in this date range. Cancel or move them before blocking these dates.");
+  }
+
+  if (room.findOverlappingBlock(parsedStartDate, parsedEndDate)) {
+    logger.error(`Block overlaps an existing block for room ${id}`);
+    throw new ApiError(409, "These dates overlap an existing block.");
+  }
+
+  // Step 4: Save the block
+  room.blockedDates.push({
+    startDate: parsedStartDate,
+    endDate: parsedEndDate,
+    reason,
+    note: note?.trim() || "",
+    source: "manual",
+    createdBy: userId
+  });
+  await room.save();
+
+  const block = room.blockedDates[room.blockedDates.length - 1];
+  logger.info(`Block ${block._id} added to room ID: ${id}`);
+  res.status(201).json(new ApiResponse(201, block, "Room block added successfully."));
+});
+
+// List date blocks for a room
+const getRoomBlocks = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const {includePast} = req.query;
+
+  const {room} = await findOwnedRoom(id, req.user._id);
+
+  const today = toDateOnly(new Date());
+  const blocks = room.blockedDates.filter(block => includePast === "true" || block.endDate > today).sort((a, b) => a.startDate - b.startDate);
+
+  res.status(200).json(new ApiResponse(200, blocks, "Room blocks fetched successfully."));
+});
+
+// Remove a date block from a room
+const removeRoomBlock = asyncHandler(async (req, res) => {
+  const {id, blockId} = req.params;
+  const userId = req.user._id;
+
+  logger.info(`Removing block ${blockId} from room ID: ${id} by user ID: ${userId}`);
+
+  if (!mongoose.Types.ObjectId.isValid(blockId)) {
+    logger.error(`Invalid block ID: ${blockId}`);
+    throw new ApiError(400, "Invalid block ID.");
+  }
+
+  const {room} = await findOwnedRoom(id, userId);
+
+  const block = room.blockedDates.id(blockId);
+  if (!block) {
+    logger.error(`Block ${blockId} not found on room ${id}`);
+    throw new ApiError(404, "Room block not found.");
+  }
+
+  if (block.source === "ical") {
+    logger.error(`Block ${blockId} on room ${id} was imported from an external calendar`);
+    throw new ApiError(400, "Imported blocks follow their external calendar. Remove the calendar import instead.");
+  }
+
+  block.deleteOne();
+  await room.save();
+
+  logger.info(`Block ${blockId} removed from room ID: ${id}`);
+  res.status(200).json(new ApiResponse(200, {}, "Room block removed successfully."));
+});
+
+export {
+  addRoomBlock,
+  getRoomBlocks,
+  removeRoomBlock
+};
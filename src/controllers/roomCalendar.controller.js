@@ -0,0 +1,203 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {Room} from "../models/room.model.js";
+import {findOwnedRoom} from "../utils/hostAccess.js";
+import {buildRoomCalendar, syncCalendarImport} from "../utils/calendarSync.js";
+import {isSupportedCalendarUrl} from "../utils/ical.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+import {nanoid} from "nanoid";
+import {timingSafeEqual} from "crypto";
+
+// Most external calendars a single room can pull from
+const MAX_CALENDAR_IMPORTS = 10;
+
+// Compare feed tokens without leaking how much of them matched
+const tokensMatch = (expected, given) => {
+  if (!expected || typeof given !== "string") {
+    return false;
+  }
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+// Public feed URL for a room with the given token
+const feedUrl = (req, roomId, token) => `${req.protocol}://${req.get("host")}${req.baseUrl}/${roomId}/calendar.ics?token=${token}`;
+
+// Load a room the user owns together with its calendar settings
+const findOwnedRoomCalendar = async (roomId, userId) => {
+  await findOwnedRoom(roomId, userId);
+  return Room.findById(roomId).select("+calendarFeedToken +calendarImports");
+};
+
+// Find one of a room's calendar imports
+const findCalendarImport = (room, importId) => {
+  if (!mongoose.Types.ObjectId.isValid(importId)) {
+    logger.error(`Invalid calendar import ID: ${importId}`);
+    throw new ApiError(400, "Invalid calendar import ID.");
+  }
+
+  const calendarImport = room.calendarImports.id(importId);
+  if (!calendarImport) {
+    logger.error(`Calendar import ${importId} not found on room ${room._id}`);
+    throw new ApiError(404, "Calendar import not found.");
+  }
+  return calendarImport;
+};
+
+/**
+ * Serve a room's booked and blocked dates as an iCal feed (public, token protected)
+ */
+const getRoomCalendarFeed = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const {token} = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(404, "Calendar not found.");
+  }
+
+  // A wrong token looks the same as a missing room
+  const room = await Room.findById(id).select("+calendarFeedToken");
+  if (!room || !tokensMatch(room.calendarFeedToken, token)) {
+    logger.error(`Calendar feed requested for room ${id} with an invalid token`);
+    throw new ApiError(404, "Calendar not found.");
+  }
+
+  const calendar = await buildRoomCalendar(room);
+
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Content-Disposition", `inline; filename="room-${room._id}.ics"`);
+  res.status(200).send(calendar);
+});
+
+/**
+ * Get a room's feed URL and external calendars (room owner only)
+ */
+const getRoomCalendarSettings = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+
+  const room = await findOwnedRoomCalendar(id, req.user._id);
+
+  // The feed token is created the first time the host asks for it
+  if (!room.calendarFeedToken) {
+    room.calendarFeedToken = nanoid(32);
+    await room.save();
+    logger.info(`Calendar feed token created for room ID: ${id}`);
+  }
+
+  res.status(200).json(new ApiResponse(200, {
+    feedUrl: feedUrl(req, room._id, room.calendarFeedToken),
+    imports: room.calendarImports
+  }, "Room calendar fetched successfully."));
+});
+
+/**
+ * Replace a room's feed token, cutting off everyone using the old URL (room owner only)
+ */
+const resetCalendarFeedToken = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+
+  const room = await findOwnedRoomCalendar(id, req.user._id);
+  room.calendarFeedToken = nanoid(32);
+  await room.save();
+
+  logger.info(`Calendar feed token reset for room ID: ${id}`);
+  res.status(200).json(new ApiResponse(200, {
+    feedUrl: feedUrl(req, room._id, room.calendarFeedToken)
+  }, "Calendar feed URL reset successfully."));
+});
+
+/**
+ * Register an external iCal calendar and sync it straight away (room owner only)
+ */
+const addCalendarImport = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const {url, name} = req.body;
+  const userId = req.user._id;
+
+  logger.info(`Adding calendar import to room ID: ${id} by user ID: ${userId}`);
+
+  // Step 1: Validate input
+  if (!url || !isSupportedCalendarUrl(url)) {
+    logger.error(`Invalid calendar URL: ${url}`);
+    throw new ApiError(400, "A valid http(s) calendar URL is required.");
+  }
+
+  // Step 2: Verify ownership
+  const room = await findOwnedRoomCalendar(id, userId);
+
+  if (room.calendarImports.some(calendarImport => calendarImport.url === url.trim())) {
+    throw new ApiError(409, "This calendar is already imported for the room.");
+  }
+
+  if (room.calendarImports.length >= MAX_CALENDAR_IMPORTS) {
+    throw new ApiError(400, `A room can import at most ${MAX_CALENDAR_IMPORTS} calendars.`);
+  }
+
+  // Step 3: Save the import
+  room.calendarImports.push({
+    url: url.trim(),
+    name: name
+      ?.trim() || ""
+  });
+  await room.save();
+
+  // Step 4: Pull its events in now rather than waiting for the next sync run
+  const calendarImport = room.calendarImports[room.calendarImports.length - 1];
+  const result = await syncCalendarImport(room, calendarImport);
+
+  logger.info(`Calendar import ${calendarImport._id} added to room ID: ${id}`);
+  res.status(201).json(new ApiResponse(201, {
+    import: calendarImport,
+    sync: result
+  }, "Calendar import added successfully."));
+});
+
+/**
+ * Sync one external calendar now (room owner only)
+ */
+const syncCalendarImportNow = asyncHandler(async (req, res) => {
+  const {id, importId} = req.params;
+
+  const room = await findOwnedRoomCalendar(id, req.user._id);
+  const calendarImport = findCalendarImport(room, importId);
+
+  const result = await syncCalendarImport(room, calendarImport);
+
+  res.status(200).json(new ApiResponse(200, {
+    import: calendarImport,
+    sync: result
+  }, "Calendar synced successfully."));
+});
+
+/**
+ * Stop importing an external calendar and drop the blocks it created (room owner only)
+ */
+const removeCalendarImport = asyncHandler(async (req, res) => {
+  const {id, importId} = req.params;
+  const userId = req.user._id;
+
+  logger.info(`Removing calendar import ${importId} from room ID: ${id} by user ID: ${userId}`);
+
+  const room = await findOwnedRoomCalendar(id, userId);
+  const calendarImport = findCalendarImport(room, importId);
+
+  room.blockedDates = room.blockedDates.filter(block => !block.calendarImport
+    ?.equals(calendarImport._id));
+  calendarImport.deleteOne();
+  await room.save();
+
+  logger.info(`Calendar import ${importId} removed from room ID: ${id}`);
+  res.status(200).json(new ApiResponse(200, {}, "Calendar import removed successfully."));
+});
+
+export {
+  getRoomCalendarFeed,
+  getRoomCalendarSettings,
+  resetCalendarFeedToken,
+  addCalendarImport,
+  syncCalendarImportNow,
+  removeCalendarImport
+};
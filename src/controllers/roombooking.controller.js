@@ -7,6 +7,21 @@ import logger from "../utils/logger.js";
 import {Service} from "../models/services.model.js";
 import {Room} from "../models/room.model.js";
 import mongoose from "mongoose";
+import {quoteRoomStay, assertQuotedPrice, toPriceBreakdown} from "../utils/pricing.js";
+import {isStayChanged, recordAmendment, createAmendmentCharge, refundAmendment} from "../utils/bookingAmendment.js";
+import {getHoldExpiry} from "../utils/bookingHold.js";
+import {transitionBooking} from "../utils/bookingLifecycle.js";
+import {findOwnedService} from "../utils/hostAccess.js";
+import {assertNoRoomOffer, markWaitlistBooked, notifyWaitlist} from "../utils/waitlist.js";
+import {CANCELLABLE_STATUSES, quoteCancellations, applyCancellation, refundCancellations, syncReservationStatus} from "../utils/bookingCancellation.js";
+import {emailGuestAccessLinks, assertGuestAccessConfigured} from "../utils/guestAccess.js";
+import {normalizeReferenceCode} from "../utils/referenceCode.js";
+import {paymentReturnUrls, assertPaymentCurrency} from "../utils/payment_utils.js";
+import {RestaurantBooking} from "../models/restaurantBooking.model.js";
+import {Reservation} from "../models/reservation.model.js";
+import {RELEASED_RESTAURANT_BOOKING_STATUSES} from "../utils/restaurantReservation.js";
+import {PromoCode} from "../models/promoCode.model.js";
+import {findPromoCode, assertPromoDiscount, redeemPromoCode, updatePromoRedemption} from "../utils/promoCode.js";
 
 // Common validation function
 const validateBookingInputs = (req, isGuestBooking) => {
@@ -17,11 +32,10 @@ const validateBookingInputs = (req, isGuestBooking) => {
     checkInDate,
     checkOutDate,
     numberOfGuests,
-    totalPrice,
     paymentMethod
   } = req.body;
 
-  if (!host || !service || !room || !checkInDate || !checkOutDate || !numberOfGuests || !totalPrice || !paymentMethod) {
+  if (!host || !service || !room || !checkInDate || !checkOutDate || !numberOfGuests || !paymentMethod) {
     throw new ApiError(400, "All required fields must be provided");
   }
 
@@ -50,10 +64,6 @@ const validateBookingInputs = (req, isGuestBooking) => {
   if (!Number.isInteger(numberOfGuests) || numberOfGuests < 1) {
     throw new ApiError(400, "Number of guests must be a positive integer");
   }
-
-  if (isNaN(totalPrice) || totalPrice <= 0) {
-    throw new ApiError(400, "Total price must be a positive number");
-  }
 };
 
 // Common booking creation function
@@ -85,7 +95,8 @@ const createUserBooking = asyncHandler(async (req, res) => {
     numberOfGuests,
     totalPrice,
     paymentMethod,
-    specialRequests
+    specialRequests,
+    promoCode
   } = req.body;
 
   validateBookingInputs(req, false);
@@ -112,23 +123,29 @@ const createUserBooking = asyncHandler(async (req, res) => {
   }
 
   // Check availability
-  const overlappingBooking = await Booking.findOne({
-    room,
-    checkInDate: {
-      $lt: new Date(checkOutDate)
-    },
-    checkOutDate: {
-      $gt: new Date(checkInDate)
-    },
-    status: {
-      $ne: "cancelled"
-    }
-  });
+  const overlappingBooking = await Booking.findOne(Booking.overlapFilter(room, checkInDate, checkOutDate));
 
   if (overlappingBooking) {
     throw new ApiError(400, "Room is already booked for the selected dates");
   }
 
+  if (roomExists.findOverlappingBlock(checkInDate, checkOutDate)) {
+    throw new ApiError(400, "Room is not available for the selected dates");
+  }
+
+  await assertNoRoomOffer({room, checkInDate, checkOutDate, holder: req.user._id});
+
+  // Check the promo code, if any, before it goes into the price
+  const promo = promoCode
+    ? await findPromoCode({code: promoCode, bookingType: "room", host, service, user: req.user._id})
+    : null;
+
+  // Price the stay on the server; a client total is only accepted if it matches
+  const quote = await quoteRoomStay({room: roomExists, checkInDate, checkOutDate, numberOfGuests, promo});
+  assertPromoDiscount(promo, quote.promoDiscount);
+  assertQuotedPrice(totalPrice, quote);
+  assertPaymentCurrency(paymentMethod, quote.currency);
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -141,22 +158,35 @@ const createUserBooking = asyncHandler(async (req, res) => {
       checkInDate: new Date(checkInDate),
       checkOutDate: new Date(checkOutDate),
       numberOfGuests,
-      totalPrice,
+      totalPrice: quote.totalPrice,
+      priceBreakdown: toPriceBreakdown(quote),
+      promoCode: promo
+        ?._id || null,
       paymentMethod,
       specialRequests: specialRequests
         ?.trim() || "",
       paymentStatus: "pending",
       status: "pending",
+      expiresAt: getHoldExpiry(), // Released by the hold sweeper if payment never completes
       bookingSource: req.headers["x-booking-source"] || "web"
     };
 
     const newBooking = await createBookingRecord(bookingData, room, session);
+    if (promo) {
+      await redeemPromoCode({promo, user: req.user._id, bookingType: "room", booking: newBooking, amount: quote.promoDiscount, session});
+    }
     await session.commitTransaction();
 
+    // Close the user's waitlist offer for this room, if that's what they booked from
+    await markWaitlistBooked({user: req.user._id, room});
+
     res.status(201).json(new ApiResponse(201, newBooking, "Booking created successfully"));
   } catch (error) {
     await session.abortTransaction();
     logger.error(`Booking creation failed: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
+    }
     throw new ApiError(500, "Failed to create booking");
   } finally {
     session.endSession();
@@ -174,9 +204,13 @@ const createGuestBooking = asyncHandler(async (req, res) => {
     numberOfGuests,
     totalPrice,
     paymentMethod,
-    specialRequests
+    specialRequests,
+    promoCode
   } = req.body;
 
+  // Don't take a room the guest could never manage
+  assertGuestAccessConfigured();
+
   validateBookingInputs(req, true);
 
   // Validate entities
@@ -201,23 +235,29 @@ const createGuestBooking = asyncHandler(async (req, res) => {
   }
 
   // Check availability
-  const overlappingBooking = await Booking.findOne({
-    room,
-    checkInDate: {
-      $lt: new Date(checkOutDate)
-    },
-    checkOutDate: {
-      $gt: new Date(checkInDate)
-    },
-    status: {
-      $ne: "cancelled"
-    }
-  });
+  const overlappingBooking = await Booking.findOne(Booking.overlapFilter(room, checkInDate, checkOutDate));
 
   if (overlappingBooking) {
     throw new ApiError(400, "Room is already booked for the selected dates");
   }
 
+  if (roomExists.findOverlappingBlock(checkInDate, checkOutDate)) {
+    throw new ApiError(400, "Room is not available for the selected dates");
+  }
+
+  await assertNoRoomOffer({room, checkInDate, checkOutDate});
+
+  // Check the promo code, if any, before it goes into the price
+  const promo = promoCode
+    ? await findPromoCode({code: promoCode, bookingType: "room", host, service, guestEmail: req.guestInfo.email})
+    : null;
+
+  // Price the stay on the server; a client total is only accepted if it matches
+  const quote = await quoteRoomStay({room: roomExists, checkInDate, checkOutDate, numberOfGuests, promo});
+  assertPromoDiscount(promo, quote.promoDiscount);
+  assertQuotedPrice(totalPrice, quote);
+  assertPaymentCurrency(paymentMethod, quote.currency);
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -230,39 +270,61 @@ const createGuestBooking = asyncHandler(async (req, res) => {
       checkInDate: new Date(checkInDate),
       checkOutDate: new Date(checkOutDate),
       numberOfGuests,
-      totalPrice,
+      totalPrice: quote.totalPrice,
+      priceBreakdown: toPriceBreakdown(quote),
+      promoCode: promo
+        ?._id || null,
       paymentMethod,
       specialRequests: specialRequests
         ?.trim() || "",
       paymentStatus: "pending",
       status: "pending",
+      expiresAt: getHoldExpiry(), // Released by the hold sweeper if payment never completes
       bookingSource: req.headers["x-booking-source"] || "web"
     };
 
     const newBooking = await createBookingRecord(bookingData, room, session);
+    if (promo) {
+      await redeemPromoCode({promo, guestEmail: req.guestInfo.email, bookingType: "room", booking: newBooking, amount: quote.promoDiscount, session});
+    }
     await session.commitTransaction();
 
+    // The emailed link is how the guest gets back to this booking
+    await emailGuestAccessLinks(newBooking.guestInfo.email, [
+      {
+        bookingType: "room",
+        booking: newBooking
+      }
+    ]);
+
     res.status(201).json(new ApiResponse(201, newBooking, "Booking created successfully"));
   } catch (error) {
     await session.abortTransaction();
     logger.error(`Booking creation failed: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
+    }
     throw new ApiError(500, "Failed to create booking");
   } finally {
     session.endSession();
   }
 });
 
+// Who may manage a booking: its account holder, or the guest a link was issued to
+const isBookingUser = userId => booking => Boolean(booking.user && booking.user.toString() === userId
+  ?.toString());
+const isBookingGuest = ({bookingId, email}) => booking => !booking.user && booking._id.toString() === bookingId && booking.guestInfo
+  ?.email === email;
+
 /**
- * Update a booking
+ * Move a booking to new dates or guest count; `isOwner` decides whether the requester may change it.
+ * The stay is repriced and the difference charged or refunded (see bookingAmendment);
+ * `returnUrlsFor(paymentMethod)` gives redirect gateways the URLs to send the payer back to.
  */
-const updateBooking = asyncHandler(async (req, res) => {
-  const {id} = req.params;
-  const {checkInDate, checkOutDate, numberOfGuests, specialRequests} = req.body;
-  const userId = req.user
-    ?._id;
-
-  logger.info(`Starting updateBooking for booking ID: ${id}`);
-
+const rescheduleBooking = async (id, {checkInDate, checkOutDate, numberOfGuests, specialRequests}, isOwner, {
+  requestedBy = null,
+  returnUrlsFor = () => ({})
+} = {}) => {
   // Validate input
   if (!checkInDate || !checkOutDate || !numberOfGuests) {
     logger.error("Missing required fields");
@@ -285,9 +347,13 @@ const updateBooking = asyncHandler(async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
+  let booking;
+  let amendment = null;
+  let paymentIntent = null;
+
   try {
     // Find booking with room populated
-    const booking = await Booking.findById(id).populate("room").session(session);
+    booking = await Booking.findById(id).populate("room").session(session);
 
     if (!booking) {
       logger.error(`Booking not found: ${id}`);
@@ -295,35 +361,37 @@ const updateBooking = asyncHandler(async (req, res) => {
     }
 
     // Authorization check
-    if ((
-      booking.user && booking.user.toString() !== userId
-      ?.toString()) || (!booking.user && !req.user)) {
+    if (!isOwner(booking)) {
       logger.error(`Unauthorized update attempt`);
       throw new ApiError(403, "Not authorized to update this booking");
     }
 
+    if (!CANCELLABLE_STATUSES.includes(booking.status)) {
+      logger.error(`Booking ${id} cannot be changed from status: ${booking.status}`);
+      throw new ApiError(400, `A ${booking.status.replace("_", " ")} booking cannot be changed`);
+    }
+
+    // Group and trip lines share one payment, so their price can't be settled on its own
+    if (booking.reservation || booking.cart) {
+      logger.error(`Booking ${id} is part of a reservation or cart`);
+      throw new ApiError(400, "Bookings paid together with other items cannot be changed individually");
+    }
+
     // Check room availability for new dates
-    const overlappingBooking = await Booking.findOne({
-      room: booking.room._id,
-      checkInDate: {
-        $lt: parsedCheckOutDate
-      },
-      checkOutDate: {
-        $gt: parsedCheckInDate
-      },
-      status: {
-        $ne: "cancelled"
-      },
-      _id: {
-        $ne: id
-      }
-    }).session(session);
+    const overlappingBooking = await Booking.findOne(Booking.overlapFilter(booking.room._id, parsedCheckInDate, parsedCheckOutDate, id)).session(session);
 
     if (overlappingBooking) {
       logger.error(`Room already booked for new dates`);
       throw new ApiError(400, "Room is already booked for the selected dates");
     }
 
+    if (booking.room.findOverlappingBlock(parsedCheckInDate, parsedCheckOutDate)) {
+      logger.error(`Room is blocked for new dates`);
+      throw new ApiError(400, "Room is not available for the selected dates");
+    }
+
+    await assertNoRoomOffer({room: booking.room._id, checkInDate: parsedCheckInDate, checkOutDate: parsedCheckOutDate, holder: booking.user, session});
+
     // Update room's bookedDates
     const room = booking.room;
     if (room.bookedDates) {
@@ -336,18 +404,33 @@ const updateBooking = asyncHandler(async (req, res) => {
       await room.save({session});
     }
 
-    // Update booking
-    booking.checkInDate = parsedCheckInDate;
-    booking.checkOutDate = parsedCheckOutDate;
-    booking.numberOfGuests = numberOfGuests;
+    // Reprice the stay and record the amendment with its price difference
+    const changes = {
+      checkInDate: parsedCheckInDate,
+      checkOutDate: parsedCheckOutDate,
+      numberOfGuests: Number(numberOfGuests)
+    };
+    if (isStayChanged(booking, changes)) {
+      // A redeemed promo code keeps applying to the new stay
+      const promo = booking.promoCode
+        ? await PromoCode.findById(booking.promoCode).session(session)
+        : null;
+      const quote = await quoteRoomStay({room, ...changes, promo});
+      amendment = await recordAmendment(booking, changes, quote, {by: requestedBy, session});
+      await updatePromoRedemption(booking, quote.promoDiscount, session);
+
+      if (amendment.settlement.type === "charge") {
+        paymentIntent = await createAmendmentCharge(booking, amendment, session, returnUrlsFor(booking.paymentMethod));
+      }
+    }
+
     booking.specialRequests = specialRequests
       ?.trim() || "";
 
-    const updatedBooking = await booking.save({session});
+    await booking.save({session});
     await session.commitTransaction();
 
     logger.info(`Booking updated successfully: ${id}`);
-    res.status(200).json(new ApiResponse(200, updatedBooking, "Booking updated successfully"));
   } catch (error) {
     await session.abortTransaction();
     logger.error(`Booking update failed: ${error.message}`);
@@ -355,53 +438,144 @@ const updateBooking = asyncHandler(async (req, res) => {
   } finally {
     session.endSession();
   }
+
+  // Refund outside the transaction so a gateway failure doesn't undo the change
+  if (amendment) {
+    await refundAmendment(booking, amendment);
+    await notifyWaitlist({room: booking.room._id});
+  }
+
+  return {
+    booking,
+    amendment,
+    clientSecret: paymentIntent
+      ?.clientSecret || null,
+    redirectUrl: paymentIntent
+      ?.redirectUrl || null
+  };
+};
+
+// Response message describing how an amendment's price difference was settled
+const amendmentMessage = amendment => {
+  const settlement = amendment
+    ?.settlement;
+  if (settlement
+    ?.type === "charge") {
+    return `Booking updated. Please pay the price difference of ${settlement.amount}`;
+  }
+  if (settlement
+    ?.type === "refund" && settlement.status === "succeeded") {
+    return `Booking updated and ${settlement.amount} refunded`;
+  }
+  if (settlement
+    ?.status === "failed") {
+    return "Booking updated, but the refund could not be processed automatically";
+  }
+  return "Booking updated successfully";
+};
+
+/**
+ * Update a booking
+ */
+const updateBooking = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+
+  logger.info(`Starting updateBooking for booking ID: ${id}`);
+
+  const result = await rescheduleBooking(id, req.body, isBookingUser(req.user
+    ?._id), {
+    requestedBy: req.user
+      ?._id,
+    returnUrlsFor: paymentMethod => paymentReturnUrls(req, paymentMethod, "/api/v1/payments")
+  });
+
+  res.status(200).json(new ApiResponse(200, result, amendmentMessage(result.amendment)));
 });
 
 /**
- * Cancel a booking
+ * Update a guest booking (via the emailed management link)
  */
-const cancelBooking = asyncHandler(async (req, res) => {
+const updateGuestBooking = asyncHandler(async (req, res) => {
   const {id} = req.params;
-  const userId = req.user
-    ?._id;
 
-  logger.info(`Starting cancelBooking for booking ID: ${id}`);
+  logger.info(`Starting updateGuestBooking for booking ID: ${id}`);
 
-  const session = await mongoose.startSession();
-  session.startTransaction();
+  const result = await rescheduleBooking(id, req.body, isBookingGuest(req.guestAccess), {
+    returnUrlsFor: paymentMethod => paymentReturnUrls(req, paymentMethod, "/api/v1/payments")
+  });
 
-  try {
-    const booking = await Booking.findById(id).populate("room").session(session);
+  res.status(200).json(new ApiResponse(200, result, amendmentMessage(result.amendment)));
+});
 
-    if (!booking) {
-      logger.error(`Booking not found: ${id}`);
-      throw new ApiError(404, "Booking not found");
-    }
+// Load a booking the requester may cancel
+const findCancellableBooking = async (id, isOwner, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    logger.error(`Invalid booking ID: ${id}`);
+    throw new ApiError(400, "Invalid booking ID");
+  }
 
-    // Authorization check
-    if ((
-      booking.user && booking.user.toString() !== userId
-      ?.toString()) || (!booking.user && !req.user)) {
-      logger.error(`Unauthorized cancel attempt`);
-      throw new ApiError(403, "Not authorized to cancel this booking");
-    }
+  const booking = await Booking.findById(id).session(session);
 
-    // Update booking status
-    booking.status = "cancelled";
-    const cancelledBooking = await booking.save({session});
+  if (!booking) {
+    logger.error(`Booking not found: ${id}`);
+    throw new ApiError(404, "Booking not found");
+  }
 
-    // Remove from room's bookedDates if exists
-    if (
-      booking.room
-      ?.bookedDates) {
-      booking.room.bookedDates = booking.room.bookedDates.filter(dateRange => dateRange.booking.toString() !== id.toString());
-      await booking.room.save({session});
-    }
+  // Authorization check
+  if (!isOwner(booking)) {
+    logger.error(`Unauthorized cancel attempt`);
+    throw new ApiError(403, "Not authorized to cancel this booking");
+  }
 
-    await session.commitTransaction();
-    logger.info(`Booking cancelled successfully: ${id}`);
+  if (!CANCELLABLE_STATUSES.includes(booking.status)) {
+    logger.error(`Booking ${id} cannot be cancelled from status: ${booking.status}`);
+    throw new ApiError(400, `A ${booking.status} booking cannot be cancelled`);
+  }
+
+  return booking;
+};
+
+/**
+ * Preview the refund a cancellation would get under the host's policy
+ */
+const getCancellationQuote = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+
+  const booking = await findCancellableBooking(id, isBookingUser(req.user
+    ?._id));
+  const {quotes} = await quoteCancellations([booking]);
 
-    res.status(200).json(new ApiResponse(200, cancelledBooking, "Booking cancelled successfully"));
+  res.status(200).json(new ApiResponse(200, quotes[0], "Cancellation quote calculated successfully"));
+});
+
+/**
+ * Preview the refund a guest would get for cancelling (via the emailed management link)
+ */
+const getGuestCancellationQuote = asyncHandler(async (req, res) => {
+  const booking = await findCancellableBooking(req.params.id, isBookingGuest(req.guestAccess));
+  const {quotes} = await quoteCancellations([booking]);
+
+  res.status(200).json(new ApiResponse(200, quotes[0], "Cancellation quote calculated successfully"));
+});
+
+// Cancel a booking under the host's policy and refund it; `cancelledBy` is null for guests
+const cancelBookingRecord = async (id, isOwner, cancelledBy) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let booking;
+  let payments;
+  let quotes;
+
+  try {
+    booking = await findCancellableBooking(id, isOwner, session);
+    ({quotes, payments} = await quoteCancellations([booking], session));
+
+    // Update booking status, record the policy outcome and free the room
+    await applyCancellation(booking, quotes[0], cancelledBy, session);
+
+    await session.commitTransaction();
+    logger.info(`Booking cancelled successfully: ${id} (policy: ${quotes[0].policy}, refund: ${quotes[0].refundAmount})`);
   } catch (error) {
     await session.abortTransaction();
     logger.error(`Booking cancellation failed: ${error.message}`);
@@ -409,33 +583,165 @@ const cancelBooking = asyncHandler(async (req, res) => {
   } finally {
     session.endSession();
   }
+
+  // Refund outside the transaction so a gateway failure doesn't undo the cancellation
+  const refundStatus = await refundCancellations([booking], quotes, payments);
+  await notifyWaitlist({room: booking.room});
+
+  if (booking.reservation) {
+    await syncReservationStatus(booking.reservation);
+  }
+
+  const message = refundStatus === "failed"
+    ? "Booking cancelled, but the refund could not be processed automatically"
+    : "Booking cancelled successfully";
+
+  return {booking, message};
+};
+
+/**
+ * Cancel a booking and refund it according to the host's cancellation policy
+ */
+const cancelBooking = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const userId = req.user
+    ?._id;
+
+  logger.info(`Starting cancelBooking for booking ID: ${id}`);
+
+  const {booking, message} = await cancelBookingRecord(id, isBookingUser(userId), userId);
+
+  res.status(200).json(new ApiResponse(200, booking, message));
+});
+
+/**
+ * Cancel a guest booking (via the emailed management link)
+ */
+const cancelGuestBooking = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+
+  logger.info(`Starting cancelGuestBooking for booking ID: ${id}`);
+
+  const {booking, message} = await cancelBookingRecord(id, isBookingGuest(req.guestAccess), null);
+
+  res.status(200).json(new ApiResponse(200, booking, message));
+});
+
+/**
+ * Get a guest booking (via the emailed management link)
+ */
+const getGuestBooking = asyncHandler(async (req, res) => {
+  const {bookingId, email} = req.guestAccess;
+
+  const booking = await Booking.findOne({_id: bookingId, "guestInfo.email": email}).populate("host", "name email phone").populate("service", "name type").populate("room", "name roomType pricePerNight");
+
+  if (!booking) {
+    logger.error(`Guest booking not found: ${bookingId}`);
+    throw new ApiError(404, "Booking not found");
+  }
+
+  res.status(200).json(new ApiResponse(200, booking, "Booking retrieved successfully"));
+});
+
+/**
+ * Look up a guest booking (room or restaurant) by its confirmation code and the guest's email
+ */
+const lookupGuestBooking = asyncHandler(async (req, res) => {
+  const referenceCode = normalizeReferenceCode(req.body.referenceCode);
+  const email = req.body.email
+    ?.trim().toLowerCase();
+
+  if (!referenceCode || !email) {
+    throw new ApiError(400, "A valid booking reference and email are required");
+  }
+
+  const filter = {
+    referenceCode,
+    "guestInfo.email": email
+  };
+
+  const roomBooking = await Booking.findOne(filter).populate("service", "name type").populate("room", "name roomType");
+  if (roomBooking) {
+    return res.status(200).json(new ApiResponse(200, {bookingType: "room", booking: roomBooking}, "Booking retrieved successfully"));
+  }
+
+  const restaurantBooking = await RestaurantBooking.findOne(filter).populate("service", "name type");
+  if (restaurantBooking) {
+    return res.status(200).json(new ApiResponse(200, {bookingType: "restaurant", booking: restaurantBooking}, "Booking retrieved successfully"));
+  }
+
+  logger.error(`No guest booking found for reference ${referenceCode}`);
+  throw new ApiError(404, "No booking matches this reference and email");
+});
+
+/**
+ * Email a guest fresh management links for their upcoming bookings.
+ * Always answers the same way so the endpoint can't be used to discover bookings.
+ */
+const requestGuestBookingLinks = asyncHandler(async (req, res) => {
+  const email = req.body.email
+    ?.trim().toLowerCase();
+
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw new ApiError(400, "Please provide a valid email address");
+  }
+
+  const now = new Date();
+  const roomBookings = await Booking.find({
+    "guestInfo.email": email,
+    user: null,
+    status: {
+      $in: CANCELLABLE_STATUSES
+    },
+    checkOutDate: {
+      $gte: now
+    }
+  }).sort({checkInDate: 1});
+  const restaurantBookings = await RestaurantBooking.find({
+    "guestInfo.email": email,
+    user: null,
+    status: {
+      $nin: RELEASED_RESTAURANT_BOOKING_STATUSES
+    },
+    endsAt: {
+      $gte: now
+    }
+  }).sort({startsAt: 1});
+  // A group reservation is upcoming while any of its rooms is
+  const reservations = await Reservation.find({
+    "guestInfo.email": email,
+    user: null,
+    status: {
+      $in: ["pending", "confirmed", "partially_cancelled"]
+    }
+  }).populate("bookings");
+  const upcomingReservations = reservations.filter(reservation => reservation.bookings.some(booking => booking.checkOutDate >= now));
+
+  await emailGuestAccessLinks(email, [
+    ...roomBookings.map(booking => ({bookingType: "room", booking})),
+    ...restaurantBookings.map(booking => ({bookingType: "restaurant", booking})),
+    ...upcomingReservations.map(booking => ({bookingType: "reservation", booking}))
+  ]);
+
+  logger.info(`Guest booking links requested (${roomBookings.length + restaurantBookings.length + upcomingReservations.length} bookings found)`);
+  res.status(200).json(new ApiResponse(200, {}, "If we have upcoming bookings for this email, a link to manage them is on its way"));
 });
 
 /**
- * Get bookings for a user (authenticated or guest via email)
+ * Get bookings for the authenticated user (guests use their emailed management links)
  */
 const getUserBookings = asyncHandler(async (req, res) => {
   const userId = req.user
     ?._id;
-  const {email} = req.query; // For guest bookings lookup
 
-  logger.info(
-    `Starting getUserBookings for ${userId
-    ? "user"
-    : "guest"}: ${userId || email}`);
+  logger.info(`Starting getUserBookings for user: ${userId}`);
+
+  if (!userId) {
+    throw new ApiError(401, "Please log in to see your bookings");
+  }
 
   try {
-    let bookings;
-
-    if (userId) {
-      // Authenticated user
-      bookings = await Booking.find({user: userId}).populate("host", "name email phone").populate("service", "name type").populate("room", "name roomType pricePerNight").sort({checkInDate: -1});
-    } else if (email) {
-      // Guest user
-      bookings = await Booking.find({"guestInfo.email": email.toLowerCase()}).populate("host", "name email phone").populate("service", "name type").populate("room", "name roomType pricePerNight").sort({checkInDate: -1});
-    } else {
-      throw new ApiError(400, "User ID or guest email required");
-    }
+    const bookings = await Booking.find({user: userId}).populate("host", "name email phone").populate("service", "name type").populate("room", "name roomType pricePerNight").sort({checkInDate: -1});
 
     if (!bookings.length) {
       logger.info("No bookings found");
@@ -460,26 +766,23 @@ const getServiceBooking = asyncHandler(async (req, res) => {
 
   logger.info(`Starting getServiceBooking for service: ${serviceId}`);
 
-  try {
-    // Verify user is a host
-    const user = await User.findById(userId).populate("hostProfile");
-    if (
-      !user
-      ?.hostProfile) {
-      logger.error("User is not a host");
-      throw new ApiError(403, "Only hosts can access service bookings");
+  // Optional lookup by confirmation code
+  const filter = {
+    service: serviceId
+  };
+  if (req.query.reference) {
+    filter.referenceCode = normalizeReferenceCode(req.query.reference);
+    if (!filter.referenceCode) {
+      throw new ApiError(400, "Invalid booking reference");
     }
+  }
 
-    // Verify service belongs to host
-    const service = await Service.findOne({_id: serviceId, host: user.hostProfile._id});
-
-    if (!service) {
-      logger.error("Service not found or unauthorized");
-      throw new ApiError(404, "Service not found or unauthorized");
-    }
+  try {
+    // Verify the service belongs to the requesting host
+    await findOwnedService(serviceId, userId);
 
     // Get bookings
-    const bookings = await Booking.find({service: serviceId}).populate({
+    const bookings = await Booking.find(filter).populate({
       path: "user",
       select: "name email",
       options: {
@@ -500,11 +803,138 @@ const getServiceBooking = asyncHandler(async (req, res) => {
   }
 });
 
+// Load a booking of a service the host owns
+const findHostedBooking = async (id, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    logger.error(`Invalid booking ID: ${id}`);
+    throw new ApiError(400, "Invalid booking ID");
+  }
+
+  const booking = await Booking.findById(id);
+  if (!booking) {
+    logger.error(`Booking not found: ${id}`);
+    throw new ApiError(404, "Booking not found");
+  }
+
+  await findOwnedService(booking.service, userId);
+  return booking;
+};
+
+// Start of the check-in day, from when guests can arrive or be marked as no-shows
+const arrivalDayStart = booking => {
+  const start = new Date(booking.checkInDate);
+  start.setUTCHours(0, 0, 0, 0);
+  return start;
+};
+
+/**
+ * Mark a guest as arrived (host only)
+ */
+const checkInBooking = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const userId = req.user._id;
+
+  logger.info(`Checking in booking ${id} by user ID: ${userId}`);
+
+  const booking = await findHostedBooking(id, userId);
+
+  const now = new Date();
+  if (now < arrivalDayStart(booking) || now >= booking.checkOutDate) {
+    logger.error(`Booking ${id} checked in outside its stay`);
+    throw new ApiError(400, "Guests can only be checked in during their stay");
+  }
+
+  transitionBooking(booking, "checked_in", {
+    role: "host",
+    by: userId,
+    note: req.body
+      ?.note
+  });
+  await booking.save();
+
+  logger.info(`Booking checked in: ${id}`);
+  res.status(200).json(new ApiResponse(200, booking, "Guest checked in successfully"));
+});
+
+/**
+ * Mark a guest as departed, completing the stay (host only)
+ */
+const checkOutBooking = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const userId = req.user._id;
+
+  logger.info(`Checking out booking ${id} by user ID: ${userId}`);
+
+  const booking = await findHostedBooking(id, userId);
+
+  transitionBooking(booking, "completed", {
+    role: "host",
+    by: userId,
+    note: req.body
+      ?.note
+  });
+  await booking.save();
+
+  logger.info(`Booking checked out: ${id}`);
+  res.status(200).json(new ApiResponse(200, booking, "Guest checked out successfully"));
+});
+
+/**
+ * Mark a guest who never arrived as a no-show and free the room (host only).
+ * No refund is issued.
+ */
+const markNoShow = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  const userId = req.user._id;
+
+  logger.info(`Marking booking ${id} as no-show by user ID: ${userId}`);
+
+  const booking = await findHostedBooking(id, userId);
+
+  if (new Date() < arrivalDayStart(booking)) {
+    logger.error(`Booking ${id} marked as no-show before check-in day`);
+    throw new ApiError(400, "A booking can only be marked as a no-show from its check-in day");
+  }
+
+  transitionBooking(booking, "no_show", {
+    role: "host",
+    by: userId,
+    note: req.body
+      ?.note
+  });
+  await booking.save();
+
+  await Room.updateOne({
+    _id: booking.room
+  }, {
+    $pull: {
+      bookedDates: {
+        booking: booking._id
+      }
+    }
+  });
+
+  await notifyWaitlist({room: booking.room});
+
+  logger.info(`Booking marked as no-show: ${id}`);
+  res.status(200).json(new ApiResponse(200, booking, "Booking marked as no-show"));
+});
+
 export {
   createUserBooking,
   createGuestBooking,
   updateBooking,
+  updateGuestBooking,
   cancelBooking,
+  cancelGuestBooking,
+  getGuestBooking,
+  getGuestCancellationQuote,
+  requestGuestBookingLinks,
+  lookupGuestBooking,
+  getCancellationQuote,
   getUserBookings,
-  getServiceBooking
+  getServiceBooking,
+  checkInBooking,
+  checkOutBooking,
+  markNoShow
 };
\ No newline at end of file
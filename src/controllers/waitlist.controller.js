@@ -0,0 +1,181 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {Waitlist} from "../models/waitlist.model.js";
+import {Room} from "../models/room.model.js";
+import {Restaurant} from "../models/restaurant.model.js";
+import {RestaurantTable, TABLE_ZONES} from "../models/restaurantTable.model.js";
+import {validateStay, toDateOnly} from "../utils/pricing.js";
+import {parseReservationSlot, assertRestaurantOpen, getSeatingWindow, DEFAULT_DURATION_MINUTES} from "../utils/restaurantReservation.js";
+import {isRoomFree, findSeating, notifyWaitlist} from "../utils/waitlist.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+// Statuses in which an entry is still in the queue
+const OPEN_STATUSES = ["waiting", "offered"];
+
+// Validate a room waitlist request and return the entry fields
+const buildRoomEntry = async ({room, checkInDate, checkOutDate, numberOfGuests}, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(room)) {
+    throw new ApiError(400, "Invalid room ID");
+  }
+
+  const roomExists = await Room.findById(room);
+  if (!roomExists) {
+    throw new ApiError(404, "Room not found");
+  }
+
+  validateStay({room: roomExists, checkInDate, checkOutDate, numberOfGuests});
+  const fields = {
+    type: "room",
+    room: roomExists._id,
+    checkInDate: toDateOnly(checkInDate),
+    checkOutDate: toDateOnly(checkOutDate),
+    numberOfGuests
+  };
+
+  if (await isRoomFree({...fields, holder: userId})) {
+    throw new ApiError(409, "The room is available for these dates, please book it directly");
+  }
+
+  return fields;
+};
+
+// Validate a restaurant waitlist request and return the entry fields
+const buildRestaurantEntry = async ({restaurant, reservationDate, reservationTime, numberOfGuests, zone}, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(restaurant)) {
+    throw new ApiError(400, "Invalid restaurant ID");
+  }
+
+  if (!Number.isInteger(numberOfGuests) || numberOfGuests < 1) {
+    throw new ApiError(400, "Number of guests must be a positive integer");
+  }
+
+  if (zone && !TABLE_ZONES.includes(zone)) {
+    throw new ApiError(400, `Zone must be one of: ${TABLE_ZONES.join(", ")}`);
+  }
+
+  const restaurantExists = await Restaurant.findById(restaurant);
+  if (!restaurantExists || !restaurantExists.isAvailable) {
+    throw new ApiError(404, "Restaurant not found");
+  }
+
+  const {reservationDate: parsedReservationDate} = parseReservationSlot(reservationDate, reservationTime);
+  assertRestaurantOpen(restaurantExists, parsedReservationDate, reservationTime);
+
+  const {startsAt, endsAt} = getSeatingWindow(parsedReservationDate, reservationTime, restaurantExists.reservationDurationMinutes || DEFAULT_DURATION_MINUTES);
+  const fields = {
+    type: "restaurant",
+    restaurant: restaurantExists._id,
+    reservationDate: parsedReservationDate,
+    reservationTime,
+    startsAt,
+    endsAt,
+    numberOfGuests,
+    zone
+  };
+
+  const tables = await RestaurantTable.find({restaurant: restaurantExists._id, isActive: true}).lean();
+  if (await findSeating({...fields, restaurant: restaurantExists, tables, holder: userId})) {
+    throw new ApiError(409, "A table is available at this time, please book it directly");
+  }
+
+  return fields;
+};
+
+/**
+ * Join the waitlist for a sold-out room stay or restaurant slot
+ */
+const joinWaitlist = asyncHandler(async (req, res) => {
+  const {type} = req.body;
+  const userId = req.user._id;
+
+  logger.info(`User ${userId} joining the ${type} waitlist`);
+
+  // Step 1: Validate the request and check it really is sold out
+  let fields;
+  if (type === "room") {
+    fields = await buildRoomEntry(req.body, userId);
+  } else if (type === "restaurant") {
+    fields = await buildRestaurantEntry(req.body, userId);
+  } else {
+    throw new ApiError(400, "type must be either room or restaurant");
+  }
+
+  // Step 2: One place in the queue per user for the same stay or slot
+  const duplicate = await Waitlist.exists({
+    user: userId,
+    status: {
+      $in: OPEN_STATUSES
+    },
+    ...(
+      type === "room"
+      ? {
+        room: fields.room,
+        checkInDate: fields.checkInDate,
+        checkOutDate: fields.checkOutDate
+      }
+      : {
+        restaurant: fields.restaurant,
+        startsAt: fields.startsAt
+      })
+  });
+  if (duplicate) {
+    throw new ApiError(409, "You are already on the waitlist for this");
+  }
+
+  // Step 3: Join the queue
+  const entry = await Waitlist.create({
+    ...fields,
+    user: userId
+  });
+
+  logger.info(`Waitlist entry created: ${entry._id}`);
+  res.status(201).json(new ApiResponse(201, entry, "Added to the waitlist successfully"));
+});
+
+/**
+ * List the authenticated user's waitlist entries
+ */
+const getMyWaitlist = asyncHandler(async (req, res) => {
+  const entries = await Waitlist.find({user: req.user._id}).populate("room", "name roomType").populate("restaurant", "name").sort({createdAt: -1});
+
+  res.status(200).json(new ApiResponse(200, entries, "Waitlist fetched successfully"));
+});
+
+/**
+ * Leave the waitlist; an unused offer passes to the next person in line
+ */
+const leaveWaitlist = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid waitlist entry ID");
+  }
+
+  const entry = await Waitlist.findOne({_id: id, user: req.user._id});
+  if (!entry) {
+    throw new ApiError(404, "Waitlist entry not found");
+  }
+
+  if (!OPEN_STATUSES.includes(entry.status)) {
+    throw new ApiError(400, `The waitlist entry is already ${entry.status}`);
+  }
+
+  const wasOffered = entry.status === "offered";
+  entry.status = "cancelled";
+  await entry.save();
+
+  if (wasOffered) {
+    await notifyWaitlist({room: entry.room, restaurant: entry.restaurant});
+  }
+
+  logger.info(`Waitlist entry cancelled: ${id}`);
+  res.status(200).json(new ApiResponse(200, entry, "Removed from the waitlist successfully"));
+});
+
+export {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist
+};
@@ -1,6 +1,7 @@
 import {db_connection} from "./db/index.js";
 import dotenv from "dotenv";
 import app from "./app.js";
+import {startJobs} from "./jobs/index.js";
 // import geocodeCoordinates from "./utils/geoCordinates.js";
 
 // import {createStripePaymentIntent} from "./utils/payment_gateways/stripe.js";
@@ -16,6 +17,8 @@ db_connection().then(() => {
   app.listen(port, () => {
     console.log("server is listening on port:", port);
   });
+
+  startJobs();
 }).catch(err => {
   console.log("something went wrong: \n", err);
 });
@@ -0,0 +1,13 @@
+import {completeFinishedStays} from "../utils/bookingLifecycle.js";
+import logger from "../utils/logger.js";
+import {scheduleJob} from "./scheduleJob.js";
+
+/**
+ * Periodically complete stays whose checkout date has passed
+ */
+export const startBookingCompletionJob = () => scheduleJob("booking completion job", Number(process.env.BOOKING_COMPLETION_INTERVAL_MS || 15 * 60 * 1000), async () => {
+  const completed = await completeFinishedStays();
+  if (completed > 0) {
+    logger.info(`Booking completion job completed ${completed} stays`);
+  }
+});
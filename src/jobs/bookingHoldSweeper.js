@@ -0,0 +1,25 @@
+import {releaseExpiredHolds} from "../utils/bookingHold.js";
+import {releaseExpiredCarts} from "../utils/cartHold.js";
+import {expireWaitlistOffers} from "../utils/waitlist.js";
+import logger from "../utils/logger.js";
+import {scheduleJob} from "./scheduleJob.js";
+
+/**
+ * Periodically release unpaid booking holds and unused waitlist offers
+ */
+export const startBookingHoldSweeper = () => scheduleJob("booking hold sweeper", Number(process.env.BOOKING_HOLD_SWEEP_INTERVAL_MS || 60 * 1000), async () => {
+  const released = await releaseExpiredHolds();
+  if (released > 0) {
+    logger.info(`Booking hold sweeper released ${released} expired holds`);
+  }
+
+  const releasedCarts = await releaseExpiredCarts();
+  if (releasedCarts > 0) {
+    logger.info(`Booking hold sweeper released ${releasedCarts} expired cart checkouts`);
+  }
+
+  const expiredOffers = await expireWaitlistOffers();
+  if (expiredOffers > 0) {
+    logger.info(`Booking hold sweeper expired ${expiredOffers} unused waitlist offers`);
+  }
+});
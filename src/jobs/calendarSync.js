@@ -0,0 +1,13 @@
+import {syncAllCalendars} from "../utils/calendarSync.js";
+import logger from "../utils/logger.js";
+import {scheduleJob} from "./scheduleJob.js";
+
+/**
+ * Periodically pull hosts' external iCal calendars into room blocks
+ */
+export const startCalendarSyncJob = () => scheduleJob("calendar sync job", Number(process.env.CALENDAR_SYNC_INTERVAL_MS || 30 * 60 * 1000), async () => {
+  const synced = await syncAllCalendars();
+  if (synced > 0) {
+    logger.info(`Calendar sync job synced ${synced} external calendars`);
+  }
+});
@@ -0,0 +1,10 @@
+import {startBookingHoldSweeper} from "./bookingHoldSweeper.js";
+import {startBookingCompletionJob} from "./bookingCompletion.js";
+import {startCalendarSyncJob} from "./calendarSync.js";
+
+// Start background jobs once the database is connected
+export const startJobs = () => {
+  startBookingHoldSweeper();
+  startBookingCompletionJob();
+  startCalendarSyncJob();
+};
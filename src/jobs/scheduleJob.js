@@ -0,0 +1,29 @@
+import logger from "../utils/logger.js";
+
+/**
+ * Run `task` now and then every `intervalMs`. A run is skipped while the previous one is
+ * still going, and a failed run is logged without stopping the job. Returns the timer.
+ */
+export const scheduleJob = (name, intervalMs, task) => {
+  let isRunning = false;
+
+  const run = async () => {
+    if (isRunning) {
+      return;
+    }
+
+    isRunning = true;
+    try {
+      await task();
+    } catch (error) {
+      logger.error(`${name} failed: ${error.message}`);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  logger.info(`Starting ${name} (every ${intervalMs}ms)`);
+
+  run();
+  return setInterval(run, intervalMs);
+};
@@ -1,3 +1,5 @@
+import {verifyGuestAccessToken} from "../utils/guestAccess.js";
+
 export const verifyGuestBooking = (req, res, next) => {
   const {guestInfo} = req.body;
 
@@ -21,4 +23,25 @@ export const verifyGuestBooking = (req, res, next) => {
   };
 
   next();
-};
\ No newline at end of file
+};
+
+// Require a guest access token (query `token` or `x-guest-token` header) for the given booking type
+export const verifyGuestAccess = bookingType => (req, res, next) => {
+  const token = req.query.token || req.header("x-guest-token");
+  if (!token) {
+    return res.status(401).json({success: false, message: "Booking access token is required"});
+  }
+
+  try {
+    req.guestAccess = verifyGuestAccessToken(token, bookingType);
+  } catch (error) {
+    return res.status(error.statusCode || 401).json({success: false, message: error.message});
+  }
+
+  // A token only opens the booking it was issued for
+  if (req.params.id && req.params.id !== req.guestAccess.bookingId) {
+    return res.status(403).json({success: false, message: "This link is for a different booking"});
+  }
+
+  next();
+};
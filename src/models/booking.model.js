@@ -1,5 +1,6 @@
 import mongoose, {Schema} from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
+import {referenceCodePlugin} from "../utils/referenceCode.js";
 
 const booking = new Schema({
   // Reference to the User who made the booking (optional for guest bookings)
@@ -75,12 +76,31 @@ const booking = new Schema({
     required: true
   },
 
+  // Parent reservation when the booking is one line of a group booking
+  reservation: {
+    type: Schema.Types.ObjectId,
+    ref: "Reservation",
+    default: null
+  },
+
+  // Trip cart the booking was checked out from
+  cart: {
+    type: Schema.Types.ObjectId,
+    ref: "Cart",
+    default: null
+  },
+
   // Booking dates
   checkInDate: {
     type: Date,
     required: true,
     validate: {
       validator: function (value) {
+        // Only new or rescheduled stays are checked; existing stays eventually move into the past
+        if (!this.isNew && !this.isModified("checkInDate")) {
+          return true;
+        }
+
         const today = new Date();
         today.setHours(0, 0, 0, 0); // Set to midnight
 
@@ -117,11 +137,80 @@ const booking = new Schema({
     min: [0, "Total price cannot be negative."]
   },
 
+  // Server-side price breakdown the total was computed from
+  priceBreakdown: {
+    currency: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    nights: {
+      type: Number,
+      min: [1, "A stay must be at least 1 night."]
+    },
+    nightlyRates: [
+      {
+        _id: false,
+        date: Date,
+        price: Number,
+        ratePlan: {
+          type: Schema.Types.ObjectId,
+          ref: "RatePlan"
+        },
+        surcharge: Number
+      }
+    ],
+    baseAmount: {
+      type: Number,
+      min: [0, "Base amount cannot be negative."]
+    },
+    discounts: [
+      {
+        _id: false,
+        code: String,
+        label: String,
+        amount: Number
+      }
+    ],
+    discountTotal: {
+      type: Number,
+      default: 0
+    },
+    fees: [
+      {
+        _id: false,
+        code: String,
+        label: String,
+        amount: Number
+      }
+    ],
+    feesTotal: {
+      type: Number,
+      default: 0
+    },
+    taxRate: {
+      type: Number,
+      default: 0
+    },
+    taxes: {
+      type: Number,
+      default: 0
+    },
+    totalPrice: Number
+  },
+
+  // Promo code redeemed on the booking; its discount is in priceBreakdown.discounts
+  promoCode: {
+    type: Schema.Types.ObjectId,
+    ref: "PromoCode",
+    default: null
+  },
+
   // Payment details
   paymentStatus: {
     type: String,
     enum: [
-      "pending", "paid", "failed", "refunded"
+      "pending", "paid", "failed", "partially_refunded", "refunded"
     ],
     default: "pending"
   },
@@ -132,7 +221,7 @@ const booking = new Schema({
   paymentMethod: {
     type: String,
     enum: [
-      "paypal", "stripe", "razorpay", "esewa"
+      "paypal", "stripe", "razorpay", "esewa", "khalti", "fonepay", "credit_card"
     ],
     required: true
   },
@@ -145,11 +234,132 @@ const booking = new Schema({
   status: {
     type: String,
     enum: [
-      "pending", "confirmed", "cancelled", "completed"
+      "pending", "confirmed", "checked_in", "completed", "cancelled", "no_show", "expired"
     ],
     default: "pending"
   },
 
+  // Every status change, oldest first
+  statusHistory: [
+    {
+      _id: false,
+      from: String,
+      to: {
+        type: String,
+        required: true
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      },
+      by: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+      },
+      role: {
+        type: String,
+        enum: ["guest", "host", "admin", "system"]
+      },
+      note: String
+    }
+  ],
+  checkedInAt: {
+    type: Date,
+    default: null
+  },
+  checkedOutAt: {
+    type: Date,
+    default: null
+  },
+
+  // When an unpaid pending booking stops holding the room
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Outcome of a cancellation under the host's policy
+  cancellation: {
+    policy: {
+      type: String,
+      enum: ["flexible", "moderate", "strict"]
+    },
+    cancelledAt: Date,
+    cancelledBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User"
+    },
+    hoursBeforeCheckIn: Number,
+    refundPercent: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    refundAmount: {
+      type: Number,
+      min: [0, "Refund amount cannot be negative."]
+    },
+    penalty: {
+      type: Number,
+      min: [0, "Penalty cannot be negative."]
+    },
+    refundStatus: {
+      type: String,
+      enum: [
+        "not_required", "pending", "succeeded", "failed"
+      ]
+    },
+    refundError: String
+  },
+
+  // Changes to the stay after booking, oldest first, with how each price difference was settled
+  amendments: [
+    {
+      at: {
+        type: Date,
+        default: Date.now
+      },
+      by: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+      },
+      previous: {
+        checkInDate: Date,
+        checkOutDate: Date,
+        numberOfGuests: Number,
+        totalPrice: Number
+      },
+      checkInDate: Date,
+      checkOutDate: Date,
+      numberOfGuests: Number,
+      totalPrice: Number,
+      // Positive when the new stay costs more
+      priceDifference: Number,
+      settlement: {
+        type: {
+          type: String,
+          enum: ["none", "charge", "refund"],
+          default: "none"
+        },
+        status: {
+          type: String,
+          enum: [
+            "not_required", "pending", "succeeded", "failed"
+          ],
+          default: "not_required"
+        },
+        payment: {
+          type: Schema.Types.ObjectId,
+          ref: "Payment"
+        },
+        amount: Number,
+        refundPercent: Number,
+        penalty: Number,
+        error: String
+      }
+    }
+  ],
+
   // Additional notes or special requests from the user
   specialRequests: {
     type: String,
@@ -172,8 +382,12 @@ booking.index({user: 1});
 booking.index({"guestInfo.email": 1});
 booking.index({host: 1});
 booking.index({room: 1});
+booking.index({reservation: 1});
+booking.index({cart: 1});
 booking.index({status: 1});
 booking.index({paymentStatus: 1});
+booking.index({status: 1, expiresAt: 1});
+booking.index({status: 1, checkOutDate: 1});
 
 // Virtual field for booking duration (in days)
 booking.virtual("duration").get(function () {
@@ -187,6 +401,51 @@ booking.virtual("customerName").get(function () {
       ?.fullName;
 });
 
+// Statuses that no longer hold the room's inventory
+const RELEASED_BOOKING_STATUSES = ["cancelled", "no_show", "expired"];
+
+// Filter for bookings of a room that overlap a date range and still hold inventory
+booking.statics.overlapFilter = function (roomId, checkInDate, checkOutDate, excludeId = null) {
+  const filter = {
+    room: roomId,
+    checkInDate: {
+      $lt: new Date(checkOutDate)
+    },
+    checkOutDate: {
+      $gt: new Date(checkInDate)
+    },
+    status: {
+      $nin: RELEASED_BOOKING_STATUSES
+    },
+    // Lapsed holds stop counting even before the sweeper marks them expired
+    $or: [
+      {
+        expiresAt: null
+      }, {
+        expiresAt: {
+          $gt: new Date()
+        }
+      }
+    ]
+  };
+
+  if (excludeId) {
+    filter._id = {
+      $ne: excludeId
+    };
+  }
+
+  return filter;
+};
+
+// Record the status a booking starts in
+booking.pre("save", function (next) {
+  if (this.isNew && !this.statusHistory.length) {
+    this.statusHistory.push({from: null, to: this.status});
+  }
+  next();
+});
+
 // Auto-set payment date when payment is successful
 booking.pre("save", function (next) {
   if (this.paymentStatus === "paid" && !this.paymentDate) {
@@ -197,29 +456,30 @@ booking.pre("save", function (next) {
 
 // Prevent overlapping bookings for the same room
 booking.pre("save", async function (next) {
-  if (this.status === "cancelled") {
+  if (RELEASED_BOOKING_STATUSES.includes(this.status)) {
     return next(); // Skip validation for cancelled bookings
   }
 
-  const existingBooking = await mongoose.model("Booking").findOne({
-    room: this.room,
-    checkInDate: {
-      $lt: this.checkOutDate
-    },
-    checkOutDate: {
-      $gt: this.checkInDate
-    },
-    status: {
-      $ne: "cancelled"
-    },
-    _id: {
-      $ne: this._id
-    } // Exclude current booking when updating
-  });
+  // Exclude current booking when updating
+  const BookingModel = mongoose.model("Booking");
+  const existingBooking = await BookingModel.findOne(BookingModel.overlapFilter(this.room, this.checkInDate, this.checkOutDate, this._id));
 
   if (existingBooking) {
     return next(new Error("This room is already booked for the selected dates."));
   }
+
+  // Host blocks only matter when the stay itself changes
+  if (this.isNew || this.isModified("room") || this.isModified("checkInDate") || this.isModified("checkOutDate")) {
+    const RoomModel = mongoose.model("Room");
+    const blockedRoom = await RoomModel.exists({
+      _id: this.room,
+      ...RoomModel.blockOverlapFilter(this.checkInDate, this.checkOutDate)
+    });
+
+    if (blockedRoom) {
+      return next(new Error("This room is blocked for the selected dates."));
+    }
+  }
   next();
 });
 
@@ -233,9 +493,11 @@ booking.pre("validate", function (next) {
 
 // Plugin for pagination
 booking.plugin(mongoosePaginate);
+booking.plugin(referenceCodePlugin, {modelName: "Booking"});
 
 const Booking = mongoose.model("Booking", booking);
 
 export {
-  Booking
+  Booking,
+  RELEASED_BOOKING_STATUSES
 };
@@ -0,0 +1,131 @@
+import mongoose, {Schema} from "mongoose";
+import {TABLE_ZONES} from "./restaurantTable.model.js";
+import {preOrderItemSchema} from "./restaurantBooking.model.js";
+
+// A line item: either a room stay or a restaurant reservation
+const cartItemSchema = new Schema({
+  itemType: {
+    type: String,
+    enum: [
+      "room", "restaurant"
+    ],
+    required: true
+  },
+  host: {
+    type: Schema.Types.ObjectId,
+    ref: "Host",
+    required: true
+  },
+  service: {
+    type: Schema.Types.ObjectId,
+    ref: "Service",
+    required: true
+  },
+  numberOfGuests: {
+    type: Number,
+    required: true,
+    min: [1, "Must have at least 1 guest"]
+  },
+
+  // Room stay details
+  room: {
+    type: Schema.Types.ObjectId,
+    ref: "Room"
+  },
+  checkInDate: Date,
+  checkOutDate: Date,
+
+  // Restaurant reservation details
+  restaurant: {
+    type: Schema.Types.ObjectId,
+    ref: "Restaurant"
+  },
+  reservationDate: Date,
+  reservationTime: {
+    type: String,
+    match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Time must be in HH:MM format"]
+  },
+  zone: {
+    type: String,
+    enum: TABLE_ZONES
+  },
+  selectedCuisines: [preOrderItemSchema],
+
+  // Server price when the item was last validated
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, "Price cannot be negative"]
+  },
+
+  // Holds created at checkout
+  booking: {
+    type: Schema.Types.ObjectId,
+    ref: "Booking",
+    default: null
+  },
+  restaurantBooking: {
+    type: Schema.Types.ObjectId,
+    ref: "RestaurantBooking",
+    default: null
+  }
+});
+
+const cartSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  items: [cartItemSchema],
+
+  // open: editable; checkout: items held awaiting payment; paid: every item confirmed;
+  // expired: holds released because payment never completed
+  status: {
+    type: String,
+    enum: [
+      "open", "checkout", "paid", "expired"
+    ],
+    default: "open"
+  },
+
+  totalPrice: {
+    type: Number,
+    default: 0,
+    min: [0, "Total price cannot be negative"]
+  },
+  currency: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  paymentMethod: {
+    type: String,
+    enum: [
+      "paypal", "stripe", "razorpay", "esewa", "khalti", "fonepay", "credit_card"
+    ]
+  },
+  paymentStatus: {
+    type: String,
+    enum: [
+      "pending", "paid", "failed", "refunded"
+    ],
+    default: "pending"
+  },
+
+  // When checkout holds are released if still unpaid
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {timestamps: true});
+
+cartSchema.index({user: 1, status: 1});
+cartSchema.index({status: 1, expiresAt: 1});
+
+const Cart = mongoose.model("Cart", cartSchema);
+
+export {
+  Cart
+};
@@ -31,7 +31,23 @@ const paymentSchema = new Schema({
   booking: {
     type: Schema.Types.ObjectId,
     ref: "Booking",
-    required: true
+    required: function () {
+      return !this.reservation && !this.cart; // Group reservations and carts are paid as a whole
+    }
+  },
+  // Reference to the multi-room reservation the payment covers
+  reservation: {
+    type: Schema.Types.ObjectId,
+    ref: "Reservation"
+  },
+  // Reference to the trip cart the payment covers
+  cart: {
+    type: Schema.Types.ObjectId,
+    ref: "Cart"
+  },
+  // Amendment of the booking whose price increase this payment settles
+  amendment: {
+    type: Schema.Types.ObjectId
   },
   // Payment status (pending, paid, failed, refunded, etc.)
   paymentStatus: {
@@ -56,7 +72,7 @@ const paymentSchema = new Schema({
   paymentMethod: {
     type: String,
     enum: [
-      "paypal", "stripe", "razorpay", "esewa", "credit_card"
+      "paypal", "stripe", "razorpay", "esewa", "khalti", "fonepay", "credit_card"
     ],
     required: true
   },
@@ -88,6 +104,12 @@ const paymentSchema = new Schema({
     ],
     default: "not_refunded"
   },
+  // Total refunded so far (several partial refunds may be issued)
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, "Refunded amount cannot be negative"]
+  },
   // Payment metadata (can be expanded based on gateway response)
   paymentMetadata: {
     type: {
@@ -109,6 +131,8 @@ const paymentSchema = new Schema({
 // Indexes for better querying
 paymentSchema.index({user: 1});
 paymentSchema.index({booking: 1});
+paymentSchema.index({reservation: 1});
+paymentSchema.index({cart: 1});
 paymentSchema.index({paymentStatus: 1});
 paymentSchema.index({paymentMethod: 1});
 
@@ -164,20 +188,21 @@ paymentSchema.methods.processRefund = async function (refundAmount) {
     throw new Error("Refund can only be processed for successful payments");
   }
 
-  if (refundAmount > this.amount) {
+  const remaining = Math.round((this.amount - this.refundedAmount) * 100) / 100;
+  if (refundAmount > remaining) {
     throw new Error("Refund amount cannot exceed the payment amount");
   }
 
-  // Update refund status
-  if (refundAmount === this.amount) {
+  this.refundedAmount = Math.round((this.refundedAmount + refundAmount) * 100) / 100;
+
+  // Update refund and payment status once nothing is left to refund
+  if (this.refundedAmount >= this.amount) {
     this.refundStatus = "fully_refunded";
+    this.paymentStatus = "refunded";
   } else {
     this.refundStatus = "partially_refunded";
   }
 
-  // Update payment status
-  this.paymentStatus = "refunded";
-
   await this.save();
 };
 
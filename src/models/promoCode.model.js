@@ -0,0 +1,177 @@
+import mongoose, {Schema} from "mongoose";
+
+const PROMO_SCOPES = ["platform", "host", "service"];
+const PROMO_BOOKING_TYPES = ["room", "restaurant"];
+
+// A discount campaign redeemed with a code when a room or table is booked
+const promoCodeSchema = new Schema({
+  code: {
+    type: String,
+    required: [
+      true, "Promo code is required"
+    ],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, "Promo code must be 3-30 letters, digits, dashes or underscores"]
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, "Description cannot exceed 300 characters"]
+  },
+
+  discountType: {
+    type: String,
+    enum: [
+      "percentage", "fixed"
+    ],
+    required: true
+  },
+
+  // Percent off for percentage codes, amount off for fixed ones
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, "Discount must be positive"],
+    validate: {
+      validator: function (value) {
+        return this.discountType !== "percentage" || value <= 100;
+      },
+      message: "A percentage discount cannot exceed 100"
+    }
+  },
+
+  // Upper bound on a percentage discount, if any
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: [0, "Maximum discount cannot be negative"]
+  },
+
+  // Who the code is valid with: anyone on the platform, one host or one service
+  scope: {
+    type: String,
+    enum: PROMO_SCOPES,
+    default: "platform"
+  },
+  host: {
+    type: Schema.Types.ObjectId,
+    ref: "Host",
+    required: function () {
+      return this.scope === "host";
+    }
+  },
+  service: {
+    type: Schema.Types.ObjectId,
+    ref: "Service",
+    required: function () {
+      return this.scope === "service";
+    }
+  },
+
+  appliesTo: {
+    type: [
+      {
+        type: String,
+        enum: PROMO_BOOKING_TYPES
+      }
+    ],
+    default: PROMO_BOOKING_TYPES
+  },
+
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+
+  // Smallest pre-discount amount the code can be used on
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: [0, "Minimum spend cannot be negative"]
+  },
+
+  // Caps; null means unlimited
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, "Usage limit must be at least 1"]
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, "Per-user limit must be at least 1"]
+  },
+
+  // Only for guests who have never booked before
+  firstBookingOnly: {
+    type: Boolean,
+    default: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Live redemptions; reversed ones are given back
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Admin or host user who created the campaign
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    refPath: "createdByModel"
+  },
+  createdByModel: {
+    type: String,
+    enum: [
+      "Admin", "User"
+    ]
+  }
+}, {timestamps: true});
+
+promoCodeSchema.index({scope: 1, host: 1, service: 1});
+promoCodeSchema.index({isActive: 1, endsAt: 1});
+
+promoCodeSchema.pre("validate", function (next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    return next(new Error("Promo end date must be after its start date"));
+  }
+  next();
+});
+
+/**
+ * Discount the code gives on an amount; 0 when the amount is under the minimum spend
+ */
+promoCodeSchema.methods.calculateDiscount = function (amount) {
+  if (amount <= 0 || amount < this.minSpend) {
+    return 0;
+  }
+
+  let discount = this.discountType === "percentage"
+    ? amount * this.amount / 100
+    : this.amount;
+  if (this.discountType === "percentage" && this.maxDiscount !== null && this.maxDiscount !== undefined) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.round((Math.min(discount, amount) + Number.EPSILON) * 100) / 100;
+};
+
+const PromoCode = mongoose.model("PromoCode", promoCodeSchema);
+
+export {
+  PromoCode,
+  PROMO_SCOPES,
+  PROMO_BOOKING_TYPES
+};
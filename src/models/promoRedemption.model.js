@@ -0,0 +1,77 @@
+import mongoose, {Schema} from "mongoose";
+
+// One use of a promo code on a booking; reversed when the booking is cancelled or lapses
+const promoRedemptionSchema = new Schema({
+  promoCode: {
+    type: Schema.Types.ObjectId,
+    ref: "PromoCode",
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+
+  // Who redeemed it: an account, or a guest by email
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  guestEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+
+  bookingType: {
+    type: String,
+    enum: [
+      "room", "restaurant"
+    ],
+    required: true
+  },
+  booking: {
+    type: Schema.Types.ObjectId,
+    refPath: "bookingModel",
+    required: true
+  },
+  bookingModel: {
+    type: String,
+    enum: [
+      "Booking", "RestaurantBooking"
+    ],
+    required: true
+  },
+
+  // Discount taken off the booking
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, "Discount cannot be negative"]
+  },
+
+  status: {
+    type: String,
+    enum: [
+      "applied", "reversed"
+    ],
+    default: "applied"
+  },
+  reversedAt: {
+    type: Date,
+    default: null
+  }
+}, {timestamps: true});
+
+promoRedemptionSchema.index({promoCode: 1, status: 1});
+promoRedemptionSchema.index({promoCode: 1, user: 1, status: 1});
+promoRedemptionSchema.index({promoCode: 1, guestEmail: 1, status: 1});
+promoRedemptionSchema.index({booking: 1, status: 1});
+
+const PromoRedemption = mongoose.model("PromoRedemption", promoRedemptionSchema);
+
+export {
+  PromoRedemption
+};
@@ -0,0 +1,121 @@
+import mongoose, {Schema} from "mongoose";
+
+const ratePlanSchema = new Schema({
+  // Room this plan prices
+  room: {
+    type: Schema.Types.ObjectId,
+    ref: "Room",
+    required: [true, "Room reference is required"]
+  },
+
+  name: {
+    type: String,
+    required: [
+      true, "Rate plan name is required"
+    ],
+    trim: true,
+    maxlength: [100, "Rate plan name cannot exceed 100 characters"]
+  },
+
+  // Seasonal date range (both inclusive); leave empty for a year-round plan
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function (value) {
+        return !value || !this.startDate || value >= this.startDate;
+      },
+      message: "End date must be on or after start date"
+    }
+  },
+
+  // Nightly price for this plan (falls back to the room's pricePerNight)
+  nightlyPrice: {
+    type: Number,
+    min: [0, "Nightly price cannot be negative"]
+  },
+
+  // Price for weekend nights
+  weekendPrice: {
+    type: Number,
+    min: [0, "Weekend price cannot be negative"]
+  },
+
+  // Nights treated as weekend (0 = Sunday ... 6 = Saturday), Friday and Saturday by default
+  weekendDays: {
+    type: [
+      {
+        type: Number,
+        min: 0,
+        max: 6
+      }
+    ],
+    default: [5, 6]
+  },
+
+  // Minimum number of nights for stays touching this plan
+  minStay: {
+    type: Number,
+    default: 1,
+    min: [1, "Minimum stay must be at least 1 night"]
+  },
+
+  // Length-of-stay discounts, e.g. 10% off for 7+ nights
+  lengthOfStayDiscounts: [
+    {
+      _id: false,
+      minNights: {
+        type: Number,
+        required: true,
+        min: [2, "Length-of-stay discounts start at 2 nights"]
+      },
+      percent: {
+        type: Number,
+        required: true,
+        min: [0, "Discount cannot be negative"],
+        max: [100, "Discount cannot exceed 100%"]
+      }
+    }
+  ],
+
+  // Per-night surcharge for each guest above the base occupancy
+  occupancySurcharge: {
+    baseOccupancy: {
+      type: Number,
+      min: [1, "Base occupancy must be at least 1"]
+    },
+    amountPerExtraGuest: {
+      type: Number,
+      default: 0,
+      min: [0, "Surcharge cannot be negative"]
+    }
+  },
+
+  // Higher priority wins when plans overlap
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {timestamps: true});
+
+ratePlanSchema.index({room: 1, isActive: 1});
+
+// Active plans for a room, used by the pricing engine
+ratePlanSchema.statics.findActiveForRoom = function (roomId) {
+  return this.find({room: roomId, isActive: true});
+};
+
+const RatePlan = mongoose.model("RatePlan", ratePlanSchema);
+
+export {
+  RatePlan
+};
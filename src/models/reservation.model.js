@@ -0,0 +1,132 @@
+import mongoose, {Schema} from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+
+// A group reservation: several room bookings at one service paid with a single payment
+const reservationSchema = new Schema({
+  // Reference to the User who made the reservation (optional for guest reservations)
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: function () {
+      return !(this.guestInfo && this.guestInfo.email);
+    }
+  },
+
+  // Information for guest reservations
+  guestInfo: {
+    fullName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"]
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return !v || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+        },
+        message: "Please enter a valid email address"
+      }
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  },
+
+  host: {
+    type: Schema.Types.ObjectId,
+    ref: "Host",
+    required: true
+  },
+  service: {
+    type: Schema.Types.ObjectId,
+    ref: "Service",
+    required: true
+  },
+
+  // One Booking per room line
+  bookings: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "Booking"
+    }
+  ],
+
+  // Combined price of all lines
+  totalPrice: {
+    type: Number,
+    required: true,
+    min: [0, "Total price cannot be negative."]
+  },
+  currency: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+
+  paymentStatus: {
+    type: String,
+    enum: [
+      "pending", "paid", "failed", "partially_refunded", "refunded"
+    ],
+    default: "pending"
+  },
+  paymentMethod: {
+    type: String,
+    enum: [
+      "paypal", "stripe", "razorpay", "esewa", "khalti", "fonepay", "credit_card"
+    ],
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: [
+      "pending", "confirmed", "partially_cancelled", "cancelled", "expired"
+    ],
+    default: "pending"
+  },
+
+  // When the unpaid reservation stops holding its rooms
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  specialRequests: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Special requests cannot exceed 500 characters."]
+  },
+
+  bookingSource: {
+    type: String,
+    enum: [
+      "web", "mobile", "agent", "walk-in"
+    ],
+    default: "web"
+  }
+}, {timestamps: true});
+
+reservationSchema.index({user: 1});
+reservationSchema.index({"guestInfo.email": 1});
+reservationSchema.index({service: 1});
+reservationSchema.index({status: 1, expiresAt: 1});
+
+reservationSchema.pre("validate", function (next) {
+  if (!this.user && !(this.guestInfo && this.guestInfo.email)) {
+    return next(new Error("Reservation must be associated with either a registered user or include guest information."));
+  }
+  next();
+});
+
+reservationSchema.plugin(mongoosePaginate);
+
+const Reservation = mongoose.model("Reservation", reservationSchema);
+
+export {
+  Reservation
+};
@@ -1,5 +1,15 @@
 import mongoose, {Schema} from "mongoose";
 
+// Dietary labels and allergens a menu item can carry
+const DIETARY_TAGS = ["vegetarian", "vegan", "gluten_free", "dairy_free", "halal"];
+const ALLERGENS = ["nuts", "peanuts", "gluten", "dairy", "eggs", "soy", "fish", "shellfish", "sesame"];
+
+const timeOfDay = {
+  type: String,
+  required: true,
+  match: [/^(0[0-9]|1[0-9]|2[0-3]):[0-5][0-9]$/, "Time must be in HH:mm format."]
+};
+
 const restaurantSchema = new Schema({
   // Reference to the Service
   service: {
@@ -26,6 +36,29 @@ const restaurantSchema = new Schema({
   //   unique: true  Ensure restaurant names are unique
   // },
 
+  // Menu sections (starters, mains, drinks) in display order
+  menuCategories: [
+    {
+      name: {
+        type: String,
+        trim: true,
+        required: [
+          true, "Category name is required."
+        ],
+        maxlength: [50, "Category name cannot exceed 50 characters."]
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [300, "Category description cannot exceed 300 characters."]
+      },
+      sortOrder: {
+        type: Number,
+        default: 0
+      }
+    }
+  ],
+
   // Cuisine Details with individual prices and images
   cuisineDetails: [
     {
@@ -51,7 +84,69 @@ const restaurantSchema = new Schema({
         type: String,
         trim: true,
         match: [/^(https?:\/\/.*\.(?:png|jpg|jpeg|gif|webp))$/i, "Image URL must be valid and end with png, jpg, jpeg, gif, or webp."]
-      }
+      },
+      // Menu category the item is listed under
+      category: {
+        type: Schema.Types.ObjectId,
+        default: null
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Description cannot exceed 500 characters."]
+      },
+      dietaryTags: [
+        {
+          type: String,
+          enum: DIETARY_TAGS
+        }
+      ],
+      allergens: [
+        {
+          type: String,
+          enum: ALLERGENS
+        }
+      ],
+      // 0 = not spicy, 5 = very hot
+      spiceLevel: {
+        type: Number,
+        default: 0,
+        min: [0, "Spice level cannot be negative."],
+        max: [5, "Spice level cannot exceed 5."]
+      },
+      // Times of day the item is served (e.g. breakfast only); empty means whenever the restaurant is open
+      availableTimes: [
+        {
+          _id: false,
+          startTime: timeOfDay,
+          endTime: timeOfDay
+        }
+      ],
+      isSoldOut: {
+        type: Boolean,
+        default: false
+      },
+      sortOrder: {
+        type: Number,
+        default: 0
+      },
+      // Optional add-ons guests can pick when pre-ordering (extra cheese, large size)
+      modifiers: [
+        {
+          name: {
+            type: String,
+            trim: true,
+            required: [
+              true, "Modifier name is required."
+            ]
+          },
+          price: {
+            type: Number,
+            default: 0,
+            min: [0, "Modifier price cannot be negative."]
+          }
+        }
+      ]
     }
   ],
 
@@ -114,6 +209,29 @@ const restaurantSchema = new Schema({
     }
   ],
 
+  // How long a table is held for each reservation
+  reservationDurationMinutes: {
+    type: Number,
+    default: 90,
+    min: [15, "Reservation duration must be at least 15 minutes."],
+    max: [480, "Reservation duration cannot exceed 8 hours."]
+  },
+
+  // Spacing between the seating times offered to guests
+  slotIntervalMinutes: {
+    type: Number,
+    default: 15,
+    min: [5, "Slot interval must be at least 5 minutes."],
+    max: [120, "Slot interval cannot exceed 2 hours."]
+  },
+
+  // Bumped on every table allocation so concurrent allocations conflict instead of double-seating
+  allocationVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+
   // Availability Status
   isAvailable: {
     type: Boolean,
@@ -134,5 +252,7 @@ restaurantSchema.virtual("serviceName", {
 const Restaurant = mongoose.model("Restaurant", restaurantSchema);
 
 export {
-  Restaurant
+  Restaurant,
+  DIETARY_TAGS,
+  ALLERGENS
 };
\ No newline at end of file
@@ -1,13 +1,107 @@
 // models/restaurantBooking.model.js
 import mongoose, {Schema} from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
+import {referenceCodePlugin} from "../utils/referenceCode.js";
+import {TABLE_ZONES} from "./restaurantTable.model.js";
+
+// Pre-orders made before items were priced on the server stored only {name, price}
+function isSnapshotItem() {
+  return this.price === undefined || this.price === null;
+}
+
+// Snapshot of a pre-ordered menu item; later menu changes don't touch it
+const preOrderItemSchema = new Schema({
+  // Id of the item in the restaurant's cuisineDetails
+  cuisine: {
+    type: Schema.Types.ObjectId,
+    required: isSnapshotItem
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  unitPrice: {
+    type: Number,
+    required: isSnapshotItem,
+    min: [0, "Price cannot be negative"]
+  },
+  quantity: {
+    type: Number,
+    required: isSnapshotItem,
+    min: [1, "Quantity must be at least 1"]
+  },
+  modifiers: [
+    {
+      _id: false,
+      modifier: Schema.Types.ObjectId,
+      name: String,
+      price: Number
+    }
+  ],
+  // (unitPrice + modifier prices) x quantity
+  lineTotal: {
+    type: Number,
+    required: isSnapshotItem,
+    min: [0, "Price cannot be negative"]
+  },
+  // Legacy items' price, kept so they still validate
+  price: {
+    type: Number,
+    min: [0, "Price cannot be negative"]
+  }
+}, {_id: false});
 
 const restaurantBookingSchema = new Schema({
-  // Reference to the User who made the booking
+  // Reference to the User who made the booking (optional for guest bookings)
   user: {
     type: Schema.Types.ObjectId,
     ref: "User",
-    required: true
+    required: function () {
+      return !(this.guestInfo && (this.guestInfo.fullName || this.guestInfo.email));
+    },
+    validate: {
+      validator: function (v) {
+        const hasGuestInfo = this.guestInfo && (this.guestInfo.fullName || this.guestInfo.email);
+        return !(hasGuestInfo && v);
+      },
+      message: "Booking cannot have both user and guest information"
+    }
+  },
+
+  // Information for guest bookings (optional for registered users)
+  guestInfo: {
+    fullName: {
+      type: String,
+      required: function () {
+        return !this.user;
+      },
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"]
+    },
+    email: {
+      type: String,
+      required: function () {
+        return !this.user;
+      },
+      trim: true,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+        },
+        message: "Please enter a valid email address"
+      }
+    },
+    phone: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function (v) {
+          return !v || /^\+?[\d\s-]{10,}$/.test(v);
+        },
+        message: "Please enter a valid phone number"
+      }
+    }
   },
 
   // Reference to the Host
@@ -49,13 +143,48 @@ const restaurantBookingSchema = new Schema({
     min: [1, "Must have at least 1 guest"]
   },
 
-  selectedCuisines: [
+  // Seating window derived from the reservation date, time and duration
+  durationMinutes: {
+    type: Number,
+    default: 90,
+    min: [15, "Duration must be at least 15 minutes"]
+  },
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+
+  // Tables assigned for the seating window (several when tables are combined)
+  tables: [
     {
-      name: String,
-      price: Number
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantTable"
     }
   ],
 
+  // Preferred seating zone, if any
+  zone: {
+    type: String,
+    enum: TABLE_ZONES
+  },
+
+  // Pre-ordered dishes, priced from the menu when ordered
+  selectedCuisines: [preOrderItemSchema],
+
+  // Promo code redeemed on the pre-order and the amount it took off
+  promoCode: {
+    type: Schema.Types.ObjectId,
+    ref: "PromoCode",
+    default: null
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, "Discount cannot be negative"]
+  },
+
   totalPrice: {
     type: Number,
     required: true,
@@ -65,7 +194,7 @@ const restaurantBookingSchema = new Schema({
   paymentMethod: {
     type: String,
     enum: [
-      "credit_card", "paypal", "stripe", "razorpay", "esewa"
+      "credit_card", "paypal", "stripe", "razorpay", "esewa", "khalti", "fonepay"
     ],
     required: true
   },
@@ -92,11 +221,49 @@ const restaurantBookingSchema = new Schema({
   status: {
     type: String,
     enum: [
-      "pending", "confirmed", "cancelled", "completed"
+      "pending", "confirmed", "cancelled", "completed", "expired"
     ],
     default: "pending"
   },
 
+  // Every status change made through the booking lifecycle, oldest first
+  statusHistory: [
+    {
+      _id: false,
+      from: String,
+      to: {
+        type: String,
+        required: true
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      },
+      by: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+      },
+      role: {
+        type: String,
+        enum: ["guest", "host", "admin", "system"]
+      },
+      note: String
+    }
+  ],
+
+  // When an unpaid pending reservation stops holding its slot
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Trip cart the reservation was checked out from
+  cart: {
+    type: Schema.Types.ObjectId,
+    ref: "Cart",
+    default: null
+  },
+
   // For tracking purposes
   cancellationReason: {
     type: String,
@@ -114,17 +281,33 @@ const restaurantBookingSchema = new Schema({
 
 // Indexes for better query performance
 restaurantBookingSchema.index({user: 1});
+restaurantBookingSchema.index({"guestInfo.email": 1});
 restaurantBookingSchema.index({host: 1});
 restaurantBookingSchema.index({restaurant: 1});
 restaurantBookingSchema.index({status: 1});
 restaurantBookingSchema.index({paymentStatus: 1});
+restaurantBookingSchema.index({cart: 1});
 restaurantBookingSchema.index({reservationDate: 1, reservationTime: 1});
+restaurantBookingSchema.index({restaurant: 1, startsAt: 1, endsAt: 1});
 
 // Virtual for formatted reservation datetime
 restaurantBookingSchema.virtual("reservationDateTime").get(function () {
   return `${this.reservationDate.toDateString()} at ${this.reservationTime}`;
 });
 
+// Keep the seating window in sync with the reservation date, time and duration
+restaurantBookingSchema.pre("validate", function (next) {
+  if (this.reservationDate && this.reservationTime && (!this.startsAt || this.isModified("reservationDate") || this.isModified("reservationTime") || this.isModified("durationMinutes"))) {
+    const [hours, minutes] = this.reservationTime.split(":").map(Number);
+    const startsAt = new Date(this.reservationDate);
+    startsAt.setHours(hours, minutes, 0, 0);
+
+    this.startsAt = startsAt;
+    this.endsAt = new Date(startsAt.getTime() + this.durationMinutes * 60 * 1000);
+  }
+  next();
+});
+
 // Auto-set payment date when payment is successful
 restaurantBookingSchema.pre("save", function (next) {
   if (this.paymentStatus === "paid" && !this.paymentDate) {
@@ -135,9 +318,11 @@ restaurantBookingSchema.pre("save", function (next) {
 
 // Plugin for pagination
 restaurantBookingSchema.plugin(mongoosePaginate);
+restaurantBookingSchema.plugin(referenceCodePlugin, {modelName: "RestaurantBooking"});
 
 const RestaurantBooking = mongoose.model("RestaurantBooking", restaurantBookingSchema);
 
 export {
-  RestaurantBooking
+  RestaurantBooking,
+  preOrderItemSchema
 };
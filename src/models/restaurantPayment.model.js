@@ -6,7 +6,27 @@ const restaurantPaymentSchema = new Schema({
   user: {
     type: Schema.Types.ObjectId,
     ref: "User",
-    required: true
+    required: function () {
+      return !this.guestInfo
+        ?.email; // Only required if no guest info
+    }
+  },
+  // Information for guest payments
+  guestInfo: {
+    email: {
+      type: String,
+      required: function () {
+        return !this.user; // Only required if no user provided
+      },
+      trim: true,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+        },
+        message: "Please enter a valid email address"
+      }
+    }
   },
   // Reference to the restaurantBooking related to the payment
   restaurantBooking: {
@@ -37,7 +57,7 @@ const restaurantPaymentSchema = new Schema({
   paymentMethod: {
     type: String,
     enum: [
-      "paypal", "stripe", "razorpay", "esewa", "credit_card"
+      "paypal", "stripe", "razorpay", "esewa", "khalti", "fonepay", "credit_card"
     ],
     required: true
   },
@@ -0,0 +1,73 @@
+import mongoose, {Schema} from "mongoose";
+
+// Seating areas a table can belong to
+const TABLE_ZONES = ["indoor", "outdoor", "terrace", "bar", "private"];
+
+// A physical table in a restaurant's floor plan
+const restaurantTableSchema = new Schema({
+  restaurant: {
+    type: Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: [
+      true, "Restaurant reference is required."
+    ]
+  },
+
+  // Label staff use for the table, e.g. "T4"
+  label: {
+    type: String,
+    required: [
+      true, "Table label is required."
+    ],
+    trim: true,
+    maxlength: [20, "Table label cannot exceed 20 characters."]
+  },
+
+  // Seats at the table
+  capacity: {
+    type: Number,
+    required: [
+      true, "Table capacity is required."
+    ],
+    min: [1, "Table capacity must be at least 1."]
+  },
+
+  // Smallest party the table is given to on its own (keeps large tables for large parties)
+  minPartySize: {
+    type: Number,
+    default: 1,
+    min: [1, "Minimum party size must be at least 1."]
+  },
+
+  zone: {
+    type: String,
+    enum: TABLE_ZONES,
+    default: "indoor"
+  },
+
+  // Neighbouring tables this one can be pushed together with
+  combinableWith: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantTable"
+    }
+  ],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {timestamps: true});
+
+restaurantTableSchema.index({
+  restaurant: 1,
+  label: 1
+}, {unique: true});
+restaurantTableSchema.index({restaurant: 1, isActive: 1});
+
+const RestaurantTable = mongoose.model("RestaurantTable", restaurantTableSchema);
+
+export {
+  RestaurantTable,
+  TABLE_ZONES
+};
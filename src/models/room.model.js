@@ -127,6 +127,63 @@ const roomSchema = new Schema({
       }
     }
   ],
+
+  // Host-managed date blocks (maintenance, owner use, offline sales).
+  // endDate is exclusive, like a booking's checkOutDate.
+  blockedDates: [
+    {
+      startDate: {
+        type: Date,
+        required: true
+      },
+      endDate: {
+        type: Date,
+        required: true,
+        validate: {
+          validator: function (value) {
+            return value > this.startDate;
+          },
+          message: "Block end date must be after start date"
+        }
+      },
+      reason: {
+        type: String,
+        enum: [
+          "maintenance", "owner_use", "offline_sale", "external_booking", "other"
+        ],
+        required: true
+      },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Block note cannot exceed 500 characters"]
+      },
+      source: {
+        type: String,
+        enum: [
+          "manual", "ical"
+        ],
+        default: "manual"
+      },
+      // Imported blocks: the calendar they came from and the event's UID there
+      calendarImport: {
+        type: Schema.Types.ObjectId,
+        default: null
+      },
+      externalUid: {
+        type: String,
+        trim: true
+      },
+      createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
   // Room features
   size: {
     type: Number,
@@ -184,6 +241,50 @@ const roomSchema = new Schema({
     }
   ],
 
+  // Secret token for the room's .ics feed, created the first time the host asks for it
+  calendarFeedToken: {
+    type: String,
+    select: false
+  },
+
+  // External iCal calendars (other channels) synced into blockedDates
+  calendarImports: {
+    type: [
+      {
+        name: {
+          type: String,
+          trim: true,
+          maxlength: [100, "Calendar name cannot exceed 100 characters"]
+        },
+        url: {
+          type: String,
+          required: true,
+          trim: true
+        },
+        lastSyncedAt: {
+          type: Date,
+          default: null
+        },
+        lastSyncStatus: {
+          type: String,
+          enum: [
+            "pending", "ok", "failed"
+          ],
+          default: "pending"
+        },
+        lastSyncError: {
+          type: String,
+          default: null
+        },
+        eventCount: {
+          type: Number,
+          default: 0
+        }
+      }
+    ],
+    select: false
+  },
+
   accommodationImages: [
     {
       type: String,
@@ -228,6 +329,46 @@ roomSchema.virtual("totalCapacity").get(function () {
   return this.capacity.adults + this.capacity.children;
 });
 
+// Matches a date range against stored [start, end) ranges
+const rangeOverlap = (startField, endField, startDate, endDate) => ({
+  [startField]: {
+    $lt: new Date(endDate)
+  },
+  [endField]: {
+    $gt: new Date(startDate)
+  }
+});
+
+// Filter for rooms that have a block overlapping the range
+roomSchema.statics.blockOverlapFilter = function (startDate, endDate) {
+  return {
+    blockedDates: {
+      $elemMatch: rangeOverlap("startDate", "endDate", startDate, endDate)
+    }
+  };
+};
+
+// Filter for rooms that are booked or blocked during the range (used by availability search)
+roomSchema.statics.unavailableFilter = function (startDate, endDate) {
+  return {
+    $or: [
+      {
+        bookedDates: {
+          $elemMatch: rangeOverlap("checkInDate", "checkOutDate", startDate, endDate)
+        }
+      },
+      this.blockOverlapFilter(startDate, endDate)
+    ]
+  };
+};
+
+// First block overlapping the range, if any
+roomSchema.methods.findOverlappingBlock = function (startDate, endDate) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  return (this.blockedDates || []).find(block => block.startDate < end && block.endDate > start) || null;
+};
+
 const Room = mongoose.model("Room", roomSchema);
 
 export {
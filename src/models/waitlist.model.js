@@ -0,0 +1,108 @@
+import mongoose, {Schema} from "mongoose";
+
+// A user waiting for a sold-out room stay or restaurant slot to free up
+const waitlistSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: [
+      true, "User reference is required."
+    ]
+  },
+
+  type: {
+    type: String,
+    enum: [
+      "room", "restaurant"
+    ],
+    required: true
+  },
+
+  // Room stays
+  room: {
+    type: Schema.Types.ObjectId,
+    ref: "Room",
+    required: function () {
+      return this.type === "room";
+    }
+  },
+  checkInDate: {
+    type: Date,
+    required: function () {
+      return this.type === "room";
+    }
+  },
+  checkOutDate: {
+    type: Date,
+    required: function () {
+      return this.type === "room";
+    }
+  },
+
+  // Restaurant slots; the seating window is derived when the user joins
+  restaurant: {
+    type: Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: function () {
+      return this.type === "restaurant";
+    }
+  },
+  reservationDate: Date,
+  reservationTime: String,
+  startsAt: Date,
+  endsAt: Date,
+  zone: String,
+
+  numberOfGuests: {
+    type: Number,
+    required: true,
+    min: [1, "At least one guest is required."]
+  },
+
+  // waiting -> offered -> booked, or expired once an offer runs out unused
+  status: {
+    type: String,
+    enum: [
+      "waiting", "offered", "booked", "expired", "cancelled"
+    ],
+    default: "waiting"
+  },
+
+  // Priority hold given to the user when the stay or slot frees up
+  offeredAt: {
+    type: Date,
+    default: null
+  },
+  offerExpiresAt: {
+    type: Date,
+    default: null
+  },
+  // Tables set aside for a restaurant offer
+  tables: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantTable"
+    }
+  ]
+}, {timestamps: true});
+
+waitlistSchema.index({user: 1, status: 1});
+waitlistSchema.index({room: 1, status: 1, createdAt: 1});
+waitlistSchema.index({restaurant: 1, status: 1, createdAt: 1});
+waitlistSchema.index({status: 1, offerExpiresAt: 1});
+
+// Filter for offers that still hold their stay or slot
+waitlistSchema.statics.activeOfferFilter = function () {
+  return {
+    status: "offered",
+    offerExpiresAt: {
+      $gt: new Date()
+    }
+  };
+};
+
+const Waitlist = mongoose.model("Waitlist", waitlistSchema);
+
+export {
+  Waitlist
+};
@@ -7,8 +7,10 @@ import {
   refreshAdminToken,
   updateHostStatus,
   getAllHostsByStatus,
-  deleteAdmin
+  deleteAdmin,
+  getBookingByReference
 } from "../controllers/admin.controller.js";
+import {createPromoCode, getPromoCodes, updatePromoCode, deletePromoCode, getPromoCodeRedemptions} from "../controllers/promoCode.controller.js";
 import {verifyAdminJwt, verifyAdminRefreshToken} from "../middlewares/admin.auth.middlewares.js";
 
 const router = express.Router();
@@ -26,5 +28,11 @@ router.route("/:adminId").delete(deleteAdmin); // DELETE /api/v1/admin/:adminId
 router.route("/logout").post(logoutAdmin);
 router.route("/:hostId/status").patch(updateHostStatus);
 router.route("/").get(getAllHostsByStatus);
+router.route("/bookings/:referenceCode").get(getBookingByReference); // Look up any booking by confirmation code
+
+// Promo code campaigns of any scope
+router.route("/promo-codes").get(getPromoCodes).post(createPromoCode);
+router.route("/promo-codes/:id").patch(updatePromoCode).delete(deletePromoCode);
+router.route("/promo-codes/:id/redemptions").get(getPromoCodeRedemptions);
 
 export default router;
\ No newline at end of file
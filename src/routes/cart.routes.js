@@ -0,0 +1,23 @@
+import Router from "express";
+import {
+  getCart,
+  addCartItem,
+  removeCartItem,
+  checkoutCart,
+  cancelCheckout
+} from "../controllers/cart.controller.js";
+import {verifyJwt} from "../middlewares/auth.middlewares.js";
+
+const router = Router();
+
+// All cart routes belong to the authenticated user
+router.use(verifyJwt);
+
+router.get("/", getCart);
+router.post("/items", addCartItem);
+router.delete("/items/:itemId", removeCartItem);
+
+// One payment confirms every item; cancelling releases them all
+router.route("/checkout").post(checkoutCart).delete(cancelCheckout);
+
+export default router;
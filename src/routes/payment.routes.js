@@ -2,15 +2,19 @@ import Router from "express";
 import {
   createUserPayment,
   createGuestPayment,
+  createReservationPayment,
+  createGuestReservationPayment,
   updatePaymentStatus,
   getUserPayments,
   getPaymentById,
   confirmUserPayment,
   confirmGuestPayment,
-  handleStripeWebhookController
+  handlePaymentReturn,
+  handlePaymentWebhookController
 } from "../controllers/payment.controller.js";
 import {verifyJwt} from "../middlewares/auth.middlewares.js";
 import {verifyGuestPayment} from "../middlewares/guestPayment.middlewares.js";
+import {verifyGuestAccess} from "../middlewares/guest.middlewares.js";
 
 const router = Router();
 
@@ -23,12 +27,19 @@ router.get("/user/:id", verifyJwt, getPaymentById);
 router.post("/guest", verifyGuestPayment, createGuestPayment);
 router.post("/guest/confirm", confirmGuestPayment); // No auth for guests
 
+// Group reservation payments (one payment for all room lines)
+router.post("/reservation/user", verifyJwt, createReservationPayment);
+router.post("/reservation/guest", verifyGuestAccess("reservation"), createGuestReservationPayment);
+
 
 // Shared routes
 router.put("/:id/status", verifyJwt, updatePaymentStatus);
 router.post("/users/confirm", verifyJwt, confirmUserPayment);
 
+// Payers coming back from redirect gateways (no auth; verified with the gateway)
+router.get("/return/:gateway/:result", handlePaymentReturn);
+
 // Webhook (no auth)
-router.post("/webhook", handleStripeWebhookController);
+router.post("/webhook", handlePaymentWebhookController);
 
 export default router;
\ No newline at end of file
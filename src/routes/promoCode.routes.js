@@ -0,0 +1,14 @@
+import Router from "express";
+import {createPromoCode, getPromoCodes, updatePromoCode, deletePromoCode, getPromoCodeRedemptions} from "../controllers/promoCode.controller.js";
+import {verifyJwt} from "../middlewares/auth.middlewares.js";
+
+const router = Router();
+
+// Hosts manage campaigns for their own properties; admins use the same handlers under /admin/promo-codes
+router.use(verifyJwt);
+
+router.route("/").get(getPromoCodes).post(createPromoCode);
+router.route("/:id").patch(updatePromoCode).delete(deletePromoCode);
+router.get("/:id/redemptions", getPromoCodeRedemptions);
+
+export default router;
@@ -0,0 +1,37 @@
+import Router from "express";
+import {
+  getReservationQuote,
+  createUserReservation,
+  createGuestReservation,
+  getReservation,
+  getGuestReservation,
+  getUserReservations,
+  cancelReservation,
+  cancelReservationLine,
+  cancelGuestReservation,
+  cancelGuestReservationLine
+} from "../controllers/reservation.controller.js";
+import {verifyJwt} from "../middlewares/auth.middlewares.js";
+import {verifyGuestBooking, verifyGuestAccess} from "../middlewares/guest.middlewares.js";
+
+const router = Router();
+
+// Price several rooms together before reserving
+router.post("/quote", getReservationQuote);
+
+// Create a multi-room reservation
+router.post("/user", verifyJwt, createUserReservation);
+router.post("/guest", verifyGuestBooking, createGuestReservation);
+
+// Guest reservations, via the emailed management link
+router.route("/guest/:id").get(verifyGuestAccess("reservation"), getGuestReservation).delete(verifyGuestAccess("reservation"), cancelGuestReservation);
+router.delete("/guest/:id/bookings/:bookingId", verifyGuestAccess("reservation"), cancelGuestReservationLine);
+
+// Authenticated user's reservations
+router.get("/user", verifyJwt, getUserReservations);
+router.route("/:id").get(verifyJwt, getReservation).delete(verifyJwt, cancelReservation);
+
+// Cancel a single room of a reservation
+router.delete("/:id/bookings/:bookingId", verifyJwt, cancelReservationLine);
+
+export default router;
@@ -11,6 +11,17 @@ import {
   uploadCuisineImages,
   deleteCuisineImage
 } from "../controllers/restaurants.controller.js";
+import {createTable, getTables, updateTable, deleteTable} from "../controllers/restaurantTable.controller.js";
+import {getRestaurantSlots, getPreOrderQuote} from "../controllers/restaurantsBooking.controller.js";
+import {
+  getMenu,
+  createMenuCategory,
+  updateMenuCategory,
+  deleteMenuCategory,
+  createMenuItem,
+  updateMenuItem,
+  deleteMenuItem
+} from "../controllers/menu.controller.js";
 import {upload} from "../middlewares/multer.middlewares.js";
 import {verifyJwt} from "../middlewares/auth.middlewares.js";
 
@@ -28,6 +39,12 @@ router.delete("/:id", verifyJwt, deleteRestaurant);
 // Fetch all restaurants
 router.get("/", getAllRestaurants);
 
+// Bookable reservation times for a date and party size
+router.get("/:id/slots", getRestaurantSlots);
+
+// Price a pre-order against the current menu
+router.post("/:id/pre-order/quote", getPreOrderQuote);
+
 // Fetch a restaurant by ID
 router.get("/:id",getRestaurantById);
 // router.get("/:id", verifyJwt,getRestaurantById);
@@ -48,4 +65,17 @@ router.post("/:id/cuisine/:cuisineId/image", verifyJwt, upload.single("image"),
 // Delete cuisine image (Requires JWT verification)
 router.delete("/:id/cuisine/:cuisineId/image", verifyJwt, deleteCuisineImage);
 
+// Public menu, filterable by diet, category, allergens and time of day
+router.get("/:id/menu", getMenu);
+
+// Menu management (Requires JWT verification, restaurant owner only)
+router.post("/:id/menu/categories", verifyJwt, createMenuCategory);
+router.route("/:id/menu/categories/:categoryId").patch(verifyJwt, updateMenuCategory).delete(verifyJwt, deleteMenuCategory);
+router.post("/:id/menu/items", verifyJwt, createMenuItem);
+router.route("/:id/menu/items/:itemId").patch(verifyJwt, updateMenuItem).delete(verifyJwt, deleteMenuItem);
+
+// Table inventory (Requires JWT verification, restaurant owner only)
+router.route("/:id/tables").get(verifyJwt, getTables).post(verifyJwt, createTable);
+router.route("/:id/tables/:tableId").patch(verifyJwt, updateTable).delete(verifyJwt, deleteTable);
+
 export default router;
\ No newline at end of file
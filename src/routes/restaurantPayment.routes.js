@@ -1,12 +1,20 @@
 import {verifyJwt} from "../middlewares/auth.middlewares.js";
+import {verifyGuestAccess} from "../middlewares/guest.middlewares.js";
 import {
-  createRestaurantPayment, confirmRestaurantPayment, updateRestaurantPaymentStatus, getUserRestaurantPayments, getRestaurantPaymentById
+  createRestaurantPayment, createGuestRestaurantPayment, confirmRestaurantPayment, confirmGuestRestaurantPayment, handleRestaurantPaymentReturn, updateRestaurantPaymentStatus, getUserRestaurantPayments, getRestaurantPaymentById
   //   handleRestaurantPaymentRefund
 } from "../controllers/restaurantPayment.controller.js";
 import Route from "express";
 
 const router = Route();
 
+// Guest routes (require the booking's guest access token)
+router.route("/guest").post(verifyGuestAccess("restaurant"), createGuestRestaurantPayment);
+router.route("/guest/confirm").post(verifyGuestAccess("restaurant"), confirmGuestRestaurantPayment);
+
+// Payers coming back from redirect gateways (no auth; verified with the gateway)
+router.route("/return/:gateway/:result").get(handleRestaurantPaymentReturn);
+
 // Protected routes (require JWT authentication)
 router.route("/").post(verifyJwt, createRestaurantPayment); // Create a new payment
 router.route("/:id/status").put(verifyJwt, updateRestaurantPaymentStatus); // Update payment status
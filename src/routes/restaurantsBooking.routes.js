@@ -1,10 +1,24 @@
-import {createRestaurantBooking, updateRestaurantBooking, getRestaurantBookings, getUserRestaurantBookings, cancelRestaurantBooking} from "../controllers/restaurantsBooking.controller.js";
+import {
+  createRestaurantBooking,
+  createGuestRestaurantBooking,
+  getGuestRestaurantBooking,
+  cancelGuestRestaurantBooking,
+  updateRestaurantBooking,
+  getRestaurantBookings,
+  getUserRestaurantBookings,
+  cancelRestaurantBooking
+} from "../controllers/restaurantsBooking.controller.js";
 import Router from "express";
 import {verifyJwt} from "../middlewares/auth.middlewares.js";
+import {verifyGuestBooking, verifyGuestAccess} from "../middlewares/guest.middlewares.js";
 
 const router = Router();
 
 router.route("/").post(verifyJwt, createRestaurantBooking);
+
+// Guest reservations; viewing and cancelling need the access token issued at booking
+router.route("/guest").post(verifyGuestBooking, createGuestRestaurantBooking);
+router.route("/guest/:id").get(verifyGuestAccess("restaurant"), getGuestRestaurantBooking).delete(verifyGuestAccess("restaurant"), cancelGuestRestaurantBooking);
 router.route("/:id").patch(verifyJwt, updateRestaurantBooking);
 router.route("/:id").delete(verifyJwt, cancelRestaurantBooking);
 
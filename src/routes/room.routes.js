@@ -7,11 +7,23 @@ import {
   getAllRooms,
   getRoomsByService,
   getRoomsByType,
+  getRoomQuote,
   uploadRoomImages,
   updateRoomImages,
   uploadAccommodationImages,
   updateAccommodationImages
 } from "../controllers/room.controller.js";
+import {createRatePlan, getRatePlans, updateRatePlan, deleteRatePlan} from "../controllers/ratePlan.controller.js";
+import {getRoomAvailability} from "../controllers/availability.controller.js";
+import {addRoomBlock, getRoomBlocks, removeRoomBlock} from "../controllers/roomBlock.controller.js";
+import {
+  getRoomCalendarFeed,
+  getRoomCalendarSettings,
+  resetCalendarFeedToken,
+  addCalendarImport,
+  syncCalendarImportNow,
+  removeCalendarImport
+} from "../controllers/roomCalendar.controller.js";
 import {upload} from "../middlewares/multer.middlewares.js"; // Multer middleware for file uploads
 import {verifyJwt} from "../middlewares/auth.middlewares.js"; // Authentication middleware
 
@@ -32,6 +44,30 @@ router.get("/", getAllRooms);
 // Fetch a room by ID
 router.get("/:id", getRoomById);
 
+// Get a price quote for a stay (public)
+router.get("/:id/quote", getRoomQuote);
+
+// Per-day availability calendar (public)
+router.get("/:id/availability", getRoomAvailability);
+
+// Rate plans for dynamic pricing (Requires JWT verification, room owner only)
+router.route("/:id/rates").get(verifyJwt, getRatePlans).post(verifyJwt, createRatePlan);
+router.route("/:id/rates/:rateId").patch(verifyJwt, updateRatePlan).delete(verifyJwt, deleteRatePlan);
+
+// Blackout dates and manual blocks (Requires JWT verification, room owner only)
+router.route("/:id/blocks").get(verifyJwt, getRoomBlocks).post(verifyJwt, addRoomBlock);
+router.delete("/:id/blocks/:blockId", verifyJwt, removeRoomBlock);
+
+// iCal feed of booked and blocked dates (public, protected by the feed token)
+router.get("/:id/calendar.ics", getRoomCalendarFeed);
+
+// Calendar feed and external iCal imports (Requires JWT verification, room owner only)
+router.get("/:id/calendar", verifyJwt, getRoomCalendarSettings);
+router.post("/:id/calendar/feed-token", verifyJwt, resetCalendarFeedToken);
+router.post("/:id/calendar/imports", verifyJwt, addCalendarImport);
+router.delete("/:id/calendar/imports/:importId", verifyJwt, removeCalendarImport);
+router.post("/:id/calendar/imports/:importId/sync", verifyJwt, syncCalendarImportNow);
+
 // Fetch rooms by service ID
 router.get("/service/:serviceId",verifyJwt, getRoomsByService);
 
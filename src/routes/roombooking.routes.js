@@ -3,12 +3,23 @@ import {
   createUserBooking,
   createGuestBooking,
   updateBooking,
+  updateGuestBooking,
   cancelBooking,
+  cancelGuestBooking,
+  getGuestBooking,
+  getGuestCancellationQuote,
+  requestGuestBookingLinks,
+  lookupGuestBooking,
+  getCancellationQuote,
   getUserBookings,
-  getServiceBooking
+  getServiceBooking,
+  checkInBooking,
+  checkOutBooking,
+  markNoShow
 } from "../controllers/roombooking.controller.js";
 import {verifyJwt} from "../middlewares/auth.middlewares.js";
-import {verifyGuestBooking} from "../middlewares/guest.middlewares.js";
+import {verifyGuestBooking, verifyGuestAccess} from "../middlewares/guest.middlewares.js";
+import {authRateLimiter, strictAuthRateLimiter} from "../middlewares/ratelimit.middlewares.js";
 
 const router = Router();
 
@@ -18,13 +29,23 @@ router.post("/user", verifyJwt, createUserBooking);
 // Guest booking
 router.post("/guest", verifyGuestBooking, createGuestBooking);
 
+// Guest booking management (requires the token from the emailed link)
+router.post("/guest/request-link", strictAuthRateLimiter, requestGuestBookingLinks);
+router.post("/guest/lookup", authRateLimiter, lookupGuestBooking);
+router.route("/guest/:id").get(verifyGuestAccess("room"), getGuestBooking).patch(verifyGuestAccess("room"), updateGuestBooking).delete(verifyGuestAccess("room"), cancelGuestBooking);
+router.get("/guest/:id/cancellation", verifyGuestAccess("room"), getGuestCancellationQuote);
+
 // Protected routes (require JWT authentication)
 router.route("/:id").patch(verifyJwt, updateBooking).delete(verifyJwt, cancelBooking);
+router.get("/:id/cancellation", verifyJwt, getCancellationQuote);
 
 // Get bookings
 router.get("/user", verifyJwt, getUserBookings);
 
 // Host-only routes
 router.get("/service/:serviceId", verifyJwt, getServiceBooking);
+router.post("/:id/check-in", verifyJwt, checkInBooking);
+router.post("/:id/check-out", verifyJwt, checkOutBooking);
+router.post("/:id/no-show", verifyJwt, markNoShow);
 
 export default router;
\ No newline at end of file
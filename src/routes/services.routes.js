@@ -2,6 +2,7 @@ import express from "express";
 import {
   createService, updateService, deleteService, getServicesForHost, getServiceNames // Add the new controller
 } from "../controllers/service.controller.js";
+import {getServiceAvailability} from "../controllers/availability.controller.js";
 import {upload} from "../middlewares/multer.middlewares.js";
 import {verifyJwt} from "../middlewares/auth.middlewares.js";
 
@@ -9,6 +10,7 @@ const router = express.Router();
 
 // Public routes
 router.get("/public/names", getServiceNames); // New public route
+router.get("/:id/availability", getServiceAvailability); // Multi-room availability calendar
 
 // Protected routes
 router.post("/", verifyJwt, createService);
@@ -0,0 +1,13 @@
+import Router from "express";
+import {joinWaitlist, getMyWaitlist, leaveWaitlist} from "../controllers/waitlist.controller.js";
+import {verifyJwt} from "../middlewares/auth.middlewares.js";
+
+const router = Router();
+
+// All waitlist routes belong to the authenticated user
+router.use(verifyJwt);
+
+router.route("/").get(getMyWaitlist).post(joinWaitlist);
+router.delete("/:id", leaveWaitlist);
+
+export default router;
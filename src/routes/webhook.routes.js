@@ -1,13 +1,15 @@
 // webhook.routes.js
 import express from "express";
-import {handleStripeWebhookController} from "../controllers/payment.controller.js";
-import {handleRestaurantStripeWebhookController} from "../controllers/restaurantPayment.controller.js";
+import {handlePaymentWebhookController} from "../controllers/payment.controller.js";
+import {handleRestaurantPaymentWebhookController} from "../controllers/restaurantPayment.controller.js";
 const router = express.Router();
 
-// Apply express.raw() middleware ONLY to the webhook route
+// Apply express.raw() middleware ONLY to the webhook routes; the bare paths are Stripe's
 router.route("/").post(express.raw({type: "application/json"}), // Raw body middleware
-    handleStripeWebhookController);
+    handlePaymentWebhookController);
 router.route("/restaurant").post(express.raw({type: "application/json"}), // Raw body middleware
-    handleRestaurantStripeWebhookController);
+    handleRestaurantPaymentWebhookController);
+router.route("/restaurant/:gateway").post(express.raw({type: "application/json"}), handleRestaurantPaymentWebhookController);
+router.route("/:gateway").post(express.raw({type: "application/json"}), handlePaymentWebhookController);
 
 export default router;
\ No newline at end of file
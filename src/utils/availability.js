@@ -0,0 +1,177 @@
+import {ApiError} from "./ApiError.js";
+import {Booking} from "../models/booking.model.js";
+import {RatePlan} from "../models/ratePlan.model.js";
+import {eachNight, toDateOnly, resolveNightlyRate} from "./pricing.js";
+
+// Longest calendar range a single request may ask for
+const MAX_CALENDAR_DAYS = 366;
+
+// Extra days looked at on each side so min-stay gaps at the window edges are judged correctly
+const MIN_STAY_LOOKAROUND_DAYS = 30;
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Local calendar date as YYYY-MM-DD
+export const formatDateKey = date => {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Parse and validate a from/to calendar range (both inclusive)
+ */
+export const parseCalendarRange = (from, to) => {
+  if (!from || !to) {
+    throw new ApiError(400, "from and to dates are required");
+  }
+
+  let start = toDateOnly(from);
+  const end = toDateOnly(to);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new ApiError(400, "Invalid date format");
+  }
+
+  if (end < start) {
+    throw new ApiError(400, "to date must be on or after from date");
+  }
+
+  // Past nights can't be booked, so the calendar starts today at the earliest
+  const today = toDateOnly(new Date());
+  if (start < today) {
+    start = today;
+  }
+
+  if (end < start) {
+    throw new ApiError(400, "The requested range is entirely in the past");
+  }
+
+  if (eachNight(start, addDays(end, 1)).length > MAX_CALENDAR_DAYS) {
+    throw new ApiError(400, `Calendar range cannot exceed ${MAX_CALENDAR_DAYS} days`);
+  }
+
+  return {from: start, to: end};
+};
+
+// Whether a [checkInDate, checkOutDate) range covers a night
+const coversNight = (range, night) => toDateOnly(range.checkInDate) <= night && night < toDateOnly(range.checkOutDate);
+
+/**
+ * Build per-day availability for one room from its bookings and rate plans
+ */
+const buildDays = ({room, bookings, ratePlans, from, to}) => {
+  const windowStart = addDays(from, -MIN_STAY_LOOKAROUND_DAYS);
+  const windowEnd = addDays(to, MIN_STAY_LOOKAROUND_DAYS + 1);
+  const occupied = [
+    ...(room.bookedDates || []),
+    ...bookings
+  ];
+  const blocks = (room.blockedDates || []).map(block => ({checkInDate: block.startDate, checkOutDate: block.endDate}));
+
+  const today = toDateOnly(new Date());
+
+  const days = eachNight(windowStart, windowEnd).map(night => {
+    const rate = resolveNightlyRate({room, ratePlans, night});
+    let status = "available";
+
+    if (night < today) {
+      status = "blocked"; // Only used for the lookaround, never returned
+    } else if (occupied.some(range => coversNight(range, night))) {
+      status = "booked";
+    } else if (!room.isAvailable || blocks.some(range => coversNight(range, night))) {
+      status = "blocked";
+    }
+
+    return {date: night, status, minStay: rate.minStay, price: rate.price};
+  });
+
+  // Free nights that no stay can cover without breaking a min-stay rule
+  let index = 0;
+  while (index < days.length) {
+    if (days[index].status !== "available") {
+      index++;
+      continue;
+    }
+
+    let runEnd = index;
+    while (runEnd < days.length && days[runEnd].status === "available") {
+      runEnd++;
+    }
+
+    markMinStayNights(days, index, runEnd);
+    index = runEnd;
+  }
+
+  return days.filter(day => day.date >= from && day.date <= to).map(day => ({
+    ...day,
+    date: formatDateKey(day.date)
+  }));
+};
+
+/**
+ * Within a run of free nights [runStart, runEnd), mark nights that no valid stay can include.
+ * A stay is valid when its length meets the strictest min stay of the nights it covers,
+ * which is the same rule the pricing engine enforces.
+ */
+const markMinStayNights = (days, runStart, runEnd) => {
+  let reach = runStart;
+
+  for (let start = runStart; start < runEnd; start++) {
+    let strictest = 1;
+    for (let end = start + 1; end <= runEnd; end++) {
+      strictest = Math.max(strictest, days[end - 1].minStay);
+      if (end - start >= strictest && end > reach) {
+        reach = end;
+      }
+    }
+
+    if (reach <= start) {
+      days[start].status = "min_stay";
+    }
+  }
+};
+
+/**
+ * Build availability calendars for several rooms at once
+ */
+export const buildAvailabilityCalendars = async ({rooms, from, to}) => {
+  const roomIds = rooms.map(room => room._id);
+  const queryStart = addDays(from, -MIN_STAY_LOOKAROUND_DAYS);
+  const queryEnd = addDays(to, MIN_STAY_LOOKAROUND_DAYS + 1);
+
+  const [bookings, ratePlans] = await Promise.all([
+    Booking.find({
+      ...Booking.overlapFilter(null, queryStart, queryEnd),
+      room: {
+        $in: roomIds
+      }
+    }).select("room checkInDate checkOutDate").lean(),
+    RatePlan.find({
+      room: {
+        $in: roomIds
+      },
+      isActive: true
+    }).lean()
+  ]);
+
+  return rooms.map(room => ({
+    room: {
+      _id: room._id,
+      name: room.name,
+      roomType: room.roomType,
+      pricingModel: room.pricingModel
+    },
+    days: buildDays({
+      room,
+      bookings: bookings.filter(booking => booking.room.equals(room._id)),
+      ratePlans: ratePlans.filter(plan => plan.room.equals(room._id)),
+      from,
+      to
+    })
+  }));
+};
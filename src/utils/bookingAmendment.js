@@ -0,0 +1,177 @@
+import {Booking} from "../models/booking.model.js";
+import {Host} from "../models/host.model.js";
+import {ApiError} from "./ApiError.js";
+import {calculateCancellationRefund} from "./cancellationPolicy.js";
+import {findBookingPayment} from "./bookingCancellation.js";
+import {refundGatewayPayment, startGatewayPayment} from "./payment_utils.js";
+import {roundCurrency, toPriceBreakdown} from "./pricing.js";
+import logger from "./logger.js";
+
+// Payment statuses under which the booking has money captured
+const PAID_STATUSES = ["paid", "partially_refunded"];
+
+// Whether a change touches the stay itself (special requests alone aren't an amendment)
+export const isStayChanged = (booking, {checkInDate, checkOutDate, numberOfGuests}) => booking.checkInDate.getTime() !== checkInDate.getTime() || booking.checkOutDate.getTime() !== checkOutDate.getTime() || booking.numberOfGuests !== numberOfGuests;
+
+/**
+ * Apply new stay details and price to a booking (unsaved) and record the amendment.
+ * Paid bookings owe the difference when the price goes up; when it goes down the
+ * difference is refunded under the host's cancellation policy, as if that part of
+ * the stay were cancelled now.
+ */
+export const recordAmendment = async (booking, {checkInDate, checkOutDate, numberOfGuests}, quote, {by = null, session = null} = {}) => {
+  const priceDifference = roundCurrency(quote.totalPrice - booking.totalPrice);
+  const isPaid = PAID_STATUSES.includes(booking.paymentStatus);
+
+  let settlement = {
+    type: "none",
+    status: "not_required"
+  };
+  if (isPaid && priceDifference > 0) {
+    settlement = {
+      type: "charge",
+      status: "pending",
+      amount: priceDifference
+    };
+  } else if (isPaid && priceDifference < 0) {
+    const host = await Host.findById(booking.host).select("policies").session(session);
+    const refund = calculateCancellationRefund({
+      policy: host
+        ?.policies
+          ?.cancellation,
+      checkInDate: booking.checkInDate,
+      amountPaid: -priceDifference
+    });
+    settlement = {
+      type: "refund",
+      status: refund.refundAmount > 0
+        ? "pending"
+        : "not_required",
+      amount: refund.refundAmount,
+      refundPercent: refund.refundPercent,
+      penalty: refund.penalty
+    };
+  }
+
+  booking.amendments.push({
+    by,
+    previous: {
+      checkInDate: booking.checkInDate,
+      checkOutDate: booking.checkOutDate,
+      numberOfGuests: booking.numberOfGuests,
+      totalPrice: booking.totalPrice
+    },
+    checkInDate,
+    checkOutDate,
+    numberOfGuests,
+    totalPrice: quote.totalPrice,
+    priceDifference,
+    settlement
+  });
+
+  booking.checkInDate = checkInDate;
+  booking.checkOutDate = checkOutDate;
+  booking.numberOfGuests = numberOfGuests;
+  booking.totalPrice = quote.totalPrice;
+  booking.priceBreakdown = toPriceBreakdown(quote);
+
+  return booking.amendments[booking.amendments.length - 1];
+};
+
+/**
+ * Open a payment with the booking's gateway for the extra amount an amendment costs.
+ * Runs inside the amendment's transaction so the change is dropped if the gateway fails.
+ * Redirect gateways need `returnUrls` (see paymentReturnUrls).
+ */
+export const createAmendmentCharge = async (booking, amendment, session = null, returnUrls = {}) => {
+  const {settlement} = amendment;
+
+  let charge;
+  try {
+    charge = await startGatewayPayment({
+      paymentMethod: booking.paymentMethod,
+      amount: settlement.amount,
+      currency: booking.priceBreakdown
+        ?.currency || "usd",
+      target: {
+        booking: booking._id,
+        amendment: amendment._id
+      },
+      payer: booking.user
+        ? {
+          user: booking.user
+        }
+        : {
+          guestInfo: {
+            email: booking.guestInfo
+              ?.email
+          }
+        },
+      ...returnUrls,
+      session
+    });
+  } catch (error) {
+    logger.error(`Could not open amendment charge for booking ${booking._id}: ${error.message}`);
+    // A charge the gateway refuses outright (e.g. the wrong currency) won't go through on a retry
+    if (error instanceof ApiError && error.statusCode < 500) {
+      throw error;
+    }
+    throw new ApiError(502, "The price difference could not be charged, please try again");
+  }
+
+  settlement.payment = charge.payment._id;
+  return charge.intent;
+};
+
+/**
+ * Refund the part of the original payment an amendment gave back.
+ * Runs after the amendment is committed so a gateway failure doesn't undo it.
+ */
+export const refundAmendment = async (booking, amendment) => {
+  const {settlement} = amendment;
+  if (settlement.type !== "refund" || settlement.status !== "pending") {
+    return settlement.status;
+  }
+
+  try {
+    const payment = await findBookingPayment(booking);
+    if (!payment) {
+      throw new Error("No captured payment found for the booking");
+    }
+
+    settlement.amount = Math.min(settlement.amount, roundCurrency(payment.amount - payment.refundedAmount));
+    await refundGatewayPayment(payment, settlement.amount);
+
+    settlement.payment = payment._id;
+    settlement.status = "succeeded";
+    booking.paymentStatus = "partially_refunded";
+  } catch (error) {
+    logger.error(`Amendment refund failed for booking ${booking._id}: ${error.message}`);
+    settlement.status = "failed";
+    settlement.error = error.message;
+  }
+
+  await booking.save();
+  return settlement.status;
+};
+
+/**
+ * Mark an amendment's extra charge as paid once its payment succeeds
+ */
+export const settleAmendmentPayment = async payment => {
+  const booking = await Booking.findById(payment.booking);
+  const amendment = booking
+    ?.amendments.id(payment.amendment);
+  if (!amendment) {
+    logger.error(`Amendment ${payment.amendment} not found for payment ${payment._id}`);
+    return booking;
+  }
+
+  if (amendment.settlement.status !== "succeeded") {
+    amendment.settlement.status = "succeeded";
+    await booking.save();
+    logger.info(`Amendment ${amendment._id} of booking ${booking._id} paid`);
+  }
+
+  return booking;
+};
@@ -0,0 +1,214 @@
+import {Booking} from "../models/booking.model.js";
+import {Host} from "../models/host.model.js";
+import {Payment} from "../models/payment.models.js";
+import {Reservation} from "../models/reservation.model.js";
+import {Room} from "../models/room.model.js";
+import {calculateCancellationRefund} from "./cancellationPolicy.js";
+import {transitionBooking} from "./bookingLifecycle.js";
+import {refundGatewayPayment} from "./payment_utils.js";
+import {reversePromoRedemption} from "./promoCode.js";
+import {roundCurrency} from "./pricing.js";
+import logger from "./logger.js";
+
+// Statuses a booking can still be cancelled from
+export const CANCELLABLE_STATUSES = ["pending", "confirmed"];
+
+// Which payments cover a booking: group and cart lines share their reservation's or cart's
+const paymentFilter = booking => {
+  if (booking.reservation) {
+    return {reservation: booking.reservation};
+  }
+  return booking.cart
+    ? {
+      cart: booking.cart
+    }
+    : {
+      booking: booking._id
+    };
+};
+
+// Captured payment a booking was originally paid with
+export const findBookingPayment = (booking, session = null) => Payment.findOne({
+  ...paymentFilter(booking),
+  amendment: null,
+  paymentStatus: "succeeded"
+}).session(session);
+
+/**
+ * Every captured payment a cancellation refunds from, oldest first: the original payment
+ * and any extra charges the booking's amendments took
+ */
+export const findRefundablePayments = async (booking, session = null) => {
+  const payments = await Payment.find({
+    ...paymentFilter(booking),
+    paymentStatus: "succeeded"
+  }).sort({createdAt: 1}).session(session);
+
+  return payments.filter(payment => !payment.amendment || booking.amendments
+    ?.id(payment.amendment)
+      ?.settlement.type === "charge");
+};
+
+// What is still refundable across the given payments
+export const refundableAmount = payments => roundCurrency(payments.reduce((sum, payment) => sum + payment.amount - payment.refundedAmount, 0));
+
+/**
+ * Split a refund across payments, oldest first, never taking more from one than is left on it
+ * @returns {{payment: object, amount: number}[]}
+ */
+export const allocateRefund = (payments, total) => {
+  let remaining = roundCurrency(total);
+  const allocations = [];
+
+  for (const payment of payments) {
+    const amount = Math.min(remaining, roundCurrency(payment.amount - payment.refundedAmount));
+    if (amount > 0) {
+      allocations.push({payment, amount});
+      remaining = roundCurrency(remaining - amount);
+    }
+  }
+
+  return allocations;
+};
+
+/**
+ * Work out the refund for cancelling the given bookings now under their host's policy.
+ * All bookings must share their payments (a single booking, or lines of one reservation or cart).
+ */
+export const quoteCancellations = async (bookings, session = null) => {
+  const host = await Host.findById(bookings[0].host).select("policies").session(session);
+  const isPaid = bookings.some(booking => booking.paymentStatus === "paid");
+  const payments = isPaid
+    ? await findRefundablePayments(bookings[0], session)
+    : [];
+
+  let refundable = refundableAmount(payments);
+
+  const quotes = bookings.map(booking => {
+    // A line's share is its own price; a standalone booking's is whatever was charged
+    const share = booking.reservation || booking.cart
+      ? booking.totalPrice
+      : refundable;
+    const amountPaid = booking.paymentStatus === "paid"
+      ? Math.min(share, refundable)
+      : 0;
+    const quote = calculateCancellationRefund({
+      policy: host
+        ?.policies
+          ?.cancellation,
+      checkInDate: booking.checkInDate,
+      amountPaid
+    });
+    refundable = roundCurrency(refundable - quote.refundAmount);
+    return quote;
+  });
+
+  return {quotes, payments};
+};
+
+/**
+ * Mark a booking cancelled by its guest with the policy outcome, release its room dates
+ * and give back any promo code it used
+ */
+export const applyCancellation = async (booking, quote, userId, session = null) => {
+  transitionBooking(booking, "cancelled", {
+    role: "guest",
+    by: userId
+  });
+  booking.expiresAt = null;
+  booking.cancellation = {
+    ...quote,
+    cancelledAt: new Date(),
+    cancelledBy: userId,
+    refundStatus: quote.refundAmount > 0
+      ? "pending"
+      : "not_required"
+  };
+  await booking.save({session});
+
+  await Room.updateOne({
+    _id: booking.room
+  }, {
+    $pull: {
+      bookedDates: {
+        booking: booking._id
+      }
+    }
+  }, {session});
+
+  await reversePromoRedemption(booking, session);
+};
+
+/**
+ * Refund cancelled bookings through their shared payments and record the result.
+ * Runs after the cancellation is committed so a gateway failure doesn't undo it.
+ */
+export const refundCancellations = async (bookings, quotes, payments) => {
+  const total = roundCurrency(quotes.reduce((sum, quote) => sum + quote.refundAmount, 0));
+  if (total <= 0) {
+    return "not_required";
+  }
+
+  let refundStatus = "succeeded";
+  let refundError;
+  for (const {payment, amount} of allocateRefund(payments, total)) {
+    try {
+      await refundGatewayPayment(payment, amount);
+    } catch (error) {
+      logger.error(`Refund of ${amount} failed for payment ${payment._id}: ${error.message}`);
+      refundStatus = "failed";
+      refundError = error.message;
+    }
+  }
+
+  for (const [index, booking] of bookings.entries()) {
+    const quote = quotes[index];
+    if (quote.refundAmount <= 0) {
+      continue;
+    }
+
+    booking.cancellation.refundStatus = refundStatus;
+    if (refundStatus === "succeeded") {
+      booking.paymentStatus = quote.penalty > 0
+        ? "partially_refunded"
+        : "refunded";
+    } else {
+      booking.cancellation.refundError = refundError;
+    }
+    await booking.save();
+  }
+
+  return refundStatus;
+};
+
+/**
+ * Recompute a reservation's status and payment status from its lines and payment
+ */
+export const syncReservationStatus = async (reservationId, session = null) => {
+  const reservation = await Reservation.findById(reservationId).session(session);
+  if (!reservation) {
+    return null;
+  }
+
+  const lines = await Booking.find({reservation: reservation._id}).select("status").session(session);
+  const cancelled = lines.filter(line => line.status === "cancelled").length;
+
+  if (cancelled === lines.length) {
+    reservation.status = "cancelled";
+    reservation.expiresAt = null;
+  } else if (cancelled > 0) {
+    reservation.status = "partially_cancelled";
+  }
+
+  const payment = await Payment.findOne({reservation: reservation._id}).sort({createdAt: -1}).session(session);
+  if (payment
+    ?.refundStatus === "fully_refunded") {
+    reservation.paymentStatus = "refunded";
+  } else if (payment
+    ?.refundStatus === "partially_refunded") {
+    reservation.paymentStatus = "partially_refunded";
+  }
+
+  await reservation.save({session});
+  return reservation;
+};
@@ -0,0 +1,289 @@
+import {Booking} from "../models/booking.model.js";
+import {Room} from "../models/room.model.js";
+import {Reservation} from "../models/reservation.model.js";
+import {ApiError} from "./ApiError.js";
+import {canTransition, statusHistoryEntry, transitionBooking} from "./bookingLifecycle.js";
+import {assertNoRoomOffer, notifyWaitlist} from "./waitlist.js";
+import {reversePromoRedemption, restorePromoRedemption} from "./promoCode.js";
+import logger from "./logger.js";
+
+// How long an unpaid booking holds the room
+export const getHoldMinutes = () => Number(process.env.BOOKING_HOLD_MINUTES || 15);
+
+// Expiry time for a hold starting now
+export const getHoldExpiry = () => new Date(Date.now() + getHoldMinutes() * 60 * 1000);
+
+// Whether an unpaid pending booking's hold has run out
+export const isHoldExpired = booking => {
+  if (booking.status === "expired") {
+    return true;
+  }
+  return booking.status === "pending" && booking.paymentStatus !== "paid" && booking.expiresAt && booking.expiresAt <= new Date();
+};
+
+/**
+ * Create a held booking inside a transaction and claim the room's dates.
+ * The room document is written in the same transaction, so concurrent holds on
+ * the same room conflict and abort instead of double-booking.
+ */
+export const placeRoomHold = async (bookingData, session) => {
+  const {room, checkInDate, checkOutDate} = bookingData;
+
+  const overlappingBooking = await Booking.findOne(Booking.overlapFilter(room, checkInDate, checkOutDate)).session(session);
+  if (overlappingBooking) {
+    throw new ApiError(409, "Room is already booked for the selected dates");
+  }
+
+  await assertNoRoomOffer({room, checkInDate, checkOutDate, holder: bookingData.user, session});
+
+  const [booking] = await Booking.create([bookingData], {session});
+
+  // Claim the room's dates; fails if the room was taken offline or blocked meanwhile
+  const claimed = await Room.updateOne({
+    _id: room,
+    isAvailable: true,
+    $nor: [Room.blockOverlapFilter(checkInDate, checkOutDate)]
+  }, {
+    $push: {
+      bookedDates: {
+        checkInDate,
+        checkOutDate,
+        booking: booking._id
+      }
+    }
+  }, {session});
+
+  if (!claimed.modifiedCount) {
+    throw new ApiError(409, "Room is not available for the selected dates");
+  }
+
+  return booking;
+};
+
+// Whether an error means another transaction claimed the same room first
+export const isHoldConflictError = error => error.code === 112 || error.hasErrorLabel
+  ?.("TransientTransactionError") || error.message
+    ?.includes("already booked") || error.message
+      ?.includes("blocked");
+
+/**
+ * Release a single hold: mark the booking expired, free the room's booked dates and give back its promo code.
+ * Returns false if the booking was paid or changed in the meantime.
+ */
+export const releaseHold = async booking => {
+  const claimed = await Booking.updateOne({
+    _id: booking._id,
+    status: "pending",
+    paymentStatus: {
+      $ne: "paid"
+    },
+    expiresAt: {
+      $lte: new Date()
+    }
+  }, {
+    status: "expired",
+    $push: {
+      statusHistory: statusHistoryEntry("pending", "expired", {
+        role: "system",
+        note: "Payment hold ran out"
+      })
+    }
+  });
+
+  if (!claimed.modifiedCount) {
+    return false;
+  }
+
+  await Room.updateOne({
+    _id: booking.room
+  }, {
+    $pull: {
+      bookedDates: {
+        booking: booking._id
+      }
+    }
+  });
+
+  await reversePromoRedemption(booking);
+
+  logger.info(`Booking hold expired and released: ${booking._id}`);
+  await notifyWaitlist({room: booking.room});
+  return true;
+};
+
+/**
+ * Release every hold whose time is up
+ */
+export const releaseExpiredHolds = async () => {
+  const expiredHolds = await Booking.find({
+    status: "pending",
+    paymentStatus: {
+      $ne: "paid"
+    },
+    expiresAt: {
+      $lte: new Date()
+    }
+  }).select("_id room promoCode");
+
+  let released = 0;
+  for (const booking of expiredHolds) {
+    if (await releaseHold(booking)) {
+      released++;
+    }
+  }
+
+  // Group reservations lapse together with their lines
+  await Reservation.updateMany({
+    status: "pending",
+    paymentStatus: {
+      $ne: "paid"
+    },
+    expiresAt: {
+      $lte: new Date()
+    }
+  }, {status: "expired"});
+
+  return released;
+};
+
+// Whether a lapsed hold's room is still free for its dates
+const canReinstate = async booking => {
+  const [conflict, blocked] = await Promise.all([
+    Booking.findOne(Booking.overlapFilter(booking.room, booking.checkInDate, booking.checkOutDate, booking._id)),
+    Room.exists({
+      _id: booking.room,
+      ...Room.blockOverlapFilter(booking.checkInDate, booking.checkOutDate)
+    })
+  ]);
+
+  return !conflict && !blocked;
+};
+
+// Put a lapsed hold back on the room's booked dates (no-op if it was never removed) along with its promo code
+const reinstateBookedDates = async booking => {
+  await Room.updateOne({
+    _id: booking.room,
+    "bookedDates.booking": {
+      $ne: booking._id
+    }
+  }, {
+    $push: {
+      bookedDates: {
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate,
+        booking: booking._id
+      }
+    }
+  });
+  await restorePromoRedemption(booking);
+  logger.info(`Expired hold reinstated after late payment: ${booking._id}`);
+};
+
+// Mark a held booking as confirmed and paid
+const markConfirmed = async booking => {
+  if (booking.status !== "confirmed") {
+    transitionBooking(booking, "confirmed", {
+      role: "system",
+      note: "Payment received"
+    });
+  }
+  booking.paymentStatus = "paid";
+  booking.expiresAt = null;
+  await booking.save();
+  logger.info(`Booking confirmed: ${booking._id}`);
+};
+
+/**
+ * Turn a hold into a confirmed, paid booking.
+ * If the hold already lapsed it is reinstated when the room is still free;
+ * otherwise `reinstated` is false and the caller must refund the payment.
+ */
+export const confirmHeldBooking = async bookingId => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    logger.error(`Booking not found while confirming hold: ${bookingId}`);
+    return {booking: null, reinstated: false};
+  }
+
+  if (booking.status === "confirmed" && booking.paymentStatus === "paid") {
+    return {booking, reinstated: true};
+  }
+
+  // A booking cancelled meanwhile can't be revived by its payment
+  if (booking.status !== "confirmed" && !canTransition(booking.status, "confirmed", "system")) {
+    logger.error(`Payment arrived for booking ${booking._id} in status: ${booking.status}`);
+    return {booking, reinstated: false};
+  }
+
+  if (isHoldExpired(booking)) {
+    if (!await canReinstate(booking)) {
+      logger.error(`Payment arrived after hold expired and room was re-sold: ${booking._id}`);
+      return {booking, reinstated: false};
+    }
+    await reinstateBookedDates(booking);
+  }
+
+  await markConfirmed(booking);
+  return {booking, reinstated: true};
+};
+
+/**
+ * Confirm several holds paid with one payment, all or nothing.
+ * Lapsed holds are reinstated only if every one of them is still free.
+ */
+export const confirmHeldBookings = async bookings => {
+  const unconfirmable = bookings.find(booking => booking.status !== "confirmed" && !canTransition(booking.status, "confirmed", "system"));
+  if (unconfirmable) {
+    logger.error(`Booking ${unconfirmable._id} cannot be confirmed from status: ${unconfirmable.status}`);
+    return false;
+  }
+
+  const lapsed = bookings.filter(isHoldExpired);
+
+  for (const booking of lapsed) {
+    if (!await canReinstate(booking)) {
+      logger.error(`Room ${booking.room} was re-sold after hold ${booking._id} expired`);
+      return false;
+    }
+  }
+
+  for (const booking of bookings) {
+    if (lapsed.includes(booking)) {
+      await reinstateBookedDates(booking);
+    }
+    await markConfirmed(booking);
+  }
+
+  return true;
+};
+
+/**
+ * Confirm every line of a group reservation once its single payment succeeds.
+ * Lapsed lines are reinstated only if all of them are still free; otherwise nothing
+ * is confirmed, `reinstated` is false and the caller must refund the payment.
+ */
+export const confirmHeldReservation = async reservationId => {
+  const reservation = await Reservation.findById(reservationId);
+  if (!reservation) {
+    logger.error(`Reservation not found while confirming hold: ${reservationId}`);
+    return {reservation: null, reinstated: false};
+  }
+
+  if (reservation.paymentStatus === "paid") {
+    return {reservation, reinstated: true};
+  }
+
+  const lines = await Booking.find({reservation: reservation._id, status: {$ne: "cancelled"}});
+  if (!await confirmHeldBookings(lines)) {
+    logger.error(`Payment arrived after reservation ${reservation._id} expired and a room was re-sold`);
+    return {reservation, reinstated: false};
+  }
+
+  reservation.status = "confirmed";
+  reservation.paymentStatus = "paid";
+  reservation.expiresAt = null;
+  await reservation.save();
+
+  logger.info(`Reservation confirmed: ${reservation._id}`);
+  return {reservation, reinstated: true};
+};
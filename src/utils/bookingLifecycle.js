@@ -0,0 +1,127 @@
+import {Booking} from "../models/booking.model.js";
+import {ApiError} from "./ApiError.js";
+import logger from "./logger.js";
+
+/**
+ * Allowed booking status changes and who may make them.
+ * "guest" is the booking's customer (registered or not), "system" covers
+ * payments, hold expiry and scheduled jobs.
+ */
+export const BOOKING_TRANSITIONS = {
+  pending: {
+    confirmed: ["system"],
+    cancelled: [
+      "guest", "host", "admin", "system"
+    ],
+    expired: ["system"]
+  },
+  confirmed: {
+    checked_in: ["host", "admin"],
+    completed: ["system"],
+    cancelled: [
+      "guest", "host", "admin", "system"
+    ],
+    no_show: ["host", "admin", "system"]
+  },
+  checked_in: {
+    completed: ["host", "admin", "system"]
+  },
+  // A lapsed hold can be revived when a late payment still finds the room free
+  expired: {
+    confirmed: ["system"]
+  },
+  completed: {},
+  cancelled: {},
+  no_show: {}
+};
+
+// The same for restaurant reservations, which have no check-in of their own
+export const RESTAURANT_BOOKING_TRANSITIONS = {
+  pending: {
+    confirmed: ["system"],
+    cancelled: [
+      "guest", "host", "admin", "system"
+    ],
+    expired: ["system"]
+  },
+  confirmed: {
+    completed: ["host", "admin", "system"],
+    cancelled: [
+      "guest", "host", "admin", "system"
+    ]
+  },
+  expired: {
+    confirmed: ["system"]
+  },
+  completed: {},
+  cancelled: {}
+};
+
+// Whether `role` may move a booking from one status to another
+export const canTransition = (from, to, role, transitions = BOOKING_TRANSITIONS) => Boolean(transitions[from]
+  ?.[to]
+    ?.includes(role));
+
+// History entry for a status change, for use in `$push` updates as well as documents
+export const statusHistoryEntry = (from, to, {role, by = null, note} = {}) => ({
+  from,
+  to,
+  at: new Date(),
+  by,
+  role,
+  note
+});
+
+/**
+ * Move a booking to a new status (unsaved), recording the change in its history.
+ * Throws a 409 if the move isn't allowed for the role. Restaurant reservations pass
+ * RESTAURANT_BOOKING_TRANSITIONS as `transitions`.
+ */
+export const transitionBooking = (booking, to, {role, by = null, note, transitions = BOOKING_TRANSITIONS} = {}) => {
+  const from = booking.status;
+  if (!canTransition(from, to, role, transitions)) {
+    logger.error(`Booking ${booking._id} cannot move from ${from} to ${to} (role: ${role})`);
+    throw new ApiError(409, `A ${from.replace("_", " ")} booking cannot be marked ${to.replace("_", " ")}`);
+  }
+
+  const entry = statusHistoryEntry(from, to, {role, by, note});
+  booking.status = to;
+  booking.statusHistory.push(entry);
+
+  if (to === "checked_in") {
+    booking.checkedInAt = entry.at;
+  } else if (to === "completed" && role !== "system") {
+    booking.checkedOutAt = entry.at;
+  }
+
+  return booking;
+};
+
+/**
+ * Complete every stay whose checkout date has passed.
+ * Stays the host never checked in are completed too, unless marked as a no-show first.
+ */
+export const completeFinishedStays = async () => {
+  const now = new Date();
+  let completed = 0;
+
+  for (const from of ["checked_in", "confirmed"]) {
+    const result = await Booking.updateMany({
+      status: from,
+      checkOutDate: {
+        $lte: now
+      }
+    }, {
+      status: "completed",
+      $push: {
+        statusHistory: statusHistoryEntry(from, "completed", {
+          role: "system",
+          note: "Checkout date passed"
+        })
+      }
+    });
+    completed += result.modifiedCount;
+  }
+
+  return completed;
+};
@@ -0,0 +1,123 @@
+import {Room} from "../models/room.model.js";
+import {Booking} from "../models/booking.model.js";
+import {buildCalendar, fetchCalendar, parseCalendarEvents} from "./ical.js";
+import {toDateOnly} from "./pricing.js";
+import logger from "./logger.js";
+
+// How far ahead the exported feed lists bookings and blocks
+const FEED_HORIZON_DAYS = 730;
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Build the .ics feed of a room's booked and blocked dates.
+ * Imported blocks are left out so two channels syncing each other don't echo events back,
+ * and summaries carry no guest details since the feed is shared with other channels.
+ */
+export const buildRoomCalendar = async room => {
+  const today = toDateOnly(new Date());
+  const horizon = new Date(today.getTime() + FEED_HORIZON_DAYS * MS_PER_DAY);
+
+  const bookings = await Booking.find(Booking.overlapFilter(room._id, today, horizon)).select("checkInDate checkOutDate").sort({checkInDate: 1});
+
+  const events = bookings.map(booking => ({
+    uid: `booking-${booking._id}@${room._id}`,
+    startDate: booking.checkInDate,
+    endDate: booking.checkOutDate,
+    summary: "Booked"
+  }));
+
+  for (const block of room.blockedDates) {
+    if (block.source !== "ical" && block.endDate > today && block.startDate < horizon) {
+      events.push({uid: `block-${block._id}@${room._id}`, startDate: block.startDate, endDate: block.endDate, summary: "Not available"});
+    }
+  }
+
+  return buildCalendar({name: room.name, events});
+};
+
+/**
+ * Fetch one external calendar and replace the room's blocks from it.
+ * The room must be loaded with its calendarImports. A failed fetch keeps the previous
+ * blocks so a flaky channel doesn't suddenly open up dates it had taken.
+ */
+export const syncCalendarImport = async (room, calendarImport) => {
+  let events;
+  try {
+    const text = await fetchCalendar(calendarImport.url);
+    events = parseCalendarEvents(text);
+  } catch (error) {
+    logger.error(`Calendar import ${calendarImport._id} of room ${room._id} failed: ${error.message}`);
+    calendarImport.lastSyncedAt = new Date();
+    calendarImport.lastSyncStatus = "failed";
+    calendarImport.lastSyncError = error.message;
+    await room.save();
+    return {status: "failed", error: error.message};
+  }
+
+  // Only upcoming dates can still be booked here
+  const today = toDateOnly(new Date());
+  const upcoming = events.filter(event => event.endDate > today);
+
+  // Swap this import's blocks for the new set, leaving manual blocks and other imports alone
+  const kept = room.blockedDates.filter(block => !block.calendarImport
+    ?.equals(calendarImport._id));
+  room.blockedDates = [
+    ...kept,
+    ...upcoming.map(event => ({
+      startDate: event.startDate,
+      endDate: event.endDate,
+      reason: "external_booking",
+      note: event.summary.slice(0, 500),
+      source: "ical",
+      calendarImport: calendarImport._id,
+      externalUid: event.uid
+    }))
+  ];
+
+  calendarImport.lastSyncedAt = new Date();
+  calendarImport.lastSyncStatus = "ok";
+  calendarImport.lastSyncError = null;
+  calendarImport.eventCount = upcoming.length;
+  await room.save();
+
+  // A stay sold on both channels has to be sorted out by the host
+  let conflicts = 0;
+  for (const event of upcoming) {
+    const booking = await Booking.findOne(Booking.overlapFilter(room._id, event.startDate, event.endDate)).select("_id");
+    if (booking) {
+      conflicts++;
+      logger.warn(`Imported event ${event.uid} on room ${room._id} overlaps booking ${booking._id}`);
+    }
+  }
+
+  logger.info(`Calendar import ${calendarImport._id} of room ${room._id} synced ${upcoming.length} events`);
+  return {status: "ok", eventCount: upcoming.length, conflicts};
+};
+
+/**
+ * Sync every room's external calendars; one failing room doesn't stop the rest
+ */
+export const syncAllCalendars = async () => {
+  const rooms = await Room.find({
+    "calendarImports.0": {
+      $exists: true
+    }
+  }).select("+calendarImports");
+
+  let synced = 0;
+  for (const room of rooms) {
+    for (const calendarImport of room.calendarImports) {
+      try {
+        const result = await syncCalendarImport(room, calendarImport);
+        if (result.status === "ok") {
+          synced++;
+        }
+      } catch (error) {
+        logger.error(`Could not sync calendar import ${calendarImport._id} of room ${room._id}: ${error.message}`);
+      }
+    }
+  }
+
+  return synced;
+};
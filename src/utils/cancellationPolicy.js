@@ -0,0 +1,66 @@
+import {roundCurrency} from "./pricing.js";
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+/**
+ * Refund windows for each host cancellation tier.
+ * Windows are checked in order; the first one whose `hoursBefore` is met applies.
+ */
+export const CANCELLATION_POLICIES = {
+  flexible: [
+    {
+      hoursBefore: 24,
+      refundPercent: 100
+    }, {
+      hoursBefore: 0,
+      refundPercent: 50
+    }
+  ],
+  moderate: [
+    {
+      hoursBefore: 5 * 24,
+      refundPercent: 100
+    }, {
+      hoursBefore: 24,
+      refundPercent: 50
+    }
+  ],
+  strict: [
+    {
+      hoursBefore: 14 * 24,
+      refundPercent: 100
+    }, {
+      hoursBefore: 7 * 24,
+      refundPercent: 50
+    }
+  ]
+};
+
+export const DEFAULT_CANCELLATION_POLICY = "moderate";
+
+/**
+ * Work out how much of a booking is refunded when it is cancelled at `cancelledAt`.
+ * Unpaid bookings have nothing to refund and no penalty.
+ */
+export const calculateCancellationRefund = ({policy, checkInDate, amountPaid, cancelledAt = new Date()}) => {
+  const appliedPolicy = CANCELLATION_POLICIES[policy]
+    ? policy
+    : DEFAULT_CANCELLATION_POLICY;
+  const hoursBeforeCheckIn = Math.floor((new Date(checkInDate) - new Date(cancelledAt)) / MS_PER_HOUR);
+
+  const window = CANCELLATION_POLICIES[appliedPolicy].find(rule => hoursBeforeCheckIn >= rule.hoursBefore);
+  const refundPercent = window
+    ? window.refundPercent
+    : 0;
+
+  const paid = roundCurrency(amountPaid || 0);
+  const refundAmount = roundCurrency(paid * refundPercent / 100);
+
+  return {
+    policy: appliedPolicy,
+    hoursBeforeCheckIn,
+    refundPercent,
+    refundAmount,
+    penalty: roundCurrency(paid - refundAmount)
+  };
+};
@@ -0,0 +1,178 @@
+import {Booking} from "../models/booking.model.js";
+import {RestaurantBooking} from "../models/restaurantBooking.model.js";
+import {Room} from "../models/room.model.js";
+import {Cart} from "../models/cart.model.js";
+import {confirmHeldBookings, isHoldExpired} from "./bookingHold.js";
+import {statusHistoryEntry} from "./bookingLifecycle.js";
+import {notifyWaitlist} from "./waitlist.js";
+import {Restaurant} from "../models/restaurant.model.js";
+import {assignTables} from "./tableAllocation.js";
+import {ApiError} from "./ApiError.js";
+import logger from "./logger.js";
+
+/**
+ * Release every hold a cart placed at checkout (unpaid items only)
+ */
+export const releaseCartHolds = async cart => {
+  const unpaid = {
+    cart: cart._id,
+    status: "pending",
+    paymentStatus: {
+      $ne: "paid"
+    }
+  };
+
+  const bookings = await Booking.find(unpaid).select("_id room");
+  if (bookings.length) {
+    await Booking.updateMany({
+      _id: {
+        $in: bookings.map(booking => booking._id)
+      }
+    }, {
+      status: "expired",
+      $push: {
+        statusHistory: statusHistoryEntry("pending", "expired", {
+          role: "system",
+          note: "Checkout hold released"
+        })
+      }
+    });
+
+    for (const booking of bookings) {
+      await Room.updateOne({
+        _id: booking.room
+      }, {
+        $pull: {
+          bookedDates: {
+            booking: booking._id
+          }
+        }
+      });
+    }
+  }
+
+  const restaurantBookings = await RestaurantBooking.find(unpaid).select("restaurant");
+  await RestaurantBooking.updateMany(unpaid, {status: "expired"});
+
+  logger.info(`Released checkout holds for cart: ${cart._id}`);
+
+  for (const booking of bookings) {
+    await notifyWaitlist({room: booking.room});
+  }
+  for (const restaurantId of new Set(restaurantBookings.map(booking => booking.restaurant.toString()))) {
+    await notifyWaitlist({restaurant: restaurantId});
+  }
+};
+
+/**
+ * Release carts whose checkout holds ran out before payment
+ */
+export const releaseExpiredCarts = async () => {
+  const expiredCarts = await Cart.find({
+    status: "checkout",
+    expiresAt: {
+      $lte: new Date()
+    }
+  }).select("_id");
+
+  for (const cart of expiredCarts) {
+    const claimed = await Cart.updateOne({
+      _id: cart._id,
+      status: "checkout"
+    }, {status: "expired"});
+
+    if (claimed.modifiedCount) {
+      await releaseCartHolds(cart);
+    }
+  }
+
+  return expiredCarts.length;
+};
+
+// Re-seat a lapsed restaurant hold; false if its slot has no free table any more
+const reinstateRestaurantBooking = async restaurantBooking => {
+  const restaurant = await Restaurant.findById(restaurantBooking.restaurant);
+  try {
+    const allocation = await assignTables({
+      restaurant,
+      reservationDate: restaurantBooking.reservationDate,
+      reservationTime: restaurantBooking.reservationTime,
+      numberOfGuests: restaurantBooking.numberOfGuests,
+      zone: restaurantBooking.zone,
+      excludeId: restaurantBooking._id,
+      holder: restaurantBooking.user
+    });
+    restaurantBooking.tables = allocation.tables;
+    return true;
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Confirm every item of a cart once its single payment succeeds.
+ * Lapsed holds are reinstated only if all of them are still free; otherwise nothing
+ * is confirmed, `reinstated` is false and the caller must refund the payment.
+ */
+export const confirmHeldCart = async cartId => {
+  const cart = await Cart.findById(cartId);
+  if (!cart) {
+    logger.error(`Cart not found while confirming checkout: ${cartId}`);
+    return {cart: null, reinstated: false};
+  }
+
+  if (cart.status === "paid") {
+    return {cart, reinstated: true};
+  }
+
+  // The checkout was abandoned, so its holds must not be revived
+  if (cart.status === "open") {
+    logger.error(`Payment arrived for cart ${cart._id} after checkout was cancelled`);
+    return {cart, reinstated: false};
+  }
+
+  // Only the holds of the current checkout (earlier abandoned checkouts leave expired holds behind)
+  const [bookings, restaurantBookings] = await Promise.all([
+    Booking.find({
+      _id: {
+        $in: cart.items.map(item => item.booking).filter(Boolean)
+      }
+    }),
+    RestaurantBooking.find({
+      _id: {
+        $in: cart.items.map(item => item.restaurantBooking).filter(Boolean)
+      }
+    })
+  ]);
+
+  // Restaurant tables are only picked here (saved below), so check them before any room is confirmed
+  for (const restaurantBooking of restaurantBookings.filter(isHoldExpired)) {
+    if (!await reinstateRestaurantBooking(restaurantBooking)) {
+      logger.error(`Restaurant slot was taken after cart ${cart._id} expired`);
+      return {cart, reinstated: false};
+    }
+  }
+
+  if (!await confirmHeldBookings(bookings)) {
+    logger.error(`Payment arrived after cart ${cart._id} expired and a room was re-sold`);
+    return {cart, reinstated: false};
+  }
+
+  for (const restaurantBooking of restaurantBookings) {
+    restaurantBooking.status = "confirmed";
+    restaurantBooking.paymentStatus = "paid";
+    restaurantBooking.expiresAt = null;
+    await restaurantBooking.save();
+  }
+
+  cart.status = "paid";
+  cart.paymentStatus = "paid";
+  cart.expiresAt = null;
+  await cart.save();
+
+  logger.info(`Cart checkout confirmed: ${cart._id}`);
+  return {cart, reinstated: true};
+};
@@ -105,8 +105,48 @@ const sendPasswordResetEmail = async (email, resetToken) => {
   await sendEmail(email, subject, html);
 };
 
+/**
+ * Send a guest the links to view, change or cancel their bookings
+ * @param {string} email - Guest's email address
+ * @param {{label: string, url: string}[]} links - One management link per booking
+ * @returns {Promise<void>}
+ */
+const sendBookingManagementEmail = async (email, links) => {
+  const subject = "Manage Your Booking";
+  const html = `
+    <p>Hello,</p>
+    <p>Use the link${links.length > 1 ? "s" : ""} below to view, change or cancel your booking${links.length > 1 ? "s" : ""}:</p>
+    <ul>
+      ${links.map(link => `<li><a href="${link.url}">${link.label}</a></li>`).join("")}
+    </ul>
+    <p>Anyone with these links can manage the booking, so please don't share them.</p>
+  `;
+
+  await sendEmail(email, subject, html);
+};
+
+/**
+ * Tell a waitlisted user that what they were waiting for is free and held for them
+ * @param {string} email - User's email address
+ * @param {{label: string, url: string, expiresAt: Date}} offer - What is held and until when
+ * @returns {Promise<void>}
+ */
+const sendWaitlistOfferEmail = async (email, offer) => {
+  const subject = "Good News: Your Waitlisted Booking Is Available";
+  const html = `
+    <p>Hello,</p>
+    <p>${offer.label} has become available and we're holding it for you until ${offer.expiresAt.toUTCString()}.</p>
+    <p><a href="${offer.url}">Book now</a></p>
+    <p>After that it will be offered to the next person on the waitlist.</p>
+  `;
+
+  await sendEmail(email, subject, html);
+};
+
 export {
   sendEmail,
   sendVerificationEmail,
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendBookingManagementEmail,
+  sendWaitlistOfferEmail
 };
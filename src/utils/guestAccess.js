@@ -0,0 +1,127 @@
+import jwt from "jsonwebtoken";
+import {ApiError} from "./ApiError.js";
+import {sendBookingManagementEmail} from "./emailService.js";
+import logger from "./logger.js";
+
+// How long after the booking ends its guest access token keeps working
+const ACCESS_GRACE_DAYS = 7;
+
+const getGuestAccessSecret = () => {
+  const secret = process.env.GUEST_ACCESS_TOKEN_SECRET;
+  if (!secret) {
+    throw new ApiError(500, "Guest booking access is not configured");
+  }
+  return secret;
+};
+
+/**
+ * Fail early when guest tokens can't be issued, before anything is booked
+ */
+export const assertGuestAccessConfigured = () => {
+  getGuestAccessSecret();
+};
+
+/**
+ * Sign a token that lets a guest manage one booking without an account.
+ * `bookingType` keeps a room token from opening a restaurant booking with the same id.
+ * The token expires a few days after `validUntil` (the end of the stay or meal).
+ */
+export const generateGuestAccessToken = ({bookingType, bookingId, email, validUntil}) => {
+  const expiresAt = new Date(validUntil).getTime() + ACCESS_GRACE_DAYS * 24 * 60 * 60 * 1000;
+
+  return jwt.sign({
+    type: bookingType,
+    booking: String(bookingId),
+    email
+  }, getGuestAccessSecret(), {
+    expiresIn: Math.max(60, Math.floor((expiresAt - Date.now()) / 1000))
+  });
+};
+
+/**
+ * Verify a guest access token for the given booking type
+ * @returns {{bookingId: string, email: string}}
+ */
+export const verifyGuestAccessToken = (token, bookingType) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getGuestAccessSecret());
+  } catch (error) {
+    throw new ApiError(401, "Invalid or expired booking link");
+  }
+
+  if (decoded.type !== bookingType) {
+    throw new ApiError(401, "Invalid or expired booking link");
+  }
+
+  return {bookingId: decoded.booking, email: decoded.email};
+};
+
+// A group reservation's stay, from its bookings (populated)
+const reservationStay = reservation => {
+  const checkIns = reservation.bookings.map(booking => booking.checkInDate.getTime());
+  const checkOuts = reservation.bookings.map(booking => booking.checkOutDate.getTime());
+  return {
+    from: new Date(Math.min(...checkIns)),
+    to: new Date(Math.max(...checkOuts))
+  };
+};
+
+// When each kind of guest booking is over, and how it is described in emails
+const GUEST_BOOKING_TYPES = {
+  room: {
+    endsAt: booking => booking.checkOutDate,
+    label: booking => `${booking.referenceCode}: room stay from ${booking.checkInDate.toDateString()} to ${booking.checkOutDate.toDateString()}`
+  },
+  restaurant: {
+    endsAt: booking => booking.endsAt,
+    label: booking => `${booking.referenceCode}: table on ${booking.reservationDate.toDateString()} at ${booking.reservationTime}`
+  },
+  reservation: {
+    endsAt: reservation => reservationStay(reservation).to,
+    label: reservation => {
+      const {from, to} = reservationStay(reservation);
+      return `${reservation.bookings.map(booking => booking.referenceCode).join(", ")}: ${reservation.bookings.length} rooms from ${from.toDateString()} to ${to.toDateString()}`;
+    }
+  }
+};
+
+/**
+ * Access token and frontend management link for a guest booking
+ */
+export const createGuestAccessLink = (bookingType, booking) => {
+  const token = generateGuestAccessToken({
+    bookingType,
+    bookingId: booking._id,
+    email: booking.guestInfo.email,
+    validUntil: GUEST_BOOKING_TYPES[bookingType].endsAt(booking)
+  });
+
+  return {
+    token,
+    url: `${process.env.FRONTEND_URL}/manage-booking?type=${bookingType}&booking=${booking._id}&token=${encodeURIComponent(token)}`
+  };
+};
+
+/**
+ * Email a guest the management links for their bookings.
+ * Failures are logged, not thrown, so a mail outage never undoes a booking.
+ * @param {string} email
+ * @param {{bookingType: string, booking: object}[]} entries
+ */
+export const emailGuestAccessLinks = async (email, entries) => {
+  if (!entries.length) {
+    return;
+  }
+
+  try {
+    const links = entries.map(({bookingType, booking}) => ({
+      label: GUEST_BOOKING_TYPES[bookingType].label(booking),
+      url: createGuestAccessLink(bookingType, booking).url
+    }));
+    await sendBookingManagementEmail(email, links);
+    logger.info(`Sent ${links.length} booking management link(s) to guest`);
+  } catch (error) {
+    logger.error(`Failed to send booking management links: ${error.message}`);
+  }
+};
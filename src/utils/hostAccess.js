@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+import {ApiError} from "./ApiError.js";
+import {Host} from "../models/host.model.js";
+import {Service} from "../models/services.model.js";
+import {Room} from "../models/room.model.js";
+import {Restaurant} from "../models/restaurant.model.js";
+import logger from "./logger.js";
+
+/**
+ * Find the host profile of the authenticated user
+ */
+export const findHostForUser = async (userId, session = null) => {
+  const host = await Host.findOne({user: userId}).session(session);
+  if (!host) {
+    logger.error(`No host profile found for user: ${userId}`);
+    throw new ApiError(403, "You don't have a host profile");
+  }
+  return host;
+};
+
+/**
+ * Find a service and verify it belongs to the authenticated user's host profile
+ */
+export const findOwnedService = async (serviceId, userId, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(serviceId)) {
+    logger.error(`Invalid service ID: ${serviceId}`);
+    throw new ApiError(400, "Invalid service ID.");
+  }
+
+  const service = await Service.findById(serviceId).session(session);
+  if (!service) {
+    logger.error(`Service not found with ID: ${serviceId}`);
+    throw new ApiError(404, "Service not found.");
+  }
+
+  const host = await findHostForUser(userId, session);
+  if (!service.host.equals(host._id)) {
+    logger.error(`User ${userId} is not authorized to manage service ${serviceId}`);
+    throw new ApiError(403, "You are not authorized to manage this service.");
+  }
+
+  return {service, host};
+};
+
+/**
+ * Find a room and verify it belongs to the authenticated user's host profile
+ */
+export const findOwnedRoom = async (roomId, userId, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(roomId)) {
+    logger.error(`Invalid room ID: ${roomId}`);
+    throw new ApiError(400, "Invalid room ID.");
+  }
+
+  const room = await Room.findById(roomId).session(session);
+  if (!room) {
+    logger.error(`Room not found with ID: ${roomId}`);
+    throw new ApiError(404, "Room not found.");
+  }
+
+  const {service, host} = await findOwnedService(room.service, userId, session);
+  return {room, service, host};
+};
+
+/**
+ * Find a restaurant and verify it belongs to the authenticated user's host profile
+ */
+export const findOwnedRestaurant = async (restaurantId, userId, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+    logger.error(`Invalid restaurant ID: ${restaurantId}`);
+    throw new ApiError(400, "Invalid restaurant ID.");
+  }
+
+  const restaurant = await Restaurant.findById(restaurantId).session(session);
+  if (!restaurant) {
+    logger.error(`Restaurant not found with ID: ${restaurantId}`);
+    throw new ApiError(404, "Restaurant not found.");
+  }
+
+  const {service, host} = await findOwnedService(restaurant.service, userId, session);
+  return {restaurant, service, host};
+};
@@ -0,0 +1,190 @@
+import axios from "axios";
+import {readFile} from "fs/promises";
+import {fileURLToPath} from "url";
+import {toDateOnly} from "./pricing.js";
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Largest calendar we are willing to download and parse
+const MAX_CALENDAR_BYTES = 1024 * 1024;
+
+// Format a date as an iCal DATE value (YYYYMMDD)
+const formatDate = date => {
+  const value = toDateOnly(date);
+  const month = String(value.getMonth() + 1).padStart(2, "0");
+  const day = String(value.getDate()).padStart(2, "0");
+  return `${value.getFullYear()}${month}${day}`;
+};
+
+// Format a timestamp as an iCal UTC DATE-TIME value
+const formatTimestamp = date => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Escape text for an iCal property value
+const escapeText = value => String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Undo escapeText on a property value read from a feed
+const unescapeText = value => value.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === "n" || char === "N"
+  ? "\n"
+  : char));
+
+// Fold a content line to 75 octets as RFC 5545 requires
+const foldLine = line => {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ` ${rest.slice(75)}`;
+  }
+  parts.push(rest);
+  return parts.join("\r\n");
+};
+
+/**
+ * Build an iCal calendar of all-day events.
+ * Each event is {uid, startDate, endDate, summary}; endDate is exclusive, like a checkout date.
+ */
+export const buildCalendar = ({name, events}) => {
+  const stamp = formatTimestamp(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Bookings//Room Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push("BEGIN:VEVENT", `UID:${event.uid}`, `DTSTAMP:${stamp}`, `DTSTART;VALUE=DATE:${formatDate(event.startDate)}`, `DTEND;VALUE=DATE:${formatDate(event.endDate)}`, `SUMMARY:${escapeText(event.summary)}`, "TRANSP:OPAQUE", "END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+// Parse a DATE (YYYYMMDD) or DATE-TIME (YYYYMMDDTHHMMSS[Z]) value to the calendar day it falls on
+const parseDateValue = value => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (!hours) {
+    return new Date(Number(year), Number(month) - 1, Number(day));
+  }
+
+  const date = utc
+    ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+    : new Date(year, month - 1, day, hours, minutes, seconds);
+  return toDateOnly(date);
+};
+
+/**
+ * Parse the events of an iCal document into all-day ranges.
+ * Timed events are reduced to the days they start and end on; cancelled and unparseable events are skipped.
+ */
+export const parseCalendarEvents = text => {
+  // Unfold continuation lines before reading properties
+  const lines = String(text).replace(/\r\n[ \t]/g, "").replace(/\n[ \t]/g, "").split(/\r?\n/);
+
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+      continue;
+    }
+
+    if (line === "END:VEVENT") {
+      if (current
+        ?.startDate && current.status !== "CANCELLED") {
+        // The end day is exclusive, like a checkout; a missing or same-day end covers one day
+        let endDate = current.endDate;
+        if (!endDate || endDate <= current.startDate) {
+          endDate = new Date(current.startDate.getTime() + MS_PER_DAY);
+        }
+
+        events.push({
+          uid: current.uid || `${formatDate(current.startDate)}-${formatDate(endDate)}`,
+          startDate: current.startDate,
+          endDate: toDateOnly(endDate),
+          summary: current.summary || ""
+        });
+      }
+      current = null;
+      continue;
+    }
+
+    if (!current) {
+      continue;
+    }
+
+    const separator = line.indexOf(":");
+    if (separator === -1) {
+      continue;
+    }
+
+    const name = line.slice(0, separator).split(";")[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === "UID") {
+      current.uid = value.trim();
+    } else if (name === "SUMMARY") {
+      current.summary = unescapeText(value.trim());
+    } else if (name === "STATUS") {
+      current.status = value.trim().toUpperCase();
+    } else if (name === "DTSTART") {
+      current.startDate = parseDateValue(value);
+    } else if (name === "DTEND") {
+      current.endDate = parseDateValue(value);
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Download an external calendar over HTTP(S).
+ * file:// URLs are only read when CALENDAR_SYNC_ALLOW_FILE_URLS is "true" (local testing).
+ */
+export const fetchCalendar = async url => {
+  const parsed = new URL(url);
+
+  if (parsed.protocol === "file:") {
+    if (process.env.CALENDAR_SYNC_ALLOW_FILE_URLS !== "true") {
+      throw new Error("File calendar URLs are not enabled");
+    }
+    const text = await readFile(fileURLToPath(parsed), "utf8");
+    if (text.length > MAX_CALENDAR_BYTES) {
+      throw new Error("Calendar is too large");
+    }
+    return text;
+  }
+
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new Error(`Unsupported calendar URL protocol: ${parsed.protocol}`);
+  }
+
+  const response = await axios.get(url, {
+    timeout: 10000,
+    responseType: "text",
+    maxContentLength: MAX_CALENDAR_BYTES,
+    headers: {
+      Accept: "text/calendar"
+    }
+  });
+  return response.data;
+};
+
+// Whether a URL is something fetchCalendar can read
+export const isSupportedCalendarUrl = url => {
+  try {
+    const {protocol} = new URL(url);
+    return protocol === "http:" || protocol === "https:" || (protocol === "file:" && process.env.CALENDAR_SYNC_ALLOW_FILE_URLS === "true");
+  } catch {
+    return false;
+  }
+};
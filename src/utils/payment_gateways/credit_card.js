@@ -1,23 +1,79 @@
-/**
- * Simulate a credit card payment (for testing purposes)
- */
-export const processCreditCardPayment = async (amount, cardDetails) => {
-  try {
-    // Simulate a successful payment
-    return {success: true, transactionId: `cc_${Math.random().toString(36).substring(7)}`, amount};
-  } catch (error) {
-    throw new Error(`Credit Card Error: ${error.message}`);
-  }
-};
+import {nanoid} from "nanoid";
+import logger from "../logger.js";
+import {defineGateway, toIntent, assertGatewayAmount} from "./gateway.js";
 
 /**
- * Simulate a credit card refund (for testing purposes)
+ * Simulated card gateway for development and testing. Every payment needs a confirm
+ * step and then succeeds, and every refund goes through. It's off unless
+ * PAYMENT_SIMULATOR_ENABLED=true, since it would confirm bookings without taking money.
  */
-export const refundCreditCardPayment = async transactionId => {
-  try {
-    // Simulate a successful refund
-    return {success: true, transactionId, refunded: true};
-  } catch (error) {
-    throw new Error(`Credit Card Refund Error: ${error.message}`);
+export const creditCardGateway = defineGateway({
+  name: "credit_card",
+
+  isEnabled: () => process.env.PAYMENT_SIMULATOR_ENABLED === "true",
+
+  async createIntent({
+    amount,
+    currency = "usd",
+    metadata = {}
+  }) {
+    assertGatewayAmount(amount);
+
+    const transactionId = `cc_${nanoid(16)}`;
+    logger.info(`Simulated card payment created: ${transactionId} for ${amount} ${currency}`);
+    return toIntent({
+      transactionId,
+      status: "requires_confirmation",
+      amount,
+      currency,
+      metadata,
+      raw: {
+        simulated: true
+      }
+    });
+  },
+
+  async confirm(transactionId) {
+    logger.info(`Simulated card payment confirmed: ${transactionId}`);
+    return toIntent({
+      transactionId,
+      status: "succeeded",
+      raw: {
+        simulated: true
+      }
+    });
+  },
+
+  async capture(transactionId) {
+    return toIntent({
+      transactionId,
+      status: "succeeded",
+      raw: {
+        simulated: true
+      }
+    });
+  },
+
+  async cancel(transactionId) {
+    return toIntent({
+      transactionId,
+      status: "canceled",
+      raw: {
+        simulated: true
+      }
+    });
+  },
+
+  async refund({transactionId, amount = null}) {
+    const refundId = `ccr_${nanoid(16)}`;
+    logger.info(`Simulated card refund ${refundId} for payment: ${transactionId}`);
+    return {
+      refundId,
+      amount,
+      status: "succeeded",
+      raw: {
+        simulated: true
+      }
+    };
   }
-};
+});
@@ -0,0 +1,193 @@
+import axios from "axios";
+import {createHmac, randomUUID, timingSafeEqual} from "crypto";
+import {ApiError} from "../ApiError.js";
+import logger from "../logger.js";
+import {defineGateway, toIntent, gatewayError, assertGatewayAmount, assertGatewayCurrency} from "./gateway.js";
+
+/**
+ * eSewa ePay v2. The payer's browser posts a signed form to eSewa and is sent back to
+ * our success or failure URL; the success return carries a signed, base64 JSON payload.
+ * ESEWA_FORM_URL and ESEWA_STATUS_URL override the endpoints (e.g. for a local mock).
+ */
+const esewaUrls = () => {
+  const isLive = process.env.ESEWA_MODE === "live";
+  return {
+    form: process.env.ESEWA_FORM_URL || (
+      isLive
+      ? "https://epay.esewa.com.np/api/epay/main/v2/form"
+      : "https://rc-epay.esewa.com.np/api/epay/main/v2/form"),
+    status: process.env.ESEWA_STATUS_URL || (
+      isLive
+      ? "https://epay.esewa.com.np/api/epay/transaction/status/"
+      : "https://rc.esewa.com.np/api/epay/transaction/status/")
+  };
+};
+
+// Fields eSewa signs on the form we send
+const SIGNED_FORM_FIELDS = "total_amount,transaction_uuid,product_code";
+
+// eSewa transaction statuses in the Payment model's terms
+const STATUSES = {
+  COMPLETE: "succeeded",
+  PENDING: "processing",
+  AMBIGUOUS: "processing",
+  PARTIAL_REFUND: "succeeded",
+  FULL_REFUND: "refunded",
+  NOT_FOUND: "failed",
+  CANCELED: "canceled"
+};
+
+// Base64 HMAC-SHA256 over the named fields, as "name=value,name=value"
+export const signEsewaFields = (fields, signedFieldNames, secret = process.env.ESEWA_SECRET_KEY) => {
+  const message = signedFieldNames.split(",").map(name => `${name}=${fields[name]}`).join(",");
+  return createHmac("sha256", secret).update(message).digest("base64");
+};
+
+// Check a payload's signature without leaking how much of it matched
+const hasValidSignature = payload => {
+  if (!payload.signed_field_names || typeof payload.signature !== "string") {
+    return false;
+  }
+  const expected = Buffer.from(signEsewaFields(payload, payload.signed_field_names));
+  const given = Buffer.from(payload.signature);
+  return expected.length === given.length && timingSafeEqual(expected, given);
+};
+
+// eSewa formats amounts its own way ("1,000.0"), so compare them as numbers
+const toAmount = value => Number(String(value).replace(/,/g, ""));
+
+// Decode the base64 JSON payload eSewa appends to the success URL
+const decodeReturnData = data => {
+  try {
+    return JSON.parse(Buffer.from(data, "base64").toString("utf8"));
+  } catch (error) {
+    throw new ApiError(400, "Malformed eSewa response");
+  }
+};
+
+// Ask eSewa for a transaction's status
+const fetchStatus = async (transactionUuid, amount) => {
+  const {data} = await axios.get(esewaUrls().status, {
+    params: {
+      product_code: process.env.ESEWA_PRODUCT_CODE,
+      total_amount: amount,
+      transaction_uuid: transactionUuid
+    },
+    timeout: 15000
+  });
+  return data;
+};
+
+const fromStatus = (transactionUuid, statusResponse, raw = statusResponse) => toIntent({
+  transactionId: transactionUuid,
+  status: STATUSES[statusResponse.status] || "pending",
+  amount: toAmount(statusResponse.total_amount),
+  currency: "npr",
+  gatewayId: statusResponse.ref_id || null,
+  raw
+});
+
+export const esewaGateway = defineGateway({
+  name: "esewa",
+  currencies: ["npr"],
+
+  isEnabled: () => Boolean(process.env.ESEWA_PRODUCT_CODE && process.env.ESEWA_SECRET_KEY),
+
+  // Build the signed form the client posts to eSewa
+  async createIntent({
+    amount,
+    currency = "npr",
+    metadata = {},
+    returnUrl,
+    cancelUrl
+  }) {
+    assertGatewayAmount(amount);
+    assertGatewayCurrency(this, currency);
+    if (!returnUrl || !cancelUrl) {
+      throw new ApiError(400, "eSewa payments need success and failure return URLs");
+    }
+
+    const transactionUuid = randomUUID();
+    const totalAmount = Number(amount).toFixed(2);
+
+    // eSewa doesn't say which payment failed, so the failure URL carries it
+    const failureUrl = new URL(cancelUrl);
+    failureUrl.searchParams.set("transaction_uuid", transactionUuid);
+
+    const fields = {
+      amount: totalAmount,
+      tax_amount: "0",
+      product_service_charge: "0",
+      product_delivery_charge: "0",
+      total_amount: totalAmount,
+      transaction_uuid: transactionUuid,
+      product_code: process.env.ESEWA_PRODUCT_CODE,
+      success_url: returnUrl,
+      failure_url: failureUrl.toString(),
+      signed_field_names: SIGNED_FORM_FIELDS
+    };
+    fields.signature = signEsewaFields(fields, SIGNED_FORM_FIELDS);
+
+    logger.info(`eSewa payment form created: ${transactionUuid} for ${totalAmount} NPR`);
+    return toIntent({
+      transactionId: transactionUuid,
+      status: "requires_action",
+      amount: Number(totalAmount),
+      currency: "npr",
+      redirectUrl: esewaUrls().form,
+      metadata,
+      raw: {
+        formUrl: esewaUrls().form,
+        fields
+      }
+    });
+  },
+
+  async parseReturn(query) {
+    if (query.data) {
+      const payload = decodeReturnData(query.data);
+      return {transactionId: payload.transaction_uuid, data: payload};
+    }
+    return {transactionId: query.transaction_uuid, data: {}};
+  },
+
+  // Verify the signed success payload, then check the transaction with eSewa itself
+  async confirm(transactionUuid, payload = {}) {
+    if (!hasValidSignature(payload)) {
+      logger.error(`eSewa return for ${transactionUuid} has an invalid signature`);
+      throw new ApiError(400, "Invalid eSewa signature");
+    }
+    if (payload.transaction_uuid !== transactionUuid || payload.product_code !== process.env.ESEWA_PRODUCT_CODE) {
+      throw new ApiError(400, "eSewa response doesn't match this payment");
+    }
+
+    try {
+      const statusResponse = await fetchStatus(transactionUuid, toAmount(payload.total_amount));
+      logger.info(`eSewa payment ${transactionUuid} status: ${statusResponse.status}`);
+      return fromStatus(transactionUuid, {
+        ...statusResponse,
+        ref_id: statusResponse.ref_id || payload.transaction_code
+      }, {
+        response: payload,
+        status: statusResponse
+      });
+    } catch (error) {
+      throw gatewayError("eSewa", "confirm", error);
+    }
+  },
+
+  // An unpaid eSewa payment just lapses; there's nothing to cancel with eSewa
+  async cancel(transactionId) {
+    return toIntent({transactionId, status: "canceled", raw: {}});
+  },
+
+  async getStatus(transactionUuid, {amount} = {}) {
+    assertGatewayAmount(amount);
+
+    try {
+      return fromStatus(transactionUuid, await fetchStatus(transactionUuid, Number(amount)));
+    } catch (error) {
+      throw gatewayError("eSewa", "getStatus", error);
+    }
+  }
+});
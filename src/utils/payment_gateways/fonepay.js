@@ -0,0 +1,189 @@
+import axios from "axios";
+import {createHmac, timingSafeEqual} from "crypto";
+import {nanoid} from "nanoid";
+import {ApiError} from "../ApiError.js";
+import logger from "../logger.js";
+import {defineGateway, toIntent, gatewayError, assertGatewayAmount, assertGatewayCurrency} from "./gateway.js";
+
+/**
+ * Fonepay web payment. The payer is redirected to Fonepay (where they scan its QR with
+ * any banking app) and back to our return URL with a signed result, which is then
+ * checked with Fonepay's verification API. FONEPAY_BASE_URL overrides the API host
+ * (e.g. for the local stub server).
+ *
+ * Fonepay has no refund API; refunds are made from the merchant portal.
+ */
+const fonepayBaseUrl = () => process.env.FONEPAY_BASE_URL || (
+  process.env.FONEPAY_MODE === "live"
+  ? "https://clientapi.fonepay.com"
+  : "https://dev-clientapi.fonepay.com");
+
+// Fields signed on the request we send and on the result Fonepay returns
+const SIGNED_REQUEST_FIELDS = ["PID", "MD", "PRN", "AMT", "CRN", "DT", "R1", "R2", "RU"];
+const SIGNED_RESPONSE_FIELDS = ["PRN", "PID", "PS", "RC", "UID", "BC", "INI", "P_AMT", "R_AMT"];
+const SIGNED_VERIFICATION_FIELDS = ["PID", "AMT", "PRN", "BID", "UID"];
+
+// Hex HMAC-SHA512 over the named fields' values, comma separated
+export const signFonepayFields = (fields, names, secret = process.env.FONEPAY_SECRET_KEY) => createHmac("sha512", secret).update(names.map(name => fields[name]
+  ?? "").join(",")).digest("hex");
+
+// Check a result's signature without leaking how much of it matched
+const hasValidSignature = result => {
+  if (typeof result.DV !== "string") {
+    return false;
+  }
+  const expected = Buffer.from(signFonepayFields(result, SIGNED_RESPONSE_FIELDS));
+  const given = Buffer.from(result.DV.toLowerCase());
+  return expected.length === given.length && timingSafeEqual(expected, given);
+};
+
+// Fonepay wants the date as MM/DD/YYYY
+const fonepayDate = (date = new Date()) => [
+  String(date.getMonth() + 1).padStart(2, "0"),
+  String(date.getDate()).padStart(2, "0"),
+  date.getFullYear()
+].join("/");
+
+// The verification API answers in XML; we only need a few flat elements of it
+const readXmlField = (xml, name) => {
+  const match = new RegExp(`<${name}>([^<]*)</${name}>`).exec(xml);
+  return match
+    ? match[1].trim()
+    : null;
+};
+
+// Ask Fonepay whether a returned payment really went through
+const verifyPayment = async result => {
+  const fields = {
+    PID: process.env.FONEPAY_MERCHANT_CODE,
+    AMT: result.P_AMT,
+    PRN: result.PRN,
+    BID: result.BC,
+    UID: result.UID
+  };
+  const {data} = await axios.get(`${fonepayBaseUrl()}/api/merchantRequest/verificationMerchant`, {
+    params: {
+      ...fields,
+      DV: signFonepayFields(fields, SIGNED_VERIFICATION_FIELDS)
+    },
+    responseType: "text",
+    timeout: 15000
+  });
+
+  return {
+    success: readXmlField(data, "success") === "true",
+    responseCode: readXmlField(data, "response_code"),
+    amount: Number(readXmlField(data, "amount")),
+    raw: data
+  };
+};
+
+export const fonepayGateway = defineGateway({
+  name: "fonepay",
+  currencies: ["npr"],
+
+  isEnabled: () => Boolean(process.env.FONEPAY_MERCHANT_CODE && process.env.FONEPAY_SECRET_KEY),
+
+  // Build the signed URL the payer is redirected to
+  async createIntent({
+    amount,
+    currency = "npr",
+    metadata = {},
+    returnUrl
+  }) {
+    assertGatewayAmount(amount);
+    assertGatewayCurrency(this, currency);
+    if (!returnUrl) {
+      throw new ApiError(400, "Fonepay payments need a return URL");
+    }
+
+    const fields = {
+      PID: process.env.FONEPAY_MERCHANT_CODE,
+      MD: "P",
+      PRN: nanoid(),
+      AMT: Number(amount).toFixed(2),
+      CRN: "NPR",
+      DT: fonepayDate(),
+      R1: "Booking payment",
+      R2: "N/A",
+      RU: returnUrl
+    };
+    fields.DV = signFonepayFields(fields, SIGNED_REQUEST_FIELDS);
+
+    const redirectUrl = new URL("/api/merchantRequest", fonepayBaseUrl());
+    Object.entries(fields).forEach(([name, value]) => redirectUrl.searchParams.set(name, value));
+
+    logger.info(`Fonepay payment request created: ${fields.PRN} for ${fields.AMT} NPR`);
+    return toIntent({
+      transactionId: fields.PRN,
+      status: "requires_action",
+      amount: Number(fields.AMT),
+      currency: "npr",
+      redirectUrl: redirectUrl.toString(),
+      metadata,
+      raw: {
+        paymentUrl: redirectUrl.toString(),
+        fields
+      }
+    });
+  },
+
+  async parseReturn(query) {
+    return {transactionId: query.PRN, data: query};
+  },
+
+  // Fonepay returns every outcome to the same URL; trust it only once signed and verified
+  async confirm(prn, result = {}) {
+    if (!hasValidSignature(result)) {
+      logger.error(`Fonepay return for ${prn} has an invalid signature`);
+      throw new ApiError(400, "Invalid Fonepay signature");
+    }
+    if (result.PRN !== prn || result.PID !== process.env.FONEPAY_MERCHANT_CODE) {
+      throw new ApiError(400, "Fonepay response doesn't match this payment");
+    }
+
+    if (result.PS !== "true") {
+      logger.info(`Fonepay payment ${prn} not completed: ${result.RC}`);
+      return toIntent({
+        transactionId: prn,
+        status: result.RC === "cancel"
+          ? "canceled"
+          : "failed",
+        amount: Number(result.P_AMT),
+        currency: "npr",
+        raw: {
+          response: result
+        }
+      });
+    }
+
+    try {
+      const verification = await verifyPayment(result);
+      logger.info(`Fonepay payment ${prn} verification: ${verification.responseCode}`);
+      return toIntent({
+        transactionId: prn,
+        status: verification.success && verification.responseCode === "successful"
+          ? "succeeded"
+          : "failed",
+        amount: verification.amount || Number(result.P_AMT),
+        currency: "npr",
+        gatewayId: result.UID,
+        raw: {
+          response: result,
+          verification: verification.raw
+        }
+      });
+    } catch (error) {
+      throw gatewayError("Fonepay", "confirm", error);
+    }
+  },
+
+  // An unpaid Fonepay payment just lapses; there's nothing to cancel with Fonepay
+  async cancel(transactionId) {
+    return toIntent({transactionId, status: "canceled", raw: {}});
+  },
+
+  async refund() {
+    throw new ApiError(400, "Fonepay payments can only be refunded from the Fonepay merchant portal");
+  }
+});
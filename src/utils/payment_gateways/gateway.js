@@ -0,0 +1,132 @@
+import {ApiError} from "../ApiError.js";
+import logger from "../logger.js";
+
+/**
+ * The interface every payment gateway adapter implements. Amounts are in major units
+ * (12.50, not 1250) and statuses use the Payment model's vocabulary, so callers never
+ * deal with a gateway's own units or status names.
+ *
+ *   createIntent({amount, currency, metadata, returnUrl, cancelUrl})
+ *                                                         start a payment; redirect gateways send the
+ *                                                         payer back to returnUrl or cancelUrl
+ *   confirm(transactionId, data)                          complete it with what the client sent back
+ *   capture(transactionId, {amount})                      capture an authorised payment
+ *   cancel(transactionId)                                 abandon a payment that wasn't made
+ *   refund({transactionId, amount, currency, paymentMetadata})
+ *   parseWebhook({rawBody, headers})                      verify and normalise a webhook call
+ *   parseReturn(query)                                    read which payment a payer came back for
+ *                                                         -> {transactionId, data} (unverified)
+ *   getStatus(transactionId, {amount})                    fetch the payment's current state
+ *
+ * Payment operations resolve to an intent (see toIntent), refund to
+ * {refundId, amount, status, raw} and parseWebhook to an event (see toWebhookEvent),
+ * or null for gateway events we don't act on.
+ */
+export const GATEWAY_OPERATIONS = [
+  "createIntent",
+  "confirm",
+  "capture",
+  "cancel",
+  "refund",
+  "parseWebhook",
+  "parseReturn",
+  "getStatus"
+];
+
+// Normalised webhook event types
+export const WEBHOOK_EVENTS = ["payment.created", "payment.succeeded", "payment.failed", "payment.canceled", "payment.refunded"];
+
+/**
+ * Build an adapter from a gateway's operations. Operations it leaves out reject with a
+ * 400, `isEnabled` (default: always) says whether the gateway is configured here, and
+ * `currencies` (lowercase codes; default: any) lists what it can charge in.
+ */
+export const defineGateway = adapter => {
+  const gateway = {
+    isEnabled: () => true,
+    currencies: null,
+    ...adapter
+  };
+
+  for (const operation of GATEWAY_OPERATIONS) {
+    if (typeof gateway[operation] !== "function") {
+      gateway[operation] = async () => {
+        throw new ApiError(400, `${adapter.name} does not support ${operation}`);
+      };
+    }
+  }
+
+  return Object.freeze(gateway);
+};
+
+// Common shape of a payment as a gateway reports it. `gatewayId` is the gateway's reference
+// for the money once it moves (a capture or payment ID), when that differs from transactionId.
+export const toIntent = ({
+  transactionId,
+  status,
+  amount,
+  currency,
+  clientSecret = null,
+  redirectUrl = null,
+  gatewayId = null,
+  metadata = {},
+  raw
+}) => ({
+  transactionId,
+  status,
+  amount,
+  currency,
+  clientSecret,
+  redirectUrl,
+  gatewayId,
+  metadata,
+  raw
+});
+
+// Common shape of a webhook call. A payment.refunded event's status is "refunded" only once
+// the whole payment has been refunded.
+export const toWebhookEvent = ({
+  id,
+  type,
+  transactionId,
+  status,
+  amount = null,
+  gatewayId = null,
+  metadata = {},
+  raw
+}) => ({
+  id,
+  type,
+  transactionId,
+  status,
+  amount,
+  gatewayId,
+  metadata,
+  raw
+});
+
+// Turn a gateway failure into an ApiError that says which gateway and operation failed
+export const gatewayError = (name, operation, error) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  logger.error(`${name} ${operation} error: ${error.message}`);
+  return new ApiError(502, `${name} ${operation} failed: ${error.message}`);
+};
+
+// Gateways take metadata as flat strings; unset values are left out
+export const toStringMetadata = metadata => Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== undefined && value !== null).map(([key, value]) => [key, value.toString()]));
+
+// Reject a currency the gateway doesn't take, rather than charge the same number in its own
+export const assertGatewayCurrency = (gateway, currency) => {
+  if (gateway.currencies && !gateway.currencies.includes(String(currency).toLowerCase())) {
+    throw new ApiError(400, `${gateway.name} only accepts payments in ${gateway.currencies.join(", ").toUpperCase()}`);
+  }
+};
+
+// Reject amounts a gateway can't be asked to charge or refund
+export const assertGatewayAmount = amount => {
+  if (isNaN(amount) || Number(amount) <= 0) {
+    throw new ApiError(400, "Amount must be a number greater than 0");
+  }
+};
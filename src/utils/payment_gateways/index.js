@@ -0,0 +1,47 @@
+import {ApiError} from "../ApiError.js";
+import {stripeGateway} from "./stripe.js";
+import {paypalGateway} from "./paypal.js";
+import {razorpayGateway} from "./razor_pay.js";
+import {creditCardGateway} from "./credit_card.js";
+import {esewaGateway} from "./esewa.js";
+import {khaltiGateway} from "./khalti.js";
+import {fonepayGateway} from "./fonepay.js";
+
+/**
+ * Payment gateway registry. Controllers look a gateway up by payment method and use
+ * the common interface in gateway.js; adding a gateway is one adapter file built with
+ * defineGateway plus its registration here.
+ */
+const gateways = new Map();
+
+export const registerGateway = gateway => {
+  if (!gateway
+    ?.name) {
+    throw new Error("A payment gateway needs a name");
+  }
+  gateways.set(gateway.name, gateway);
+  return gateway;
+};
+
+[stripeGateway, paypalGateway, razorpayGateway, creditCardGateway, esewaGateway, khaltiGateway, fonepayGateway].forEach(registerGateway);
+
+// The gateway for a payment method, or null if there's none or it isn't configured here
+export const findGateway = name => {
+  const gateway = gateways.get(name);
+  return gateway
+    ?.isEnabled()
+      ? gateway
+      : null;
+};
+
+// The gateway for a payment method; a 400 if it can't be used
+export const getGateway = name => {
+  const gateway = findGateway(name);
+  if (!gateway) {
+    throw new ApiError(400, `Payment method not supported: ${name}`);
+  }
+  return gateway;
+};
+
+// Names of the gateways that can take payments here
+export const listGateways = () => [...gateways.values()].filter(gateway => gateway.isEnabled()).map(gateway => gateway.name);
@@ -0,0 +1,160 @@
+import axios from "axios";
+import {randomUUID} from "crypto";
+import {ApiError} from "../ApiError.js";
+import logger from "../logger.js";
+import {defineGateway, toIntent, gatewayError, assertGatewayAmount, assertGatewayCurrency} from "./gateway.js";
+
+/**
+ * Khalti ePayment (KPG-2). The payer is sent to Khalti's payment page and back to our
+ * return URL, whatever the outcome; the return is only trusted after a lookup call.
+ * KHALTI_BASE_URL overrides the API host (e.g. for the local stub server).
+ */
+const khaltiBaseUrl = () => process.env.KHALTI_BASE_URL || (
+  process.env.KHALTI_MODE === "live"
+  ? "https://khalti.com"
+  : "https://dev.khalti.com");
+
+// Call the Khalti API with the merchant's secret key
+const khaltiRequest = async (path, body) => {
+  const {data} = await axios.post(`${khaltiBaseUrl()}${path}`, body, {
+    headers: {
+      Authorization: `Key ${process.env.KHALTI_SECRET_KEY}`,
+      "Content-Type": "application/json"
+    },
+    timeout: 15000
+  });
+  return data;
+};
+
+// Khalti reports failures in the response body
+const khaltiError = (operation, error) => {
+  const detail = error.response
+    ?.data;
+  const message = detail
+    ?.detail || detail
+      ?.error_key || (
+      detail
+      ? JSON.stringify(detail)
+      : null);
+  return gatewayError("Khalti", operation, message
+    ? new Error(message)
+    : error);
+};
+
+// Khalti payment statuses in the Payment model's terms
+const STATUSES = {
+  "Completed": "succeeded",
+  "Pending": "processing",
+  "Initiated": "requires_action",
+  "Refunded": "refunded",
+  "Partially Refunded": "succeeded",
+  "User canceled": "canceled",
+  "Expired": "canceled"
+};
+
+const fromLookup = lookup => toIntent({
+  transactionId: lookup.pidx,
+  status: STATUSES[lookup.status] || "pending",
+  amount: lookup.total_amount / 100,
+  currency: "npr",
+  gatewayId: lookup.transaction_id || null,
+  raw: lookup
+});
+
+export const khaltiGateway = defineGateway({
+  name: "khalti",
+  currencies: ["npr"],
+
+  isEnabled: () => Boolean(process.env.KHALTI_SECRET_KEY),
+
+  async createIntent({
+    amount,
+    currency = "npr",
+    metadata = {},
+    returnUrl
+  }) {
+    assertGatewayAmount(amount);
+    assertGatewayCurrency(this, currency);
+    if (!returnUrl) {
+      throw new ApiError(400, "Khalti payments need a return URL");
+    }
+
+    try {
+      const purchaseOrderId = randomUUID();
+      const payment = await khaltiRequest("/api/v2/epayment/initiate/", {
+        return_url: returnUrl,
+        website_url: new URL(returnUrl).origin,
+        amount: Math.round(amount * 100), // Convert to paisa
+        purchase_order_id: purchaseOrderId,
+        purchase_order_name: "Booking payment"
+      });
+
+      logger.info(`Khalti payment initiated: ${payment.pidx} for ${amount} NPR`);
+      return toIntent({
+        transactionId: payment.pidx,
+        status: "requires_action",
+        amount: Number(amount),
+        currency: "npr",
+        redirectUrl: payment.payment_url,
+        metadata: {
+          ...metadata,
+          purchaseOrderId
+        },
+        raw: payment
+      });
+    } catch (error) {
+      throw khaltiError("createIntent", error);
+    }
+  },
+
+  async parseReturn(query) {
+    return {transactionId: query.pidx, data: query};
+  },
+
+  // The return's query string is unsigned, so the outcome always comes from a lookup
+  async confirm(pidx) {
+    return this.getStatus(pidx);
+  },
+
+  // An unpaid Khalti payment just lapses; there's nothing to cancel with Khalti
+  async cancel(transactionId) {
+    return toIntent({transactionId, status: "canceled", raw: {}});
+  },
+
+  async getStatus(pidx) {
+    try {
+      const lookup = await khaltiRequest("/api/v2/epayment/lookup/", {pidx});
+      logger.info(`Khalti payment ${pidx} status: ${lookup.status}`);
+      return fromLookup(lookup);
+    } catch (error) {
+      throw khaltiError("getStatus", error);
+    }
+  },
+
+  // Refunds go against Khalti's transaction ID, recorded as gatewayId once paid
+  async refund({
+    transactionId,
+    amount = null,
+    paymentMetadata = {}
+  }) {
+    const khaltiTransactionId = paymentMetadata
+      ?.gatewayId;
+    if (!khaltiTransactionId || khaltiTransactionId === transactionId) {
+      throw new ApiError(400, "This Khalti payment was never completed, so there is nothing to refund");
+    }
+
+    try {
+      logger.info(`Refunding Khalti transaction: ${khaltiTransactionId}`);
+      const refund = await khaltiRequest(`/api/merchant-transaction/${khaltiTransactionId}/refund/`, amount
+        ? {
+          amount: Math.round(amount * 100) // Convert to paisa
+        }
+        : {});
+
+      logger.info(`Khalti refund processed for transaction: ${khaltiTransactionId}`);
+      return {refundId: refund.idx || khaltiTransactionId, amount, status: "succeeded", raw: refund};
+    } catch (error) {
+      throw khaltiError("refund", error);
+    }
+  }
+});
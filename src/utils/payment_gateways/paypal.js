@@ -1,58 +1,353 @@
-import paypal from "@paypal/checkout-server-sdk";
-import logger from "./logger.js"; // Import your logger utility
-
-// Initialize PayPal client
-const paypalClient = new paypal.core.PayPalHttpClient(new paypal.core.SandboxEnvironment(process.env.PAYPAL_CLIENT_ID, process.env.PAYPAL_CLIENT_SECRET));
+import axios from "axios";
+import {ApiError} from "../ApiError.js";
+import logger from "../logger.js";
+import {defineGateway, toIntent, toWebhookEvent, gatewayError, assertGatewayAmount} from "./gateway.js";
 
 /**
- * Create a PayPal order
+ * PayPal Orders v2. An order is created for the booking, the payer approves it on PayPal
+ * and comes back to our return URL, and the order is then captured. Refunds go against
+ * the capture, and PayPal's capture webhooks are verified with PayPal before use.
  */
-export const createPaypalOrder = async (amount, currency = "USD") => {
-  logger.info(`Creating PayPal order for amount: ${amount} ${currency}`);
-
-  const request = new paypal.orders.OrdersCreateRequest();
-  request.requestBody({
-    intent: "CAPTURE",
-    purchase_units: [
-      {
-        amount: {
-          currency_code: currency,
-          value: amount.toString()
-        }
-      }
-    ]
+
+// Sandbox unless PAYPAL_MODE=live; PAYPAL_API_BASE overrides it (e.g. for a local mock)
+const apiBase = () => process.env.PAYPAL_API_BASE || (
+  process.env.PAYPAL_MODE === "live"
+  ? "https://api-m.paypal.com"
+  : "https://api-m.sandbox.paypal.com");
+
+// OAuth token, reused until shortly before it expires
+let accessToken = null;
+let accessTokenExpiresAt = 0;
+const getAccessToken = async () => {
+  if (accessToken && Date.now() < accessTokenExpiresAt) {
+    return accessToken;
+  }
+
+  const {data} = await axios.post(`${apiBase()}/v1/oauth2/token`, "grant_type=client_credentials", {
+    auth: {
+      username: process.env.PAYPAL_CLIENT_ID,
+      password: process.env.PAYPAL_CLIENT_SECRET
+    },
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded"
+    },
+    timeout: 15000
+  });
+
+  accessToken = data.access_token;
+  accessTokenExpiresAt = Date.now() + (data.expires_in - 60) * 1000;
+  return accessToken;
+};
+
+// Call the PayPal REST API
+const paypalRequest = async (method, path, body) => {
+  const token = await getAccessToken();
+  const {data} = await axios({
+    method,
+    url: `${apiBase()}${path}`,
+    data: body,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json"
+    },
+    timeout: 15000
+  });
+  return data;
+};
+
+// PayPal reports failures in the response body
+const paypalError = (operation, error) => gatewayError("PayPal", operation, error.response
+  ?.data
+    ?.message
+      ? new Error(error.response.data.message)
+      : error);
+
+// Name of PayPal's error for a request it turned down, e.g. ORDER_ALREADY_CAPTURED
+const paypalIssue = error => error.response
+  ?.data
+    ?.details
+      ?.[0]
+        ?.issue;
+
+// PayPal order statuses in the Payment model's terms
+const ORDER_STATUSES = {
+  CREATED: "requires_action",
+  SAVED: "requires_action",
+  PAYER_ACTION_REQUIRED: "requires_action",
+  APPROVED: "requires_confirmation",
+  COMPLETED: "succeeded",
+  VOIDED: "canceled"
+};
+
+// Capture statuses; a completed order's capture can still be pending or declined
+const CAPTURE_STATUSES = {
+  COMPLETED: "succeeded",
+  PENDING: "processing",
+  DECLINED: "failed",
+  FAILED: "failed",
+  PARTIALLY_REFUNDED: "succeeded",
+  REFUNDED: "refunded"
+};
+
+// Capture webhooks we act on, as normalised events
+const EVENT_TYPES = {
+  "PAYMENT.CAPTURE.COMPLETED": "payment.succeeded",
+  "PAYMENT.CAPTURE.DENIED": "payment.failed",
+  "PAYMENT.CAPTURE.REFUNDED": "payment.refunded"
+};
+
+const fromOrder = (order, metadata = {}) => {
+  const approveLink = order.links
+    ?.find(link => link.rel === "approve" || link.rel === "payer-action");
+  const purchaseUnit = order.purchase_units
+    ?.[0];
+  const capture = purchaseUnit
+    ?.payments
+      ?.captures
+        ?.[0];
+  const amount = capture
+    ?.amount || purchaseUnit
+      ?.amount;
+
+  return toIntent({
+    transactionId: order.id,
+    status: capture
+      ? CAPTURE_STATUSES[capture.status] || "pending"
+      : ORDER_STATUSES[order.status] || "pending",
+    amount: amount
+      ? Number(amount.value)
+      : undefined,
+    currency: amount
+      ?.currency_code,
+    redirectUrl: approveLink
+      ?.href || null,
+    gatewayId: capture
+      ?.id || null,
+    metadata,
+    raw: order
   });
+};
 
+// Capture an approved order; capturing it again just reports the earlier capture
+const captureOrder = async orderId => {
   try {
-    const response = await paypalClient.execute(request);
-    logger.info(`PayPal order created successfully. Order ID: ${response.result.id}`);
-    return response.result;
+    const order = await paypalRequest("post", `/v2/checkout/orders/${orderId}/capture`, {});
+    logger.info(`PayPal order captured: ${orderId}`);
+    return fromOrder(order);
   } catch (error) {
-    logger.error(`Error creating PayPal order: ${error.message}`);
-    throw new Error(`PayPal Error: ${error.message}`);
+    if (paypalIssue(error) === "ORDER_ALREADY_CAPTURED") {
+      return fromOrder(await paypalRequest("get", `/v2/checkout/orders/${orderId}`));
+    }
+    if (paypalIssue(error) === "ORDER_NOT_APPROVED") {
+      throw new ApiError(400, "The payer hasn't approved this PayPal order yet");
+    }
+    throw error;
   }
 };
 
-/**
- * Refund a PayPal payment
- */
-export const refundPaypalPayment = async (orderId, amount) => {
-  logger.info(`Refunding PayPal payment for order ID: ${orderId}, amount: ${amount}`);
+// Ask PayPal whether a webhook call really came from it
+const verifyWebhookSignature = async (headers, webhookEvent) => {
+  if (!process.env.PAYPAL_WEBHOOK_ID) {
+    throw new ApiError(400, "PayPal webhooks aren't configured");
+  }
 
-  const request = new paypal.payments.CapturesRefundRequest(orderId);
-  request.requestBody({
-    amount: {
-      currency_code: "USD",
-      value: amount.toString()
-    }
+  const verification = await paypalRequest("post", "/v1/notifications/verify-webhook-signature", {
+    auth_algo: headers["paypal-auth-algo"],
+    cert_url: headers["paypal-cert-url"],
+    transmission_id: headers["paypal-transmission-id"],
+    transmission_sig: headers["paypal-transmission-sig"],
+    transmission_time: headers["paypal-transmission-time"],
+    webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+    webhook_event: webhookEvent
   });
+  return verification.verification_status === "SUCCESS";
+};
 
-  try {
-    const response = await paypalClient.execute(request);
-    logger.info(`PayPal refund processed successfully. Refund ID: ${response.result.id}`);
-    return response.result;
-  } catch (error) {
-    logger.error(`Error refunding PayPal payment: ${error.message}`);
-    throw new Error(`PayPal Refund Error: ${error.message}`);
+// The capture a refund belongs to, from the refund's "up" link
+const refundedCaptureId = refund => refund.links
+  ?.find(link => link.rel === "up")
+    ?.href.split("/").pop();
+
+export const paypalGateway = defineGateway({
+  name: "paypal",
+
+  isEnabled: () => Boolean(process.env.PAYPAL_CLIENT_ID && process.env.PAYPAL_CLIENT_SECRET),
+
+  async createIntent({
+    amount,
+    currency = "USD",
+    metadata = {},
+    returnUrl,
+    cancelUrl
+  }) {
+    assertGatewayAmount(amount);
+    if (!returnUrl || !cancelUrl) {
+      throw new ApiError(400, "PayPal payments need return and cancel URLs");
+    }
+
+    // What the order pays for, so it can be traced from PayPal's side
+    const reference = metadata.booking || metadata.reservation || metadata.cart;
+
+    try {
+      logger.info(`Creating PayPal order for amount: ${amount} ${currency}`);
+      const order = await paypalRequest("post", "/v2/checkout/orders", {
+        intent: "CAPTURE",
+        purchase_units: [
+          {
+            custom_id: reference
+              ? String(reference)
+              : undefined,
+            amount: {
+              currency_code: currency.toUpperCase(),
+              value: Number(amount).toFixed(2)
+            }
+          }
+        ],
+        payment_source: {
+          paypal: {
+            experience_context: {
+              return_url: returnUrl,
+              cancel_url: cancelUrl,
+              user_action: "PAY_NOW",
+              shipping_preference: "NO_SHIPPING"
+            }
+          }
+        }
+      });
+
+      logger.info(`PayPal order created successfully. Order ID: ${order.id}`);
+      return fromOrder(order, metadata);
+    } catch (error) {
+      throw paypalError("createIntent", error);
+    }
+  },
+
+  // PayPal sends the payer back with the order ID as `token`
+  async parseReturn(query) {
+    return {transactionId: query.token, data: query};
+  },
+
+  // An approved order is paid for once it's captured
+  async confirm(orderId) {
+    return this.capture(orderId);
+  },
+
+  async capture(orderId) {
+    try {
+      return await captureOrder(orderId);
+    } catch (error) {
+      throw paypalError("capture", error);
+    }
+  },
+
+  // An order that was never captured just expires; PayPal has nothing to cancel
+  async cancel(orderId) {
+    const intent = await this.getStatus(orderId);
+    if (["succeeded", "refunded"].includes(intent.status)) {
+      throw new ApiError(400, "This PayPal order has already been paid; refund it instead");
+    }
+    return {
+      ...intent,
+      status: "canceled"
+    };
+  },
+
+  // Refunds go against the capture; its ID replaces the order's as gatewayId once captured
+  async refund({
+    transactionId,
+    amount = null,
+    currency,
+    paymentMetadata = {}
+  }) {
+    const captureId = paymentMetadata
+      ?.gatewayId;
+    if (!captureId || captureId === transactionId) {
+      throw new ApiError(400, "This PayPal order was never captured, so there is nothing to refund");
+    }
+    const currencyCode = currency || fromOrder(paymentMetadata
+      ?.gatewayResponse || {}).currency || "USD";
+
+    try {
+      logger.info(`Refunding PayPal capture: ${captureId}`);
+      const refund = await paypalRequest("post", `/v2/payments/captures/${captureId}/refund`, amount
+        ? {
+          amount: {
+            currency_code: currencyCode.toUpperCase(),
+            value: Number(amount).toFixed(2)
+          }
+        }
+        : {});
+
+      logger.info(`PayPal refund processed successfully. Refund ID: ${refund.id}`);
+      return {
+        refundId: refund.id,
+        amount: refund.amount
+          ? Number(refund.amount.value)
+          : amount,
+        status: refund.status,
+        raw: refund
+      };
+    } catch (error) {
+      throw paypalError("refund", error);
+    }
+  },
+
+  async parseWebhook({rawBody, headers}) {
+    let webhookEvent;
+    try {
+      webhookEvent = JSON.parse(rawBody.toString("utf8"));
+    } catch (error) {
+      throw new ApiError(400, "Malformed PayPal webhook");
+    }
+
+    let verified;
+    try {
+      verified = await verifyWebhookSignature(headers, webhookEvent);
+    } catch (error) {
+      throw paypalError("parseWebhook", error);
+    }
+    if (!verified) {
+      logger.error(`PayPal webhook signature check failed for event: ${webhookEvent.id}`);
+      throw new ApiError(400, "Invalid PayPal webhook signature");
+    }
+    logger.info(`PayPal webhook event received: ${webhookEvent.event_type}`);
+
+    const type = EVENT_TYPES[webhookEvent.event_type];
+    if (!type) {
+      logger.info(`Unhandled PayPal event type: ${webhookEvent.event_type}`);
+      return null;
+    }
+
+    // Capture events carry their order; a refund only links to its capture
+    const resource = webhookEvent.resource;
+    let capture = resource;
+    if (type === "payment.refunded") {
+      try {
+        capture = await paypalRequest("get", `/v2/payments/captures/${refundedCaptureId(resource)}`);
+      } catch (error) {
+        throw paypalError("parseWebhook", error);
+      }
+    }
+
+    return toWebhookEvent({
+      id: webhookEvent.id,
+      type,
+      transactionId: capture.supplementary_data
+        ?.related_ids
+          ?.order_id,
+      status: CAPTURE_STATUSES[capture.status] || "pending",
+      amount: Number(resource.amount
+        ?.value),
+      gatewayId: capture.id,
+      raw: resource
+    });
+  },
+
+  async getStatus(orderId) {
+    try {
+      return fromOrder(await paypalRequest("get", `/v2/checkout/orders/${orderId}`));
+    } catch (error) {
+      throw paypalError("getStatus", error);
+    }
   }
-};
\ No newline at end of file
+});
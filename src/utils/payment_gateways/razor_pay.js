@@ -1,35 +1,260 @@
 import Razorpay from "razorpay";
-import dotenv from "dotenv";
-
-dotenv.config();
-
-const razorpay = new Razorpay({key_id: process.env.RAZORPAY_KEY_ID, key_secret: process.env.RAZORPAY_KEY_SECRET});
+import {createHmac, timingSafeEqual} from "crypto";
+import {ApiError} from "../ApiError.js";
+import logger from "../logger.js";
+import {defineGateway, toIntent, toWebhookEvent, gatewayError, assertGatewayAmount, toStringMetadata} from "./gateway.js";
 
 /**
- * Create a Razorpay order
+ * Razorpay Orders. An order is created for the booking and paid in Razorpay Checkout on
+ * the client, whose callback (razorpay_order_id, razorpay_payment_id, razorpay_signature)
+ * is posted back to confirm it. Payment webhooks arrive at /webhook/razorpay.
  */
-export const createRazorpayOrder = async (amount, currency = "INR") => {
-  try {
-    const order = await razorpay.orders.create({
-      amount: amount * 100, // Convert to paise
-      currency
-    });
-    return order;
-  } catch (error) {
-    throw new Error(`Razorpay Error: ${error.message}`);
+
+// Created on first use so the keys are read after the environment is loaded
+let razorpayClient;
+const getRazorpay = () => {
+  if (!razorpayClient) {
+    razorpayClient = new Razorpay({key_id: process.env.RAZORPAY_KEY_ID, key_secret: process.env.RAZORPAY_KEY_SECRET});
   }
+  return razorpayClient;
 };
 
-/**
- * Refund a Razorpay payment
- */
-export const refundRazorpayPayment = async (paymentId, amount) => {
-  try {
-    const refund = await razorpay.payments.refund(paymentId, {
-      amount: amount * 100 // Convert to paise
+// Razorpay order statuses in the Payment model's terms
+const ORDER_STATUSES = {
+  created: "requires_payment_method",
+  attempted: "processing",
+  paid: "succeeded"
+};
+
+// Razorpay payment statuses; an authorized payment still has to be captured
+const PAYMENT_STATUSES = {
+  created: "processing",
+  authorized: "requires_capture",
+  captured: "succeeded",
+  refunded: "refunded",
+  failed: "failed"
+};
+
+// Payment webhooks we act on, as normalised events
+const EVENT_TYPES = {
+  "payment.captured": "payment.succeeded",
+  "payment.failed": "payment.failed",
+  "refund.processed": "payment.refunded"
+};
+
+// Razorpay rejects with {error: {description}} rather than an Error
+const razorpayError = (operation, error) => gatewayError("Razorpay", operation, error.error
+  ?.description
+    ? new Error(error.error.description)
+    : error);
+
+// Compare a hex HMAC-SHA256 of `message` with the signature Razorpay sent
+const hasValidSignature = (message, signature, secret) => {
+  if (typeof signature !== "string" || !secret) {
+    return false;
+  }
+  const expected = Buffer.from(createHmac("sha256", secret).update(message).digest("hex"));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && timingSafeEqual(expected, given);
+};
+
+const fromOrder = (order, payment = null) => toIntent({
+  transactionId: order.id,
+  status: ORDER_STATUSES[order.status] || "pending",
+  amount: order.amount / 100,
+  currency: order.currency,
+  gatewayId: payment
+    ?.id || null,
+  metadata: order.notes,
+  raw: order
+});
+
+const fromPayment = payment => toIntent({
+  transactionId: payment.order_id,
+  status: PAYMENT_STATUSES[payment.status] || "pending",
+  amount: payment.amount / 100,
+  currency: payment.currency,
+  gatewayId: payment.id,
+  metadata: payment.notes,
+  raw: payment
+});
+
+export const razorpayGateway = defineGateway({
+  name: "razorpay",
+
+  isEnabled: () => Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET),
+
+  async createIntent({
+    amount,
+    currency = "INR",
+    metadata = {}
+  }) {
+    assertGatewayAmount(amount);
+
+    // What the order pays for, so it can be traced from Razorpay's side
+    const reference = metadata.booking || metadata.reservation || metadata.cart;
+
+    try {
+      logger.info(`Creating Razorpay order for amount: ${amount} ${currency}`);
+      const order = await getRazorpay().orders.create({
+        amount: Math.round(amount * 100), // Convert to paise
+        currency: currency.toUpperCase(),
+        receipt: reference
+          ? String(reference)
+          : undefined,
+        notes: toStringMetadata(metadata)
+      });
+
+      logger.info(`Razorpay order created: ${order.id}`);
+      return {
+        ...fromOrder(order),
+        // Checkout needs the public key alongside the order
+        raw: {
+          ...order,
+          key_id: process.env.RAZORPAY_KEY_ID
+        }
+      };
+    } catch (error) {
+      throw razorpayError("createIntent", error);
+    }
+  },
+
+  // Verify Checkout's signed callback, then capture the payment if it's only authorized
+  async confirm(orderId, data = {}) {
+    const {razorpay_order_id: callbackOrderId, razorpay_payment_id: paymentId, razorpay_signature: signature} = data;
+    if (!paymentId || !signature) {
+      throw new ApiError(400, "razorpay_payment_id and razorpay_signature are required");
+    }
+    if (callbackOrderId && callbackOrderId !== orderId) {
+      throw new ApiError(400, "Razorpay response doesn't match this payment");
+    }
+    if (!hasValidSignature(`${orderId}|${paymentId}`, signature, process.env.RAZORPAY_KEY_SECRET)) {
+      logger.error(`Razorpay callback for ${orderId} has an invalid signature`);
+      throw new ApiError(400, "Invalid Razorpay signature");
+    }
+
+    try {
+      let payment = await getRazorpay().payments.fetch(paymentId);
+      if (payment.order_id !== orderId) {
+        throw new ApiError(400, "Razorpay payment doesn't belong to this order");
+      }
+      if (payment.status === "authorized") {
+        payment = await getRazorpay().payments.capture(paymentId, payment.amount, payment.currency);
+      }
+
+      logger.info(`Razorpay payment ${paymentId} for order ${orderId}: ${payment.status}`);
+      return fromPayment(payment);
+    } catch (error) {
+      throw razorpayError("confirm", error);
+    }
+  },
+
+  async capture(paymentId, {amount} = {}) {
+    try {
+      const payment = await getRazorpay().payments.fetch(paymentId);
+      return fromPayment(await getRazorpay().payments.capture(paymentId, amount
+        ? Math.round(amount * 100)
+        : payment.amount, payment.currency));
+    } catch (error) {
+      throw razorpayError("capture", error);
+    }
+  },
+
+  // An unpaid order just expires; Razorpay has nothing to cancel
+  async cancel(orderId) {
+    const intent = await this.getStatus(orderId);
+    if (["succeeded", "refunded"].includes(intent.status)) {
+      throw new ApiError(400, "This Razorpay order has already been paid; refund it instead");
+    }
+    return {
+      ...intent,
+      status: "canceled"
+    };
+  },
+
+  // Refunds go against the captured payment; its ID replaces the order's as gatewayId once paid
+  async refund({
+    transactionId,
+    amount = null,
+    paymentMetadata = {}
+  }) {
+    const paymentId = paymentMetadata
+      ?.gatewayId;
+    if (!paymentId || paymentId === transactionId) {
+      throw new ApiError(400, "This Razorpay order was never paid, so there is nothing to refund");
+    }
+
+    try {
+      logger.info(`Refunding Razorpay payment: ${paymentId}`);
+      const refund = await getRazorpay().payments.refund(paymentId, amount
+        ? {
+          amount: Math.round(amount * 100) // Convert to paise
+        }
+        : {});
+
+      logger.info(`Razorpay refund created: ${refund.id}`);
+      return {refundId: refund.id, amount: refund.amount / 100, status: refund.status, raw: refund};
+    } catch (error) {
+      throw razorpayError("refund", error);
+    }
+  },
+
+  async parseWebhook({rawBody, headers}) {
+    if (!hasValidSignature(rawBody, headers["x-razorpay-signature"], process.env.RAZORPAY_WEBHOOK_SECRET)) {
+      logger.error("Razorpay webhook signature check failed");
+      throw new ApiError(400, "Invalid Razorpay webhook signature");
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString("utf8"));
+    } catch (error) {
+      throw new ApiError(400, "Malformed Razorpay webhook");
+    }
+    logger.info(`Razorpay webhook event received: ${event.event}`);
+
+    const type = EVENT_TYPES[event.event];
+    const payment = event.payload
+      ?.payment
+        ?.entity;
+    if (!type || !payment
+      ?.order_id) {
+      logger.info(`Unhandled Razorpay event type: ${event.event}`);
+      return null;
+    }
+
+    // A refund event carries its payment; only a full refund leaves nothing captured
+    const refund = event.payload.refund
+      ?.entity;
+    const intent = fromPayment(payment);
+    return toWebhookEvent({
+      id: headers["x-razorpay-event-id"] || `${event.event}:${(refund || payment).id}`,
+      type,
+      transactionId: intent.transactionId,
+      status: type === "payment.refunded" && payment.refund_status !== "full"
+        ? "succeeded"
+        : intent.status,
+      amount: refund
+        ? refund.amount / 100
+        : intent.amount,
+      gatewayId: payment.id,
+      metadata: payment.notes || {},
+      raw: event.payload
     });
-    return refund;
-  } catch (error) {
-    throw new Error(`Razorpay Refund Error: ${error.message}`);
+  },
+
+  // A paid order reports the payment that settled it, for refunds
+  async getStatus(orderId) {
+    try {
+      const order = await getRazorpay().orders.fetch(orderId);
+      if (order.status !== "paid") {
+        return fromOrder(order);
+      }
+
+      const {items = []} = await getRazorpay().orders.fetchPayments(orderId);
+      return fromOrder(order, items.find(payment => payment.status === "captured" || payment.status === "refunded"));
+    } catch (error) {
+      throw razorpayError("getStatus", error);
+    }
   }
-};
\ No newline at end of file
+});
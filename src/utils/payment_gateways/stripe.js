@@ -1,115 +1,173 @@
 import Stripe from "stripe";
-import dotenv from "dotenv";
-import logger from "../logger.js"; // Assuming you have a logger utility
-
-dotenv.config({path: "./.env"});
-
-// Initialize Stripe with your secret key
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-
-/**
- * Create a payment intent using Stripe
- */
-export const createStripePaymentIntent = async (amount, currency = "usd", options = {}) => {
-  const {
-    booking,
-    user,
-    guestEmail,
-    ...paymentMetadata
-  } = options;
-
-  if (isNaN(amount)) {
-    throw new Error("Amount must be a number");
-  }
-  if (amount <= 0) {
-    throw new Error("Amount must be greater than 0");
+import {ApiError} from "../ApiError.js";
+import logger from "../logger.js";
+import {defineGateway, toIntent, toWebhookEvent, gatewayError, assertGatewayAmount, toStringMetadata} from "./gateway.js";
+
+// Created on first use so the key is read after the environment is loaded
+let stripeClient;
+const getStripe = () => {
+  if (!stripeClient) {
+    stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY);
   }
+  return stripeClient;
+};
 
-  try {
-    logger.info(`Creating Stripe payment intent for amount: ${amount} ${currency}`);
+// Stripe's PaymentIntent statuses are the Payment model's own
+const fromPaymentIntent = paymentIntent => toIntent({
+  transactionId: paymentIntent.id,
+  status: paymentIntent.status,
+  amount: paymentIntent.amount / 100,
+  currency: paymentIntent.currency,
+  clientSecret: paymentIntent.client_secret,
+  metadata: paymentIntent.metadata,
+  raw: paymentIntent
+});
 
-    // Prepare metadata - handle both user and guest cases
-    const metadata = {
-      booking: booking
-        ?.toString(), // Safe toString() call
-      ...(
-        user
-        ? {
-          user: user.toString()
+// Stripe event types we act on, by the normalised type they become
+const EVENT_TYPES = {
+  "payment_intent.created": "payment.created",
+  "payment_intent.succeeded": "payment.succeeded",
+  "payment_intent.payment_failed": "payment.failed",
+  "payment_intent.canceled": "payment.canceled",
+  "charge.refunded": "payment.refunded"
+};
+
+// Payment status each event leaves the payment in (a created intent keeps its own)
+const EVENT_STATUSES = {
+  "payment.succeeded": "succeeded",
+  "payment.failed": "failed",
+  "payment.canceled": "canceled",
+  "payment.refunded": "refunded"
+};
+
+export const stripeGateway = defineGateway({
+  name: "stripe",
+
+  isEnabled: () => Boolean(process.env.STRIPE_SECRET_KEY),
+
+  async createIntent({
+    amount,
+    currency = "usd",
+    metadata = {}
+  }) {
+    assertGatewayAmount(amount);
+
+    try {
+      logger.info(`Creating Stripe payment intent for amount: ${amount} ${currency}`);
+      const paymentIntent = await getStripe().paymentIntents.create({
+        amount: Math.round(amount * 100), // Convert to cents
+        currency,
+        metadata: toStringMetadata(metadata),
+        automatic_payment_methods: {
+          enabled: true,
+          allow_redirects: "never"
         }
-        : {}), // Only include user if it exists
-      ...(
-        guestEmail
+      });
+
+      logger.info(`Stripe payment intent created: ${paymentIntent.id}`);
+      return fromPaymentIntent(paymentIntent);
+    } catch (error) {
+      throw gatewayError("Stripe", "createIntent", error);
+    }
+  },
+
+  async confirm(paymentIntentId, {paymentMethodId} = {}) {
+    if (!paymentMethodId) {
+      throw new ApiError(400, "paymentMethodId is required to confirm a Stripe payment");
+    }
+
+    try {
+      const paymentIntent = await getStripe().paymentIntents.confirm(paymentIntentId, {payment_method: paymentMethodId});
+      logger.info(`PaymentIntent confirmed: ${paymentIntent.id}`);
+      return fromPaymentIntent(paymentIntent);
+    } catch (error) {
+      throw gatewayError("Stripe", "confirm", error);
+    }
+  },
+
+  async capture(paymentIntentId, {amount} = {}) {
+    try {
+      const paymentIntent = await getStripe().paymentIntents.capture(paymentIntentId, amount
         ? {
-          guestEmail
+          amount_to_capture: Math.round(amount * 100)
         }
-        : {}), // Include guest email if it exists
-      ...paymentMetadata
-    };
-
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency,
-      metadata,
-      automatic_payment_methods: {
-        enabled: true,
-        allow_redirects: "never"
-      }
-    });
+        : {});
+      logger.info(`PaymentIntent captured: ${paymentIntent.id}`);
+      return fromPaymentIntent(paymentIntent);
+    } catch (error) {
+      throw gatewayError("Stripe", "capture", error);
+    }
+  },
 
-    logger.info(`Stripe payment intent created: ${paymentIntent.id}`);
-    return paymentIntent;
-  } catch (error) {
-    logger.error(`Stripe Error: ${error.message}`);
-    throw new Error(`Stripe Error: ${error.message}`);
-  }
-};
+  async cancel(paymentIntentId) {
+    try {
+      const paymentIntent = await getStripe().paymentIntents.cancel(paymentIntentId);
+      logger.info(`PaymentIntent canceled: ${paymentIntent.id}`);
+      return fromPaymentIntent(paymentIntent);
+    } catch (error) {
+      throw gatewayError("Stripe", "cancel", error);
+    }
+  },
 
-/**
- * Refund a payment using Stripe
- */
-
-export const refundStripePayment = async (paymentIntentId, amount = null) => {
-  try {
-    logger.info(`Refunding Stripe payment intent: ${paymentIntentId}`);
-    const refund = await stripe.refunds.create({
-      payment_intent: paymentIntentId,
-      amount: amount
-        ? amount * 100
-        : undefined // Convert to cents if amount is provided
-    });
-    logger.info(`Stripe refund created: ${refund.id}`);
-    return refund;
-  } catch (error) {
-    logger.error(`Stripe Refund Error: ${error.message}`);
-    throw new Error(`Stripe Refund Error: ${error.message}`);
-  }
-};
+  // Refunds the whole payment when no amount is given
+  async refund({
+    transactionId,
+    amount = null
+  }) {
+    try {
+      logger.info(`Refunding Stripe payment intent: ${transactionId}`);
+      const refund = await getStripe().refunds.create({
+        payment_intent: transactionId,
+        amount: amount
+          ? Math.round(amount * 100)
+          : undefined
+      });
 
-/**
- * Handle Stripe webhook events
- */
-export const handleStripeWebhook = async (payload, signature, webhookSecret) => {
-  try {
-    const event = stripe.webhooks.constructEvent(payload, signature, webhookSecret);
+      logger.info(`Stripe refund created: ${refund.id}`);
+      return {refundId: refund.id, amount: refund.amount / 100, status: refund.status, raw: refund};
+    } catch (error) {
+      throw gatewayError("Stripe", "refund", error);
+    }
+  },
+
+  async parseWebhook({rawBody, headers}) {
+    let event;
+    try {
+      event = getStripe().webhooks.constructEvent(rawBody, headers["stripe-signature"], process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (error) {
+      logger.error(`Stripe webhook signature check failed: ${error.message}`);
+      throw new ApiError(400, `Webhook Error: ${error.message}`);
+    }
     logger.info(`Stripe webhook event received: ${event.type}`);
-    return event;
-  } catch (error) {
-    logger.error(`Webhook Error: ${error.message}`);
-    throw new Error(`Webhook Error: ${error.message}`);
-  }
-};
 
-export const confirmStripePaymentIntent = async (paymentIntentId, paymentMethodId) => {
-  try {
-    // Confirm the PaymentIntent
-    const confirmedPaymentIntent = await stripe.paymentIntents.confirm(paymentIntentId, {payment_method: paymentMethodId});
+    const type = EVENT_TYPES[event.type];
+    if (!type) {
+      logger.info(`Unhandled Stripe event type: ${event.type}`);
+      return null;
+    }
 
-    logger.info(`PaymentIntent confirmed: ${confirmedPaymentIntent.id}`);
-    return confirmedPaymentIntent;
-  } catch (error) {
-    logger.error(`Stripe Error: ${error.message}`);
-    throw new Error(`Stripe Error: ${error.message}`);
+    // Refunds arrive on the charge, everything else on the PaymentIntent
+    const object = event.data.object;
+    return toWebhookEvent({
+      id: event.id,
+      type,
+      transactionId: object.object === "charge"
+        ? object.payment_intent
+        : object.id,
+      status: type === "payment.refunded" && !object.refunded
+        ? "succeeded" // Partly refunded; the rest is still captured
+        : EVENT_STATUSES[type] || object.status,
+      amount: object.amount / 100,
+      metadata: object.metadata,
+      raw: object
+    });
+  },
+
+  async getStatus(paymentIntentId) {
+    try {
+      return fromPaymentIntent(await getStripe().paymentIntents.retrieve(paymentIntentId));
+    } catch (error) {
+      throw gatewayError("Stripe", "getStatus", error);
+    }
   }
-};
-// console.log("Stripe instance:", stripe);
\ No newline at end of file
+});
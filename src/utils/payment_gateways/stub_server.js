@@ -0,0 +1,279 @@
+import http from "http";
+import {createHmac, randomUUID} from "crypto";
+import dotenv from "dotenv";
+
+/**
+ * Local stand-in for the eSewa, Khalti and Fonepay APIs, for trying the wallet payment
+ * flows end to end without merchant sandbox accounts: `npm run stub:payments`, then
+ * point the app at it with the URLs it prints. It signs with the same secrets as the
+ * app (from .env), keeps its transactions in memory, and completes every payment
+ * unless the payment page is opened with `?outcome=cancel` or `?outcome=failure`.
+ */
+dotenv.config({path: "./.env"});
+
+const PORT = Number(process.env.PAYMENT_STUB_PORT) || 4010;
+const BASE_URL = `http://localhost:${PORT}`;
+
+const esewaTransactions = new Map();
+const khaltiPayments = new Map();
+const fonepayPayments = new Map();
+
+const sign = (algorithm, encoding, secret, message) => createHmac(algorithm, secret || "").update(message).digest(encoding);
+
+const readBody = req => new Promise((resolve, reject) => {
+  let body = "";
+  req.on("data", chunk => {
+    body += chunk;
+  });
+  req.on("end", () => resolve(body));
+  req.on("error", reject);
+});
+
+const send = (res, statusCode, body, contentType = "application/json") => {
+  res.writeHead(statusCode, {"Content-Type": contentType});
+  res.end(contentType === "application/json"
+    ? JSON.stringify(body)
+    : body);
+};
+
+const redirect = (res, location) => {
+  res.writeHead(302, {Location: location});
+  res.end();
+};
+
+const withQuery = (target, params) => {
+  const url = new URL(target);
+  Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+  return url.toString();
+};
+
+// eSewa: the browser posts the signed form, the status API reports on it
+const esewaRoutes = {
+  "POST /api/epay/main/v2/form": async (req, res, url) => {
+    const form = Object.fromEntries(new URLSearchParams(await readBody(req)));
+    const secret = process.env.ESEWA_SECRET_KEY;
+    const message = form.signed_field_names
+      ?.split(",").map(name => `${name}=${form[name]}`).join(",");
+    if (!message || sign("sha256", "base64", secret, message) !== form.signature) {
+      return send(res, 400, {error_message: "Invalid signature"});
+    }
+
+    const outcome = url.searchParams.get("outcome");
+    if (outcome) {
+      esewaTransactions.set(form.transaction_uuid, {...form, status: "CANCELED"});
+      return redirect(res, form.failure_url);
+    }
+
+    const transactionCode = randomUUID().slice(0, 8).toUpperCase();
+    esewaTransactions.set(form.transaction_uuid, {...form, status: "COMPLETE", ref_id: transactionCode});
+
+    const payload = {
+      transaction_code: transactionCode,
+      status: "COMPLETE",
+      total_amount: form.total_amount,
+      transaction_uuid: form.transaction_uuid,
+      product_code: form.product_code,
+      signed_field_names: "transaction_code,status,total_amount,transaction_uuid,product_code,signed_field_names"
+    };
+    payload.signature = sign("sha256", "base64", secret, payload.signed_field_names.split(",").map(name => `${name}=${payload[name]}`).join(","));
+    return redirect(res, withQuery(form.success_url, {
+      data: Buffer.from(JSON.stringify(payload)).toString("base64")
+    }));
+  },
+
+  "GET /api/epay/transaction/status/": async (req, res, url) => {
+    const transaction = esewaTransactions.get(url.searchParams.get("transaction_uuid"));
+    return send(res, 200, {
+      product_code: url.searchParams.get("product_code"),
+      transaction_uuid: url.searchParams.get("transaction_uuid"),
+      total_amount: Number(url.searchParams.get("total_amount")),
+      status: transaction
+        ?.status || "NOT_FOUND",
+      ref_id: transaction
+        ?.ref_id || null
+    });
+  }
+};
+
+// Khalti: initiate, the payment page, lookup and refunds, all behind the secret key
+const khaltiRoutes = {
+  "POST /api/v2/epayment/initiate/": async (req, res) => {
+    const body = JSON.parse(await readBody(req) || "{}");
+    if (!body.return_url || !body.amount || !body.purchase_order_id) {
+      return send(res, 400, {detail: "return_url, amount and purchase_order_id are required", error_key: "validation_error"});
+    }
+
+    const pidx = randomUUID().replace(/-/g, "");
+    khaltiPayments.set(pidx, {...body, pidx, status: "Initiated", refunded_amount: 0});
+    return send(res, 200, {
+      pidx,
+      payment_url: `${BASE_URL}/khalti/pay?pidx=${pidx}`,
+      expires_at: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+      expires_in: 1800
+    });
+  },
+
+  "GET /khalti/pay": async (req, res, url) => {
+    const payment = khaltiPayments.get(url.searchParams.get("pidx"));
+    if (!payment) {
+      return send(res, 404, {detail: "Not found."});
+    }
+
+    if (url.searchParams.get("outcome")) {
+      payment.status = "User canceled";
+    } else {
+      payment.status = "Completed";
+      payment.transaction_id = randomUUID().slice(0, 22);
+    }
+    return redirect(res, withQuery(payment.return_url, {
+      pidx: payment.pidx,
+      status: payment.status,
+      transaction_id: payment.transaction_id || "",
+      tidx: payment.transaction_id || "",
+      amount: payment.amount,
+      total_amount: payment.amount,
+      mobile: "98XXXXX001",
+      purchase_order_id: payment.purchase_order_id,
+      purchase_order_name: payment.purchase_order_name
+    }));
+  },
+
+  "POST /api/v2/epayment/lookup/": async (req, res) => {
+    const {pidx} = JSON.parse(await readBody(req) || "{}");
+    const payment = khaltiPayments.get(pidx);
+    if (!payment) {
+      return send(res, 404, {detail: "Not found.", error_key: "validation_error"});
+    }
+    return send(res, 200, {
+      pidx,
+      total_amount: payment.amount,
+      status: payment.status,
+      transaction_id: payment.transaction_id || null,
+      fee: 0,
+      refunded: payment.refunded_amount > 0
+    });
+  },
+
+  "POST /api/merchant-transaction/:id/refund/": async (req, res, url, transactionId) => {
+    const {amount} = JSON.parse(await readBody(req) || "{}");
+    const payment = [...khaltiPayments.values()].find(candidate => candidate.transaction_id === transactionId);
+    if (!payment || payment.status === "Refunded") {
+      return send(res, 400, {detail: "Transaction cannot be refunded."});
+    }
+
+    payment.refunded_amount += amount || payment.amount - payment.refunded_amount;
+    payment.status = payment.refunded_amount >= payment.amount
+      ? "Refunded"
+      : "Partially Refunded";
+    return send(res, 200, {detail: "Transaction refund successful.", idx: randomUUID().replace(/-/g, "")});
+  }
+};
+
+// Fonepay: the signed payment request redirects straight back with a signed result
+const FONEPAY_REQUEST_FIELDS = ["PID", "MD", "PRN", "AMT", "CRN", "DT", "R1", "R2", "RU"];
+const FONEPAY_RESPONSE_FIELDS = ["PRN", "PID", "PS", "RC", "UID", "BC", "INI", "P_AMT", "R_AMT"];
+const FONEPAY_VERIFICATION_FIELDS = ["PID", "AMT", "PRN", "BID", "UID"];
+
+const signFonepay = (params, names) => sign("sha512", "hex", process.env.FONEPAY_SECRET_KEY, names.map(name => params[name] ?? "").join(","));
+
+const fonepayRoutes = {
+  "GET /api/merchantRequest": async (req, res, url) => {
+    const params = Object.fromEntries(url.searchParams);
+    if (signFonepay(params, FONEPAY_REQUEST_FIELDS) !== String(params.DV).toLowerCase()) {
+      return send(res, 400, "Invalid data validation", "text/plain");
+    }
+
+    const outcome = url.searchParams.get("outcome");
+    const result = {
+      PRN: params.PRN,
+      PID: params.PID,
+      PS: String(!outcome),
+      RC: outcome
+        ? outcome === "cancel"
+          ? "cancel"
+          : "failed"
+        : "successful",
+      UID: String(Date.now()),
+      BC: "STUBBANK",
+      INI: "9800000001",
+      P_AMT: params.AMT,
+      R_AMT: params.AMT
+    };
+    result.DV = signFonepay(result, FONEPAY_RESPONSE_FIELDS);
+    fonepayPayments.set(result.UID, result);
+    return redirect(res, withQuery(params.RU, result));
+  },
+
+  "GET /api/merchantRequest/verificationMerchant": async (req, res, url) => {
+    const params = Object.fromEntries(url.searchParams);
+    const payment = fonepayPayments.get(params.UID);
+    const valid = signFonepay(params, FONEPAY_VERIFICATION_FIELDS) === String(params.DV).toLowerCase();
+    const success = Boolean(valid && payment && payment.PS === "true" && payment.PRN === params.PRN && Number(payment.P_AMT) === Number(params.AMT));
+
+    return send(res, 200, [
+      "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>",
+      "<response>",
+      `<amount>${payment
+        ?.P_AMT || 0}</amount>`,
+      `<bankCode>${params.BID}</bankCode>`,
+      `<message>${success
+        ? "Request Complete"
+        : "Verification failed"}</message>`,
+      `<response_code>${success
+        ? "successful"
+        : "failed"}</response_code>`,
+      `<statusCode>${success
+        ? 0
+        : 1}</statusCode>`,
+      `<success>${success}</success>`,
+      `<uniqueId>${params.UID}</uniqueId>`,
+      "</response>"
+    ].join(""), "application/xml");
+  }
+};
+
+const routes = {
+  ...esewaRoutes,
+  ...khaltiRoutes,
+  ...fonepayRoutes
+};
+
+// Match "METHOD /path", with a single :id segment for the Khalti refund route
+const findRoute = (method, pathname) => {
+  if (routes[`${method} ${pathname}`]) {
+    return {handler: routes[`${method} ${pathname}`], param: null};
+  }
+  const refund = /^\/api\/merchant-transaction\/([^/]+)\/refund\/$/.exec(pathname);
+  return refund && method === "POST"
+    ? {handler: routes["POST /api/merchant-transaction/:id/refund/"], param: refund[1]}
+    : null;
+};
+
+const isAuthorized = (req, pathname) => !pathname.startsWith("/api/v2/") && !pathname.startsWith("/api/merchant-transaction/") || req.headers.authorization === `Key ${process.env.KHALTI_SECRET_KEY}`;
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, BASE_URL);
+  const route = findRoute(req.method, url.pathname);
+
+  if (!route) {
+    return send(res, 404, {detail: "Not found."});
+  }
+  if (!isAuthorized(req, url.pathname)) {
+    return send(res, 401, {detail: "Invalid token."});
+  }
+
+  try {
+    await route.handler(req, res, url, route.param);
+  } catch (error) {
+    send(res, 500, {detail: error.message});
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Payment gateway stub listening on ${BASE_URL}`);
+  console.log("Point the app at it with:");
+  console.log(`  ESEWA_FORM_URL=${BASE_URL}/api/epay/main/v2/form`);
+  console.log(`  ESEWA_STATUS_URL=${BASE_URL}/api/epay/transaction/status/`);
+  console.log(`  KHALTI_BASE_URL=${BASE_URL}`);
+  console.log(`  FONEPAY_BASE_URL=${BASE_URL}`);
+});
@@ -1,58 +1,32 @@
 import {Payment} from "../models/payment.models.js";
+import {ApiError} from "./ApiError.js";
+import {ApiResponse} from "./ApiResponse.js";
 import logger from "./logger.js";
+import {findGateway, getGateway} from "./payment_gateways/index.js";
+import {assertGatewayCurrency} from "./payment_gateways/gateway.js";
 
 /**
  * Utility functions related to payments
  */
 
-// Check if the payment is successful
-export const isPaymentSuccessful = (paymentStatus, gateway) => {
-  logger.info(`Checking payment status for gateway: ${gateway}, status: ${paymentStatus}`);
-
-  switch (gateway) {
-    case "stripe":
-      return paymentStatus === "succeeded";
-    case "paypal":
-      return paymentStatus === "COMPLETED";
-    case "razorpay":
-      return paymentStatus === "captured";
-    default:
-      return paymentStatus === "paid"; // Fallback for generic payments
-  }
+// Check if the payment is successful; gateways report in the Payment model's statuses
+export const isPaymentSuccessful = paymentStatus => {
+  logger.info(`Checking payment status: ${paymentStatus}`);
+  return paymentStatus === "succeeded" || paymentStatus === "paid";
 };
 
-// Process the refund based on status
-export const processRefund = async (payment, gateway) => {
-  logger.info(`Processing refund for payment ID: ${payment._id}, gateway: ${gateway}`);
+// Refund whatever is left of a captured payment through its gateway
+export const processRefund = async payment => {
+  logger.info(`Processing refund for payment ID: ${payment._id}, gateway: ${payment.paymentMethod}`);
 
-  if (payment.paymentStatus !== "paid" || payment.refundStatus !== "not_refunded") {
+  if (!isPaymentSuccessful(payment.paymentStatus) || payment.refundStatus === "fully_refunded") {
     logger.error(`Cannot process refund for payment ID: ${payment._id}. Status: ${payment.paymentStatus}, Refund Status: ${payment.refundStatus}`);
     throw new Error("Cannot process refund for this payment");
   }
 
-  switch (gateway) {
-    case "stripe":
-      logger.info(`Initiating Stripe refund for transaction ID: ${payment.transactionId}`);
-      await refundStripePayment(payment.transactionId, payment.amount);
-      break;
-    case "paypal":
-      logger.info(`Initiating PayPal refund for transaction ID: ${payment.transactionId}`);
-      await refundPaypalPayment(payment.transactionId, payment.amount);
-      break;
-    case "razorpay":
-      logger.info(`Initiating Razorpay refund for transaction ID: ${payment.transactionId}`);
-      await refundRazorpayPayment(payment.transactionId, payment.amount);
-      break;
-    default:
-      logger.error(`Unsupported payment gateway: ${gateway}`);
-      throw new Error("Unsupported payment gateway");
-  }
-
-  payment.refundStatus = "fully_refunded";
-  payment.paymentStatus = "refunded";
-  await payment.save();
+  const remaining = Math.round((payment.amount - payment.refundedAmount) * 100) / 100;
+  await refundGatewayPayment(payment, remaining);
 
-  logger.info(`Refund processed successfully for payment ID: ${payment._id}`);
   return payment;
 };
 
@@ -65,45 +39,91 @@ export const validatePaymentFields = payment => {
     throw new Error("Invalid amount");
   }
 
-  // Only validate transactionId for non-Stripe payments
-  if (payment.paymentMethod !== "stripe" && !payment.transactionId) {
-    logger.error("Transaction ID is missing for non-Stripe payment");
-    throw new Error("Transaction ID is required for non-Stripe payments");
-  }
-
   if (!payment.paymentMethod) {
     logger.error("Payment method is missing");
     throw new Error("Payment method is required");
   }
 
+  // Gateways issue their own transaction IDs; anything else has to bring one
+  if (!findGateway(payment.paymentMethod) && !payment.transactionId) {
+    logger.error(`Transaction ID is missing for ${payment.paymentMethod} payment`);
+    throw new Error("Transaction ID is required for payments not made through a gateway");
+  }
+
   logger.info("Payment fields validated successfully");
   return true;
 };
 
-// Format metadata for different payment gateways
-export const formatPaymentMetadata = (gateway, metadata) => {
-  logger.info(`Formatting metadata for gateway: ${gateway}`);
-
-  switch (gateway) {
-    case "stripe":
-      return {
-        ...metadata,
-        paymentIntentId: metadata.id
-      };
-    case "paypal":
-      return {
-        ...metadata,
-        orderId: metadata.id
-      };
-    case "razorpay":
-      return {
-        ...metadata,
-        paymentId: metadata.id
-      };
-    default:
-      logger.warn(`Unsupported gateway: ${gateway}. Returning metadata as-is.`);
-      return metadata;
+// Reject a payment method whose gateway can't charge in the booking's currency (methods without a gateway are left alone)
+export const assertPaymentCurrency = (paymentMethod, currency) => {
+  const gateway = findGateway(paymentMethod);
+  if (gateway) {
+    assertGatewayCurrency(gateway, currency);
+  }
+};
+
+// Payment record metadata for a gateway's intent
+export const formatPaymentMetadata = (gateway, intent) => ({
+  gateway,
+  gatewayResponse: intent.raw,
+  gatewayId: intent.gatewayId || intent.transactionId
+});
+
+// Where a redirect gateway sends the payer back to: the return endpoints of the router at
+// `basePath` (by default the one handling the request)
+export const paymentReturnUrls = (req, gatewayName, basePath = req.baseUrl) => {
+  const base = `${req.protocol}://${req.get("host")}${basePath}/return/${gatewayName}`;
+  return {returnUrl: `${base}/success`, cancelUrl: `${base}/failure`};
+};
+
+/**
+ * Work out the payment a payer returned from a redirect gateway for, and its outcome.
+ * A success return is verified with the gateway; a failure return just asks the gateway
+ * where the payment stands. `PaymentModel` is Payment or RestaurantPayment.
+ */
+export const resolvePaymentReturn = async (PaymentModel, gatewayName, result, query) => {
+  const gateway = getGateway(gatewayName);
+  if (!["success", "failure"].includes(result)) {
+    throw new ApiError(404, "Unknown payment return");
+  }
+
+  const {transactionId, data} = await gateway.parseReturn(query);
+  const payment = transactionId && await PaymentModel.findOne({transactionId, paymentMethod: gateway.name});
+  if (!payment) {
+    logger.error(`${gateway.name} return for unknown payment: ${transactionId}`);
+    throw new ApiError(404, "Payment not found");
+  }
+
+  const intent = result === "success"
+    ? await gateway.confirm(transactionId, data)
+    : await gateway.getStatus(transactionId, {amount: payment.amount});
+
+  // The gateway must have taken the amount we asked for
+  if (intent.status === "succeeded" && Math.abs(intent.amount - payment.amount) >= 0.01) {
+    logger.error(`${gateway.name} payment ${transactionId} took ${intent.amount}, expected ${payment.amount}`);
+    throw new ApiError(400, "Paid amount doesn't match the payment");
+  }
+
+  // A payer who backed out leaves the payment unfinished; it won't complete now
+  const status = result === "failure" && !["succeeded", "refunded"].includes(intent.status)
+    ? "canceled"
+    : intent.status;
+
+  return {gateway, payment, intent, status};
+};
+
+// Send the payer's browser back to the frontend with the outcome of their payment
+// (or answer with JSON when there's no frontend configured, e.g. in API testing)
+export const redirectPaymentResult = (res, {gateway, payment, status}) => {
+  if (!process.env.FRONTEND_URL) {
+    return res.status(200).json(new ApiResponse(200, payment, `Payment ${status}`));
   }
+
+  const url = new URL("/payment/result", process.env.FRONTEND_URL);
+  url.searchParams.set("gateway", gateway.name);
+  url.searchParams.set("payment", payment._id.toString());
+  url.searchParams.set("status", status);
+  return res.redirect(303, url.toString());
 };
 
 // Find a payment by its transaction ID
@@ -121,8 +141,8 @@ export const findPaymentByTransactionId = async transactionId => {
 };
 
 // Handle payment refund
-export const handleRefund = async (paymentId, gateway) => {
-  logger.info(`Handling refund for payment ID: ${paymentId}, gateway: ${gateway}`);
+export const handleRefund = async paymentId => {
+  logger.info(`Handling refund for payment ID: ${paymentId}`);
 
   const payment = await Payment.findById(paymentId);
   if (!payment) {
@@ -130,28 +150,87 @@ export const handleRefund = async (paymentId, gateway) => {
     throw new Error("Payment not found");
   }
 
-  switch (gateway) {
-    case "stripe":
-      logger.info(`Initiating Stripe refund for transaction ID: ${payment.transactionId}`);
-      await refundStripePayment(payment.transactionId, payment.amount);
-      break;
-    case "paypal":
-      logger.info(`Initiating PayPal refund for transaction ID: ${payment.transactionId}`);
-      await refundPaypalPayment(payment.transactionId, payment.amount);
-      break;
-    case "razorpay":
-      logger.info(`Initiating Razorpay refund for transaction ID: ${payment.transactionId}`);
-      await refundRazorpayPayment(payment.transactionId, payment.amount);
-      break;
-    default:
-      logger.error(`Unsupported payment gateway: ${gateway}`);
-      throw new Error("Unsupported payment gateway");
+  await processRefund(payment);
+
+  logger.info(`Refund processed successfully for payment ID: ${payment._id}`);
+  return payment;
+};
+
+// Metadata keys webhooks use to find what was paid for; only the server sets them
+const RESERVED_METADATA_KEYS = ["booking", "reservation", "cart", "amendment", "user", "guestEmail"];
+
+// Client-sent payment metadata without the keys the server sets
+export const toClientMetadata = metadata => Object.fromEntries(Object.entries(metadata || {}).filter(([key]) => !RESERVED_METADATA_KEYS.includes(key)));
+
+/**
+ * Start a payment with a gateway and record it. `target` is what is being paid for
+ * ({booking}, {reservation}, {cart}, optionally with {amendment}) and `payer` is
+ * {user} or {guestInfo}; both are passed to the gateway as metadata so its webhooks
+ * can find them, and client `metadata` can't override them.
+ * Redirect gateways need the return URLs (see paymentReturnUrls).
+ * An intent the gateway hands back again returns its existing record.
+ */
+export const startGatewayPayment = async ({
+  paymentMethod,
+  amount,
+  currency = "usd",
+  target,
+  payer,
+  metadata = {},
+  returnUrl,
+  cancelUrl,
+  session = null
+}) => {
+  const gateway = getGateway(paymentMethod);
+  assertGatewayCurrency(gateway, currency);
+
+  const intent = await gateway.createIntent({
+    amount,
+    currency,
+    metadata: {
+      ...toClientMetadata(metadata),
+      ...target,
+      user: payer.user,
+      guestEmail: payer.guestInfo
+        ?.email
+    },
+    returnUrl,
+    cancelUrl
+  });
+
+  const existingPayment = await Payment.findOne({transactionId: intent.transactionId}).session(session);
+  if (existingPayment) {
+    logger.info(`Payment already exists for transaction ID: ${intent.transactionId}`);
+    return {payment: existingPayment, intent, created: false};
   }
 
-  payment.refundStatus = "fully_refunded";
-  payment.paymentStatus = "refunded";
-  await payment.save();
+  const [payment] = await Payment.create([
+    {
+      ...payer,
+      ...target,
+      paymentMethod: gateway.name,
+      amount,
+      transactionId: intent.transactionId,
+      paymentMetadata: formatPaymentMetadata(gateway.name, intent),
+      paymentStatus: intent.status
+    }
+  ], {session});
+
+  logger.info(`${gateway.name} payment ${payment._id} started for ${amount} ${currency}`);
+  return {payment, intent, created: true};
+};
+
+/**
+ * Refund part or all of a captured booking payment through its gateway
+ * and record the result on the Payment.
+ */
+export const refundGatewayPayment = async (payment, amount) => {
+  logger.info(`Refunding ${amount} of payment ID: ${payment._id} via ${payment.paymentMethod}`);
+
+  const refund = await getGateway(payment.paymentMethod).refund({transactionId: payment.transactionId, amount, paymentMetadata: payment.paymentMetadata});
+
+  await payment.processRefund(amount);
 
   logger.info(`Refund processed successfully for payment ID: ${payment._id}`);
-  return payment;
-};
\ No newline at end of file
+  return refund;
+};
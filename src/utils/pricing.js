@@ -0,0 +1,268 @@
+import {ApiError} from "./ApiError.js";
+import {RatePlan} from "../models/ratePlan.model.js";
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Read fee and tax settings at call time so values loaded by dotenv are picked up
+ */
+export const getPricingConfig = () => ({
+  currency: (process.env.BOOKING_CURRENCY || "usd").toLowerCase(),
+  serviceFeePercent: Number(process.env.BOOKING_SERVICE_FEE_PERCENT ?? 5),
+  taxPercent: Number(process.env.BOOKING_TAX_PERCENT ?? 13)
+});
+
+// Round a monetary value to 2 decimal places
+export const roundCurrency = value => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+// Normalize a date to local midnight (stays are priced per calendar night)
+export const toDateOnly = value => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+// Number of nights between two dates
+export const calculateNights = (checkInDate, checkOutDate) => {
+  return Math.round((toDateOnly(checkOutDate) - toDateOnly(checkInDate)) / MS_PER_DAY);
+};
+
+// List every night of a stay (the check-out day is not a night)
+export const eachNight = (checkInDate, checkOutDate) => {
+  const nights = [];
+  const cursor = toDateOnly(checkInDate);
+  const end = toDateOnly(checkOutDate);
+
+  while (cursor < end) {
+    nights.push(new Date(cursor));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+
+  return nights;
+};
+
+/**
+ * Validate stay dates and guest count for a room
+ */
+export const validateStay = ({room, checkInDate, checkOutDate, numberOfGuests}) => {
+  const parsedCheckInDate = toDateOnly(checkInDate);
+  const parsedCheckOutDate = toDateOnly(checkOutDate);
+
+  if (isNaN(parsedCheckInDate.getTime()) || isNaN(parsedCheckOutDate.getTime())) {
+    throw new ApiError(400, "Invalid date format");
+  }
+
+  if (parsedCheckInDate < toDateOnly(new Date())) {
+    throw new ApiError(400, "Check-in date must be today or in the future");
+  }
+
+  if (parsedCheckOutDate <= parsedCheckInDate) {
+    throw new ApiError(400, "Check-out date must be after check-in date");
+  }
+
+  if (!Number.isInteger(numberOfGuests) || numberOfGuests < 1) {
+    throw new ApiError(400, "Number of guests must be a positive integer");
+  }
+
+  const totalCapacity = room.capacity.adults + (room.capacity.children || 0);
+  if (numberOfGuests > totalCapacity) {
+    throw new ApiError(400, "Number of guests exceeds room capacity");
+  }
+};
+
+// Whether a rate plan covers a given night
+const planCoversNight = (plan, night) => {
+  if (plan.startDate && night < toDateOnly(plan.startDate)) {
+    return false;
+  }
+  if (plan.endDate && night > toDateOnly(plan.endDate)) {
+    return false;
+  }
+  return true;
+};
+
+// Length of a plan's date range in days (open-ended plans sort last)
+const planSpan = plan => {
+  if (!plan.startDate || !plan.endDate) {
+    return Infinity;
+  }
+  return toDateOnly(plan.endDate) - toDateOnly(plan.startDate);
+};
+
+/**
+ * Pick the rate plan that applies to a night: highest priority, then the narrowest date range
+ */
+export const resolveRatePlan = (ratePlans = [], night) => {
+  const candidates = ratePlans.filter(plan => plan.isActive !== false && planCoversNight(plan, night));
+  if (!candidates.length) {
+    return null;
+  }
+
+  candidates.sort((a, b) => (b.priority || 0) - (a.priority || 0) || planSpan(a) - planSpan(b));
+  return candidates[0];
+};
+
+/**
+ * Resolve the price of a single night for a room
+ */
+export const resolveNightlyRate = ({room, ratePlans = [], night, numberOfGuests = 1}) => {
+  const plan = room.pricingModel === "dynamic"
+    ? resolveRatePlan(ratePlans, night)
+    : null;
+
+  if (!plan) {
+    return {date: night, price: roundCurrency(room.pricePerNight), ratePlan: null, surcharge: 0, minStay: 1};
+  }
+
+  const isWeekend = (plan.weekendDays || []).includes(night.getDay());
+  let price = plan.nightlyPrice ?? room.pricePerNight;
+  if (isWeekend && plan.weekendPrice !== undefined && plan.weekendPrice !== null) {
+    price = plan.weekendPrice;
+  }
+
+  let surcharge = 0;
+  const baseOccupancy = plan.occupancySurcharge?.baseOccupancy;
+  if (baseOccupancy && numberOfGuests > baseOccupancy) {
+    surcharge = (numberOfGuests - baseOccupancy) * (plan.occupancySurcharge.amountPerExtraGuest || 0);
+  }
+
+  return {
+    date: night,
+    price: roundCurrency(price + surcharge),
+    ratePlan: plan._id || null,
+    surcharge: roundCurrency(surcharge),
+    minStay: plan.minStay || 1
+  };
+};
+
+// Best length-of-stay discount offered by any plan used in the stay
+const resolveLengthOfStayDiscount = (plans, nights) => {
+  let percent = 0;
+  for (const plan of plans) {
+    for (const tier of plan.lengthOfStayDiscounts || []) {
+      if (nights >= tier.minNights && tier.percent > percent) {
+        percent = tier.percent;
+      }
+    }
+  }
+  return percent;
+};
+
+/**
+ * Build an itemized price quote for a room stay, with an optional promo code (a PromoCode document)
+ */
+export const buildRoomQuote = ({room, ratePlans = [], checkInDate, checkOutDate, numberOfGuests, promo = null}) => {
+  validateStay({room, checkInDate, checkOutDate, numberOfGuests});
+
+  const {currency, serviceFeePercent, taxPercent} = getPricingConfig();
+
+  const resolvedNights = eachNight(checkInDate, checkOutDate).map(night => resolveNightlyRate({room, ratePlans, night, numberOfGuests}));
+
+  // Enforce the strictest minimum stay among the plans the stay touches
+  const minStay = Math.max(1, ...resolvedNights.map(night => night.minStay));
+  if (resolvedNights.length < minStay) {
+    throw new ApiError(400, `Minimum stay for the selected dates is ${minStay} nights`);
+  }
+
+  const nightlyRates = resolvedNights.map(({date, price, ratePlan, surcharge}) => ({date, price, ratePlan, surcharge}));
+  const baseAmount = roundCurrency(nightlyRates.reduce((sum, night) => sum + night.price, 0));
+
+  const discounts = [];
+  const usedPlanIds = new Set(resolvedNights.filter(night => night.ratePlan).map(night => night.ratePlan.toString()));
+  const usedPlans = ratePlans.filter(plan => plan._id && usedPlanIds.has(plan._id.toString()));
+  const lengthOfStayPercent = resolveLengthOfStayDiscount(usedPlans, nightlyRates.length);
+  if (lengthOfStayPercent > 0) {
+    discounts.push({
+      code: "length_of_stay",
+      label: `Length of stay discount (${lengthOfStayPercent}%)`,
+      amount: roundCurrency(baseAmount * lengthOfStayPercent / 100)
+    });
+  }
+
+  // A promo code applies to what's left after the stay's own discounts
+  const promoDiscount = promo
+    ? promo.calculateDiscount(roundCurrency(baseAmount - discounts.reduce((sum, discount) => sum + discount.amount, 0)))
+    : 0;
+  if (promoDiscount > 0) {
+    discounts.push({
+      code: "promo",
+      label: `Promo code ${promo.code}`,
+      amount: promoDiscount
+    });
+  }
+
+  const discountTotal = roundCurrency(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+  const subtotal = roundCurrency(baseAmount - discountTotal);
+
+  const fees = [];
+  if (serviceFeePercent > 0) {
+    fees.push({
+      code: "service_fee",
+      label: `Service fee (${serviceFeePercent}%)`,
+      amount: roundCurrency(subtotal * serviceFeePercent / 100)
+    });
+  }
+  const feesTotal = roundCurrency(fees.reduce((sum, fee) => sum + fee.amount, 0));
+
+  const taxes = roundCurrency((subtotal + feesTotal) * taxPercent / 100);
+
+  return {
+    currency,
+    nights: nightlyRates.length,
+    minStay,
+    nightlyRates,
+    baseAmount,
+    discounts,
+    discountTotal,
+    promoDiscount,
+    fees,
+    feesTotal,
+    taxRate: taxPercent,
+    taxes,
+    totalPrice: roundCurrency(subtotal + feesTotal + taxes)
+  };
+};
+
+/**
+ * Load the room's rate plans (for dynamic pricing) and build the quote
+ */
+export const quoteRoomStay = async ({room, checkInDate, checkOutDate, numberOfGuests, promo = null}) => {
+  const ratePlans = room.pricingModel === "dynamic"
+    ? await RatePlan.findActiveForRoom(room._id)
+    : [];
+
+  return buildRoomQuote({room, ratePlans, checkInDate, checkOutDate, numberOfGuests, promo});
+};
+
+/**
+ * Reject a client-supplied total that doesn't match the server quote
+ */
+export const assertQuotedPrice = (clientTotal, quote) => {
+  if (clientTotal === undefined || clientTotal === null) {
+    return;
+  }
+
+  if (isNaN(clientTotal) || Math.abs(Number(clientTotal) - quote.totalPrice) > 0.01) {
+    throw new ApiError(409, "Price has changed, please refresh the quote", [
+      {
+        expectedTotal: quote.totalPrice,
+        receivedTotal: clientTotal
+      }
+    ]);
+  }
+};
+
+// Shape a quote for storage on a Booking
+export const toPriceBreakdown = quote => ({
+  currency: quote.currency,
+  nights: quote.nights,
+  nightlyRates: quote.nightlyRates,
+  baseAmount: quote.baseAmount,
+  discounts: quote.discounts,
+  discountTotal: quote.discountTotal,
+  fees: quote.fees,
+  feesTotal: quote.feesTotal,
+  taxRate: quote.taxRate,
+  taxes: quote.taxes,
+  totalPrice: quote.totalPrice
+});
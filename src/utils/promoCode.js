@@ -0,0 +1,255 @@
+import {PromoCode} from "../models/promoCode.model.js";
+import {PromoRedemption} from "../models/promoRedemption.model.js";
+import {Booking, RELEASED_BOOKING_STATUSES} from "../models/booking.model.js";
+import {RestaurantBooking} from "../models/restaurantBooking.model.js";
+import {ApiError} from "./ApiError.js";
+import {RELEASED_RESTAURANT_BOOKING_STATUSES} from "./restaurantReservation.js";
+import {roundCurrency} from "./pricing.js";
+import logger from "./logger.js";
+
+// Normalise user input to the stored form of a code
+export const normalizePromoCode = input => String(input || "").trim().toUpperCase();
+
+// Filter for the redemptions that belong to a user or a guest email
+const redeemerFilter = ({user, guestEmail}) => (
+  user
+  ? {
+    user
+  }
+  : {
+    guestEmail: guestEmail.toLowerCase()
+  });
+
+// Whether a user or guest has a booking of either kind that still stands
+const hasPreviousBooking = async ({user, guestEmail}) => {
+  const owner = user
+    ? {
+      user
+    }
+    : {
+      "guestInfo.email": guestEmail.toLowerCase()
+    };
+
+  const [room, restaurant] = await Promise.all([
+    Booking.exists({
+      ...owner,
+      status: {
+        $nin: RELEASED_BOOKING_STATUSES
+      }
+    }),
+    RestaurantBooking.exists({
+      ...owner,
+      status: {
+        $nin: RELEASED_RESTAURANT_BOOKING_STATUSES
+      }
+    })
+  ]);
+
+  return Boolean(room || restaurant);
+};
+
+/**
+ * Look up a promo code and check it can be used on a booking of the given type with a host's service.
+ * The redeemer checks (per-user cap, first booking only) run when a user or guest email is given;
+ * public quotes leave them out. The minimum spend is checked once the booking is priced.
+ */
+export const findPromoCode = async ({code, bookingType, host, service, user = null, guestEmail = null}) => {
+  const promo = await PromoCode.findOne({code: normalizePromoCode(code)});
+  if (!promo || !promo.isActive) {
+    logger.error(`Unknown or inactive promo code: ${code}`);
+    throw new ApiError(400, "Invalid promo code");
+  }
+
+  const now = new Date();
+  if (promo.startsAt && promo.startsAt > now) {
+    throw new ApiError(400, "This promo code is not active yet");
+  }
+  if (promo.endsAt && promo.endsAt <= now) {
+    throw new ApiError(400, "This promo code has expired");
+  }
+
+  if (!promo.appliesTo.includes(bookingType)) {
+    throw new ApiError(400, `This promo code can't be used on ${bookingType} bookings`);
+  }
+
+  if ((promo.scope === "host" && !promo.host.equals(host)) || (promo.scope === "service" && !promo.service.equals(service))) {
+    throw new ApiError(400, "This promo code is not valid for this property");
+  }
+
+  if (promo.usageLimit !== null && promo.redemptionCount >= promo.usageLimit) {
+    throw new ApiError(400, "This promo code has reached its usage limit");
+  }
+
+  if (user || guestEmail) {
+    const used = await PromoRedemption.countDocuments({
+      promoCode: promo._id,
+      status: "applied",
+      ...redeemerFilter({user, guestEmail})
+    });
+    if (used >= promo.perUserLimit) {
+      throw new ApiError(400, "You have already used this promo code");
+    }
+
+    if (promo.firstBookingOnly && await hasPreviousBooking({user, guestEmail})) {
+      throw new ApiError(400, "This promo code is only valid on your first booking");
+    }
+  }
+
+  return promo;
+};
+
+/**
+ * Reject a code that gave nothing off because the booking is under its minimum spend
+ */
+export const assertPromoDiscount = (promo, discount) => {
+  if (promo && !(discount > 0)) {
+    throw new ApiError(400, `Promo code ${promo.code} requires a minimum spend of ${promo.minSpend}`);
+  }
+};
+
+/**
+ * Apply a promo code to a priced restaurant pre-order
+ */
+export const applyPromoToPreOrder = (preOrder, promo) => {
+  const discount = promo
+    ? promo.calculateDiscount(preOrder.totalPrice)
+    : 0;
+
+  return {
+    ...preOrder,
+    subtotal: preOrder.totalPrice,
+    discount,
+    totalPrice: roundCurrency(preOrder.totalPrice - discount)
+  };
+};
+
+/**
+ * Record a promo code's use on a new booking, inside the booking's transaction.
+ * The overall cap is claimed atomically so concurrent bookings can't exceed it.
+ */
+export const redeemPromoCode = async ({promo, user = null, guestEmail = null, bookingType, booking, amount, session = null}) => {
+  const claimed = await PromoCode.updateOne({
+    _id: promo._id,
+    isActive: true,
+    $or: [
+      {
+        usageLimit: null
+      }, {
+        $expr: {
+          $lt: ["$redemptionCount", "$usageLimit"]
+        }
+      }
+    ]
+  }, {
+    $inc: {
+      redemptionCount: 1
+    }
+  }, {session});
+
+  if (!claimed.modifiedCount) {
+    throw new ApiError(409, "This promo code has just reached its usage limit");
+  }
+
+  const [redemption] = await PromoRedemption.create([
+    {
+      promoCode: promo._id,
+      code: promo.code,
+      user,
+      guestEmail: user
+        ? null
+        : guestEmail,
+      bookingType,
+      booking: booking._id,
+      bookingModel: bookingType === "room"
+        ? "Booking"
+        : "RestaurantBooking",
+      amount
+    }
+  ], {session});
+
+  logger.info(`Promo code ${promo.code} redeemed on ${bookingType} booking ${booking._id}`);
+  return redemption;
+};
+
+/**
+ * Keep a redemption's discount in step when its booking is repriced
+ */
+export const updatePromoRedemption = async (booking, amount, session = null) => {
+  if (!booking.promoCode) {
+    return;
+  }
+
+  await PromoRedemption.updateOne({
+    booking: booking._id,
+    status: "applied"
+  }, {amount}, {session});
+};
+
+/**
+ * Give a cancelled or lapsed booking's promo use back to the campaign and the redeemer
+ */
+export const reversePromoRedemption = async (booking, session = null) => {
+  if (!booking.promoCode) {
+    return null;
+  }
+
+  const redemption = await PromoRedemption.findOneAndUpdate({
+    booking: booking._id,
+    status: "applied"
+  }, {
+    status: "reversed",
+    reversedAt: new Date()
+  }, {
+    new: true,
+    session
+  });
+  if (!redemption) {
+    return null;
+  }
+
+  await PromoCode.updateOne({
+    _id: redemption.promoCode,
+    redemptionCount: {
+      $gt: 0
+    }
+  }, {
+    $inc: {
+      redemptionCount: -1
+    }
+  }, {session});
+
+  logger.info(`Promo code ${redemption.code} redemption reversed for booking ${booking._id}`);
+  return redemption;
+};
+
+/**
+ * Put a reversed redemption back when its lapsed booking is revived by a late payment.
+ * The guest already paid the discounted price, so the overall cap isn't enforced here.
+ */
+export const restorePromoRedemption = async booking => {
+  if (!booking.promoCode) {
+    return null;
+  }
+
+  const redemption = await PromoRedemption.findOneAndUpdate({
+    booking: booking._id,
+    status: "reversed"
+  }, {
+    status: "applied",
+    reversedAt: null
+  }, {new: true});
+  if (!redemption) {
+    return null;
+  }
+
+  await PromoCode.updateOne({
+    _id: redemption.promoCode
+  }, {
+    $inc: {
+      redemptionCount: 1
+    }
+  });
+
+  logger.info(`Promo code ${redemption.code} redemption restored for booking ${booking._id}`);
+  return redemption;
+};
@@ -0,0 +1,74 @@
+import {customAlphabet} from "nanoid";
+
+// No 0/O, 1/I/L so codes survive being read out over the phone
+const REFERENCE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+const REFERENCE_LENGTH = 6;
+const REFERENCE_PREFIX = "555-";
+const MAX_ATTEMPTS = 5;
+
+const generateSuffix = customAlphabet(REFERENCE_ALPHABET, REFERENCE_LENGTH);
+
+// Models using the plugin share one code space, so a code never points at two bookings
+const referencedModels = new Set();
+
+/**
+ * Generate a confirmation code such as "555-7KQ2MX"
+ */
+export const generateReferenceCode = () => `${REFERENCE_PREFIX}${generateSuffix()}`;
+
+/**
+ * Normalise user input ("7kq2mx", " 555-7KQ2MX ") to the stored form, or null if it can't be a code
+ */
+export const normalizeReferenceCode = input => {
+  const suffix = String(input || "").trim().toUpperCase().replace(/^555-?/, "");
+  const pattern = new RegExp(`^[${REFERENCE_ALPHABET}]{${REFERENCE_LENGTH}}$`);
+  return pattern.test(suffix)
+    ? `${REFERENCE_PREFIX}${suffix}`
+    : null;
+};
+
+/**
+ * Schema plugin adding a unique `referenceCode`, assigned on the first save
+ * (including older bookings that predate codes).
+ * Candidates are checked against every model using the plugin; the unique index
+ * is the final guard against a race between the check and the insert.
+ */
+export const referenceCodePlugin = (schema, {modelName}) => {
+  referencedModels.add(modelName);
+
+  schema.add({
+    referenceCode: {
+      type: String
+    }
+  });
+  schema.index({
+    referenceCode: 1
+  }, {
+    unique: true,
+    sparse: true
+  });
+
+  schema.pre("validate", async function () {
+    if (this.referenceCode) {
+      return;
+    }
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const candidate = generateReferenceCode();
+      let taken = false;
+      for (const name of referencedModels) {
+        if (await this.db.model(name).exists({referenceCode: candidate})) {
+          taken = true;
+          break;
+        }
+      }
+
+      if (!taken) {
+        this.referenceCode = candidate;
+        return;
+      }
+    }
+
+    throw new Error("Could not generate a unique booking reference");
+  });
+};
@@ -0,0 +1,219 @@
+import {ApiError} from "./ApiError.js";
+import {roundCurrency} from "./pricing.js";
+import logger from "./logger.js";
+import mongoose from "mongoose";
+
+// Restaurant bookings in these statuses no longer hold their slot
+export const RELEASED_RESTAURANT_BOOKING_STATUSES = ["cancelled", "expired"];
+
+/**
+ * Validate a reservation date and HH:MM time
+ */
+export const parseReservationSlot = (reservationDate, reservationTime) => {
+  const parsedReservationDate = new Date(reservationDate);
+  const [hours, minutes] = String(reservationTime).split(":").map(Number);
+
+  if (isNaN(parsedReservationDate.getTime())) {
+    logger.error("Invalid reservation date format");
+    throw new ApiError(400, "Invalid reservation date format");
+  }
+
+  if (parsedReservationDate < new Date()) {
+    logger.error("Cannot use a past reservation date");
+    throw new ApiError(400, "Reservation date must be in the future");
+  }
+
+  if (isNaN(hours) || isNaN(minutes) || hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
+    logger.error("Invalid reservation time");
+    throw new ApiError(400, "Invalid reservation time format (HH:MM required)");
+  }
+
+  return {reservationDate: parsedReservationDate, hours, minutes};
+};
+
+// Dining duration and slot spacing used when a restaurant hasn't configured its own
+export const DEFAULT_DURATION_MINUTES = 90;
+export const DEFAULT_SLOT_INTERVAL_MINUTES = 15;
+
+/**
+ * Seating window for a reservation starting at the given date and HH:MM time
+ */
+export const getSeatingWindow = (reservationDate, reservationTime, durationMinutes = DEFAULT_DURATION_MINUTES) => {
+  const [hours, minutes] = reservationTime.split(":").map(Number);
+  const startsAt = new Date(reservationDate);
+  startsAt.setHours(hours, minutes, 0, 0);
+
+  return {
+    startsAt,
+    endsAt: new Date(startsAt.getTime() + durationMinutes * 60 * 1000)
+  };
+};
+
+/**
+ * Opening windows of the shifts that start on the given day.
+ * A closing time at or before the opening time means the shift runs past midnight.
+ */
+export const getOpeningWindows = (restaurant, date) => {
+  const day = new Date(date);
+  const dayName = day.toLocaleString("en-US", {weekday: "long"}).toLowerCase();
+  const daySchedule = restaurant.openingHours.find(oh => oh.day === dayName);
+
+  return (daySchedule
+    ?.timeSlots || []).map(slot => {
+    const opensAt = getSeatingWindow(day, slot.openingTime, 0).startsAt;
+    const closesAt = getSeatingWindow(day, slot.closingTime, 0).startsAt;
+    if (closesAt <= opensAt) {
+      closesAt.setDate(closesAt.getDate() + 1);
+    }
+    return {opensAt, closesAt};
+  });
+};
+
+/**
+ * Ensure the restaurant is open for the whole dining window starting at the requested date and time.
+ * Early-morning times also match the previous day's shifts that close after midnight.
+ */
+export const assertRestaurantOpen = (restaurant, reservationDate, reservationTime) => {
+  const durationMinutes = restaurant.reservationDurationMinutes || DEFAULT_DURATION_MINUTES;
+  const {startsAt, endsAt} = getSeatingWindow(reservationDate, reservationTime, durationMinutes);
+  const reservationDay = startsAt.toLocaleString("en-US", {weekday: "long"}).toLowerCase();
+
+  const previousDay = new Date(startsAt);
+  previousDay.setDate(previousDay.getDate() - 1);
+  const sameDayWindows = getOpeningWindows(restaurant, startsAt);
+  const windows = [
+    ...getOpeningWindows(restaurant, previousDay),
+    ...sameDayWindows
+  ];
+
+  if (windows.some(window => startsAt >= window.opensAt && endsAt <= window.closesAt)) {
+    return;
+  }
+
+  if (!sameDayWindows.length && !windows.some(window => startsAt < window.closesAt)) {
+    logger.error(`Restaurant is closed on ${reservationDay}`);
+    throw new ApiError(400, "Restaurant is closed on the selected day");
+  }
+
+  logger.error(`Restaurant is not open for a ${durationMinutes} minute seating at ${reservationTime} on ${reservationDay}`);
+  throw new ApiError(400, "Restaurant is not open at the selected time");
+};
+
+/**
+ * Candidate seating times for the shifts that start on the given day, spaced by the
+ * restaurant's slot interval. The last seating leaves room for a full dining duration.
+ */
+export const buildReservationSlots = (restaurant, date, now = new Date()) => {
+  const durationMs = (restaurant.reservationDurationMinutes || DEFAULT_DURATION_MINUTES) * 60 * 1000;
+  const intervalMs = (restaurant.slotIntervalMinutes || DEFAULT_SLOT_INTERVAL_MINUTES) * 60 * 1000;
+  const slots = new Map();
+
+  for (const {opensAt, closesAt} of getOpeningWindows(restaurant, date)) {
+    for (let start = opensAt.getTime(); start + durationMs <= closesAt.getTime(); start += intervalMs) {
+      if (start > now.getTime()) {
+        slots.set(start, {
+          startsAt: new Date(start),
+          endsAt: new Date(start + durationMs)
+        });
+      }
+    }
+  }
+
+  // Overlapping shifts would otherwise list the same time twice
+  return [...slots.values()].sort((a, b) => a.startsAt - b.startsAt);
+};
+
+/**
+ * Whether a menu item is served at the given time of day.
+ * Accepts a Date or an HH:MM string; windows ending at or before their start run past midnight.
+ */
+export const isMenuItemServedAt = (item, servedAt) => {
+  if (!item.availableTimes
+    ?.length) {
+    return true;
+  }
+
+  const toMinutes = time => {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+  };
+  const minute = servedAt instanceof Date
+    ? servedAt.getHours() * 60 + servedAt.getMinutes()
+    : toMinutes(servedAt);
+
+  return item.availableTimes.some(({startTime, endTime}) => {
+    const start = toMinutes(startTime);
+    const end = toMinutes(endTime);
+    return start < end
+      ? minute >= start && minute < end
+      : minute >= start || minute < end;
+  });
+};
+
+// Most distinct dishes and servings per dish on one pre-order
+const MAX_PRE_ORDER_ITEMS = 50;
+const MAX_PRE_ORDER_QUANTITY = 50;
+
+/**
+ * Price a pre-order from the restaurant's current menu.
+ * Each selection is `{cuisine, quantity, modifiers}` with menu item and modifier ids;
+ * client prices are ignored. Sold-out items are rejected, as are items not served at
+ * `servedAt` when it is given. Returns the snapshot to store and the order total.
+ */
+export const priceSelectedCuisines = (restaurant, selectedCuisines = [], servedAt = null) => {
+  if (!Array.isArray(selectedCuisines)) {
+    throw new ApiError(400, "selectedCuisines must be an array");
+  }
+
+  if (selectedCuisines.length > MAX_PRE_ORDER_ITEMS) {
+    throw new ApiError(400, `A pre-order cannot have more than ${MAX_PRE_ORDER_ITEMS} items`);
+  }
+
+  const pricedCuisines = selectedCuisines.map(selection => {
+    const cuisineId = String(selection
+      ?.cuisine || "");
+    const cuisine = mongoose.Types.ObjectId.isValid(cuisineId) && restaurant.cuisineDetails.id(cuisineId);
+    if (!cuisine) {
+      throw new ApiError(400, `Menu item "${cuisineId}" is not on this restaurant's menu`);
+    }
+
+    if (cuisine.isSoldOut) {
+      throw new ApiError(409, `${cuisine.name} is sold out`);
+    }
+
+    if (servedAt && !isMenuItemServedAt(cuisine, servedAt)) {
+      throw new ApiError(400, `${cuisine.name} is not served at the selected time`);
+    }
+
+    const quantity = selection.quantity ?? 1;
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_PRE_ORDER_QUANTITY) {
+      throw new ApiError(400, `Quantity for ${cuisine.name} must be a whole number between 1 and ${MAX_PRE_ORDER_QUANTITY}`);
+    }
+
+    // Stored snapshots carry {modifier}, requests carry plain ids
+    const modifierIds = [
+      ...new Set((selection.modifiers || []).map(modifier => String(modifier
+        ?.modifier || modifier)))
+    ];
+    const modifiers = modifierIds.map(modifierId => {
+      const modifier = mongoose.Types.ObjectId.isValid(modifierId) && cuisine.modifiers.id(modifierId);
+      if (!modifier) {
+        throw new ApiError(400, `Modifier "${modifierId}" is not available for ${cuisine.name}`);
+      }
+      return {modifier: modifier._id, name: modifier.name, price: modifier.price};
+    });
+
+    const itemPrice = cuisine.price + modifiers.reduce((sum, modifier) => sum + modifier.price, 0);
+    return {
+      cuisine: cuisine._id,
+      name: cuisine.name,
+      unitPrice: cuisine.price,
+      quantity,
+      modifiers,
+      lineTotal: roundCurrency(itemPrice * quantity)
+    };
+  });
+
+  const totalPrice = roundCurrency(pricedCuisines.reduce((sum, cuisine) => sum + cuisine.lineTotal, 0));
+  return {selectedCuisines: pricedCuisines, totalPrice};
+};
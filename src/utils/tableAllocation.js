@@ -0,0 +1,239 @@
+import {ApiError} from "./ApiError.js";
+import {Restaurant} from "../models/restaurant.model.js";
+import {RestaurantTable} from "../models/restaurantTable.model.js";
+import {RestaurantBooking} from "../models/restaurantBooking.model.js";
+import {Waitlist} from "../models/waitlist.model.js";
+import {RELEASED_RESTAURANT_BOOKING_STATUSES, DEFAULT_DURATION_MINUTES, getSeatingWindow} from "./restaurantReservation.js";
+
+// Most tables that may be pushed together for one party
+const MAX_COMBINED_TABLES = 3;
+
+// Reservations start on their reservation date, so one that started more than this before
+// a window's start can't reach it
+const MAX_WINDOW_REACH_MS = 2 * 24 * 60 * 60 * 1000;
+
+// Fill in the seating window of a reservation made before windows were stored (unsaved)
+const withSeatingWindow = reservation => {
+  if (!reservation.startsAt) {
+    Object.assign(reservation, getSeatingWindow(reservation.reservationDate, reservation.reservationTime, reservation.durationMinutes));
+  }
+  return reservation;
+};
+
+/**
+ * Active reservations of a restaurant whose seating window overlaps [startsAt, endsAt),
+ * including tables set aside for waitlist offers other than the `holder`'s own
+ */
+export const findOverlappingReservations = async ({restaurant, startsAt, endsAt, excludeId = null, holder = null, session = null}) => {
+  const filter = {
+    restaurant,
+    status: {
+      $nin: RELEASED_RESTAURANT_BOOKING_STATUSES
+    },
+    $and: [
+      {
+        $or: [
+          {
+            startsAt: {
+              $lt: endsAt
+            },
+            endsAt: {
+              $gt: startsAt
+            }
+          },
+          // Older reservations only have a date and time; their windows are checked below
+          {
+            startsAt: null,
+            reservationDate: {
+              $gt: new Date(startsAt.getTime() - MAX_WINDOW_REACH_MS),
+              $lt: endsAt
+            }
+          }
+        ]
+      },
+      // Lapsed checkout holds stop counting even before the sweeper releases them
+      {
+        $or: [
+          {
+            expiresAt: null
+          }, {
+            expiresAt: {
+              $gt: new Date()
+            }
+          }
+        ]
+      }
+    ]
+  };
+
+  if (excludeId) {
+    filter._id = {
+      $ne: excludeId
+    };
+  }
+
+  const offerFilter = {
+    ...Waitlist.activeOfferFilter(),
+    restaurant,
+    startsAt: {
+      $lt: endsAt
+    },
+    endsAt: {
+      $gt: startsAt
+    }
+  };
+  if (holder) {
+    offerFilter.user = {
+      $ne: holder
+    };
+  }
+
+  // One query at a time, since they may share a transaction session
+  const reservations = (await RestaurantBooking.find(filter).select("tables numberOfGuests startsAt endsAt reservationDate reservationTime durationMinutes").session(session)).map(withSeatingWindow).filter(reservation => reservation.startsAt < endsAt && reservation.endsAt > startsAt);
+  const offers = await Waitlist.find(offerFilter).select("tables numberOfGuests startsAt endsAt").session(session);
+
+  return [
+    ...reservations,
+    ...offers
+  ];
+};
+
+/**
+ * Pick tables for a party from the free tables.
+ * Prefers the smallest single table that fits; otherwise the combination of
+ * neighbouring combinable tables with the fewest spare seats (then fewest tables).
+ * Returns null when the party can't be seated.
+ */
+export const chooseTables = (freeTables, partySize) => {
+  const singles = freeTables.filter(table => table.capacity >= partySize && (table.minPartySize || 1) <= partySize).sort((a, b) => a.capacity - b.capacity);
+  if (singles.length) {
+    return [singles[0]];
+  }
+
+  // Treat combinability as symmetric even if only one side lists the other
+  const byId = new Map(freeTables.map(table => [table._id.toString(), table]));
+  const neighbours = new Map(freeTables.map(table => [table._id.toString(), new Set()]));
+  for (const table of freeTables) {
+    for (const otherId of table.combinableWith || []) {
+      const key = otherId.toString();
+      if (byId.has(key)) {
+        neighbours.get(table._id.toString()).add(key);
+        neighbours.get(key).add(table._id.toString());
+      }
+    }
+  }
+
+  let best = null;
+  let bestSeats = Infinity;
+  const seen = new Set();
+
+  const explore = (combo, seats) => {
+    const key = combo.map(table => table._id.toString()).sort().join(",");
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+
+    if (seats >= partySize) {
+      // A lone table that fits was already ruled out by its minimum party size
+      if (combo.length === 1) {
+        return;
+      }
+      if (seats < bestSeats || (seats === bestSeats && combo.length < best.length)) {
+        best = combo;
+        bestSeats = seats;
+      }
+      return;
+    }
+
+    if (combo.length >= MAX_COMBINED_TABLES) {
+      return;
+    }
+
+    for (const table of combo) {
+      for (const neighbourId of neighbours.get(table._id.toString())) {
+        const neighbour = byId.get(neighbourId);
+        if (!combo.includes(neighbour)) {
+          explore([
+            ...combo,
+            neighbour
+          ], seats + neighbour.capacity);
+        }
+      }
+    }
+  };
+
+  for (const table of freeTables) {
+    explore([table], table.capacity);
+  }
+
+  return best;
+};
+
+/**
+ * Pick tables for a party from a restaurant's tables and the reservations around its seating window.
+ * Restaurants without a table plan fall back to their total seating capacity (returning no tables).
+ * Returns null when the party can't be seated.
+ */
+export const allocateTables = ({restaurant, tables, reservations, startsAt, endsAt, numberOfGuests, zone = null}) => {
+  const overlapping = reservations.filter(reservation => reservation.startsAt < endsAt && reservation.endsAt > startsAt);
+
+  if (!tables.length) {
+    const seated = overlapping.reduce((sum, reservation) => sum + reservation.numberOfGuests, 0);
+    return seated + numberOfGuests <= restaurant.seatingCapacity
+      ? []
+      : null;
+  }
+
+  const busyTableIds = new Set(overlapping.flatMap(reservation => reservation.tables.map(table => table.toString())));
+  const freeTables = tables.filter(table => !busyTableIds.has(table._id.toString()) && (!zone || table.zone === zone));
+
+  const chosen = chooseTables(freeTables, numberOfGuests);
+  return chosen && chosen.map(table => table._id);
+};
+
+/**
+ * Assign tables to a reservation for its seating window.
+ * `holder` is the user making it, so their own waitlist offer doesn't count against them.
+ * Pass a session to make the allocation part of a transaction; concurrent
+ * allocations at the same restaurant then conflict instead of double-seating.
+ */
+export const assignTables = async ({restaurant, reservationDate, reservationTime, numberOfGuests, zone = null, excludeId = null, holder = null, session = null}) => {
+  const durationMinutes = restaurant.reservationDurationMinutes || DEFAULT_DURATION_MINUTES;
+  const {startsAt, endsAt} = getSeatingWindow(reservationDate, reservationTime, durationMinutes);
+
+  if (session) {
+    await Restaurant.updateOne({
+      _id: restaurant._id
+    }, {
+      $inc: {
+        allocationVersion: 1
+      }
+    }, {session});
+  }
+
+  // Sequential on purpose: operations in one transaction session must not run in parallel
+  const tables = await RestaurantTable.find({restaurant: restaurant._id, isActive: true}).session(session).lean();
+  const reservations = await findOverlappingReservations({restaurant: restaurant._id, startsAt, endsAt, excludeId, holder, session});
+
+  const chosen = allocateTables({
+    restaurant,
+    tables,
+    reservations,
+    startsAt,
+    endsAt,
+    numberOfGuests,
+    zone
+  });
+  if (!chosen && !tables.length) {
+    throw new ApiError(409, "Not enough seats available at the selected time");
+  }
+  if (!chosen) {
+    const where = zone
+      ? ` in the ${zone} area`
+      : "";
+    throw new ApiError(409, `No table available for ${numberOfGuests} guests${where} at the selected time`);
+  }
+
+  return {tables: chosen, startsAt, endsAt, durationMinutes};
+};
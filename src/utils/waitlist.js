@@ -0,0 +1,273 @@
+import {Waitlist} from "../models/waitlist.model.js";
+import {Booking} from "../models/booking.model.js";
+import {Room} from "../models/room.model.js";
+import {Restaurant} from "../models/restaurant.model.js";
+import {RestaurantTable} from "../models/restaurantTable.model.js";
+import {User} from "../models/user.model.js";
+import {ApiError} from "./ApiError.js";
+import {allocateTables, findOverlappingReservations} from "./tableAllocation.js";
+import {sendWaitlistOfferEmail} from "./emailService.js";
+import logger from "./logger.js";
+
+// How long a waitlisted user gets to book once their stay or slot frees up
+export const getOfferMinutes = () => Number(process.env.WAITLIST_OFFER_MINUTES || 30);
+
+// Filter for active room offers overlapping a stay, other than the `holder`'s own
+const roomOfferFilter = (room, checkInDate, checkOutDate, holder = null) => {
+  const filter = {
+    ...Waitlist.activeOfferFilter(),
+    room,
+    checkInDate: {
+      $lt: new Date(checkOutDate)
+    },
+    checkOutDate: {
+      $gt: new Date(checkInDate)
+    }
+  };
+
+  if (holder) {
+    filter.user = {
+      $ne: holder
+    };
+  }
+
+  return filter;
+};
+
+/**
+ * Reject a stay that overlaps dates held for someone else on the waitlist
+ */
+export const assertNoRoomOffer = async ({room, checkInDate, checkOutDate, holder = null, session = null}) => {
+  const offer = await Waitlist.exists(roomOfferFilter(room, checkInDate, checkOutDate, holder)).session(session);
+  if (offer) {
+    logger.error(`Room ${room} is held for a waitlisted user`);
+    throw new ApiError(409, "These dates are being held for someone on the waitlist, please try again later");
+  }
+};
+
+/**
+ * Close a user's offer once they have booked what it held
+ */
+export const markWaitlistBooked = async ({user, room, restaurant}) => {
+  if (!user) {
+    return;
+  }
+
+  await Waitlist.updateMany({
+    user,
+    status: "offered",
+    ...(
+      room
+      ? {
+        room
+      }
+      : {
+        restaurant
+      })
+  }, {status: "booked"});
+};
+
+// Hold an entry for its user and email them; false if another process got there first
+const makeOffer = async (entry, tables = []) => {
+  const offeredAt = new Date();
+  const offerExpiresAt = new Date(offeredAt.getTime() + getOfferMinutes() * 60 * 1000);
+
+  const claimed = await Waitlist.updateOne({
+    _id: entry._id,
+    status: "waiting"
+  }, {status: "offered", offeredAt, offerExpiresAt, tables});
+  if (!claimed.modifiedCount) {
+    return false;
+  }
+
+  const user = await User.findById(entry.user).select("email");
+  if (user
+    ?.email) {
+    const label = entry.type === "room"
+      ? `Your room from ${entry.checkInDate.toDateString()} to ${entry.checkOutDate.toDateString()}`
+      : `Your table for ${entry.numberOfGuests} on ${entry.startsAt.toDateString()} at ${entry.reservationTime}`;
+    try {
+      await sendWaitlistOfferEmail(user.email, {
+        label,
+        url: `${process.env.FRONTEND_URL}/waitlist/${entry._id}`,
+        expiresAt: offerExpiresAt
+      });
+    } catch (error) {
+      logger.error(`Failed to email waitlist offer ${entry._id}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Waitlist entry ${entry._id} offered until ${offerExpiresAt.toISOString()}`);
+  return true;
+};
+
+/**
+ * Whether a room can be booked for a stay right now (not booked, blocked or held for someone else)
+ */
+export const isRoomFree = async ({room, checkInDate, checkOutDate, holder = null}) => {
+  const [booked, unavailable, held] = await Promise.all([
+    Booking.exists(Booking.overlapFilter(room, checkInDate, checkOutDate)),
+    Room.exists({
+      _id: room,
+      $or: [
+        {
+          isAvailable: false
+        },
+        Room.blockOverlapFilter(checkInDate, checkOutDate)
+      ]
+    }),
+    Waitlist.exists(roomOfferFilter(room, checkInDate, checkOutDate, holder))
+  ]);
+
+  return !booked && !unavailable && !held;
+};
+
+/**
+ * Tables a party could be seated at for a seating window right now, or null if it can't be seated
+ */
+export const findSeating = async ({restaurant, tables, startsAt, endsAt, numberOfGuests, zone = null, holder = null}) => {
+  const reservations = await findOverlappingReservations({restaurant: restaurant._id, startsAt, endsAt, holder});
+  return allocateTables({
+    restaurant,
+    tables,
+    reservations,
+    startsAt,
+    endsAt,
+    numberOfGuests,
+    zone
+  });
+};
+
+// Offer a room's freed-up dates to the waitlist, first come first served
+const offerRoomWaitlist = async roomId => {
+  const entries = await Waitlist.find({
+    room: roomId,
+    status: "waiting",
+    checkInDate: {
+      $gt: new Date()
+    }
+  }).sort({createdAt: 1});
+
+  let offered = 0;
+  for (const entry of entries) {
+    if (await isRoomFree({room: roomId, checkInDate: entry.checkInDate, checkOutDate: entry.checkOutDate}) && await makeOffer(entry)) {
+      offered++;
+    }
+  }
+
+  return offered;
+};
+
+// Offer a restaurant's freed-up seats to the waitlist, first come first served
+const offerRestaurantWaitlist = async restaurantId => {
+  const entries = await Waitlist.find({
+    restaurant: restaurantId,
+    status: "waiting",
+    startsAt: {
+      $gt: new Date()
+    }
+  }).sort({createdAt: 1});
+  if (!entries.length) {
+    return 0;
+  }
+
+  const restaurant = await Restaurant.findById(restaurantId);
+  if (!restaurant
+    ?.isAvailable) {
+    return 0;
+  }
+  const tables = await RestaurantTable.find({restaurant: restaurantId, isActive: true}).lean();
+
+  let offered = 0;
+  for (const entry of entries) {
+    // Looked up per entry so offers made earlier in the loop count
+    const chosen = await findSeating({
+      restaurant,
+      tables,
+      startsAt: entry.startsAt,
+      endsAt: entry.endsAt,
+      numberOfGuests: entry.numberOfGuests,
+      zone: entry.zone
+    });
+
+    if (chosen && await makeOffer(entry, chosen)) {
+      offered++;
+    }
+  }
+
+  return offered;
+};
+
+/**
+ * Offer whatever a cancelled or lapsed booking freed up to the next people waiting for it.
+ * Never throws, so callers can run it after their own work is committed.
+ */
+export const notifyWaitlist = async ({room, restaurant}) => {
+  try {
+    if (room) {
+      await offerRoomWaitlist(room);
+    }
+    if (restaurant) {
+      await offerRestaurantWaitlist(restaurant);
+    }
+  } catch (error) {
+    logger.error(`Waitlist processing failed: ${error.message}`);
+  }
+};
+
+/**
+ * Expire offers that ran out unused and pass their stay or slot on to the next in line
+ */
+export const expireWaitlistOffers = async () => {
+  // Waiting entries whose dates have passed can never be offered
+  await Waitlist.updateMany({
+    status: "waiting",
+    $or: [
+      {
+        checkInDate: {
+          $lte: new Date()
+        }
+      }, {
+        startsAt: {
+          $lte: new Date()
+        }
+      }
+    ]
+  }, {status: "expired"});
+
+  const lapsed = await Waitlist.find({
+    status: "offered",
+    offerExpiresAt: {
+      $lte: new Date()
+    }
+  }).select("room restaurant");
+
+  if (!lapsed.length) {
+    return 0;
+  }
+
+  await Waitlist.updateMany({
+    _id: {
+      $in: lapsed.map(entry => entry._id)
+    },
+    status: "offered"
+  }, {status: "expired"});
+
+  // Each room or restaurant only needs one pass
+  const targets = new Map(lapsed.map(entry => {
+    const key = entry.room
+      ? `room:${entry.room}`
+      : `restaurant:${entry.restaurant}`;
+    return [
+      key, {
+        room: entry.room,
+        restaurant: entry.restaurant
+      }
+    ];
+  }));
+  for (const target of targets.values()) {
+    await notifyWaitlist(target);
+  }
+
+  return lapsed.length;
+};
@@ -0,0 +1,111 @@
+import {test, mock, afterEach} from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {Booking} from "../src/models/booking.model.js";
+import {Host} from "../src/models/host.model.js";
+import {Payment} from "../src/models/payment.models.js";
+import {quoteCancellations, refundCancellations, allocateRefund} from "../src/utils/bookingCancellation.js";
+
+// Refunds go through the card simulator, so no gateway is called
+process.env.PAYMENT_SIMULATOR_ENABLED = "true";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Stand in for a Mongoose query chain that resolves to `result`
+const query = result => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    session: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const capturedPayment = fields => {
+  const payment = new Payment({
+    paymentMethod: "credit_card",
+    paymentStatus: "succeeded",
+    transactionId: `cc_${new mongoose.Types.ObjectId()}`,
+    refundedAmount: 0,
+    ...fields
+  });
+  mock.method(payment, "save", async () => payment);
+  return payment;
+};
+
+afterEach(() => mock.restoreAll());
+
+test("amend up, pay, cancel refunds the original payment and the amendment charge", async () => {
+  const booking = new Booking({
+    host: new mongoose.Types.ObjectId(),
+    checkInDate: new Date(Date.now() + 60 * DAY),
+    checkOutDate: new Date(Date.now() + 63 * DAY),
+    totalPrice: 300,
+    paymentStatus: "paid",
+    paymentMethod: "credit_card"
+  });
+  booking.amendments.push({
+    priceDifference: 100,
+    totalPrice: 300,
+    settlement: {
+      type: "charge",
+      status: "succeeded",
+      amount: 100
+    }
+  });
+  booking.cancellation = {};
+  mock.method(booking, "save", async () => booking);
+
+  const original = capturedPayment({booking: booking._id, amount: 200});
+  const amendmentCharge = capturedPayment({booking: booking._id, amendment: booking.amendments[0]._id, amount: 100});
+  mock.method(Host, "findById", () => query({policies: {cancellation: "flexible"}}));
+  mock.method(Payment, "find", () => query([original, amendmentCharge]));
+
+  const {quotes, payments} = await quoteCancellations([booking]);
+  assert.equal(quotes[0].refundAmount, 300);
+
+  const refundStatus = await refundCancellations([booking], quotes, payments);
+  assert.equal(refundStatus, "succeeded");
+  assert.equal(original.refundStatus, "fully_refunded");
+  assert.equal(amendmentCharge.refundStatus, "fully_refunded");
+  assert.equal(booking.paymentStatus, "refunded");
+});
+
+test("cancelling a room from a paid cart refunds its share of the cart payment", async () => {
+  const cart = new mongoose.Types.ObjectId();
+  const booking = new Booking({
+    host: new mongoose.Types.ObjectId(),
+    cart,
+    checkInDate: new Date(Date.now() + 60 * DAY),
+    checkOutDate: new Date(Date.now() + 62 * DAY),
+    totalPrice: 150,
+    paymentStatus: "paid",
+    paymentMethod: "credit_card"
+  });
+  booking.cancellation = {};
+  mock.method(booking, "save", async () => booking);
+
+  const cartPayment = capturedPayment({cart, amount: 230});
+  mock.method(Host, "findById", () => query({policies: {cancellation: "flexible"}}));
+  const find = mock.method(Payment, "find", () => query([cartPayment]));
+
+  const {quotes, payments} = await quoteCancellations([booking]);
+  assert.deepEqual(find.mock.calls[0].arguments[0], {cart, paymentStatus: "succeeded"});
+  assert.equal(quotes[0].refundAmount, 150);
+
+  assert.equal(await refundCancellations([booking], quotes, payments), "succeeded");
+  assert.equal(cartPayment.refundedAmount, 150);
+  assert.equal(cartPayment.refundStatus, "partially_refunded");
+});
+
+test("allocateRefund takes from the oldest payment first and skips what is already refunded", () => {
+  const payments = [
+    {amount: 200, refundedAmount: 50},
+    {amount: 100, refundedAmount: 0},
+    {amount: 40, refundedAmount: 40}
+  ];
+
+  assert.deepEqual(allocateRefund(payments, 180).map(({amount}) => amount), [150, 30]);
+  assert.deepEqual(allocateRefund(payments, 0), []);
+});
@@ -0,0 +1,27 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {RestaurantBooking} from "../src/models/restaurantBooking.model.js";
+import {transitionBooking, RESTAURANT_BOOKING_TRANSITIONS} from "../src/utils/bookingLifecycle.js";
+
+test("a guest can cancel an upcoming restaurant reservation, with the change recorded", () => {
+  const booking = new RestaurantBooking({status: "confirmed"});
+
+  transitionBooking(booking, "cancelled", {role: "guest", transitions: RESTAURANT_BOOKING_TRANSITIONS});
+
+  assert.equal(booking.status, "cancelled");
+  assert.deepEqual(booking.statusHistory.map(({from, to, role}) => ({from, to, role})), [
+    {
+      from: "confirmed",
+      to: "cancelled",
+      role: "guest"
+    }
+  ]);
+});
+
+test("completed and expired restaurant reservations can't be cancelled", () => {
+  for (const status of ["completed", "expired", "cancelled"]) {
+    const booking = new RestaurantBooking({status});
+    assert.throws(() => transitionBooking(booking, "cancelled", {role: "guest", transitions: RESTAURANT_BOOKING_TRANSITIONS}), {statusCode: 409});
+    assert.equal(booking.status, status);
+  }
+});
@@ -0,0 +1,70 @@
+import {test, mock, afterEach} from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {Booking} from "../src/models/booking.model.js";
+import {Payment} from "../src/models/payment.models.js";
+import {startGatewayPayment, assertPaymentCurrency} from "../src/utils/payment_utils.js";
+import {createAmendmentCharge} from "../src/utils/bookingAmendment.js";
+
+// Enough configuration for the NPR wallets and the card simulator to count as enabled
+process.env.ESEWA_PRODUCT_CODE = "EPAYTEST";
+process.env.ESEWA_SECRET_KEY = "test-secret";
+process.env.KHALTI_SECRET_KEY = "test-secret";
+process.env.FONEPAY_MERCHANT_CODE = "TEST";
+process.env.FONEPAY_SECRET_KEY = "test-secret";
+process.env.PAYMENT_SIMULATOR_ENABLED = "true";
+
+afterEach(() => mock.restoreAll());
+
+test("NPR-only gateways refuse a USD booking up front", () => {
+  for (const paymentMethod of ["esewa", "khalti", "fonepay"]) {
+    assert.throws(() => assertPaymentCurrency(paymentMethod, "usd"), {statusCode: 400});
+    assert.doesNotThrow(() => assertPaymentCurrency(paymentMethod, "NPR"));
+  }
+  assert.doesNotThrow(() => assertPaymentCurrency("credit_card", "usd"));
+});
+
+test("startGatewayPayment won't charge a USD amount as rupees", async () => {
+  const create = mock.method(Payment, "create", async () => {
+    throw new Error("no payment should be recorded");
+  });
+
+  await assert.rejects(startGatewayPayment({
+    paymentMethod: "khalti",
+    amount: 120,
+    currency: "usd",
+    target: {
+      booking: new mongoose.Types.ObjectId()
+    },
+    payer: {
+      guestInfo: {
+        email: "guest@example.com"
+      }
+    },
+    returnUrl: "http://localhost/return/khalti/success",
+    cancelUrl: "http://localhost/return/khalti/failure"
+  }), {statusCode: 400, message: "khalti only accepts payments in NPR"});
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test("an amendment charge on a USD booking paid with eSewa is refused, not retried", async () => {
+  const booking = new Booking({
+    user: new mongoose.Types.ObjectId(),
+    paymentMethod: "esewa",
+    totalPrice: 250
+  });
+  booking.amendments.push({
+    priceDifference: 50,
+    totalPrice: 250,
+    settlement: {
+      type: "charge",
+      status: "pending",
+      amount: 50
+    }
+  });
+
+  await assert.rejects(createAmendmentCharge(booking, booking.amendments[0], null, {
+    returnUrl: "http://localhost/return/esewa/success",
+    cancelUrl: "http://localhost/return/esewa/failure"
+  }), {statusCode: 400});
+});
@@ -0,0 +1,38 @@
+import {test, mock, afterEach} from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {Payment} from "../src/models/payment.models.js";
+import {startGatewayPayment} from "../src/utils/payment_utils.js";
+
+process.env.PAYMENT_SIMULATOR_ENABLED = "true";
+
+afterEach(() => mock.restoreAll());
+
+test("client metadata can't override what the payment is for or who pays", async () => {
+  const booking = new mongoose.Types.ObjectId();
+  const user = new mongoose.Types.ObjectId();
+  mock.method(Payment, "findOne", () => ({session: async () => null}));
+  mock.method(Payment, "create", async ([fields]) => [new Payment(fields)]);
+
+  const {intent} = await startGatewayPayment({
+    paymentMethod: "credit_card",
+    amount: 80,
+    target: {
+      booking
+    },
+    payer: {
+      user
+    },
+    metadata: {
+      booking: "forged",
+      reservation: "forged",
+      cart: "forged",
+      amendment: "forged",
+      user: "forged",
+      guestEmail: "forged@example.com",
+      note: "late arrival"
+    }
+  });
+
+  assert.deepEqual(intent.metadata, {note: "late arrival", booking, user, guestEmail: undefined});
+});
@@ -0,0 +1,40 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {RestaurantBooking} from "../src/models/restaurantBooking.model.js";
+
+// Validation errors on the pre-order items, by path
+const preOrderErrors = booking => Object.keys(booking.validateSync()
+  ?.errors || {}).filter(path => path.startsWith("selectedCuisines"));
+
+test("pre-orders stored as {name, price} before server pricing still validate", () => {
+  const booking = RestaurantBooking.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    status: "confirmed",
+    selectedCuisines: [
+      {
+        name: "Momo",
+        price: 4.5
+      }
+    ]
+  });
+
+  assert.deepEqual(preOrderErrors(booking), []);
+});
+
+test("priced pre-order items still need their snapshot fields", () => {
+  const booking = new RestaurantBooking({
+    selectedCuisines: [
+      {
+        name: "Momo"
+      }
+    ]
+  });
+
+  assert.deepEqual(preOrderErrors(booking).sort(), [
+    "selectedCuisines.0.cuisine",
+    "selectedCuisines.0.lineTotal",
+    "selectedCuisines.0.quantity",
+    "selectedCuisines.0.unitPrice"
+  ]);
+});
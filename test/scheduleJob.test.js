@@ -0,0 +1,35 @@
+import {test, mock} from "node:test";
+import assert from "node:assert/strict";
+import {scheduleJob} from "../src/jobs/scheduleJob.js";
+
+test("a job runs at once, skips ticks while a run is still going, and survives failures", async () => {
+  mock.timers.enable({apis: ["setInterval"]});
+
+  let calls = 0;
+  let finishRun;
+  const timer = scheduleJob("test job", 1000, () => {
+    calls += 1;
+    if (calls === 1) {
+      return new Promise(resolve => {
+        finishRun = resolve;
+      });
+    }
+    throw new Error("boom");
+  });
+
+  assert.equal(calls, 1);
+  mock.timers.tick(1000);
+  assert.equal(calls, 1);
+
+  finishRun();
+  await new Promise(setImmediate);
+  mock.timers.tick(1000);
+  assert.equal(calls, 2);
+
+  await new Promise(setImmediate);
+  mock.timers.tick(1000);
+  assert.equal(calls, 3);
+
+  clearInterval(timer);
+  mock.timers.reset();
+});
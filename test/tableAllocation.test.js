@@ -0,0 +1,54 @@
+import {test, mock, afterEach} from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {RestaurantBooking} from "../src/models/restaurantBooking.model.js";
+import {Waitlist} from "../src/models/waitlist.model.js";
+import {findOverlappingReservations} from "../src/utils/tableAllocation.js";
+
+// Stand in for a Mongoose query chain that resolves to `result`
+const query = result => {
+  const chain = {
+    select: () => chain,
+    session: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+afterEach(() => mock.restoreAll());
+
+test("reservations stored without a seating window still hold their tables", async () => {
+  const restaurant = new mongoose.Types.ObjectId();
+  const table = new mongoose.Types.ObjectId();
+
+  // Made before startsAt/endsAt existed: just a date and a time
+  const legacy = RestaurantBooking.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    restaurant,
+    reservationDate: new Date(2026, 10, 20),
+    reservationTime: "19:00",
+    numberOfGuests: 4,
+    tables: [table]
+  });
+  const later = RestaurantBooking.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    restaurant,
+    reservationDate: new Date(2026, 10, 20),
+    reservationTime: "22:00",
+    numberOfGuests: 2,
+    tables: [table]
+  });
+  const find = mock.method(RestaurantBooking, "find", () => query([legacy, later]));
+  mock.method(Waitlist, "find", () => query([]));
+
+  const reservations = await findOverlappingReservations({
+    restaurant,
+    startsAt: new Date(2026, 10, 20, 20, 0),
+    endsAt: new Date(2026, 10, 20, 21, 30)
+  });
+
+  assert.ok(find.mock.calls[0].arguments[0].$and[0].$or.some(condition => condition.startsAt === null));
+  assert.deepEqual(reservations, [legacy]);
+  assert.deepEqual(legacy.startsAt, new Date(2026, 10, 20, 19, 0));
+  assert.deepEqual(legacy.endsAt, new Date(2026, 10, 20, 20, 30));
+});